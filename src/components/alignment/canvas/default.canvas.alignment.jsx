@@ -14,10 +14,14 @@
  * Revisions
  * - 09-07-2023   Major upgrade to Toolkit incl. UI and workflow improvements and OpenCV integration
  * - 14-07-2023   Added support for TIFF downloads
+ * - 18-10-2026   Optional clipping region for redrawn images
+ * - 18-10-2026   TIFF encoding options for blobs
+ * - 18-10-2026   Tiled drawing from image pyramids
  */
 
 import React, {forwardRef, useRef, useImperativeHandle, useEffect} from 'react';
 import {CanvasToTIFF} from "../utils/tiff.utils.alignment";
+import {getPyramidTiles} from "../utils/pyramid.utils.alignment";
 
 /**
  * Image Analysis Toolkit: Canvas component
@@ -71,7 +75,7 @@ const Canvas = forwardRef(function Canvas(props, ref) {
                 // put image to canvas
                 context.putImageData(imageData, x || 0, y || 0, 0, 0, w || imageData.width, h || imageData.height);
             },
-            draw: (image, dims, clear=true) => {
+            draw: (image, dims, clear=true, clip=null) => {
 
                 /**
                  * Redraws image data to canvas
@@ -88,6 +92,9 @@ const Canvas = forwardRef(function Canvas(props, ref) {
                  * - dHeight
                  *   The height to draw the image in the destination canvas. This allows scaling of
                  *   the drawn image. If not specified, the image is not scaled in height when drawn.
+                 * - clip
+                 *   Optional clipping region (Path2D, even-odd rule). Only the image inside the
+                 *   region is drawn.
                  *
                  * @public
                  */
@@ -101,6 +108,10 @@ const Canvas = forwardRef(function Canvas(props, ref) {
                 // canvasRef.current.width = view && view.w || canvasRef.current.width;
                 // canvasRef.current.height = view && view.h || canvasRef.current.height;
                 // draw source image to canvas
+                if (clip) {
+                    context.save();
+                    context.clip(clip, 'evenodd');
+                }
                 context.drawImage(
                     image,
                     (source && source.x) || 0,
@@ -112,6 +123,26 @@ const Canvas = forwardRef(function Canvas(props, ref) {
                     (view && view.w),
                     (view && view.h)
                 );
+                if (clip) context.restore();
+            },
+            drawTiles: (pyramid, dims, clear=true) => {
+
+                /**
+                 * Redraws image from tile pyramid to canvas
+                 * Note: Dimensions are the same as for a full-image draw; only visible
+                 * tiles of the pyramid level matching the view scale are drawn.
+                 *
+                 * @public
+                 */
+
+                if (!pyramid) return;
+
+                const {source, view} = dims || {};
+                const {width, height} = canvasRef.current;
+                if (clear) context.clearRect(0, 0, width, height);
+                getPyramidTiles(pyramid, view, source, {w: width, h: height}).forEach(tile => {
+                    context.drawImage(tile.canvas, tile.sx, tile.sy, tile.sw, tile.sh, tile.dx, tile.dy, tile.dw, tile.dh);
+                });
             },
             canvas: () => {
                 return canvasRef.current;
@@ -146,7 +177,7 @@ const Canvas = forwardRef(function Canvas(props, ref) {
             getImageData: () => {
                 return context.getImageData(0, 0, canvasRef.current.width, canvasRef.current.height);
             },
-            blob: (image, type, quality, callback) => {
+            blob: (image, type, quality, callback, options = {}) => {
                 // if image data is provided, load to canvas and convert to blob
                 if (image) {
                     if (image instanceof HTMLImageElement)
@@ -156,7 +187,7 @@ const Canvas = forwardRef(function Canvas(props, ref) {
 
                 return type !== 'image/tiff'
                     ? canvasRef.current.toBlob(callback, type, quality)
-                    : CanvasToTIFF.toBlob(canvasRef.current, callback);
+                    : CanvasToTIFF.toBlob(canvasRef.current, callback, options);
             },
             alpha: (alpha) => {
                 // set canvas opacity
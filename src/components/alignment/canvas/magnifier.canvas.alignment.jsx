@@ -4,6 +4,10 @@
  * Copyright(c) 2023 Runtime Software Development Inc.
  * Version 2.0
  * MIT Licensed
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Show template match search window and score of refined control points
  */
 
 import React, {forwardRef, useRef, useImperativeHandle } from 'react';
@@ -57,6 +61,24 @@ const MagnifierTool = forwardRef(function Canvas(props, ref) {
             context.rect(x - 30, y - 30, 60, 60);
             context.fill();
         }
+        // draw template match search window and score of refined control point
+        // - clipped to the magnifier scope
+        const drawMatch = (viewWindow, viewCtrlPt, score, scope) => {
+            context.save();
+            context.beginPath();
+            context.rect(scope.x, scope.y, scope.w, scope.h);
+            context.clip();
+            context.beginPath();
+            context.lineWidth = 1;
+            context.setLineDash([4, 4]);
+            context.strokeStyle = 'yellow';
+            context.strokeRect(viewWindow.x, viewWindow.y, viewWindow.w, viewWindow.h);
+            context.setLineDash([]);
+            context.font = '0.8em sans-serif';
+            context.fillStyle = 'yellow';
+            context.fillText(`NCC ${score.toFixed(2)}`, viewCtrlPt.x + 3, viewCtrlPt.y - 6);
+            context.restore();
+        }
         return {
             magnify: (image, panel) => {
 
@@ -193,6 +215,23 @@ const MagnifierTool = forwardRef(function Canvas(props, ref) {
                         // scale control point to render view
                         if (inRange(sourcePt.x, sourcePt.y, sourceCtrlPt.x, sourceCtrlPt.y, radius)) {
                             drawCtrlPt(viewCtrlPt, index, 'magenta');
+
+                            // show match result if control point was refined
+                            const match = panel.pointer.match;
+                            if (match && match.index === index && match.window && ctrlPt.score !== undefined) {
+                                const corner = scalePoint(match.window, panel.properties.magnified_dims, panel.properties.image_dims);
+                                const size = scalePoint(
+                                    {x: match.window.w, y: match.window.h},
+                                    panel.properties.magnified_dims,
+                                    panel.properties.image_dims
+                                );
+                                drawMatch({
+                                    x: destX + scopeDims.w / 2 - (sourcePt.x - corner.x),
+                                    y: destY + scopeDims.h / 2 - (sourcePt.y - corner.y),
+                                    w: size.x,
+                                    h: size.y
+                                }, viewCtrlPt, ctrlPt.score, {x: destX, y: destY, w: scopeDims.w, h: scopeDims.h});
+                            }
                         }
                     });
                     // control points on other panel
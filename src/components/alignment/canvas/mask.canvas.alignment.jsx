@@ -0,0 +1,115 @@
+/*!
+ * MLE.Client.Tools.Toolkit.Mask
+ * File: mask.canvas.alignment.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Mask canvas layer for Alignment Tool panels. Shows the region-of-interest mask of the
+ * panel image (see mask.utils.alignment.js) over the view canvas. The full-sized mask is
+ * kept in an offscreen canvas (image resolution) and drawn to the layer at the current
+ * view (zoom and pan) of the panel image. Painted brush strokes update the offscreen
+ * canvas within the stroke bounds only.
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Initial version
+ */
+
+import React, {forwardRef, useRef, useImperativeHandle} from 'react';
+import {maskToRGBA} from "../utils/mask.utils.alignment";
+
+// mask overlay colour
+const MASK_COLOUR = [255, 0, 96];
+
+/**
+ * Image Analysis Toolkit: Mask canvas component
+ */
+
+const MaskLayer = forwardRef(function MaskLayer(props, ref) {
+
+    const canvasRef = useRef(null);
+
+    // full-sized mask canvas (offscreen)
+    const maskRef = useRef(null);
+
+    useImperativeHandle(ref, () => {
+        const context = canvasRef.current.getContext('2d');
+        return {
+            load: (mask) => {
+
+                /**
+                 * Loads mask to offscreen canvas
+                 * - clears the mask if none is given
+                 *
+                 * @public
+                 */
+
+                if (!mask) {
+                    maskRef.current = null;
+                    return;
+                }
+                const canvas = document.createElement('canvas');
+                canvas.width = mask.width;
+                canvas.height = mask.height;
+                canvas.getContext('2d').putImageData(
+                    new ImageData(maskToRGBA(mask, MASK_COLOUR), mask.width, mask.height), 0, 0);
+                maskRef.current = canvas;
+            },
+            update: (mask, box) => {
+
+                /**
+                 * Updates offscreen canvas within box (image coordinates) of the mask
+                 *
+                 * @public
+                 */
+
+                if (!mask || !box || !maskRef.current) return;
+                const {x, y, w, h} = box;
+                const region = {data: new Uint8Array(w * h), width: w, height: h};
+                for (let row = 0; row < h; row++) {
+                    const start = x + mask.width * (y + row);
+                    region.data.set(mask.data.subarray(start, start + w), w * row);
+                }
+                maskRef.current.getContext('2d').putImageData(
+                    new ImageData(maskToRGBA(region, MASK_COLOUR), w, h), x, y);
+            },
+            draw: (dims) => {
+
+                /**
+                 * Redraws mask to canvas at view dimensions
+                 * - uses the same dimensions {view, source} as panel image draws
+                 *
+                 * @public
+                 */
+
+                const {source, view} = dims || {};
+                context.clearRect(0, 0, canvasRef.current.width, canvasRef.current.height);
+                if (!maskRef.current || !view) return;
+                context.imageSmoothingEnabled = false;
+                context.drawImage(
+                    maskRef.current,
+                    (source && source.x) || 0,
+                    (source && source.y) || 0,
+                    (source && source.w) || maskRef.current.width,
+                    (source && source.h) || maskRef.current.height,
+                    view.x || 0,
+                    view.y || 0,
+                    view.w,
+                    view.h
+                );
+            },
+            clear: () => {
+                maskRef.current = null;
+                context.clearRect(0, 0, canvasRef.current.width, canvasRef.current.height);
+            }
+        };
+    }, []);
+
+    return <canvas {...props} ref={canvasRef} />;
+});
+
+export default MaskLayer;
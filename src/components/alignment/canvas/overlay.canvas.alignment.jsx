@@ -4,6 +4,12 @@
  * Copyright(c) 2022 Runtime Software Development Inc.
  * Version 2.0
  * MIT Licensed
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Line drawing (horizon line)
+ * - 18-10-2026   Polygon drawing (mask outlines)
+ * - 18-10-2026   Class sample drawing (pixel classification)
  */
 
 import React, {forwardRef, useRef, useImperativeHandle, useEffect} from 'react';
@@ -15,7 +21,12 @@ import React, {forwardRef, useRef, useImperativeHandle, useEffect} from 'react';
 const Overlay = forwardRef(function Canvas(props, ref) {
 
     const canvasRef = useRef(null);
-    const {onKeyDown, onKeyUp} = props || {};
+    const {markers = null, ...canvasProps} = props || {};
+    const {onKeyDown, onKeyUp} = canvasProps;
+
+    // per-index control point marker colours (e.g. reprojection error codes)
+    const markersRef = useRef(markers);
+    markersRef.current = markers;
 
     /**
      * Draw all selected control points on to mask canvas.
@@ -26,14 +37,15 @@ const Overlay = forwardRef(function Canvas(props, ref) {
      * @param y
      * @param index
      * @param colour
+     * @param marker
      */
 
-    const _drawControlPoint = (context, x, y, index, colour='magenta') => {
+    const _drawControlPoint = (context, x, y, index, colour='magenta', marker=null) => {
 
         // draw cross-hair
         context.beginPath();
         context.lineWidth = 1;
-        context.strokeStyle = colour;
+        context.strokeStyle = marker || colour;
         context.moveTo(x - 30, y);
         context.lineTo(x + 30, y);
         context.moveTo(x, y - 30);
@@ -42,7 +54,7 @@ const Overlay = forwardRef(function Canvas(props, ref) {
 
         // draw number background
         context.beginPath();
-        context.fillStyle = 'lime';
+        context.fillStyle = marker || 'lime';
         context.rect(x + 3, y + 6, 15, 15);
         context.fill();
 
@@ -80,7 +92,7 @@ const Overlay = forwardRef(function Canvas(props, ref) {
 
                 // draw separate control points for panel
                 (points || []).forEach((pt, index) => {
-                    _drawControlPoint(context, pt.x, pt.y, index, colour);
+                    _drawControlPoint(context, pt.x, pt.y, index, colour, (markersRef.current || [])[index]);
                 });
             },
             drawBoundingBox: (x, y, width, height) => {
@@ -96,6 +108,59 @@ const Overlay = forwardRef(function Canvas(props, ref) {
                 context.rect(x, y, width, height);
                 context.fill();
             },
+            drawLine: (x1, y1, x2, y2) => {
+
+                // clear canvas
+                context.clearRect(0, 0, canvasRef.current.width, canvasRef.current.height);
+
+                // draw line with dark outline for contrast
+                context.beginPath();
+                context.moveTo(x1, y1);
+                context.lineTo(x2, y2);
+                context.lineWidth = 3;
+                context.strokeStyle = 'rgba(0,0,0,0.6)';
+                context.stroke();
+                context.lineWidth = 1;
+                context.strokeStyle = 'cyan';
+                context.stroke();
+            },
+            drawPolygon: (points, cursor = null) => {
+
+                // clear canvas
+                context.clearRect(0, 0, canvasRef.current.width, canvasRef.current.height);
+                if (!points || points.length === 0) return;
+
+                // draw open outline through vertices (and cursor) with dark outline for contrast
+                context.beginPath();
+                context.moveTo(points[0].x, points[0].y);
+                points.slice(1).forEach(pt => context.lineTo(pt.x, pt.y));
+                if (cursor) context.lineTo(cursor.x, cursor.y);
+                context.lineWidth = 3;
+                context.strokeStyle = 'rgba(0,0,0,0.6)';
+                context.stroke();
+                context.lineWidth = 1;
+                context.strokeStyle = 'yellow';
+                context.stroke();
+
+                // draw vertices
+                context.fillStyle = 'yellow';
+                points.forEach(pt => context.fillRect(pt.x - 2, pt.y - 2, 5, 5));
+            },
+            drawSamples: (points, size = 5) => {
+
+                // clear canvas
+                context.clearRect(0, 0, canvasRef.current.width, canvasRef.current.height);
+
+                // draw sample windows in class colours with dark outline for contrast
+                const half = size / 2;
+                (points || []).forEach(pt => {
+                    context.fillStyle = pt.colour;
+                    context.fillRect(pt.x - half, pt.y - half, size, size);
+                    context.lineWidth = 1;
+                    context.strokeStyle = 'rgba(0,0,0,0.8)';
+                    context.strokeRect(pt.x - half - 1, pt.y - half - 1, size + 2, size + 2);
+                });
+            },
             clear: () => {
                 // clear canvas
                 context.clearRect(0, 0, canvasRef.current.width, canvasRef.current.height);
@@ -109,7 +174,7 @@ const Overlay = forwardRef(function Canvas(props, ref) {
         };
     }, []);
 
-    return <canvas {...props} ref={canvasRef} />;
+    return <canvas {...canvasProps} ref={canvasRef} />;
 });
 
 export default Overlay;
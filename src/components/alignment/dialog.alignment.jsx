@@ -15,19 +15,35 @@
  *
  * ---------
  * Revisions
- *
+ * - 18-10-2026   Added alignment recipe dialog
+ * - 18-10-2026   Added tone adjustment dialog
+ * - 18-10-2026   Added flicker animation export dialog
+ * - 18-10-2026   Added rotation dialog
+ * - 18-10-2026   Added lens correction dialog
+ * - 18-10-2026   Added station panorama dialog
+ * - 18-10-2026   Added camera pose estimation dialog
+ * - 18-10-2026   Added monoplotting dialog
+ * - 18-10-2026   Added land-cover classification dialog
  */
 
 import React from 'react';
 import Dialog from '../common/dialog';
 import { ImageOpener } from './tools/opener.alignment';
-import { SaveAs } from './tools/downloader.alignment';
+import { FlickerExport, SaveAs } from './tools/downloader.alignment';
 import Resizer from './tools/resizer.alignment';
 import MetadataView from '../views/metadata.view';
 import { useIat } from '../../providers/alignment.provider.client';
 import {genID} from "../../utils/data.utils.client";
 import {ComparatorTool} from "./tools/comparator.alignment";
 import Button from "../common/button";
+import {RecipeOpener} from "./tools/recipe.alignment";
+import ToneAdjuster from "./tools/tone.alignment";
+import Rotator from "./tools/rotator.alignment";
+import LensCorrector from "./tools/lens.alignment";
+import PanoramaBuilder from "./tools/panorama.alignment";
+import PoseEstimator from "./tools/pose.alignment";
+import Monoplotter from "./tools/monoplot.alignment";
+import Classifier from "./tools/classify.alignment";
 
 /**
  * No operation.
@@ -143,6 +159,101 @@ export const DialogAlignment = () => {
                 <Resizer id={id} callback={callback} />
             </Dialog>;
         },
+        tone: (id, label, callback) => {
+            return <Dialog
+                className={'wide'}
+                key={`${menuID}_dialog_tone`}
+                title={`Adjust ${label} Tone`}
+                callback={()=>{_handleCancel(null, id)}}
+            >
+                <ToneAdjuster id={id} callback={callback} />
+            </Dialog>;
+        },
+        rotate: (id, label, callback, data) => {
+            return <Dialog
+                key={`${menuID}_dialog_rotate`}
+                title={`Rotate ${label}`}
+                callback={()=>{_handleCancel(null, id)}}
+            >
+                <Rotator id={id} data={data} callback={callback} />
+            </Dialog>;
+        },
+        lens: (id, label, callback) => {
+            return <Dialog
+                key={`${menuID}_dialog_lens`}
+                title={`Correct ${label} Lens Distortion`}
+                callback={()=>{_handleCancel(null, id)}}
+            >
+                <LensCorrector id={id} callback={callback} />
+            </Dialog>;
+        },
+        panorama: (id, label, callback) => {
+            return <Dialog
+                className={'wide'}
+                key={`${menuID}_dialog_panorama`}
+                title={`Stitch Station Panorama for ${label}`}
+                callback={()=>{_handleCancel(null, id)}}
+            >
+                <PanoramaBuilder
+                    id={id}
+                    callback={(data)=>{
+                        iat.setDialog(null);
+                        callback(data);
+                    }}
+                />
+            </Dialog>;
+        },
+        pose: (id, label) => {
+            return <Dialog
+                className={'wide'}
+                key={`${menuID}_dialog_pose`}
+                title={`Estimate Camera Pose for ${label}`}
+                callback={()=>{_handleCancel(null, id)}}
+            >
+                <PoseEstimator id={id} />
+            </Dialog>;
+        },
+        monoplot: (id, label) => {
+            return <Dialog
+                className={'wide'}
+                key={`${menuID}_dialog_monoplot`}
+                title={`Monoplot Features of ${label}`}
+                callback={()=>{_handleCancel(null, id)}}
+            >
+                <Monoplotter id={id} />
+            </Dialog>;
+        },
+        classify: () => {
+            return <Dialog
+                className={'wide'}
+                key={`${menuID}_dialog_classify`}
+                title={`Classify Land Cover`}
+                callback={()=>{iat.setDialog(null)}}
+            >
+                <Classifier />
+            </Dialog>;
+        },
+        flicker: () => {
+            return <Dialog
+                key={`${menuID}_dialog_flicker`}
+                title={`Export Flicker Animation`}
+                callback={()=>{iat.setDialog(null)}}
+            >
+                <FlickerExport />
+            </Dialog>;
+        },
+        openRecipe: () => {
+            return <Dialog
+                key={`${menuID}_dialog_open_recipe`}
+                title={`Open Alignment Recipe`}
+                callback={()=>{iat.setDialog(null)}}
+            >
+                <RecipeOpener
+                    callback={()=>{iat.setDialog(null)}}
+                    cancel={()=>{iat.setDialog(null)}}
+                />
+            </Dialog>;
+        },
         compare: () => {
             return <Dialog
                 className={'wide'}
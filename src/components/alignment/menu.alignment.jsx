@@ -4,6 +4,15 @@
  * Copyright(c) 2023 Runtime Software Development Inc.
  * Version 2.0
  * MIT Licensed
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Added OpenCV load status indicator and JS fallback setting
+ * - 18-10-2026   Added feature detector selector for control point suggestion
+ * - 18-10-2026   Added alignment recipe save and open buttons
+ * - 18-10-2026   Added flicker animation export button
+ * - 18-10-2026   Added mask mode button
+ * - 18-10-2026   Added classify mode button
  */
 
 import React from 'react';
@@ -14,6 +23,10 @@ import {getTooltip} from "../content/alignment.help";
 import {useUser} from "../../providers/user.provider.client";
 import {useNav} from "../../providers/nav.provider.client";
 import {useDialog} from "../../providers/dialog.provider.client";
+import {getOpenCVLabel} from "./panel/init.panel.alignment";
+import {setPref} from "../../services/session.services.client";
+import InputSelector from "../selectors/input.selector";
+import {saveRecipe} from "./tools/recipe.alignment";
 
 /**
  * Image Analysis Toolkit main menu.
@@ -33,6 +46,34 @@ export const MenuAlignment = () => {
     const imageLoaded = iat.panel1.status === 'loaded' || iat.panel2.status === 'loaded';
     const imagesLoaded = iat.panel1.status === 'loaded' && iat.panel2.status === 'loaded';
 
+    // OpenCV load status indicator
+    const cvIcons = {loading: 'spinner', loaded: 'success', error: 'error', disabled: 'warning'};
+
+    /**
+     * Select feature detector used to suggest control points
+     *
+     * @private
+     */
+
+    const _handleFeatureDetector = (e) => {
+        const { target = {} } = e || {};
+        const { value = '' } = target;
+        iat.setOptions(options => ({...options, featureDetector: value}));
+    };
+
+    /**
+     * Toggle forced JS fallback for image transformations (for debugging)
+     * - setting is kept for the browser session
+     *
+     * @private
+     */
+
+    const _toggleForceJS = () => {
+        const forceJS = !iat.options.forceJS;
+        setPref('iatForceJS', forceJS);
+        iat.setOptions(options => ({...options, forceJS: forceJS}));
+    };
+
     return <div className={'canvas-menu-bar'}>
         <div className={'v-menu'}>
                 <ul>
@@ -80,6 +121,21 @@ export const MenuAlignment = () => {
                             }}
                         />
                     </li>
+                    <li>
+                        <Button
+                            disabled={!imagesLoaded}
+                            icon={'download'}
+                            label={'Flicker'}
+                            title={'Export an animated flicker (GIF or WebM) of the panel images.'}
+                            onClick={() => {
+                                iat.setDialog({
+                                    type: 'flicker',
+                                    label: 'Export Flicker Animation',
+                                    callback: console.error,
+                                });
+                            }}
+                        />
+                    </li>
                     <li>
                         <Button
                             disabled={!imageLoaded}
@@ -94,6 +150,34 @@ export const MenuAlignment = () => {
                             }}
                         />
                     </li>
+                    <li>
+                        <Button
+                            disabled={!imageLoaded}
+                            title={'Select Mask Mode (paint or draw regions to exclude)'}
+                            label={'Mask'}
+                            className={iat.mode === 'mask' ? 'active' : ''}
+                            icon={'mask'}
+                            onClick={() => {
+                                // clear messages
+                                iat.setMessage(null);
+                                iat.setMode('mask');
+                            }}
+                        />
+                    </li>
+                    <li>
+                        <Button
+                            disabled={!imagesLoaded}
+                            title={'Select Classify Mode (sample land-cover classes to quantify changes)'}
+                            label={'Classify'}
+                            className={iat.mode === 'classify' ? 'active' : ''}
+                            icon={'classify'}
+                            onClick={() => {
+                                // clear messages
+                                iat.setMessage(null);
+                                iat.setMode('classify');
+                            }}
+                        />
+                    </li>
                     <li><Button
                         icon={'load'}
                         label={'Library'}
@@ -124,6 +208,60 @@ export const MenuAlignment = () => {
                             });
                         }}
                     /></li>
+                    <li style={{width: '140px'}}><Badge label={'Recipe'} icon={'list'} /></li>
+                    <li>
+                        <Button
+                            disabled={!imageLoaded}
+                            icon={'save'}
+                            label={'Save Recipe'}
+                            title={'Save control points, image steps and alignment as a recipe file.'}
+                            onClick={() => {saveRecipe(iat)}}
+                        />
+                    </li>
+                    <li>
+                        <Button
+                            icon={'import'}
+                            label={'Open Recipe'}
+                            title={'Open a recipe file and reapply it to the referenced images.'}
+                            onClick={() => {
+                                iat.setDialog({
+                                    type: 'openRecipe',
+                                    label: 'Open Alignment Recipe',
+                                    callback: console.error,
+                                });
+                            }}
+                        />
+                    </li>
+                    <li style={{width: '140px'}}><Badge label={'Engine'} icon={'settings'} /></li>
+                    <li style={{width: '140px'}}>
+                        <Badge
+                            className={`canvas-cv-${iat.cvStatus}`}
+                            icon={cvIcons[iat.cvStatus]}
+                            label={getOpenCVLabel(iat.cvStatus)}
+                            title={'Image transformation library status.'}
+                        />
+                    </li>
+                    <li>
+                        <Button
+                            title={'Use JavaScript image transformations instead of OpenCV (for debugging).'}
+                            label={'Force JS'}
+                            className={iat.options.forceJS ? 'active' : ''}
+                            icon={'tools'}
+                            onClick={_toggleForceJS}
+                        />
+                    </li>
+                    <li style={{width: '140px'}}>
+                        <InputSelector
+                            id={'iat_feature_detector'}
+                            name={'featureDetector'}
+                            label={'Features'}
+                            type={'select'}
+                            disabled={!iat.cv}
+                            value={iat.options.featureDetector}
+                            options={iat.options.featureDetectors}
+                            onChange={_handleFeatureDetector}
+                        />
+                    </li>
                     <li style={{width: '140px'}}><Badge label={'Shortcuts'} /></li>
                     <li style={{width: '140px'}}>Use <code>shift</code> key to magnify region</li>
                     <li style={{width: '140px'}}>Use <code>alt/option</code> key for alignment mode</li>
@@ -15,6 +15,7 @@
  * ---------
  * Revisions
  * - 09-07-2023   Major upgrade to Toolkit incl. UI and workflow improvements and OpenCV integration
+ * - 18-10-2026   Undo/redo keyboard shortcuts
  */
 
 import {useIat} from "../../../providers/alignment.provider.client";
@@ -89,6 +90,23 @@ export const useController = (id) => {
 
     const _handleOnKeyDown = (e) => {
         const {keyCode = ''} = e || {};
+
+        // undo/redo panel history
+        // - uses [CTRL/CMD]+[Z] to undo, [CTRL/CMD]+[SHIFT]+[Z] or [CTRL/CMD]+[Y] to redo
+        // - only the panel with the latest command (or latest undone command) responds
+        if ((e.ctrlKey || e.metaKey) && (keyCode === 90 || keyCode === 89)) {
+            e.preventDefault();
+            const redo = keyCode === 89 || e.shiftKey;
+            const _latest = (history) => {
+                const snapshot = redo ? history.future[0] : history.past[history.past.length - 1];
+                return snapshot ? snapshot.sequence : 0;
+            };
+            const latest = _latest(panel.history);
+            const otherLatest = _latest(iat[id === 'panel1' ? 'panel2' : 'panel1'].history);
+            if (latest === 0 || latest < otherLatest) return;
+            return redo ? panel.history.redo() : panel.history.undo();
+        }
+
         const _methods = {
             // disable control point selection (uses [ALT] key)
             18: () => {
@@ -14,6 +14,8 @@
  * Revisions
  * - 09-07-2023   Updated instructions for upgraded Toolkit workflows and features.
  * - 25-08-2023   Include magnification scale
+ * - 18-10-2026   Show OpenCV load status
+ * - 18-10-2026   Show image bit depth
  */
 
 import { getModelLabel } from '../../../services/schema.services.client';
@@ -25,6 +27,7 @@ import { createNodeRoute } from '../../../utils/paths.utils.client';
 import {useIat} from "../../../providers/alignment.provider.client";
 import Accordion from "../../common/accordion";
 import Icon from "../../common/icon";
+import {getOpenCVLabel} from "./init.panel.alignment";
 
 /**
  * Canvas info status.
@@ -149,11 +152,17 @@ const PanelInfo = ({ panel }) => {
                     <th>Original</th>
                     <td>[{panel.properties.source_dims.w}, {panel.properties.source_dims.h}]</td>
                 </tr>
+                <tr>
+                    <th>Bit Depth</th>
+                    <td>{panel.depth ? panel.depth.bitDepth : 8}-bit</td>
+                    <th>Original</th>
+                    <td>{panel.properties.bit_depth || 8}-bit</td>
+                </tr>
                 <tr>
                     <th>Status</th>
                     <td>{panel.status} {!!panel.image ? '' : '(No Image)'}</td>
                     <th>OpenCV</th>
-                    <td>{!!iat.cv ? panel.properties.opencv.version : 'Not loaded'}</td>
+                    <td>{getOpenCVLabel(iat.cvStatus)}</td>
                 </tr>
                 </tbody>
             </table>
@@ -4,8 +4,29 @@
  * Copyright(c) 2023 Runtime Software Development Inc.
  * Version 2.0
  * MIT Licensed
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   OpenCV WASM build served from local app assets and loaded with status updates
+ * - 18-10-2026   Transform model options (similarity, affine, perspective)
+ * - 18-10-2026   Panel processing steps recorded for alignment recipes
+ * - 18-10-2026   Undo/redo history limits
+ * - 18-10-2026   Tone adjustment preview dimensions
+ * - 18-10-2026   Change detection layers and threshold
+ * - 18-10-2026   Flicker animation export settings
+ * - 18-10-2026   TIFF compression and sample format options
+ * - 18-10-2026   Image bit depth; 16-bit RGBA TIFF sample format
+ * - 18-10-2026   Tile pyramid rendering of large images
+ * - 18-10-2026   Lens record and focal length of library images for lens correction
+ * - 18-10-2026   Region-of-interest mask tool settings
+ * - 18-10-2026   Station panorama stitching settings
+ * - 18-10-2026   Camera pose estimation settings
+ * - 18-10-2026   Monoplotting settings
+ * - 18-10-2026   Pixel classification classes and settings
+ * - 18-10-2026   Tile cache size of image pyramids
  */
 
+import {getPref} from "../../../services/session.services.client";
 
 /**
  * Canvas API image editor component.
@@ -22,13 +43,11 @@ const DEFAULT_DIMS_W = 700;
 const DEFAULT_DIMS_H = 600;
 
 // OpenCV settings
+// - single-file WASM build is copied from the @techstark/opencv-js package
+//   to the public assets folder by the 'copy-opencv' script
 const scriptId = 'opencv-react'
-const moduleConfig = {
-    wasmBinaryFile: 'opencv_js.wasm',
-    usingWasm: true
-}
 const openCvVersion = '4.10.0';
-const openCvPath = `https://docs.opencv.org/${openCvVersion}/opencv.js`;
+const openCvPath = `${process.env.PUBLIC_URL || ''}/opencv/opencv.js`;
 
 /**
  * Initialize IAT panel properties.
@@ -49,7 +68,7 @@ export const initPanel = (panelID, panelLabel = '', inputData = null, user=null)
         url = ''
     } = inputData || {};
     const {id = '', file_type = '', file_size = 0, owner_id = '', owner_type = ''} = file || {};
-    const {image_state = '', mime_type = ''} = metadata || {};
+    const {image_state = '', mime_type = '', lens_id = null, focal_length = null} = metadata || {};
     const {medium = ''} = url || {};
 
     // get user status
@@ -74,10 +93,15 @@ export const initPanel = (panelID, panelLabel = '', inputData = null, user=null)
         mime_type: mime_type,
         file_type: file_type,
         file_size: file_size,
+        bit_depth: 8,
         image_state: image_state,
+        lens_id: lens_id,
+        focal_length: focal_length,
         file: fileData,
         url: medium,
         lowResDataURL: null,
+        steps: [],
+        source_steps: [],
         dataURL: null,
         blob: null,
         pts: [],
@@ -95,7 +119,77 @@ export const initPanel = (panelID, panelLabel = '', inputData = null, user=null)
 
 export const initOptions = () => {
     return {
-        controlPtMax: 4,
+        controlPtMin: 4,
+        controlPtMax: 30,
+        ransacThreshold: 3,
+        ransacIterations: 500,
+        transformModel: 'perspective',
+        transformModels: [
+            { label: 'Similarity', value: 'similarity'},
+            { label: 'Affine', value: 'affine'},
+            { label: 'Perspective', value: 'perspective'}
+        ],
+        useWorkers: true,
+        historyMax: 30,
+        historyMaxMemory: 256 * 1024 * 1024,
+        suggestPtMax: 12,
+        featureDetector: 'orb',
+        featureDetectors: [
+            { label: 'ORB', value: 'orb'},
+            { label: 'AKAZE', value: 'akaze'}
+        ],
+        featureMaxDim: 1500,
+        featureMaxCount: 2000,
+        featureRatio: 0.75,
+        refinePoints: !!getPref('iatRefinePoints'),
+        templateRadius: 10,
+        searchRadius: 30,
+        minMatchScore: 0.6,
+        forceJS: !!getPref('iatForceJS'),
+        interpolation: 'bilinear',
+        interpolations: [
+            { label: 'Nearest Neighbour', value: 'nearest'},
+            { label: 'Bilinear', value: 'bilinear'},
+            { label: 'Bicubic', value: 'bicubic'}
+        ],
+        changeThreshold: 32,
+        changeLayers: [
+            { label: 'Heatmap', value: 'heatmap'},
+            { label: 'Change Mask', value: 'mask'},
+            { label: 'Difference', value: 'difference'}
+        ],
+        maskTool: 'brush',
+        maskTools: [
+            { label: 'Brush', value: 'brush'},
+            { label: 'Polygon', value: 'polygon'}
+        ],
+        maskErase: false,
+        maskBrushSize: 30,
+        maskVisible: true,
+        maskTolerance: 1,
+        panoramaFov: 60,
+        panoramaMaxHeight: 1500,
+        panoramaMatches: 50,
+        poseMinPoints: 4,
+        poseMaxIterations: 200,
+        monoplotMaxDistance: 50000,
+        monoplotMaxSteps: 20000,
+        monoplotRefraction: 0.13,
+        classifyClass: 'forest',
+        classifyClasses: [
+            { id: 'forest', label: 'Forest', colour: '#2e7d32'},
+            { id: 'snow', label: 'Snow/Ice', colour: '#81d4fa'},
+            { id: 'rock', label: 'Rock', colour: '#8d6e63'},
+            { id: 'meadow', label: 'Meadow', colour: '#c0ca33'}
+        ],
+        classifyMethod: 'centroid',
+        classifyMethods: [
+            { label: 'Nearest Centroid', value: 'centroid'},
+            { label: 'K-Means', value: 'kmeans'}
+        ],
+        classifySampleRadius: 2,
+        classifyIterations: 10,
+        classifyMaxPixels: 250000,
         magnifyZoom: 3,
         ptrRadius: 20,
         swap: false,
@@ -109,12 +203,37 @@ export const initOptions = () => {
         minImageHeight: 100,
         maxMagnifiedWidth: 1500,
         maxMagnifiedHeight: 1500,
+        pyramidMinSize: 4096,
+        pyramidTileSize: 512,
+        pyramidTileCache: 64,
+        maxTonePreviewWidth: 360,
+        maxTonePreviewHeight: 360,
         formats: [
             { label: 'PNG', value: 'image/png'},
             { label: 'JPEG', value: 'image/jpeg'},
             { label: 'TIFF', value: 'image/tiff'}
         ],
         blobQuality: 0.95,
+        tiffCompressions: [
+            { label: 'None', value: 'none'},
+            { label: 'LZW', value: 'lzw'},
+            { label: 'Deflate', value: 'deflate'}
+        ],
+        tiffSampleFormats: [
+            { label: '8-bit RGBA', value: 'rgba8'},
+            { label: '8-bit Grayscale', value: 'gray8'},
+            { label: '16-bit RGBA', value: 'rgba16'},
+            { label: '16-bit Grayscale', value: 'gray16'}
+        ],
+        flickerFormats: [
+            { label: 'Animated GIF', value: 'image/gif'},
+            { label: 'WebM Video', value: 'video/webm'}
+        ],
+        flickerHold: 1500,
+        flickerFade: 500,
+        flickerFrameRate: 20,
+        flickerMaxWidth: 1200,
+        flickerMaxHeight: 1200,
         defaultW: DEFAULT_DIMS_W,
         defaultH: DEFAULT_DIMS_H,
         status: ['empty', 'load', 'render', 'draw', 'clear', 'data', 'reset', 'loading', 'loaded', 'save', 'error']
@@ -123,45 +242,84 @@ export const initOptions = () => {
 }
 
 /**
- * Initialize IAT default OpenCV options.
- * @return {Object} default properties
+ * Load OpenCV library from local app assets.
+ * - the script is only added once; later calls wait for the loaded runtime
+ * - load status is reported as 'loading', 'loaded' or 'error'
+ *
+ * @param {Function} setStatus
+ * @return {Function} cleanup
  */
 
-export const initOpenCV = (_isMounted) => {
-    _isMounted.current = true;
+export const initOpenCV = (setStatus) => {
+    let _isMounted = true;
+    const _setStatus = (status) => {
+        if (_isMounted) setStatus(status);
+    };
+
+    // wait for WASM runtime to initialize
+    // - NOTE: cv.then is the Emscripten module callback (not a Promise)
+    const _onLoad = () => {
+        if (!window.cv) return _setStatus('error');
+        if (window.cv.Mat) return _setStatus('loaded');
+        window.cv.then(() => _setStatus('loaded'));
+    };
+    const _onError = (err) => {
+        console.error('OpenCV could not be loaded:', err);
+        // remove failed script so that the next request retries
+        const failed = document.getElementById(scriptId);
+        if (failed) failed.remove();
+        _setStatus('error');
+    };
 
-    if ( document.getElementById(scriptId) || window.cv ) {
+    // library script has already been loaded
+    if (window.cv) {
+        _onLoad();
         return () => {
-            _isMounted.current = false;
+            _isMounted = false;
         };
     }
 
+    _setStatus('loading');
+
     // https://docs.opencv.org/3.4/dc/de6/tutorial_js_nodejs.html
-    // https://medium.com/code-divoire/integrating-opencv-js-with-an-angular-application-20ae11c7e217
-    // https://stackoverflow.com/questions/56671436/cv-mat-is-not-a-constructor-opencv
-    // https://github.com/giacomocerquone/opencv-react
-    moduleConfig.onRuntimeInitialized = () => {
-        console.log('OpenCV Loaded:', !!window.cv)
-    }
-    window.Module = moduleConfig;
-
-    const generateOpenCvScriptTag = () => {
-        const js = document.createElement('script');
-        js.id = scriptId;
-        js.src = openCvPath;
-        js.nonce = true;
-        js.defer = true;
-        js.async = true;
-        return js
+    // https://github.com/TechStark/opencv-js
+    let script = document.getElementById(scriptId);
+    if (!script) {
+        script = document.createElement('script');
+        script.id = scriptId;
+        script.src = openCvPath;
+        script.defer = true;
+        script.async = true;
+        document.body.appendChild(script);
     }
-    document.body.appendChild(generateOpenCvScriptTag());
+    script.addEventListener('load', _onLoad);
+    script.addEventListener('error', _onError);
 
     return () => {
-        _isMounted.current = false;
+        _isMounted = false;
+        script.removeEventListener('load', _onLoad);
+        script.removeEventListener('error', _onError);
     };
 
 }
 
+/**
+ * Get display label for OpenCV load status.
+ *
+ * @param {String} status
+ * @return {String} label
+ */
+
+export const getOpenCVLabel = (status) => {
+    const labels = {
+        loading: 'Loading OpenCV...',
+        loaded: `OpenCV ${openCvVersion}`,
+        error: 'OpenCV failed (using JS)',
+        disabled: 'OpenCV off (using JS)'
+    };
+    return labels.hasOwnProperty(status) ? labels[status] : labels.loading;
+};
+
 /**
  * Translate an OpenCV error code to a human-readable error string.
  * @param {Number|String|Error} err - The error code, string, or Error object to translate.
@@ -4,10 +4,22 @@
  * Copyright(c) 2023 Runtime Software Development Inc.
  * Version 2.0
  * MIT Licensed
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Added control point suggestion action
+ * - 18-10-2026   Added undo/redo actions and history list
+ * - 18-10-2026   Added tone adjustment action
+ * - 18-10-2026   Added rotation action
+ * - 18-10-2026   Added lens correction action
+ * - 18-10-2026   Added station panorama action
+ * - 18-10-2026   Added camera pose estimation action
+ * - 18-10-2026   Added monoplotting action
  */
 
 import React, {memo} from 'react';
 import Button from '../../common/button';
+import Dropdown from '../../common/dropdown';
 import {useIat} from "../../../providers/alignment.provider.client";
 import {useUser} from "../../../providers/user.provider.client";
 import {useNav} from "../../../providers/nav.provider.client";
@@ -38,6 +50,40 @@ const PanelMenu = ({id = null, methods=null}) => {
     // menu is disabled if no image is loaded
     const disabled = panel.status !== 'loaded' || !panel.image;
 
+    // feature matching requires both images and OpenCV
+    const imagesLoaded = iat.panel1.status === 'loaded' && iat.panel2.status === 'loaded';
+
+    /**
+     * Get panel history list items
+     * - selecting a command undoes it and all later commands
+     * - selecting an undone command redoes it and all earlier undone commands
+     *
+     * @private
+     */
+
+    const _getHistoryItems = () => {
+        const {past = [], future = [], memory = 0} = panel.history || {};
+        const undoItems = past.map((snapshot, index) => ({
+            label: `${index + 1}. ${snapshot.label}`,
+            type: 'history',
+            icon: 'undo',
+            callback: () => panel.history.undo(past.length - index)
+        }));
+        const redoItems = future.map((snapshot, index) => ({
+            label: `${past.length + index + 1}. ${snapshot.label} (undone)`,
+            type: 'history',
+            icon: 'redo',
+            callback: () => panel.history.redo(index + 1)
+        }));
+        const usage = {
+            label: `${past.length + future.length} step(s), ${(memory / 1048576).toFixed(1)} MB`,
+            type: 'history',
+            icon: 'info',
+            callback: () => {}
+        };
+        return disabled ? [] : [...undoItems, ...redoItems, usage];
+    };
+
     return <>
         {
             panel &&
@@ -94,6 +140,30 @@ const PanelMenu = ({id = null, methods=null}) => {
                         title={'Reset to original source image.'}
                         onClick={methods.reset}
                     /></li>
+                    <li><Button
+                        disabled={disabled || !panel.history.canUndo}
+                        icon={'undo'}
+                        title={panel.history.canUndo
+                            ? `Undo ${panel.history.past[panel.history.past.length - 1].label} (Ctrl+Z).`
+                            : 'Nothing to undo.'}
+                        onClick={() => panel.history.undo()}
+                    /></li>
+                    <li><Button
+                        disabled={disabled || !panel.history.canRedo}
+                        icon={'redo'}
+                        title={panel.history.canRedo
+                            ? `Redo ${panel.history.future[0].label} (Ctrl+Shift+Z).`
+                            : 'Nothing to redo.'}
+                        onClick={() => panel.history.redo()}
+                    /></li>
+                    <li className={'canvas-history'}>
+                        <Dropdown
+                            compact={true}
+                            icon={'list'}
+                            label={'History'}
+                            items={_getHistoryItems()}
+                        />
+                    </li>
                     <li><Button
                         disabled={disabled}
                         icon={'resize'}
@@ -107,6 +177,82 @@ const PanelMenu = ({id = null, methods=null}) => {
                             });
                         }}
                     /></li>
+                    <li><Button
+                        disabled={disabled}
+                        icon={'rotate'}
+                        title={'Rotate, flip or level image.'}
+                        onClick={() => {
+                            iat.setDialog({
+                                type: 'rotate',
+                                id: id,
+                                label: panel.properties.label,
+                                callback: methods.rotate,
+                            });
+                        }}
+                    /></li>
+                    <li><Button
+                        disabled={disabled}
+                        icon={'lens'}
+                        title={'Correct lens distortion (apply before placing control points).'}
+                        onClick={() => {
+                            iat.setDialog({
+                                type: 'lens',
+                                id: id,
+                                label: panel.properties.label,
+                                callback: methods.lens,
+                            });
+                        }}
+                    /></li>
+                    <li><Button
+                        disabled={disabled}
+                        icon={'panorama'}
+                        title={'Stitch overlapping captures of the station into a panorama.'}
+                        onClick={() => {
+                            iat.setDialog({
+                                type: 'panorama',
+                                id: id,
+                                label: panel.properties.label,
+                                callback: methods.load,
+                            });
+                        }}
+                    /></li>
+                    <li><Button
+                        disabled={disabled}
+                        icon={'pose'}
+                        title={'Estimate camera pose from control points with real-world coordinates.'}
+                        onClick={() => {
+                            iat.setDialog({
+                                type: 'pose',
+                                id: id,
+                                label: panel.properties.label,
+                            });
+                        }}
+                    /></li>
+                    <li><Button
+                        disabled={disabled}
+                        icon={'monoplot'}
+                        title={'Project features drawn on the image onto a DEM and export them as GeoJSON.'}
+                        onClick={() => {
+                            iat.setDialog({
+                                type: 'monoplot',
+                                id: id,
+                                label: panel.properties.label,
+                            });
+                        }}
+                    /></li>
+                    <li><Button
+                        disabled={disabled}
+                        icon={'adjust'}
+                        title={'Adjust image tone (grayscale, histogram matching, contrast).'}
+                        onClick={() => {
+                            iat.setDialog({
+                                type: 'tone',
+                                id: id,
+                                label: panel.properties.label,
+                                callback: methods.tone,
+                            });
+                        }}
+                    /></li>
                     <li><Button
                         disabled={disabled}
                         icon={'compress'}
@@ -131,6 +277,14 @@ const PanelMenu = ({id = null, methods=null}) => {
                         title={'Zoom out.'}
                         onClick={methods.zoomOut}
                     /></li>
+                    <li><Button
+                        disabled={!imagesLoaded || !iat.cv}
+                        icon={'align'}
+                        title={iat.cv
+                            ? 'Suggest control points by matching image features.'
+                            : 'Suggest control points (requires OpenCV).'}
+                        onClick={methods.suggest}
+                    /></li>
                     <li><Button
                         disabled={disabled}
                         icon={'erase'}
@@ -18,15 +18,33 @@
  * 2. [hidden] Magnifier canvas
  * 3. Overlay canvas A to overlay graphics on image layer
  * 4. Overlay canvas B to overlay graphics on image layer
- * 5. View canvas to show image visible (rendered) in browser
- * 6. [hidden] Magnified image canvas
- * 7. [hidden] Image canvas to store full-sized image and transformed image data
- * 8. Base or Grid canvas to set absolute size of panel view and background grid
+ * 5. Mask canvas to show region-of-interest mask of image
+ * 6. View canvas to show image visible (rendered) in browser
+ * 7. [hidden] Magnified image canvas
+ * 8. [hidden] Image canvas to store full-sized image and transformed image data
+ * 9. Base or Grid canvas to set absolute size of panel view and background grid
  *
  * ---------
  * Revisions
  * - 09-07-2023   Major upgrade to Toolkit incl. UI and workflow improvements and OpenCV integration
  * - 07-10-2023   Update control point values on image pan and/or scale
+ * - 18-10-2026   Progress indicator and cancellation for image worker tasks
+ * - 18-10-2026   Suggest control points by feature matching
+ * - 18-10-2026   Refine corresponding control points by template matching
+ * - 18-10-2026   Record processing steps and replay alignment recipes
+ * - 18-10-2026   Undo/redo history of panel commands
+ * - 18-10-2026   Tone adjustments (grayscale, histogram matching, contrast)
+ * - 18-10-2026   TIFF downloads include provenance tags and the alignment recipe
+ * - 18-10-2026   Crop, resize and align 16-bit image data of high bit-depth TIFF scans
+ * - 18-10-2026   Show loader messages (e.g. RAW files loaded from their embedded preview)
+ * - 18-10-2026   Render large images from a tiled image pyramid
+ * - 18-10-2026   Rotate, flip and level images (drawn horizon line)
+ * - 18-10-2026   Lens distortion correction
+ * - 18-10-2026   Region-of-interest masks (mask layer and mask mode)
+ * - 18-10-2026   Keep real-world coordinates of control points when moved or flagged as outliers
+ * - 18-10-2026   Land-cover class samples (classify mode)
+ * - 18-10-2026   Restore real-world coordinates of control points from recipes
+ * - 18-10-2026   Release full-sized image canvas of large images after building the pyramid
  */
 
 import {memo, useEffect, useRef, useState} from 'react';
@@ -49,7 +67,28 @@ import Overlay from "../canvas/overlay.canvas.alignment";
 import {getError} from "../../../services/schema.services.client";
 import {getPos} from "../tools/pointer.alignment";
 import {useWindowSize} from "../../../utils/events.utils.client";
-import {alignImages} from "../utils/align.utils.alignment";
+import {
+    alignImages,
+    getAlignmentReport,
+    getErrorColour,
+    getTransformScale,
+    transformImage
+} from "../utils/align.utils.alignment";
+import Button from "../../common/button";
+import {getRelativeScale, refineControlPoint, suggestControlPoints} from "../utils/features.utils.alignment";
+import {createRecipe, isRecipeSource} from "../utils/recipe.utils.alignment";
+import {toneImage} from "../tools/tone.alignment";
+import {isToneActive} from "../utils/tone.utils.alignment";
+import {cropDepth, resizeDepth, rotateDepth, undistortDepth, warpDepth} from "../utils/depth.utils.alignment";
+import {createPyramid, isPyramidRequired} from "../utils/pyramid.utils.alignment";
+import {getLevellingAngle, isRotationActive, rotateImage} from "../tools/rotator.alignment";
+import {correctLens} from "../tools/lens.alignment";
+import {isLensActive} from "../utils/lens.utils.alignment";
+import MaskLayer from "../canvas/mask.canvas.alignment";
+import MaskTool from "../tools/mask.alignment";
+import {ClassifyTool} from "../tools/classify.alignment";
+import {createMask, cropMask, fillPolygon, invertMask, isMaskActive, paintMask, resizeMask, rotateMask,
+    undistortMask, warpMask} from "../utils/mask.utils.alignment";
 
 
 /**
@@ -74,8 +113,24 @@ const PanelAlignment = ({id = null}) => {
     // alignment status
     const [aligned, setAligned] = useState(false);
 
+    // running image worker task (progress and cancel handler)
+    const [job, setJob] = useState(null);
+
+    // control point drag is recorded in history once per drag
+    const dragRecorded = useRef(false);
+
+    // levelling angle of a drawn horizon line (opens the rotation dialog)
+    const [horizon, setHorizon] = useState(null);
+
+    // current mask for mask edits in event handlers; painted brush stroke and
+    // drawn polygon vertices (image coordinates)
+    const currentMask = useRef(null);
+    currentMask.current = panel.mask;
+    const maskStroke = useRef(null);
+    const maskPolygon = useRef([]);
+
     // create DOM references
-    // - canvas consists of seven canvases (from top):
+    // - canvas consists of nine canvases (from top):
     // -1- control canvas to handle user events
     const controlLayer = useRef(null);
     // -2- (hidden) magnifier canvas
@@ -84,15 +139,27 @@ const PanelAlignment = ({id = null}) => {
     const overlayLayer2 = useRef(null);
     // -4- overlay canvas to overlay graphics on image layer
     const overlayLayer1 = useRef(null);
-    // -5- view canvas to show image visible in browser
+    // -5- mask canvas to show region-of-interest mask
+    const maskLayer = useRef(null);
+    // -6- view canvas to show image visible in browser
     const viewLayer = useRef(null);
-    // -6- (hidden) magnified image canvas
+    // -7- (hidden) magnified image canvas
     const magnifiedLayer = useRef(null);
-    // -7- (hidden) full-sized image canvas to hold transformed image data
+    // -8- (hidden) full-sized image canvas to hold transformed image data
     const imageLayer = useRef(null);
-    // -8- base canvas to set absolute size of panel view
+    // -9- base canvas to set absolute size of panel view
     const gridLayer = useRef(null);
 
+    // tile pyramid of large images in the image canvas (rebuilt on image updates)
+    const pyramid = useRef(null);
+
+    // colour-code control point markers by reprojection error
+    // - suggested (unconfirmed) control points are shown in yellow
+    // - control points inside masks (excluded from metrics) are shown in gray
+    const markers = iat.alignment
+        ? iat.alignment.points.map(pt => getErrorColour(pt.error, iat.options.ransacThreshold, pt.outlier, pt.masked))
+        : panel.pointer.points.map(pt => pt.suggested ? 'yellow' : null);
+
     /**
      * Initialize panel properties and canvas boundaries for pointer measurements on image load
      *
@@ -110,6 +177,65 @@ const PanelAlignment = ({id = null}) => {
         });
     };
 
+    /**
+     * Create task monitor to track image worker progress in the panel
+     *
+     * @param {String} label
+     * @return {Object} monitor
+     * @private
+     */
+
+    const _monitor = (label) => {
+        return {
+            onStart: (cancel) => setJob({label: label, percent: 0, cancel: cancel}),
+            onProgress: (percent) => setJob(prevState => prevState ? {...prevState, percent: percent} : prevState),
+            onEnd: () => setJob(null)
+        };
+    };
+
+    /**
+     * Record image processing step applied to the panel image
+     * - steps are saved in alignment recipes
+     *
+     * @param {Object} step
+     * @private
+     */
+
+    const _addStep = (step) => {
+        panel.setProperties(prevState => ({...prevState, steps: [...(prevState.steps || []), step]}));
+    };
+
+    /**
+     * Record panel state in history before a command is applied
+     *
+     * @param {String} label
+     * @private
+     */
+
+    const _record = (label) => {
+        panel.history.record(label);
+    };
+
+    /**
+     * Apply image operation to the high bit-depth image data of the panel
+     * - 16-bit data is discarded (image is reduced to 8 bits) if the operation fails
+     *
+     * @param {Function} operation
+     * @param {String} label
+     * @return {Promise<Object>} processed high bit-depth image data
+     * @private
+     */
+
+    const _processDepth = async (operation, label) => {
+        if (!panel.depth) return null;
+        const result = await operation(panel.depth, iat.options, _monitor(label));
+        if (result.error) iat.setMessage({
+            msg: `${result.error.msg} Image is reduced to 8 bits per channel.`,
+            type: 'warning'
+        });
+        return result.data;
+    };
+
     /**
      * Realign panel bounds to current canvas view
      * - ensures accurate mouse position
@@ -147,22 +273,79 @@ const PanelAlignment = ({id = null}) => {
         panel.update({magnified_dims: magDims});
     }
 
+    /**
+     * Get full-sized image canvas
+     * - the canvas is reloaded from the panel image data if it was released after
+     *   building the image pyramid
+     *
+     * @private
+     * @return {HTMLCanvasElement}
+     */
+
+    const _imageCanvas = () => {
+        const canvas = imageLayer.current.canvas();
+        if (canvas.width === 0 && panel.image) imageLayer.current.load(panel.image);
+        return canvas;
+    }
+
+    /**
+     * Release full-sized image canvas of large images
+     * - pyramid tiles are cut from the panel image data, so the canvas is only
+     *   needed while processing the image (see _imageCanvas)
+     *
+     * @private
+     */
+
+    const _releaseImageCanvas = () => {
+        if (!pyramid.current) return;
+        imageLayer.current.setWidth(0);
+        imageLayer.current.setHeight(0);
+    }
+
+    /**
+     * Draw visible image to view layer canvas
+     * - large images are drawn from the visible tiles of the image pyramid
+     * - the region-of-interest mask is drawn at the same view
+     *
+     * @private
+     * @param viewDims
+     * @param imageDims
+     */
+
+    const _drawView = (viewDims, imageDims) => {
+        if (pyramid.current) viewLayer.current.drawTiles(pyramid.current, {view: viewDims, source: imageDims});
+        else viewLayer.current.draw(imageLayer.current.canvas(), {view: viewDims, source: imageDims});
+        maskLayer.current.draw({view: viewDims, source: imageDims});
+    }
+
     /**
      * Draw image to view layer canvas
+     * - view-only changes (fit, zoom) do not update the stored image data
      *
      * @private
      * @param viewDims
      * @param imageDims
+     * @param {boolean} updated image canvas has changed
      */
 
-    const _renderImage = (viewDims, imageDims) => {
+    const _renderImage = (viewDims, imageDims, updated = true) => {
         try {
-            viewLayer.current.draw(imageLayer.current.canvas(), {view: viewDims, source: imageDims});
-            // store image data
-            panel.setImage(imageLayer.current.getImageData());
+            const image = updated ? imageLayer.current.getImageData() : null;
+            if (updated) {
+                const {width, height} = imageLayer.current.canvas();
+                pyramid.current = isPyramidRequired(width, height, iat.options)
+                    ? createPyramid(imageLayer.current.canvas(), image, iat.options)
+                    : null;
+            }
+            _drawView(viewDims, imageDims);
             panel.setRendered(viewLayer.current.getImageData());
-            // update image for magnification
-            _updateMagnified(imageDims);
+            if (updated) {
+                // store image data
+                panel.setImage(image);
+                // update image for magnification
+                _updateMagnified(imageDims);
+                _releaseImageCanvas();
+            }
             // update panel state
             panel.setProperties(prevState => ({...prevState, render_dims: viewDims }));
 
@@ -181,13 +364,17 @@ const PanelAlignment = ({id = null}) => {
     const _syncImages = () => {
         try {
             // store image data as source
+            _imageCanvas();
             panel.setSource(imageLayer.current.getImageData());
+            _releaseImageCanvas();
+            panel.setDepthSource(panel.depth);
             // update panel properties
             panel.setProperties(prevState => ({...prevState,
                 source_dims: {
                     w: panel.properties.image_dims.w,
                     h: panel.properties.image_dims.h,
                 },
+                source_steps: prevState.steps,
             }));
             iat.setMessage({msg: 'Source image updated to current image.', type: 'success'});
         } catch (err) {
@@ -229,6 +416,21 @@ const PanelAlignment = ({id = null}) => {
         overlayLayer2.current.clear();
         // clear control points
         panel.pointer.clearPoints();
+        // clear alignment report
+        iat.setAlignment(null);
+    }
+
+    /**
+     * Redraw control points to overlay canvas at the current render offset
+     * */
+
+    const _redrawControlPoints = () => {
+        const {render_dims, image_dims} = panel.properties;
+        overlayLayer1.current.drawControlPoints(panel.pointer.points.map(ctrlPt => {
+            // scale control point to render view (include offset)
+            const pt = scalePoint(ctrlPt, render_dims, image_dims);
+            return {x: render_dims.x + pt.x, y: render_dims.y + pt.y};
+        }));
     }
 
     /**
@@ -240,8 +442,11 @@ const PanelAlignment = ({id = null}) => {
         _clearOverlay();
         // clear panel metadata
         panel.reset();
+        pyramid.current = null;
+        maskPolygon.current = [];
         // clear canvases
         imageLayer.current.clear();
+        maskLayer.current.clear();
         viewLayer.current.clear();
         magnifiedLayer.current.clear();
         panel.setStatus('empty');
@@ -262,7 +467,8 @@ const PanelAlignment = ({id = null}) => {
         );
         _renderImage(
             { x: 0, y: 0, w: viewDims.w, h: viewDims.h },
-            { x: 0, y: 0, w: panel.properties.image_dims.w, h: panel.properties.image_dims.h }
+            { x: 0, y: 0, w: panel.properties.image_dims.w, h: panel.properties.image_dims.h },
+            false
         );
         // redraw control points to overlay canvas
         overlayLayer1.current.drawControlPoints(panel.pointer.points.map(ctrlPt => {
@@ -281,7 +487,8 @@ const PanelAlignment = ({id = null}) => {
         // enlarge image to full size
         _renderImage(
             viewDims,
-            { x: 0, y: 0, w: panel.properties.image_dims.w, h: panel.properties.image_dims.h }
+            { x: 0, y: 0, w: panel.properties.image_dims.w, h: panel.properties.image_dims.h },
+            false
         );
         // redraw control points to overlay canvas
         overlayLayer1.current.drawControlPoints(panel.pointer.points.map(ctrlPt => {
@@ -302,7 +509,7 @@ const PanelAlignment = ({id = null}) => {
             h: Math.round(panel.properties.render_dims.h * zoomValue)
         };
         // zoom in/out rendered view
-        _renderImage(viewDims, { x: 0, y: 0, w: panel.properties.image_dims.w, h: panel.properties.image_dims.h });
+        _renderImage(viewDims, { x: 0, y: 0, w: panel.properties.image_dims.w, h: panel.properties.image_dims.h }, false);
         // redraw control points to overlay canvas
         overlayLayer1.current.drawControlPoints(panel.pointer.points.map(ctrlPt => {
             // scale control point to render view (include offset)
@@ -327,24 +534,42 @@ const PanelAlignment = ({id = null}) => {
      * convenience method for resizing dimensions of image
      * */
 
-    const _resizeImage = ({base_dims, image_dims}) => {
+    const _resizeImage = async ({base_dims, image_dims}) => {
+        _record('Resize');
         _clearOverlay();
 
         // scale image
         // destructure CV image processor
         try {
 
-            // create src/dst image matrices
-            let src = iat.cv.imread(imageLayer.current.canvas());
-            let dst = new iat.cv.Mat();
-            let dsize = new iat.cv.Size(image_dims.w, image_dims.h);
-
-            // resize src -> dst image dimensions
-            iat.cv.resize(src, dst, dsize, 0, 0, iat.cv.INTER_AREA);
+            let dstImageData;
+            if (iat.cv) {
+                // create src/dst image matrices
+                let src = iat.cv.imread(_imageCanvas());
+                let dst = new iat.cv.Mat();
+                let dsize = new iat.cv.Size(image_dims.w, image_dims.h);
+
+                // resize src -> dst image dimensions
+                iat.cv.resize(src, dst, dsize, 0, 0, iat.cv.INTER_AREA);
+
+                // convert to ImageData datatype
+                const dstData = new Uint8ClampedArray(dst.data);
+                dstImageData = new ImageData(dstData, image_dims.w, image_dims.h);
+
+                // free up matrix memory
+                src.delete(); dst.delete();
+            } else {
+                // resize with Canvas API when OpenCV is not loaded
+                const canvas = document.createElement('canvas');
+                canvas.width = image_dims.w;
+                canvas.height = image_dims.h;
+                const context = canvas.getContext('2d');
+                context.imageSmoothingQuality = 'high';
+                context.drawImage(_imageCanvas(), 0, 0, image_dims.w, image_dims.h);
+                dstImageData = context.getImageData(0, 0, image_dims.w, image_dims.h);
+            }
 
-            // convert to ImageData datatype and save to state
-            const dstData = new Uint8ClampedArray(dst.data);
-            const dstImageData = new ImageData(dstData, image_dims.w, image_dims.h);
+            // save resized image data to state
             panel.setImage(dstImageData);
 
             // store image in render layer
@@ -362,8 +587,16 @@ const PanelAlignment = ({id = null}) => {
                     h: base_dims.h || panel.properties.base_dims.h
                 }
             });
-            // free up matrix memory
-            src.delete(); dst.delete();
+            _addStep({type: 'resize', image_dims: {w: image_dims.w, h: image_dims.h}, base_dims: base_dims});
+
+            // resize region-of-interest mask
+            panel.setMask(resizeMask(panel.mask, image_dims));
+
+            // resize high bit-depth image data
+            panel.setDepth(await _processDepth(
+                (data, options, monitor) => resizeDepth(data, image_dims, options, monitor),
+                'Resizing 16-bit image...'
+            ));
         }
         catch (e) {
             console.error(e);
@@ -371,6 +604,439 @@ const PanelAlignment = ({id = null}) => {
         }
     }
 
+    /**
+     * Apply tone adjustments to panel image
+     * - current view (zoom and pan) is kept
+     *
+     * @param {Object} tone
+     * @return {Promise<Object>} error
+     * @private
+     */
+
+    const _adjustTone = async (tone) => {
+        try {
+            if (!isToneActive(tone)) return null;
+            panel.setStatus('loading');
+            const result = await toneImage(panel.image, tone, iat.options, _monitor('Adjusting tone...'));
+            if (result.error) {
+                panel.setStatus('loaded');
+                iat.setMessage(result.error);
+                return result.error;
+            }
+            _record('Tone');
+
+            // tone adjustments are applied to 8-bit image data only
+            if (panel.depth) {
+                panel.setDepth(null);
+                iat.setMessage({msg: 'Tone adjusted image is reduced to 8 bits per channel.', type: 'info'});
+            }
+
+            // store adjusted image in render layer and redraw current view
+            imageLayer.current.load(result.data);
+            _renderImage(
+                panel.properties.render_dims,
+                {x: 0, y: 0, w: result.data.width, h: result.data.height}
+            );
+            _addStep({
+                type: 'tone',
+                grayscale: tone.grayscale || null,
+                match: tone.match || null,
+                stretch: tone.stretch || null,
+                clahe: tone.clahe || null
+            });
+            panel.setStatus('loaded');
+            return null;
+        }
+        catch (err) {
+            console.error(err);
+            panel.setStatus('error');
+            return {msg: getError('default', 'canvas'), type: 'error'};
+        }
+    }
+
+    /**
+     * Rotate and/or flip panel image
+     * - control points are cleared and the rotated image is fitted to the view
+     *
+     * @param {Object} rotation
+     * @return {Promise<Object>} error
+     * @private
+     */
+
+    const _rotateImage = async (rotation) => {
+        try {
+            if (!isRotationActive(rotation)) return null;
+            panel.setStatus('loading');
+            const result = await rotateImage(panel.image, rotation, iat.options, _monitor('Rotating image...'));
+            if (result.error) {
+                panel.setStatus('loaded');
+                iat.setMessage(result.error);
+                return result.error;
+            }
+
+            // rotate high bit-depth image data
+            const depth = await _processDepth(
+                (data, options, monitor) => rotateDepth(data, {...rotation, interpolation: options.interpolation},
+                    options, monitor),
+                'Rotating 16-bit image...'
+            );
+            _record('Rotate');
+            panel.setDepth(depth);
+            panel.setMask(rotateMask(panel.mask, rotation));
+
+            // compute scaled dimensions to fit view canvas
+            const {width, height} = result.data;
+            const scaledDims = scaleToFit(width, height, panel.properties.base_dims.w, panel.properties.base_dims.h);
+
+            // store rotated image in render layer and render in view layer
+            imageLayer.current.load(result.data);
+            _clearOverlay();
+            _renderImage(
+                {x: 0, y: 0, w: scaledDims.w, h: scaledDims.h},
+                {x: 0, y: 0, w: width, h: height}
+            );
+
+            // update panel state
+            panel.setProperties(prevState => ({
+                ...prevState,
+                image_dims: {x: 0, y: 0, w: width, h: height},
+                render_dims: {x: 0, y: 0, w: scaledDims.w, h: scaledDims.h}
+            }));
+            _addStep({
+                type: 'rotate',
+                angle: rotation.angle || 0,
+                flipH: !!rotation.flipH,
+                flipV: !!rotation.flipV,
+                expand: rotation.expand !== false
+            });
+            panel.setStatus('loaded');
+            return null;
+        }
+        catch (err) {
+            console.error(err);
+            panel.setStatus('error');
+            return {msg: getError('default', 'canvas'), type: 'error'};
+        }
+    }
+
+    /**
+     * Correct lens distortion of panel image
+     * - current view (zoom and pan) is kept; control points placed on the distorted
+     *   image are cleared
+     *
+     * @param {Object} lens
+     * @return {Promise<Object>} error
+     * @private
+     */
+
+    const _correctLens = async (lens) => {
+        try {
+            if (!isLensActive(lens)) return null;
+            panel.setStatus('loading');
+            const result = await correctLens(panel.image, lens, iat.options, _monitor('Correcting lens distortion...'));
+            if (result.error) {
+                panel.setStatus('loaded');
+                iat.setMessage(result.error);
+                return result.error;
+            }
+
+            // correct high bit-depth image data
+            const depth = await _processDepth(
+                (data, options, monitor) => undistortDepth(data, {...lens, interpolation: options.interpolation},
+                    options, monitor),
+                'Correcting 16-bit image...'
+            );
+            _record('Lens correction');
+            panel.setDepth(depth);
+            panel.setMask(undistortMask(panel.mask, lens));
+
+            // store corrected image in render layer and redraw current view
+            if (panel.pointer.points.length > 0)
+                iat.setMessage({msg: 'Control points were cleared after lens correction.', type: 'info'});
+            imageLayer.current.load(result.data);
+            _clearOverlay();
+            _renderImage(
+                panel.properties.render_dims,
+                {x: 0, y: 0, w: result.data.width, h: result.data.height}
+            );
+            _addStep({type: 'lens', k1: lens.k1 || 0, k2: lens.k2 || 0, p1: lens.p1 || 0, p2: lens.p2 || 0});
+            panel.setStatus('loaded');
+            return null;
+        }
+        catch (err) {
+            console.error(err);
+            panel.setStatus('error');
+            return {msg: getError('default', 'canvas'), type: 'error'};
+        }
+    }
+
+    /**
+     * Draw horizon line from the selected start point to the cursor.
+     *
+     * @param e
+     * @param properties
+     * @param pointer
+     * @private
+     */
+
+    const _drawHorizon = (e, properties, pointer) => {
+        if (!pointer.selected) return;
+        e.preventDefault();
+        overlayLayer2.current.drawLine(pointer.selected.x, pointer.selected.y, pointer.x, pointer.y);
+    }
+
+    /**
+     * End horizon line and compute the levelling angle of the image
+     * - lines shorter than 10 px are ignored
+     *
+     * @param e
+     * @param properties
+     * @param pointer
+     * @private
+     */
+
+    const _endHorizon = (e, properties, pointer) => {
+        overlayLayer2.current.clear();
+        if (!pointer.selected || !panel.image) return;
+        if (Math.hypot(pointer.x - pointer.selected.x, pointer.y - pointer.selected.y) < 10) return;
+        // convert line end points to image coordinates
+        setHorizon(getLevellingAngle(_toImagePoint(pointer.selected, properties), _toImagePoint(pointer, properties)));
+        iat.setMode('pan');
+    }
+
+    /**
+     * Cancel horizon line when the cursor leaves the canvas.
+     *
+     * @private
+     */
+
+    const _cancelHorizon = () => {
+        overlayLayer2.current.clear();
+    }
+
+    /**
+     * Convert view canvas coordinate to image coordinate.
+     *
+     * @param {Object} pt
+     * @param properties
+     * @return {Object} image coordinate
+     * @private
+     */
+
+    const _toImagePoint = (pt, properties) => {
+        const {render_dims, image_dims} = properties;
+        const scale = getScale(image_dims, render_dims);
+        return {x: scale.x * (pt.x - render_dims.x), y: scale.y * (pt.y - render_dims.y)};
+    }
+
+    /**
+     * Get editable copy of the panel mask
+     * - creates an empty mask if the panel has no mask (or the mask does not fit the image)
+     *
+     * @param properties
+     * @return {Object} mask
+     * @private
+     */
+
+    const _editMask = (properties) => {
+        const {w, h} = properties.image_dims;
+        const mask = currentMask.current;
+        return mask && mask.width === w && mask.height === h
+            ? {...mask, data: mask.data.slice()}
+            : createMask(w, h);
+    }
+
+    /**
+     * Update panel mask (recorded in history).
+     *
+     * @param {Object} mask
+     * @param {String} label
+     * @private
+     */
+
+    const _updateMask = (mask, label) => {
+        _record(label);
+        panel.setMask(isMaskActive(mask) ? mask : null);
+    }
+
+    /**
+     * Start brush stroke or add polygon vertex to the mask.
+     * - polygons are closed by clicking near the first vertex
+     *
+     * @param e
+     * @param properties
+     * @param pointer
+     * @param options
+     * @private
+     */
+
+    const _startMask = (e, properties, pointer, options) => {
+        if (!properties.image_dims.w || !properties.image_dims.h) return;
+        const pos = getPos(e, {base_dims: properties.base_dims, bounds: _resetBounds()});
+        const pt = _toImagePoint(pos, properties);
+
+        if (options.maskTool === 'polygon') {
+            const vertices = maskPolygon.current;
+            const first = vertices.length > 0 ? scalePoint(vertices[0], properties.render_dims, properties.image_dims) : null;
+            if (vertices.length >= 3 && inRange(pos.x, pos.y,
+                first.x + properties.render_dims.x, first.y + properties.render_dims.y, options.ptrRadius))
+                return _closePolygon(properties, options);
+            maskPolygon.current = [...vertices, pt];
+            return _drawPolygon(properties, pos);
+        }
+
+        // paint brush stroke on a copy of the panel mask
+        // - the copy is loaded to the mask layer to show the stroke (also when hidden)
+        const mask = _editMask(properties);
+        maskLayer.current.load(mask);
+        maskStroke.current = {mask: mask, last: pt};
+        _paintMask(pt, properties, options);
+    }
+
+    /**
+     * Continue brush stroke or update drawn polygon to the cursor.
+     *
+     * @param e
+     * @param properties
+     * @param pointer
+     * @param options
+     * @private
+     */
+
+    const _moveMask = (e, properties, pointer, options) => {
+        const pos = getPos(e, properties);
+        if (options.maskTool === 'polygon') {
+            if (maskPolygon.current.length > 0) _drawPolygon(properties, pos);
+            return;
+        }
+        if (!maskStroke.current) return;
+        e.preventDefault();
+        _paintMask(_toImagePoint(pos, properties), properties, options);
+    }
+
+    /**
+     * End brush stroke and update panel mask.
+     *
+     * @param e
+     * @param properties
+     * @param pointer
+     * @param options
+     * @private
+     */
+
+    const _endMask = (e, properties, pointer, options) => {
+        const stroke = maskStroke.current;
+        if (!stroke) return;
+        maskStroke.current = null;
+        _updateMask(stroke.mask, options.maskErase ? 'Erase mask' : 'Paint mask');
+    }
+
+    /**
+     * Paint brush stroke segment to the cursor (image coordinates).
+     * - brush size is given in view pixels
+     *
+     * @param {Object} pt
+     * @param properties
+     * @param options
+     * @private
+     */
+
+    const _paintMask = (pt, properties, options) => {
+        const stroke = maskStroke.current;
+        const scale = getScale(properties.image_dims, properties.render_dims);
+        const radius = Math.max(scale.x * options.maskBrushSize / 2, 0.5);
+        const box = paintMask(stroke.mask, stroke.last, pt, radius, options.maskErase ? 0 : 255);
+        stroke.last = pt;
+        maskLayer.current.update(stroke.mask, box);
+        maskLayer.current.draw({
+            view: properties.render_dims,
+            source: {x: 0, y: 0, w: properties.image_dims.w, h: properties.image_dims.h}
+        });
+    }
+
+    /**
+     * Draw outline of polygon vertices (and cursor) on overlay canvas.
+     *
+     * @param properties
+     * @param {Object} cursor
+     * @private
+     */
+
+    const _drawPolygon = (properties, cursor = null) => {
+        const {render_dims, image_dims} = properties;
+        overlayLayer2.current.drawPolygon(maskPolygon.current.map(vertex => {
+            const pt = scalePoint(vertex, render_dims, image_dims);
+            return {x: render_dims.x + pt.x, y: render_dims.y + pt.y};
+        }), cursor);
+    }
+
+    /**
+     * Close drawn polygon and fill (or erase) it in the panel mask.
+     *
+     * @param properties
+     * @param options
+     * @private
+     */
+
+    const _closePolygon = (properties = panel.properties, options = iat.options) => {
+        const vertices = maskPolygon.current;
+        maskPolygon.current = [];
+        overlayLayer2.current.clear();
+        if (vertices.length < 3) return;
+        const mask = _editMask(properties);
+        fillPolygon(mask, [vertices.map(pt => [pt.x, pt.y])], options.maskErase ? 0 : 255);
+        _updateMask(mask, options.maskErase ? 'Erase mask polygon' : 'Draw mask polygon');
+    }
+
+    /**
+     * Invert panel mask (an empty mask is inverted to mask the full image).
+     *
+     * @private
+     */
+
+    const _invertMask = () => {
+        _updateMask(invertMask(_editMask(panel.properties)), 'Invert mask');
+    }
+
+    /**
+     * Clear panel mask.
+     *
+     * @private
+     */
+
+    const _clearMask = () => {
+        if (!panel.mask) return;
+        _updateMask(null, 'Clear mask');
+    }
+
+    /**
+     * Add class sample at the cursor (or remove the sample under the cursor).
+     * - samples are stored in image coordinates
+     *
+     * @param e
+     * @param properties
+     * @param pointer
+     * @param options
+     * @private
+     */
+
+    const _sampleClass = (e, properties, pointer, options) => {
+        const {render_dims, image_dims} = properties;
+        if (!image_dims.w || !image_dims.h) return;
+        const pos = getPos(e, {base_dims: properties.base_dims, bounds: _resetBounds()});
+        const pt = _toImagePoint(pos, properties);
+        if (pt.x < 0 || pt.y < 0 || pt.x >= image_dims.w || pt.y >= image_dims.h) return;
+        panel.setSamples(samples => {
+            const index = samples.findIndex(sample => {
+                const view = scalePoint(sample, render_dims, image_dims);
+                return inRange(pos.x, pos.y, view.x + render_dims.x, view.y + render_dims.y, options.ptrRadius / 2);
+            });
+            return index >= 0
+                ? samples.filter((_, i) => i !== index)
+                : [...samples, {x: Math.floor(pt.x), y: Math.floor(pt.y), classID: options.classifyClass}];
+        });
+    }
+
     /**
      * Handle start of panning.
      */
@@ -400,7 +1066,7 @@ const PanelAlignment = ({id = null}) => {
             // reset pointer selected coordinate
             pointer.setSelect({ x: pointer.x, y: pointer.y });
             // render panned image at new offset
-            viewLayer.current.draw(imageLayer.current.canvas(), {view: viewDims, source: sourceDims});
+            _drawView(viewDims, sourceDims);
             // update panel state
             panel.setProperties(prevState => ({...prevState, render_dims: viewDims }));
             // redraw control points to overlay 1 canvas
@@ -429,22 +1095,51 @@ const PanelAlignment = ({id = null}) => {
      *   of the selected crop box to draw to the render canvas.
      */
 
-    const _applyCropBox = () => {
-        try {
-            iat[id].setStatus('loading');
-            // check that mouse start position was selected
-            if (!panel.pointer.selectBox) return;
+    const _applyCropBox = async () => {
+        // check that mouse start position was selected
+        if (!panel.pointer.selectBox) return;
+        await _cropImage({...panel.pointer.selectBox});
+    }
+
+    /**
+     * Crop image to crop box dimensions (image coordinates).
+     *
+     * @param {Object} box
+     * @return {Promise<Object>} error
+     * @private
+     */
 
+    const _cropImage = async (box) => {
+        try {
             // is the crop box empty? If so, return.
-            if (panel.pointer.selectBox.w === 0 && panel.pointer.selectBox.h === 0) return;
+            if (box.w === 0 && box.h === 0) return null;
+
+            iat[id].setStatus('loading');
 
             // crop image
-            cropImage(iat.cv, imageLayer.current.canvas(), panel.image, panel.pointer.selectBox);
+            const error = await cropImage(iat.cv, imageLayer.current.canvas(), panel.image,
+                box, iat.options, _monitor('Cropping image...'));
+
+            // handle errors
+            if (error) {
+                panel.setStatus('loaded');
+                iat.setMessage(error);
+                return error;
+            }
+
+            // crop high bit-depth image data
+            const depth = await _processDepth(
+                (data, options, monitor) => cropDepth(data, box, options, monitor),
+                'Cropping 16-bit image...'
+            );
+            _record('Crop');
+            panel.setDepth(depth);
+            panel.setMask(cropMask(panel.mask, box));
 
             // compute scaled dimensions to fit view canvas
             const scaledDims = scaleToFit(
-                panel.pointer.selectBox.w,
-                panel.pointer.selectBox.h,
+                box.w,
+                box.h,
                 panel.properties.base_dims.w,
                 panel.properties.base_dims.h
             );
@@ -453,15 +1148,15 @@ const PanelAlignment = ({id = null}) => {
             _clearOverlay();
             _renderImage(
                 {x: 0, y: 0, w: scaledDims.w, h: scaledDims.h},
-                {x: 0, y: 0, w: panel.pointer.selectBox.w, h: panel.pointer.selectBox.h}
+                {x: 0, y: 0, w: box.w, h: box.h}
             );
 
             // update panel state
             panel.setProperties(prevState => ({
                 ...prevState,
                 image_dims: {
-                    w: panel.pointer.selectBox.w,
-                    h: panel.pointer.selectBox.h,
+                    w: box.w,
+                    h: box.h,
                 },
                 render_dims: {
                     w: scaledDims.w,
@@ -473,13 +1168,17 @@ const PanelAlignment = ({id = null}) => {
 
             // reset selection box
             panel.pointer.setSelectBox({x: 0, y: 0, w: 0, h: 0});
+            _addStep({type: 'crop', box: {x: box.x, y: box.y, w: box.w, h: box.h}});
 
             iat[id].setStatus('loaded');
+            return null;
         }
         catch (e) {
             console.error(e);
             iat[id].setStatus('error');
-            iat.setMessage({msg: 'Image could not be cropped.', type: 'error'});
+            const error = {msg: 'Image could not be cropped.', type: 'error'};
+            iat.setMessage(error);
+            return error;
         }
     }
 
@@ -738,10 +1437,13 @@ const PanelAlignment = ({id = null}) => {
             // add current point to rendered points
             pts.push(pos);
             // add scaled control point
+            _record(`Add control point ${controlPoints.length + 1}`);
             controlPoints.push(actual);
             pointer.setPoints(controlPoints);
             // redraw control points to overlay canvas
             overlayLayer1.current.drawControlPoints(pts);
+            // refine corresponding control point in the opposite panel
+            if (iat.options.refinePoints) _refineControlPoint(controlPoints.length - 1, controlPoints);
         }
     }
 
@@ -754,6 +1456,7 @@ const PanelAlignment = ({id = null}) => {
 
     const _deselectControlPoint = () => {
         panel.pointer.setIndex(-1);
+        dragRecorded.current = false;
     };
 
     /**
@@ -792,12 +1495,21 @@ const PanelAlignment = ({id = null}) => {
         // compute up scale
         const scaleUp = getScale(properties.image_dims, properties.render_dims);
 
+        // record control point position before drag
+        if (!dragRecorded.current) {
+            _record(`Move control point ${pointer.index + 1}`);
+            dragRecorded.current = true;
+        }
+
         // update panel control point position
         const controlPoints = [...pointer.points];
         // update control point coordinate to account for (1) moved position; (2) offset value
+        // - real-world coordinates of the point are kept
+        const {geo = null} = controlPoints[pointer.index] || {};
         controlPoints[pointer.index] = {
             x: Math.round(scaleUp.x * (_x - offset.x)),
-            y: Math.round(scaleUp.y * (_y - offset.y))
+            y: Math.round(scaleUp.y * (_y - offset.y)),
+            ...(geo ? {geo: geo} : {})
         };
         pointer.setPoints(controlPoints);
 
@@ -842,7 +1554,7 @@ const PanelAlignment = ({id = null}) => {
         loadImage(props, (response) => {
 
             // destructure loaded data
-            const {data = null, props = null, error = null} = response || {};
+            const {data = null, depth = null, props = null, error = null, message = null} = response || {};
 
             // return if properties are empty
             if (!props) return;
@@ -855,6 +1567,10 @@ const PanelAlignment = ({id = null}) => {
 
             // set image source state
             panel.setSource(data);
+            panel.setDepth(depth);
+            panel.setDepthSource(depth);
+            panel.setMask(null);
+            panel.history.clear();
 
             // initialize panel properties
             _init(props);
@@ -875,7 +1591,8 @@ const PanelAlignment = ({id = null}) => {
             );
 
             panel.setStatus('loaded');
-        }).catch(console.error);
+            if (message) iat.setMessage(message);
+        }, iat.options, _monitor('Decoding image...')).catch(console.error);
     };
 
     /**
@@ -885,22 +1602,36 @@ const PanelAlignment = ({id = null}) => {
      * the canvas; this file may be cached on the disk or stored
      * in memory at the discretion of the user agent. If type
      * is not specified, the image type is image/png. The created
-     * image is in a resolution of 96 dpi.
+     * image is in a resolution of 96 dpi. TIFF files record the
+     * alignment recipe (with the panel ID) in the alignment parameters tag.
+     * 16-bit TIFF files are written from the high bit-depth image data if available.
      *
      * @private
      */
 
-    const _downloadImage = async ({ext, quality, type}) => {
+    const _downloadImage = async ({ext, quality, type, tiff}) => {
         try {
             panel.setStatus('downloading');
             // create unique filename
             const ts = Date.now();
             const fname = `${panel.properties.filename || id}_${ts}.${ext}`;
             // save canvas blob as file to local disk (file-saver)
+            _imageCanvas();
             await imageLayer.current.blob(panel.image, type, quality, (blob) => {
+                _releaseImageCanvas();
                 if (blob) saveAs(blob, fname);
                 panel.setStatus('loaded');
+            }, {
+                ...tiff,
+                description: (tiff && tiff.description) || panel.properties.filename || '',
+                alignment: {...createRecipe(iat), panel: id},
+                image: tiff && tiff.bitDepth === 16 ? panel.depth : null
             });
+            // include alignment report with aligned image
+            if (iat.alignment && iat.alignment.target.id === id) {
+                const report = new Blob([JSON.stringify(iat.alignment, null, 2)], {type: 'application/json'});
+                saveAs(report, `${panel.properties.filename || id}_${ts}.alignment.json`);
+            }
         } catch (err) {
             console.error(err);
             panel.setStatus('error');
@@ -915,7 +1646,11 @@ const PanelAlignment = ({id = null}) => {
 
     const _resetImage = () => {
         try {
+            _record('Reset to source');
             panel.setImage(panel.source);
+            panel.setDepth(panel.depthSource);
+            // mask of a processed image does not apply to the source image
+            if ((panel.properties.steps || []).length > 0) panel.setMask(null);
             panel.pointer.resetSelectBox();
             // redraw image data to canvas
             // compute scaled dimensions to fit view canvas
@@ -942,11 +1677,14 @@ const PanelAlignment = ({id = null}) => {
                     h: panel.properties.source_dims.h,
                 },
                 render_dims: {x: 0, y: 0, w: viewDims.w, h: viewDims.h},
+                steps: panel.properties.source_steps || [],
             });
             // set panel status
             iat.setMessage({msg: 'Loaded image reset to source image.', type: 'success'});
             panel.setStatus('loaded');
             setAligned(false);
+            // alignment report no longer applies to the source image
+            if (iat.alignment && iat.alignment.target.id === id) iat.setAlignment(null);
             // redraw control points to overlay canvas
             overlayLayer1.current.drawControlPoints(panel.pointer.points.map(ctrlPt => {
                 // scale control point to render view
@@ -958,6 +1696,97 @@ const PanelAlignment = ({id = null}) => {
         } finally {}
     };
 
+    /**
+     * Refine corresponding control point in the opposite panel
+     * - matches the neighbourhood of the placed or dropped control point in this panel
+     *   around the control point with the same index in the opposite panel
+     * - the opposite control point snaps to the best (sub-pixel) match
+     * - the relative scale of the images is taken from the current alignment transform,
+     *   otherwise estimated from the other control point pairs or the image dimensions
+     *
+     * @param {int} index
+     * @param {Array} points control points of this panel (if not yet updated in the pointer)
+     * @private
+     */
+
+    const _refineControlPoint = (index, points = panel.pointer.points) => {
+        const otherPanel = iat[panel.properties.id === 'panel1' ? 'panel2' : 'panel1'];
+        const srcPt = points[index];
+        const dstPt = otherPanel.pointer.points[index];
+        if (!srcPt || !dstPt || !otherPanel.image) return;
+
+        // relative scale of opposite image
+        const {transform = null, source = {}, target = {}} = iat.alignment || {};
+        let scale = null;
+        if (transform && source.id === id) scale = getTransformScale(transform, srcPt);
+        if (transform && target.id === id) {
+            const inverse = getTransformScale(transform, dstPt);
+            scale = inverse ? 1 / inverse : null;
+        }
+        if (!scale) scale = getRelativeScale(
+            points.filter((pt, i) => i !== index),
+            otherPanel.pointer.points.filter((pt, i) => i !== index),
+            {w: panel.image.width, h: panel.image.height},
+            {w: otherPanel.image.width, h: otherPanel.image.height}
+        );
+
+        const result = refineControlPoint(panel.image, srcPt, otherPanel.image, dstPt, iat.options, scale);
+        otherPanel.pointer.setMatch({index: index, score: result.score, window: result.window});
+        if (result.error) return iat.setMessage(result.error);
+
+        // snap opposite control point to best match
+        otherPanel.history.record(`Refine control point ${index + 1}`);
+        otherPanel.pointer.setPoints(otherPanel.pointer.points.map((pt, i) =>
+            i === index ? {...pt, x: result.x, y: result.y, score: result.score} : pt));
+        iat.setAlignment(null);
+        iat.setMessage({
+            msg: `Control point ${index + 1} refined in ${otherPanel.properties.label} (match score ${result.score.toFixed(2)}).`,
+            type: 'info'
+        });
+    };
+
+    /**
+     * Suggest control point pairs for both panels by feature matching
+     * - accepted control point pairs are kept; previous suggestions are replaced
+     * - suggested points are flagged until accepted by the user
+     *
+     * @private
+     */
+
+    const _suggestPoints = () => {
+        const points1 = iat.panel1.pointer.points;
+        const points2 = iat.panel2.pointer.points;
+
+        // keep accepted control point pairs (incl. real-world coordinates)
+        const kept1 = [], kept2 = [];
+        const _keep = (pt) => ({x: pt.x, y: pt.y, ...(pt.geo ? {geo: pt.geo} : {})});
+        for (let i = 0; i < Math.min(points1.length, points2.length); i++) {
+            if (points1[i].suggested || points2[i].suggested) continue;
+            kept1.push(_keep(points1[i]));
+            kept2.push(_keep(points2[i]));
+        }
+        const available = Math.min(iat.options.suggestPtMax, iat.options.controlPtMax - kept1.length);
+        if (available <= 0) return iat.setMessage({msg: getError('maxControlPoints', 'canvas'), type: 'warning'});
+
+        // match features in left (source) and right (target) panel images
+        // - masked image regions are excluded
+        const result = suggestControlPoints(iat.cv, iat.panel1.image, iat.panel2.image,
+            {...iat.options, suggestPtMax: available}, {source: iat.panel1.mask, target: iat.panel2.mask});
+        if (result.error) return iat.setMessage(result.error);
+
+        // add suggested control points to both panels
+        iat.panel1.history.record('Suggest control points');
+        iat.panel2.history.record('Suggest control points');
+        iat.setAlignment(null);
+        iat.panel1.pointer.setPoints([...kept1, ...result.source.map(pt => ({...pt, suggested: true}))]);
+        iat.panel2.pointer.setPoints([...kept2, ...result.target.map(pt => ({...pt, suggested: true}))]);
+        iat.setMode('select');
+        iat.setMessage({
+            msg: `${result.source.length} control point pair(s) suggested. Accept, reject or adjust them before aligning.`,
+            type: 'info'
+        });
+    };
+
     /**
      * Align target image to source image using selected control points
      * - target image panel is selected by user
@@ -965,36 +1794,72 @@ const PanelAlignment = ({id = null}) => {
      * @private
      */
 
-    const _alignImage = () => {
+    const _alignImage = async () => {
         try {
             iat[id].setStatus('loading');
             // get image data from render canvas
             // - select source/destination panel based on which panel is selected for alignment
             const panelSrc = panel.properties.id === 'panel1' ? iat.panel2 : iat.panel1;
             const panelDst = panel.properties.id === 'panel1' ? iat.panel1 : iat.panel2;
-            let result = alignImages(iat.cv, panelSrc, panelDst, imageLayer.current.canvas(), panel.image, iat.options);
+            let result = await alignImages(iat.cv, panelSrc, panelDst, imageLayer.current.canvas(),
+                panel.image, iat.options, _monitor('Aligning image...'));
 
             // handle errors
             if (result.error) {
                 console.warn(result.error)
+                panel.setStatus('loaded');
                 return iat.setMessage(result.error);
             }
 
-            // compute scaled dimensions to fit view canvas
-            const scaledDims = scaleToFit(
-                result.data.width,
-                result.data.height,
-                panel.properties.base_dims.w,
-                panel.properties.base_dims.h
+            // warp high bit-depth image data
+            const depth = await _processDepth(
+                (data, options, monitor) => warpDepth(data, result.transform, options, monitor),
+                'Aligning 16-bit image...'
             );
+            _record('Align');
+            panel.setDepth(depth);
+            panel.setMask(warpMask(panel.mask, result.transform));
+
+            // flag control point pairs rejected as outliers in both panels
+            const _flagOutliers = (pts) => pts.map((pt, index) => ({
+                x: pt.x,
+                y: pt.y,
+                ...(pt.geo ? {geo: pt.geo} : {}),
+                outlier: !result.inliers[index]
+            }));
+            panelSrc.pointer.setPoints(_flagOutliers(panelSrc.pointer.points));
+            panelDst.pointer.setPoints(_flagOutliers(panelDst.pointer.points));
+            const outliers = result.inliers.filter(inlier => !inlier).length;
+
+            // generate alignment quality report (reprojection errors)
+            iat.setAlignment({
+                model: iat.options.transformModel,
+                interpolation: iat.options.interpolation,
+                source: {
+                    id: panelSrc.properties.id,
+                    filename: panelSrc.properties.filename,
+                    files_id: panelSrc.properties.files_id
+                },
+                target: {
+                    id: panelDst.properties.id,
+                    filename: panelDst.properties.filename,
+                    files_id: panelDst.properties.files_id
+                },
+                ...getAlignmentReport(result.transform, panelSrc.pointer.points, panelDst.pointer.points, result.inliers,
+                    {source: panelSrc.mask, target: panelDst.mask})
+            });
+            if (outliers > 0) iat.setMessage({
+                msg: `${outliers} control point pair(s) flagged as outliers and excluded from the alignment.`,
+                type: 'warning'
+            });
 
-            // render transformed image data to canvas
-            _renderImage(
-                {x: 0, y: 0, w: scaledDims.w, h: scaledDims.h},
-                {x: 0, y: 0, w: result.data.width, h: result.data.height}
-            );
-            panel.setStatus('loaded');
-            setAligned(true);
+            _showTransformed(result.data);
+            _addStep({
+                type: 'align',
+                model: iat.options.transformModel,
+                interpolation: iat.options.interpolation,
+                transform: result.transform
+            });
         }
         catch (err) {
             console.error(err);
@@ -1004,6 +1869,123 @@ const PanelAlignment = ({id = null}) => {
         }
     }
 
+    /**
+     * Warp panel image by a recorded alignment transform
+     * - used to replay alignment recipe steps
+     *
+     * @param {Object} step
+     * @return {Promise<Object>} error
+     * @private
+     */
+
+    const _applyTransform = async (step) => {
+        try {
+            panel.setStatus('loading');
+            const result = await transformImage(iat.cv, imageLayer.current.canvas(), panel.image, step.transform,
+                {...iat.options, interpolation: step.interpolation || iat.options.interpolation},
+                _monitor('Aligning image...'));
+            if (result.error) {
+                panel.setStatus('loaded');
+                return result.error;
+            }
+            const depth = await _processDepth(
+                (data, options, monitor) => warpDepth(data, step.transform,
+                    {...options, interpolation: step.interpolation || options.interpolation}, monitor),
+                'Aligning 16-bit image...'
+            );
+            _record('Align');
+            panel.setDepth(depth);
+            panel.setMask(warpMask(panel.mask, step.transform));
+            _showTransformed(result.data);
+            _addStep(step);
+            return null;
+        }
+        catch (err) {
+            console.error(err);
+            panel.setStatus('error');
+            return {msg: getError('noTransform', 'canvas'), type: 'error'};
+        }
+    }
+
+    /**
+     * Render transformed image data to canvas
+     *
+     * @param {ImageData} data
+     * @private
+     */
+
+    const _showTransformed = (data) => {
+        // store transformed image in render layer
+        imageLayer.current.load(data);
+
+        // compute scaled dimensions to fit view canvas
+        const scaledDims = scaleToFit(
+            data.width,
+            data.height,
+            panel.properties.base_dims.w,
+            panel.properties.base_dims.h
+        );
+
+        // render transformed image data to canvas
+        _renderImage(
+            {x: 0, y: 0, w: scaledDims.w, h: scaledDims.h},
+            {x: 0, y: 0, w: data.width, h: data.height}
+        );
+        panel.setStatus('loaded');
+        setAligned(true);
+    }
+
+    /**
+     * Replay alignment recipe step on the panel image
+     * - recipe is cancelled if the step fails
+     *
+     * @param {Object} step
+     * @private
+     */
+
+    const _replayStep = async (step) => {
+        const _steps = {
+            crop: () => _cropImage(step.box),
+            resize: () => _resizeImage(step),
+            tone: () => _adjustTone(step),
+            rotate: () => _rotateImage(step),
+            lens: () => _correctLens(step),
+            align: () => _applyTransform(step)
+        };
+        const error = await _steps[step.type]();
+        if (error) {
+            iat.setRecipe(null);
+            iat.setMessage(error);
+        }
+    }
+
+    /**
+     * Complete alignment recipe for the panel
+     * - restores control points once all steps are replayed
+     * - restores the alignment report once all panels are complete
+     *
+     * @param {Object} entry
+     * @private
+     */
+
+    const _completeRecipe = (entry) => {
+        _fitView();
+        panel.pointer.setPoints(entry.points.map(pt => ({x: pt.x, y: pt.y, ...(pt.geo ? {geo: pt.geo} : {})})));
+
+        // check if other recipe panels are complete
+        const {panels, progress, alignment} = iat.recipe;
+        const complete = Object.keys(panels)
+            .filter(panelID => panelID !== id && panels[panelID])
+            .every(panelID => progress[panelID] > panels[panelID].steps.length);
+        if (!complete) return iat.setMessage({
+            msg: `Alignment recipe applied to ${panel.properties.label}.`,
+            type: 'info'
+        });
+        iat.setAlignment(alignment || null);
+        iat.setRecipe(null);
+        iat.setMessage({msg: 'Alignment recipe applied.', type: 'success'});
+    }
+
     /**
      * Load image into panel
      *
@@ -1068,6 +2050,98 @@ const PanelAlignment = ({id = null}) => {
 
     }, [panel.properties.overlay]);
 
+    /**
+     * Redraw colour-coded control points on new alignment report
+     * or when control points are changed from outside the panel
+     *
+     * @private
+     */
+
+    useEffect(()=>{
+        if (panel.image) _redrawControlPoints();
+    }, [iat.alignment, panel.pointer.points]);
+
+    /**
+     * Refine corresponding control point when a control point is released
+     *
+     * @private
+     */
+
+    useEffect(()=>{
+        if (panel.pointer.dropped && iat.options.refinePoints && iat.mode === 'select')
+            _refineControlPoint(panel.pointer.dropped.index);
+    }, [panel.pointer.dropped]);
+
+    /**
+     * Restore panel state from undo/redo history snapshot
+     * - image is refitted to the canvas view
+     *
+     * @private
+     */
+
+    useEffect(()=>{
+        const snapshot = panel.history.restored;
+        if (!snapshot || !snapshot.image) return;
+        const {image_dims, base_dims, steps} = snapshot.properties;
+        const viewDims = scaleToFit(image_dims.w, image_dims.h, base_dims.w, base_dims.h);
+        imageLayer.current.load(snapshot.image);
+        _renderImage(
+            {x: 0, y: 0, w: viewDims.w, h: viewDims.h},
+            {x: 0, y: 0, w: image_dims.w, h: image_dims.h}
+        );
+        // keep snapshot image reference (shared with other snapshots)
+        panel.setImage(snapshot.image);
+        panel.setDepth(snapshot.depth || null);
+        panel.setMask(snapshot.mask || null);
+        panel.setProperties(prevState => ({
+            ...prevState,
+            image_dims: image_dims,
+            base_dims: base_dims,
+            render_dims: {x: 0, y: 0, w: viewDims.w, h: viewDims.h},
+            steps: steps
+        }));
+        panel.pointer.setPoints(snapshot.points);
+        iat.setAlignment(snapshot.alignment);
+        setAligned((steps || []).some(step => step.type === 'align'));
+    }, [panel.history.restored]);
+
+    /**
+     * Replay alignment recipe steps on the recipe source image
+     * - one step is replayed per update so that each step uses the current panel image
+     *
+     * @private
+     */
+
+    useEffect(()=>{
+        const entry = iat.recipe ? iat.recipe.panels[id] : null;
+        if (!entry || panel.status !== 'loaded' || !isRecipeSource(entry, panel.properties)) return;
+        const index = iat.recipe.progress[id];
+        // recipe is only replayed on the unmodified source image
+        if (index === 0 && (panel.properties.steps || []).length > 0) return;
+        if (index > entry.steps.length) return;
+        iat.setRecipe(recipe => recipe ? {...recipe, progress: {...recipe.progress, [id]: index + 1}} : recipe);
+        if (index < entry.steps.length) _replayStep(entry.steps[index]).catch(console.error);
+        else _completeRecipe(entry);
+    }, [iat.recipe, panel.status]);
+
+    /**
+     * Open rotation dialog with the levelling angle of a drawn horizon line
+     *
+     * @private
+     */
+
+    useEffect(()=>{
+        if (horizon === null) return;
+        iat.setDialog({
+            type: 'rotate',
+            id: id,
+            label: panel.properties.label,
+            data: {angle: horizon},
+            callback: _rotateImage
+        });
+        setHorizon(null);
+    }, [horizon]);
+
     /**
      * Update canvas boundaries on window resize
      *
@@ -1078,6 +2152,57 @@ const PanelAlignment = ({id = null}) => {
         _resetBounds();
     }, [winWidth, winHeight]);
 
+    /**
+     * Show panel mask on mask layer
+     *
+     * @private
+     */
+
+    useEffect(()=>{
+        const {render_dims, image_dims} = panel.properties;
+        maskLayer.current.load(iat.options.maskVisible ? panel.mask : null);
+        maskLayer.current.draw({
+            view: render_dims,
+            source: {x: 0, y: 0, w: image_dims.w, h: image_dims.h}
+        });
+    }, [panel.mask, iat.options.maskVisible]);
+
+    /**
+     * Show class samples on overlay canvas (classify mode)
+     *
+     * @private
+     */
+
+    useEffect(()=>{
+        if (iat.mode !== 'classify') return;
+        const overlay = overlayLayer2.current;
+        const {render_dims, image_dims} = panel.properties;
+        const scale = getScale(image_dims, render_dims);
+        const colours = iat.classes.reduce((o, cls) => {
+            o[cls.id] = cls.colour;
+            return o;
+        }, {});
+        overlay.drawSamples(panel.samples
+            .filter(sample => colours.hasOwnProperty(sample.classID))
+            .map(sample => {
+                const pt = scalePoint(sample, render_dims, image_dims);
+                return {x: render_dims.x + pt.x, y: render_dims.y + pt.y, colour: colours[sample.classID]};
+            }), Math.max((2 * iat.options.classifySampleRadius + 1) / scale.x, 5));
+        return () => {
+            overlay.clear();
+        };
+    }, [iat.mode, iat.classes, panel.samples, panel.properties.render_dims]);
+
+    /**
+     * Clear class samples when the image dimensions change (e.g. crop or resize)
+     *
+     * @private
+     */
+
+    useEffect(()=>{
+        if (panel.samples.length > 0) panel.setSamples([]);
+    }, [panel.properties.image_dims.w, panel.properties.image_dims.h]);
+
     /**
      * Update methods based on IAT mode
      *
@@ -1085,6 +2210,11 @@ const PanelAlignment = ({id = null}) => {
      */
 
     useEffect(()=>{
+        // discard unfinished mask polygon
+        if (maskPolygon.current.length > 0) {
+            maskPolygon.current = [];
+            overlayLayer2.current.clear();
+        }
         // load panel methods of IAT mode
         if (iat.mode === 'pan')
             panel.setMethods({
@@ -1101,6 +2231,30 @@ const PanelAlignment = ({id = null}) => {
                 onMouseOut: _deselectControlPoint
             });
         }
+        else if (iat.mode === 'horizon') {
+            panel.setMethods({
+                onMouseDown: _cancelHorizon,
+                onMouseUp: _endHorizon,
+                onMouseMove: _drawHorizon,
+                onMouseOut: _cancelHorizon
+            });
+        }
+        else if (iat.mode === 'mask') {
+            panel.setMethods({
+                onMouseDown: _startMask,
+                onMouseUp: _endMask,
+                onMouseMove: _moveMask,
+                onMouseOut: _endMask
+            });
+        }
+        else if (iat.mode === 'classify') {
+            panel.setMethods({
+                onMouseDown: _sampleClass,
+                onMouseUp: () => {},
+                onMouseMove: () => {},
+                onMouseOut: () => {}
+            });
+        }
         else if (iat.mode === 'crop') {
             if (panel.image) _resetImage();
             panel.setMethods({
@@ -1124,14 +2278,21 @@ const PanelAlignment = ({id = null}) => {
                 saveAs: _downloadImage,
                 saveState: _syncImages,
                 redraw: _renderImage,
-                clear: _clearOverlay,
+                clear: () => {
+                    _record('Clear control points');
+                    _clearOverlay();
+                },
                 fit: _fitView,
                 expand: _fullView,
                 resize: _resizeImage,
+                tone: _adjustTone,
+                rotate: _rotateImage,
+                lens: _correctLens,
                 zoomOut: _zoomOut,
                 zoomIn: _zoomIn,
                 reset: _resetImage,
-                remove: _removeImage
+                remove: _removeImage,
+                suggest: _suggestPoints
             }}
         />
         <PanelInfo panel={panel} />
@@ -1141,6 +2302,18 @@ const PanelAlignment = ({id = null}) => {
         }
         <div className={'canvas-layers'}>
             <LoadButton id={id} loader={_loadImage} />
+            {
+                job &&
+                <div className={'canvas-job'}>
+                    <p>{job.label}</p>
+                    <div className={'progress-bar-container'}>
+                        <div className={'progress-bar'} style={{width: `${job.percent}%`}}>
+                            <span>{`${job.percent}%`}</span>
+                        </div>
+                    </div>
+                    <Button icon={'cancel'} label={'Cancel'} onClick={job.cancel} />
+                </div>
+            }
             <Canvas
                 ref={controlLayer}
                 id={`${id}_control_layer`}
@@ -1163,6 +2336,7 @@ const PanelAlignment = ({id = null}) => {
             />
             <Overlay
                 ref={overlayLayer1}
+                markers={markers}
                 key={`${id}_overlay_layer-1`}
                 id={`${id}_overlay_layer-1`}
                 className={`layer canvas-layer-overlay`}
@@ -1177,6 +2351,13 @@ const PanelAlignment = ({id = null}) => {
                 width={panel.properties.base_dims.w}
                 height={panel.properties.base_dims.h}
             />
+            <MaskLayer
+                ref={maskLayer}
+                id={`${id}_mask_layer`}
+                className={`layer canvas-layer-mask`}
+                width={panel.properties.base_dims.w}
+                height={panel.properties.base_dims.h}
+            />
             <Canvas
                 ref={viewLayer}
                 id={`${id}_view_layer`}
@@ -1211,6 +2392,14 @@ const PanelAlignment = ({id = null}) => {
                 iat.mode === 'crop' && panel.image && panel.status === 'loaded' &&
                 <CropTool id={id} callback={_applyCropBox} update={_updateCropBox} />
             }
+            {
+                iat.mode === 'mask' && panel.image && panel.status === 'loaded' &&
+                <MaskTool id={id} close={() => {_closePolygon()}} invert={_invertMask} clear={_clearMask} />
+            }
+            {
+                iat.mode === 'classify' && panel.image && panel.status === 'loaded' &&
+                <ClassifyTool id={id} />
+            }
         </div>
     </div>;
 };
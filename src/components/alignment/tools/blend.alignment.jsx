@@ -0,0 +1,391 @@
+/*!
+ * MLE.Client.Tools.Toolkit.Blend
+ * File: blend.alignment.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Blend modes for overlaid image comparisons (Comparator Tool and image slider). The top
+ * image layer is clipped to reveal the bottom layer:
+ *
+ * - opacity: no clipping (top layer opacity is set by the host)
+ * - swipe: vertical or horizontal curtain dragged across the image
+ * - spyglass: circular lens under the cursor
+ * - checkerboard: alternating tiles of adjustable size
+ *
+ * Blend controls respond to mouse, touch and keyboard input. Touch listeners are passive, so
+ * host canvases should set 'touch-action: none' while a blend mode is active.
+ *
+ * - arrow keys move the swipe curtain or spyglass lens (hold shift for larger steps)
+ * - +/- keys change the spyglass radius or checkerboard tile size
+ * - 'o' key toggles the swipe curtain orientation
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Initial version
+ */
+
+import React, {useState} from 'react';
+import Button from '../../common/button';
+import InputSelector from '../../selectors/input.selector';
+
+// blend modes
+export const blendModes = [
+    {value: 'opacity', label: 'Opacity', icon: 'overlay', title: 'Blend top image by opacity.'},
+    {value: 'swipe', label: 'Swipe', icon: 'slider', title: 'Drag a curtain across the top image.'},
+    {value: 'spyglass', label: 'Spyglass', icon: 'search', title: 'Reveal the bottom image under the cursor.'},
+    {value: 'checkerboard', label: 'Checkerboard', icon: 'boundaries', title: 'Show alternating tiles of both images.'}
+];
+
+// limits of blend parameters (canvas pixels)
+const RADIUS_MIN = 10;
+const RADIUS_MAX = 400;
+const TILE_MIN = 4;
+const TILE_MAX = 400;
+
+// swipe curtain grab distance (canvas pixels)
+const GRAB_DISTANCE = 12;
+
+/**
+ * Get canvas position of mouse or touch event.
+ *
+ * @private
+ * @param e
+ * @return {{x: Number, y: Number}} position
+ */
+
+const _getEventPos = (e) => {
+    const target = e.currentTarget || e.target;
+    const touch = e.touches && e.touches.length > 0
+        ? e.touches[0]
+        : e.changedTouches && e.changedTouches.length > 0 ? e.changedTouches[0] : null;
+    const {clientX, clientY} = touch || e;
+    const rect = target.getBoundingClientRect();
+    return {
+        x: (clientX - rect.left) * (target.width / (rect.width || 1)),
+        y: (clientY - rect.top) * (target.height / (rect.height || 1))
+    };
+};
+
+/**
+ * Create clipping region of the top image layer for blend settings.
+ * - returns null when the top layer is not clipped
+ * - regions use the even-odd fill rule
+ *
+ * @public
+ * @param {Object} blend settings
+ * @param {Object} view rendered dimensions of the top image
+ * @param {Object} dims canvas dimensions
+ * @return {Path2D} clipping region
+ */
+
+export const getBlendClip = (blend, view, dims) => {
+    const {mode, orientation, position, lens, radius, size} = blend || {};
+    if (!view || typeof Path2D === 'undefined') return null;
+    const region = new Path2D();
+    if (mode === 'swipe') {
+        if (orientation === 'horizontal') region.rect(0, 0, dims.w, view.y + position * view.h);
+        else region.rect(0, 0, view.x + position * view.w, dims.h);
+        return region;
+    }
+    if (mode === 'spyglass') {
+        if (!lens) return null;
+        region.rect(0, 0, dims.w, dims.h);
+        region.moveTo(lens.x + radius, lens.y);
+        region.arc(lens.x, lens.y, radius, 0, 2 * Math.PI);
+        return region;
+    }
+    if (mode === 'checkerboard') {
+        const cols = Math.ceil(view.w / size);
+        const rows = Math.ceil(view.h / size);
+        for (let row = 0; row < rows; row++) {
+            for (let col = row % 2; col < cols; col += 2) {
+                region.rect(view.x + col * size, view.y + row * size,
+                    Math.min(size, view.w - col * size), Math.min(size, view.h - row * size));
+            }
+        }
+        return region;
+    }
+    return null;
+};
+
+/**
+ * Blend mode state and input handlers.
+ *
+ * @public
+ * @return {Object} blend
+ */
+
+export const useBlend = () => {
+
+    const [mode, setMode] = useState('opacity');
+    const [orientation, setOrientation] = useState('vertical');
+    const [position, setPosition] = useState(0.5);
+    const [lens, setLens] = useState(null);
+    const [radius, setRadius] = useState(80);
+    const [size, setSize] = useState(40);
+    const [dragging, setDragging] = useState(false);
+
+    /**
+     * Set swipe curtain position from canvas position
+     *
+     * @param {Object} pos
+     * @param {Object} view
+     */
+
+    const _setCurtain = (pos, view) => {
+        const value = orientation === 'horizontal'
+            ? (pos.y - view.y) / (view.h || 1)
+            : (pos.x - view.x) / (view.w || 1);
+        setPosition(Math.min(Math.max(value, 0), 1));
+    };
+
+    /**
+     * Handle pointer (mouse or touch) press
+     * - grabs the swipe curtain if the pointer is near it (or on touch)
+     *
+     * @param e
+     * @param {Object} view rendered dimensions of the top image
+     * @return {boolean} event handled
+     */
+
+    const start = (e, view) => {
+        if (!view || mode === 'opacity') return false;
+        const pos = _getEventPos(e);
+        if (mode === 'spyglass') {
+            setLens(pos);
+            return !!e.touches;
+        }
+        if (mode !== 'swipe') return false;
+        const curtain = orientation === 'horizontal'
+            ? view.y + position * view.h
+            : view.x + position * view.w;
+        const distance = Math.abs((orientation === 'horizontal' ? pos.y : pos.x) - curtain);
+        if (!e.touches && distance > GRAB_DISTANCE) return false;
+        if (!e.touches) e.preventDefault();
+        setDragging(true);
+        _setCurtain(pos, view);
+        return true;
+    };
+
+    /**
+     * Handle pointer (mouse or touch) move
+     *
+     * @param e
+     * @param {Object} view rendered dimensions of the top image
+     * @return {boolean} event handled
+     */
+
+    const move = (e, view) => {
+        if (!view) return false;
+        if (mode === 'spyglass') {
+            setLens(_getEventPos(e));
+            return !!e.touches;
+        }
+        if (mode !== 'swipe' || !dragging) return false;
+        if (!e.touches) e.preventDefault();
+        _setCurtain(_getEventPos(e), view);
+        return true;
+    };
+
+    /**
+     * Handle pointer (mouse or touch) release
+     *
+     * @return {boolean} event handled
+     */
+
+    const end = () => {
+        if (!dragging) return false;
+        setDragging(false);
+        return true;
+    };
+
+    /**
+     * Handle key press
+     *
+     * @param e
+     * @param {Object} view rendered dimensions of the top image
+     * @return {boolean} event handled
+     */
+
+    const keyDown = (e, view) => {
+        if (!view || mode === 'opacity' || e.ctrlKey || e.metaKey || e.altKey) return false;
+        // ignore keys typed in form inputs
+        const {tagName = ''} = e.target || {};
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(tagName)) return false;
+        const step = e.shiftKey ? 10 : 1;
+        const arrows = {
+            ArrowLeft: {x: -1, y: 0},
+            ArrowRight: {x: 1, y: 0},
+            ArrowUp: {x: 0, y: -1},
+            ArrowDown: {x: 0, y: 1}
+        };
+        const arrow = arrows[e.key];
+        const grow = e.key === '+' || e.key === '=' ? 1 : e.key === '-' || e.key === '_' ? -1 : 0;
+
+        if (mode === 'swipe' && arrow) {
+            const delta = orientation === 'horizontal' ? arrow.y : arrow.x;
+            if (!delta) return false;
+            setPosition(prevState => Math.min(Math.max(prevState + delta * step / 100, 0), 1));
+        }
+        else if (mode === 'swipe' && (e.key === 'o' || e.key === 'O')) {
+            setOrientation(orientation === 'horizontal' ? 'vertical' : 'horizontal');
+        }
+        else if (mode === 'spyglass' && arrow) {
+            setLens(prevState => {
+                const {x, y} = prevState || {x: view.x + view.w / 2, y: view.y + view.h / 2};
+                return {x: x + arrow.x * 5 * step, y: y + arrow.y * 5 * step};
+            });
+        }
+        else if (mode === 'spyglass' && grow) {
+            setRadius(prevState => Math.min(Math.max(prevState + grow * 5 * step, RADIUS_MIN), RADIUS_MAX));
+        }
+        else if (mode === 'checkerboard' && grow) {
+            setSize(prevState => Math.min(Math.max(prevState + grow * 2 * step, TILE_MIN), TILE_MAX));
+        }
+        else return false;
+        e.preventDefault();
+        return true;
+    };
+
+    /**
+     * Get clipping region of top image layer
+     *
+     * @param {Object} view rendered dimensions of the top image
+     * @param {Object} dims canvas dimensions
+     * @return {Path2D} clipping region
+     */
+
+    const clip = (view, dims) => {
+        return getBlendClip({mode, orientation, position, lens, radius, size}, view, dims);
+    };
+
+    return {
+        mode,
+        setMode,
+        orientation,
+        setOrientation,
+        position,
+        setPosition,
+        lens,
+        radius,
+        setRadius,
+        size,
+        setSize,
+        dragging,
+        start,
+        move,
+        end,
+        keyDown,
+        clip
+    };
+};
+
+/**
+ * Blend mode menu items. Renders list items to be included in a host menu.
+ *
+ * @public
+ * @param {Object} blend
+ * @param {Array} modes blend modes to show (default all)
+ * @param {boolean} disabled
+ * @param {String} activeClass
+ * @param {String} inactiveClass
+ * @return {JSX.Element}
+ */
+
+export const BlendMenu = ({
+    blend,
+    modes = blendModes.map(item => item.value),
+    disabled = false,
+    activeClass = 'success',
+    inactiveClass = 'secondary'
+}) => {
+
+    // update blend parameter from range input
+    const _handleRange = (setter, scale = 1) => (e) => {
+        const { target = {} } = e || {};
+        setter(parseInt(target.value) / scale || 0);
+    };
+
+    return <>
+        {
+            blendModes.filter(item => modes.includes(item.value)).map(item => <li key={`blend_mode_${item.value}`}>
+                <Button
+                    disabled={disabled}
+                    className={blend.mode === item.value ? activeClass : inactiveClass}
+                    icon={item.icon}
+                    label={item.label}
+                    title={item.title}
+                    onClick={() => {blend.setMode(item.value)}}
+                />
+            </li>)
+        }
+        {
+            blend.mode === 'swipe' && <>
+                <li>
+                    <Button
+                        disabled={disabled}
+                        className={inactiveClass}
+                        icon={'swap'}
+                        label={blend.orientation === 'horizontal' ? 'Horizontal' : 'Vertical'}
+                        title={'Toggle curtain orientation (o).'}
+                        onClick={() => {
+                            blend.setOrientation(blend.orientation === 'horizontal' ? 'vertical' : 'horizontal');
+                        }}
+                    />
+                </li>
+                <li>
+                    <InputSelector
+                        style={{ width: '140px' }}
+                        id={'blend_position'}
+                        name={'blend_position'}
+                        label={`Curtain ${Math.round(100 * blend.position)}%`}
+                        type={'range'}
+                        disabled={disabled}
+                        value={Math.round(100 * blend.position)}
+                        min={0}
+                        max={100}
+                        onChange={_handleRange(blend.setPosition, 100)}
+                    />
+                </li>
+            </>
+        }
+        {
+            blend.mode === 'spyglass' && <li>
+                <InputSelector
+                    style={{ width: '140px' }}
+                    id={'blend_radius'}
+                    name={'blend_radius'}
+                    label={`Radius ${blend.radius}px`}
+                    type={'range'}
+                    disabled={disabled}
+                    value={blend.radius}
+                    min={RADIUS_MIN}
+                    max={RADIUS_MAX}
+                    onChange={_handleRange(blend.setRadius)}
+                />
+            </li>
+        }
+        {
+            blend.mode === 'checkerboard' && <li>
+                <InputSelector
+                    style={{ width: '140px' }}
+                    id={'blend_tile_size'}
+                    name={'blend_tile_size'}
+                    label={`Tiles ${blend.size}px`}
+                    type={'range'}
+                    disabled={disabled}
+                    value={blend.size}
+                    min={TILE_MIN}
+                    max={TILE_MAX}
+                    onChange={_handleRange(blend.setSize)}
+                />
+            </li>
+        }
+    </>;
+};
+
+export default BlendMenu;
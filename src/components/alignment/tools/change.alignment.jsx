@@ -0,0 +1,265 @@
+/*!
+ * MLE.Client.Tools.Toolkit.Change
+ * File: change.alignment.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Change detection controls for the Comparator Tool. Computes the per-pixel difference of
+ * the compared images and shows it as an additional comparator layer (difference image,
+ * thresholded change mask or heatmap) with summary statistics. The selected layer can be
+ * downloaded with the statistics as a JSON report. Pixels inside the region-of-interest
+ * masks of the panel images are excluded from the difference.
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Initial version
+ * - 18-10-2026   Report pixels excluded by panel masks
+ */
+
+import React from 'react';
+import saveAs from 'file-saver';
+import Button from '../../common/button';
+import Badge from '../../common/badge';
+import InputSelector from '../../selectors/input.selector';
+import { UserMessage } from '../../common/message';
+import { SaveAs } from './downloader.alignment';
+import { useIat } from "../../../providers/alignment.provider.client";
+import { isWorkerSupported, runTask } from "../utils/workers.utils.alignment";
+import { getBoxMask, getChangeLayers, getDifference } from "../utils/change.utils.alignment";
+import { getError } from "../../../services/schema.services.client";
+
+/**
+ * Compute per-pixel difference of two images of equal dimensions.
+ *
+ * @public
+ * @param {ImageData} image1
+ * @param {ImageData} image2
+ * @param {Object} options
+ * @param {Object} monitor
+ * @return {Promise<{data: ImageData, error: Object}>}
+ */
+
+export const differenceImages = async (image1, image2, options = {}, monitor = null) => {
+    try {
+        if (image1.width !== image2.width || image1.height !== image2.height)
+            return {data: null, error: {msg: getError('mismatchedDims', 'canvas'), type: 'error'}};
+
+        // compute difference in worker pool
+        // - image buffers are copied before transfer to keep image data intact
+        if (options.useWorkers && isWorkerSupported()) {
+            const data1 = image1.data.slice().buffer;
+            const data2 = image2.data.slice().buffer;
+            const result = await runTask('difference', {
+                data1: data1,
+                data2: data2,
+                width: image1.width,
+                height: image1.height
+            }, [data1, data2], monitor);
+            return {data: new ImageData(new Uint8ClampedArray(result.data), result.width, result.height), error: null};
+        }
+        const difference = getDifference(image1.data, image2.data);
+        return {data: new ImageData(difference, image1.width, image1.height), error: null};
+    } catch (err) {
+        // worker pool errors (incl. cancellation) are already formatted
+        if (err && err.msg) return {data: null, error: err};
+        console.error(err);
+        return {data: null, error: {msg: getError('default', 'canvas'), type: 'error'}};
+    }
+};
+
+/**
+ * Change detection controls for Comparator Tool.
+ *
+ * @public
+ * @param {Function} getImages returns compared images in a common frame
+ * @param {Object} selection selection box in image coordinates
+ * @param {Object} layer full-sized change layer canvas
+ * @param {Function} render draws change layer image data (or clears layer)
+ * @param {Function} alpha sets change layer opacity
+ * @return {JSX.Element}
+ */
+
+export const ChangeDetector = ({
+    getImages = () => null,
+    selection = null,
+    layer = null,
+    render = () => {},
+    alpha = () => {}
+}) => {
+
+    const iat = useIat();
+
+    // difference image data and change statistics
+    const [difference, setDifference] = React.useState(null);
+    const [stats, setStats] = React.useState(null);
+    const [excluded, setExcluded] = React.useState(0);
+
+    // change layer settings
+    const [view, setView] = React.useState('heatmap');
+    const [threshold, setThreshold] = React.useState(iat.options.changeThreshold);
+    const [masked, setMasked] = React.useState(false);
+    const [opacity, setOpacity] = React.useState(70);
+
+    // running difference task and download selector
+    const [job, setJob] = React.useState(null);
+    const [download, setDownload] = React.useState(false);
+    const [message, setMessage] = React.useState(null);
+
+    // limit statistics to selection box
+    // - layers are only updated when the applied selection changes
+    const hasSelection = !!selection && selection.w > 0 && selection.h > 0;
+    const maskKey = masked && hasSelection ? JSON.stringify(selection) : '';
+
+    // compute difference of compared images
+    const _handleDetect = async () => {
+        const images = getImages();
+        if (!images) return;
+        setMessage(null);
+        const {data, error} = await differenceImages(images.image1, images.image2, iat.options, {
+            onStart: (cancel) => setJob({percent: 0, cancel: cancel}),
+            onProgress: (percent) => setJob(prevState => prevState ? {...prevState, percent: percent} : prevState),
+            onEnd: () => setJob(null)
+        });
+        if (error) return setMessage(error);
+        setExcluded(images.masked || 0);
+        setDifference(data);
+    };
+
+    // update change layer on setting changes
+    React.useEffect(() => {
+        if (!difference) return;
+        const {width, height} = difference;
+        const mask = masked && hasSelection ? getBoxMask(width, height, selection) : null;
+        const layers = getChangeLayers(difference.data, threshold, mask);
+        setStats(layers.stats);
+        render(view === 'difference'
+            ? difference
+            : new ImageData(view === 'mask' ? layers.mask : layers.heatmap, width, height));
+    }, [difference, view, threshold, maskKey]);
+
+    // update change layer opacity
+    React.useEffect(() => {
+        alpha(opacity / 100);
+    }, [opacity]);
+
+    // clear change layer on close
+    React.useEffect(() => {
+        return () => render(null);
+    }, []);
+
+    // download change layer and statistics
+    const _handleDownload = ({ext, quality, type, tiff}) => {
+        const ts = Date.now();
+        layer.current.blob(null, type, quality, (blob) => {
+            if (blob) saveAs(blob, `changes_${view}_${ts}.${ext}`);
+        }, tiff);
+        const report = new Blob([JSON.stringify({
+            images: [iat.panel1.properties.filename, iat.panel2.properties.filename],
+            layer: view,
+            selection: masked && hasSelection ? selection : null,
+            maskedPixels: excluded,
+            ...stats
+        }, null, 2)], {type: 'application/json'});
+        saveAs(report, `changes_${ts}.stats.json`);
+    };
+
+    return <>
+        {
+            message && <UserMessage onClose={() => {setMessage(null)}} closeable={true} message={message}/>
+        }
+        <div className={'h-menu'}>
+            <ul>
+                <li>
+                    <Button
+                        icon={job ? 'cancel' : 'filter'}
+                        label={job ? `Cancel (${job.percent}%)` : 'Detect Changes'}
+                        title={job ? 'Cancel change detection.' : 'Compute difference of compared images.'}
+                        onClick={job ? job.cancel : _handleDetect}
+                    />
+                </li>
+                <li style={{width: '140px'}}>
+                    <InputSelector
+                        id={'change_layer'}
+                        name={'change_layer'}
+                        label={'Layer'}
+                        type={'select'}
+                        disabled={!difference}
+                        value={view}
+                        options={iat.options.changeLayers}
+                        onChange={(e) => {setView(e.target.value)}}
+                    />
+                </li>
+                <li>
+                    <InputSelector
+                        style={{ width: '140px' }}
+                        id={'change_threshold'}
+                        name={'change_threshold'}
+                        label={`Threshold ${threshold}`}
+                        type={'range'}
+                        disabled={!difference}
+                        value={threshold}
+                        min={1}
+                        max={255}
+                        onChange={(e) => {setThreshold(parseInt(e.target.value) || 1)}}
+                    />
+                </li>
+                <li>
+                    <InputSelector
+                        style={{ width: '140px' }}
+                        id={'change_opacity'}
+                        name={'change_opacity'}
+                        label={`Opacity ${opacity}%`}
+                        type={'range'}
+                        disabled={!difference}
+                        value={opacity}
+                        min={0}
+                        max={100}
+                        onChange={(e) => {setOpacity(parseInt(e.target.value) || 0)}}
+                    />
+                </li>
+                <li>
+                    <InputSelector
+                        id={'change_masked'}
+                        name={'change_masked'}
+                        label={'Within selection'}
+                        type={'checkbox'}
+                        disabled={!difference || !hasSelection}
+                        value={masked}
+                        onChange={() => {setMasked(!masked)}}
+                    />
+                </li>
+                <li>
+                    <Button
+                        icon={'download'}
+                        disabled={!difference}
+                        label={'Download'}
+                        title={'Download change layer and statistics.'}
+                        onClick={() => {setDownload(!download)}}
+                    />
+                </li>
+                {
+                    stats && <li className={'push'}>
+                        <Badge
+                            className={'info'}
+                            label={`Changed: ${stats.percent.toFixed(2)}% of ${stats.pixels} px`}
+                            title={excluded > 0 ? `${excluded} masked pixel(s) excluded.` : undefined}
+                        />
+                        <Badge
+                            className={'secondary'}
+                            label={`Mean difference: ${stats.mean.toFixed(1)}`}
+                        />
+                    </li>
+                }
+            </ul>
+        </div>
+        {
+            download && <SaveAs callback={_handleDownload} close={() => {setDownload(false)}} />
+        }
+    </>;
+};
+
+export default ChangeDetector;
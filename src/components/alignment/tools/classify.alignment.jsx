@@ -0,0 +1,491 @@
+/*!
+ * MLE.Client.Tools.Toolkit.Classify
+ * File: classify.alignment.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Pixel classification tool for land-cover change quantification. In classify mode,
+ * pixel samples of the selected land-cover class are picked on each panel image (click a
+ * sample again to remove it). The classification dialog edits the class definitions,
+ * classifies both images (nearest centroid or k-means, see classify.utils.alignment.js)
+ * and reports the per-class areas of the historic and modern images and the class
+ * transition matrix of the aligned pair. Results are downloaded as a CSV report and as
+ * class map PNG images (class colours; unclassified pixels are transparent).
+ *
+ * Masked regions (see mask.alignment.js) are excluded from the classification.
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Initial version
+ */
+
+import React from 'react';
+import saveAs from 'file-saver';
+import Button from '../../common/button';
+import Badge from '../../common/badge';
+import InputSelector from '../../selectors/input.selector';
+import { UserMessage } from '../../common/message';
+import { useIat } from "../../../providers/alignment.provider.client";
+import { getError, getModelLabel } from "../../../services/schema.services.client";
+import { isWorkerSupported, runTask } from "../utils/workers.utils.alignment";
+import {
+    classesToRGBA,
+    classifyPixels,
+    getClassAreas,
+    getClassCentroids,
+    getClassificationCSV,
+    getTransitionMatrix
+} from "../utils/classify.utils.alignment";
+
+// colours of added classes
+const CLASS_COLOURS = ['#e53935', '#8e24aa', '#1e88e5', '#fdd835', '#fb8c00', '#00897b', '#6d4c41', '#546e7a'];
+
+/**
+ * Classify image pixels (in image worker if supported).
+ *
+ * @public
+ * @param {ImageData} image
+ * @param {Object} mask region-of-interest mask (optional)
+ * @param {Array} seeds class centroids in class order (null for unsampled classes)
+ * @param {Object} options
+ * @param {Object} monitor
+ * @return {Promise<{data: Object, error: Object}>} class labels and centroids
+ */
+
+export const classifyImage = async (image, mask, seeds, options = {}, monitor = null) => {
+    try {
+        const {classifyMethod, classifyIterations, classifyMaxPixels} = options;
+        // ignore masks of other image dimensions
+        const maskData = mask && mask.width === image.width && mask.height === image.height ? mask.data : null;
+
+        // classify in worker pool
+        // - image and mask buffers are copied before transfer to keep panel data intact
+        if (options.useWorkers && isWorkerSupported()) {
+            const data = image.data.slice().buffer;
+            const maskBuffer = maskData ? maskData.slice().buffer : null;
+            const result = await runTask('classify', {
+                data: data,
+                mask: maskBuffer,
+                seeds: seeds,
+                method: classifyMethod,
+                iterations: classifyIterations,
+                maxPixels: classifyMaxPixels
+            }, [data, maskBuffer].filter(buffer => buffer), monitor);
+            return {data: {labels: new Uint8Array(result.data), centroids: result.centroids}, error: null};
+        }
+        const result = classifyPixels(image.data, seeds, {
+            method: classifyMethod,
+            iterations: classifyIterations,
+            maxPixels: classifyMaxPixels,
+            mask: maskData
+        });
+        return {data: result, error: null};
+    } catch (err) {
+        // worker pool errors (incl. cancellation) are already formatted
+        if (err && err.msg) return {data: null, error: err};
+        console.error(err);
+        return {data: null, error: {msg: getError('default', 'canvas'), type: 'error'}};
+    }
+};
+
+/**
+ * Download class labels as class map PNG image.
+ *
+ * @public
+ * @param {Uint8Array} labels
+ * @param {Object} dims image dimensions
+ * @param {Array} classes
+ * @param {String} filename
+ */
+
+export const downloadClassMap = (labels, dims, classes, filename) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = dims.w;
+    canvas.height = dims.h;
+    canvas.getContext('2d').putImageData(new ImageData(classesToRGBA(labels, classes), dims.w, dims.h), 0, 0);
+    canvas.toBlob((blob) => {
+        if (blob) saveAs(blob, `${filename}.classes.png`);
+    }, 'image/png');
+};
+
+/**
+ * Get panels in chronological order (historic image first); left panel first otherwise.
+ *
+ * @private
+ * @param {Object} iat
+ * @return {Array} panels
+ */
+
+const _getPanels = (iat) => {
+    const {panel1, panel2} = iat;
+    return panel1.properties.file_type === 'modern_images' && panel2.properties.file_type === 'historic_images'
+        ? [panel2, panel1]
+        : [panel1, panel2];
+};
+
+/**
+ * Get report title of panel image.
+ *
+ * @private
+ * @param {Object} panel
+ * @return {String}
+ */
+
+const _getTitle = (panel) => {
+    const {file_type = '', label = ''} = panel.properties || {};
+    const model = file_type ? getModelLabel(file_type) : '';
+    return model ? `${model} (${label})` : label;
+};
+
+/**
+ * Class sample controls for panel (classify mode).
+ *
+ * @public
+ * @param {String} id panel ID
+ * @return {JSX.Element}
+ */
+
+export const ClassifyTool = ({id}) => {
+
+    const iat = useIat();
+    const panel = iat[id];
+    const samples = panel.samples || [];
+    const {classifyClass} = iat.options;
+    const count = samples.filter(sample => sample.classID === classifyClass).length;
+
+    return <div className={'canvas-view-controls'}>
+        <fieldset className={'super_compact'}>
+            <div className={'h-menu centered'}>
+                <ul>
+                    <li>
+                        <Badge
+                            icon={'classify'}
+                            label={`Samples: ${count}/${samples.length}`}
+                            title={'Samples of selected class / all samples of this image.'}
+                        />
+                    </li>
+                    <li>
+                        <InputSelector
+                            id={`${id}_classify_class`}
+                            name={'classifyClass'}
+                            type={'select'}
+                            value={classifyClass}
+                            options={iat.classes.map(cls => ({label: cls.label, value: cls.id}))}
+                            onChange={(e) => {
+                                const {value = ''} = e.target || {};
+                                iat.setOptions(options => ({...options, classifyClass: value}));
+                            }}
+                        />
+                    </li>
+                    <li>
+                        <Button
+                            disabled={samples.length === 0}
+                            icon={'undo'}
+                            title={'Remove last sample.'}
+                            onClick={() => {panel.setSamples(samples.slice(0, -1))}}
+                        />
+                    </li>
+                    <li>
+                        <Button
+                            disabled={samples.length === 0}
+                            icon={'erase'}
+                            title={'Clear samples of this image.'}
+                            onClick={() => {panel.setSamples([])}}
+                        />
+                    </li>
+                    <li>
+                        <Button
+                            icon={'classify'}
+                            label={'Classify'}
+                            title={'Classify both images and report land-cover changes.'}
+                            onClick={() => {
+                                iat.setDialog({
+                                    type: 'classify',
+                                    label: 'Classify Land Cover',
+                                    callback: console.error,
+                                });
+                            }}
+                        />
+                    </li>
+                </ul>
+            </div>
+        </fieldset>
+    </div>;
+};
+
+/**
+ * Land-cover classification dialog.
+ *
+ * @public
+ * @return {JSX.Element}
+ */
+
+const Classifier = () => {
+
+    const iat = useIat();
+    const {classes} = iat;
+    const panels = _getPanels(iat);
+    const titles = panels.map(_getTitle);
+    const ready = panels.every(panel => panel.image && panel.status === 'loaded');
+
+    // classification results, running task and messages
+    const [result, setResult] = React.useState(null);
+    const [job, setJob] = React.useState(null);
+    const [message, setMessage] = React.useState(null);
+
+    // update class definition
+    const _updateClass = (index, key, value) => {
+        iat.setClasses(classes.map((cls, i) => i === index ? {...cls, [key]: value} : cls));
+    };
+
+    // add class (selected for sampling)
+    const _addClass = () => {
+        const cls = {
+            id: `class_${Date.now()}`,
+            label: `Class ${classes.length + 1}`,
+            colour: CLASS_COLOURS[classes.length % CLASS_COLOURS.length]
+        };
+        iat.setClasses([...classes, cls]);
+        iat.setOptions(options => ({...options, classifyClass: cls.id}));
+    };
+
+    // remove class and its samples
+    const _removeClass = (index) => {
+        const {id} = classes[index];
+        const remaining = classes.filter((_, i) => i !== index);
+        iat.setClasses(remaining);
+        iat.panel1.setSamples(samples => samples.filter(sample => sample.classID !== id));
+        iat.panel2.setSamples(samples => samples.filter(sample => sample.classID !== id));
+        if (iat.options.classifyClass === id && remaining.length > 0)
+            iat.setOptions(options => ({...options, classifyClass: remaining[0].id}));
+    };
+
+    // classify both images
+    const _handleClassify = async () => {
+        setMessage(null);
+        setResult(null);
+        const {classifySampleRadius} = iat.options;
+
+        // class centroids of each image from its samples
+        const seeds = panels.map(panel => getClassCentroids(
+            panel.image.data, panel.image.width, panel.image.height,
+            panel.samples, classes, classifySampleRadius,
+            panel.mask && panel.mask.width === panel.image.width && panel.mask.height === panel.image.height
+                ? panel.mask : null
+        ));
+        if (seeds.some(centroids => centroids.filter(c => c.centroid).length < 2))
+            return setMessage({msg: getError('classifySamples', 'canvas'), type: 'warning'});
+
+        const labels = [];
+        for (let i = 0; i < panels.length; i++) {
+            const {data, error} = await classifyImage(
+                panels[i].image, panels[i].mask, seeds[i].map(c => c.centroid), iat.options, {
+                    onStart: (cancel) => setJob({percent: 0, cancel: cancel, label: titles[i]}),
+                    onProgress: (percent) => setJob(prevState => prevState ? {...prevState, percent: percent} : prevState),
+                    onEnd: () => setJob(null)
+                });
+            if (error) return setMessage(error);
+            labels.push(data.labels);
+        }
+
+        // class transitions require aligned images
+        const [image1, image2] = panels.map(panel => panel.image);
+        const aligned = image1.width === image2.width && image1.height === image2.height;
+        if (!aligned) setMessage({msg: getError('classifyTransitions', 'canvas'), type: 'warning'});
+        setResult({
+            classes: classes,
+            titles: titles,
+            labels: labels,
+            dims: panels.map(panel => ({w: panel.image.width, h: panel.image.height})),
+            filenames: panels.map(panel => panel.properties.filename || panel.properties.id),
+            areas: labels.map(data => getClassAreas(data, classes.length)),
+            transitions: aligned ? getTransitionMatrix(labels[0], labels[1], classes.length) : null
+        });
+    };
+
+    // download classification report (CSV)
+    const _downloadCSV = () => {
+        const csv = getClassificationCSV(result.classes, result.titles, result.areas, result.transitions);
+        saveAs(new Blob([csv], {type: 'text/csv'}), `classification_${Date.now()}.csv`);
+    };
+
+    // download class maps of both images (PNG)
+    const _downloadClassMaps = () => {
+        const ts = Date.now();
+        result.labels.forEach((labels, i) => {
+            downloadClassMap(labels, result.dims[i], result.classes, `${result.filenames[i]}_${ts}`);
+        });
+    };
+
+    return <div>
+        {
+            message && <UserMessage onClose={() => {setMessage(null)}} closeable={true} message={message}/>
+        }
+        <p>
+            Select a class and click on representative pixels of it in each panel (Classify mode). Both images are
+            classified with the class colours sampled on that image; sample every class present in the images.
+        </p>
+        <table>
+            <thead>
+            <tr>
+                <th>Colour</th>
+                <th>Class</th>
+                {titles.map((title, i) => <th key={`classify_samples_${i}`}>{`Samples: ${title}`}</th>)}
+                <th></th>
+            </tr>
+            </thead>
+            <tbody>
+            {
+                classes.map((cls, index) => <tr key={`classify_class_${cls.id}`}>
+                    <td>
+                        <InputSelector
+                            id={`classify_colour_${cls.id}`}
+                            name={'colour'}
+                            type={'colour'}
+                            value={cls.colour}
+                            onChange={(e) => {_updateClass(index, 'colour', e.target.value)}}
+                        />
+                    </td>
+                    <td>
+                        <InputSelector
+                            id={`classify_label_${cls.id}`}
+                            name={'label'}
+                            type={'text'}
+                            value={cls.label}
+                            onChange={(e) => {_updateClass(index, 'label', e.target.value)}}
+                        />
+                    </td>
+                    {
+                        panels.map((panel, i) => <td key={`classify_samples_${cls.id}_${i}`}>
+                            {(panel.samples || []).filter(sample => sample.classID === cls.id).length}
+                        </td>)
+                    }
+                    <td>
+                        <Button
+                            disabled={classes.length <= 2 || !!job}
+                            icon={'delete'}
+                            title={'Remove class and its samples.'}
+                            onClick={() => {_removeClass(index)}}
+                        />
+                    </td>
+                </tr>)
+            }
+            </tbody>
+        </table>
+        <div className={'h-menu'}>
+            <ul>
+                <li>
+                    <Button
+                        disabled={!!job || classes.length >= 254}
+                        icon={'add'}
+                        label={'Add Class'}
+                        onClick={_addClass}
+                    />
+                </li>
+                <li style={{width: '160px'}}>
+                    <InputSelector
+                        id={'classify_method'}
+                        name={'classifyMethod'}
+                        label={'Method'}
+                        type={'select'}
+                        disabled={!!job}
+                        value={iat.options.classifyMethod}
+                        options={iat.options.classifyMethods}
+                        onChange={(e) => {
+                            const {value = ''} = e.target || {};
+                            iat.setOptions(options => ({...options, classifyMethod: value}));
+                        }}
+                    />
+                </li>
+                <li>
+                    <Button
+                        className={ready ? 'success' : ''}
+                        disabled={!ready}
+                        icon={job ? 'cancel' : 'classify'}
+                        label={job ? `Cancel ${job.label} (${job.percent}%)` : 'Classify Images'}
+                        title={job ? 'Cancel classification.' : 'Classify pixels of both images.'}
+                        onClick={job ? job.cancel : _handleClassify}
+                    />
+                </li>
+            </ul>
+        </div>
+        {
+            result && <table>
+                <thead>
+                <tr>
+                    <th>Class</th>
+                    {result.titles.map((title, i) => <th key={`classify_area_${i}`}>{`${title} (%)`}</th>)}
+                    <th>Change (%)</th>
+                </tr>
+                </thead>
+                <tbody>
+                {
+                    result.classes.map((cls, k) => <tr key={`classify_areas_${cls.id}`}>
+                        <th>{cls.label}</th>
+                        <td>{result.areas[0].percent[k].toFixed(2)}</td>
+                        <td>{result.areas[1].percent[k].toFixed(2)}</td>
+                        <td>{(result.areas[1].percent[k] - result.areas[0].percent[k]).toFixed(2)}</td>
+                    </tr>)
+                }
+                </tbody>
+            </table>
+        }
+        {
+            result && result.transitions && <table>
+                <thead>
+                <tr>
+                    <th>{`${result.titles[0]} \\ ${result.titles[1]} (%)`}</th>
+                    {result.classes.map(cls => <th key={`classify_to_${cls.id}`}>{cls.label}</th>)}
+                </tr>
+                </thead>
+                <tbody>
+                {
+                    result.classes.map((cls, k) => <tr key={`classify_from_${cls.id}`}>
+                        <th>{cls.label}</th>
+                        {
+                            result.transitions.percent[k].map((percent, j) => <td key={`classify_transition_${cls.id}_${j}`}>
+                                {percent.toFixed(2)}
+                            </td>)
+                        }
+                    </tr>)
+                }
+                </tbody>
+            </table>
+        }
+        <fieldset className={'submit h-menu'}>
+            <ul>
+                <li>
+                    <Button
+                        disabled={!result}
+                        icon={'download'}
+                        label={'CSV'}
+                        title={'Download class areas and transition matrix (pixel counts) as CSV.'}
+                        onClick={_downloadCSV}
+                    />
+                </li>
+                <li>
+                    <Button
+                        disabled={!result}
+                        icon={'download'}
+                        label={'Class Maps'}
+                        title={'Download class maps of both images as PNG images.'}
+                        onClick={_downloadClassMaps}
+                    />
+                </li>
+                <li>
+                    <Button
+                        icon={'cancel'}
+                        label={'Close'}
+                        onClick={() => {iat.setDialog(null)}}
+                    />
+                </li>
+            </ul>
+        </fieldset>
+    </div>;
+};
+
+export default Classifier;
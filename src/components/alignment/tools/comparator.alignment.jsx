@@ -10,12 +10,19 @@
  *
  * Dialog to compare panel images loaded in Alignment Tool. The images are
  * aligned to each other and overlayed on top of each other. The images can be
- * cropped to match the panel dimensions.
+ * cropped to match the panel dimensions. Changes between the images can be shown
+ * as an additional layer (see change.alignment.js).
  *
  * ---------
  * Revisions
  * - 14-07-2023   Added reset button to restore original positions of images.
  * - 24-07-2023   Added crop feature to match cropping on both panel images.
+ * - 18-10-2026   Crop images in worker pool.
+ * - 18-10-2026   Record saved crops as panel processing steps.
+ * - 18-10-2026   Change detection layer.
+ * - 18-10-2026   Swipe, spyglass and checkerboard blend modes (see blend.alignment.js).
+ * - 18-10-2026   Crop panel masks and exclude masked regions from change detection.
+ * - 18-10-2026   Report crop errors from the worker pool.
  */
 
 import React, { useEffect, useLayoutEffect, useRef, useState } from 'react';
@@ -30,6 +37,9 @@ import Grid from "../canvas/grid.canvas.alignment";
 import CropTool, { cropImage } from "./cropper.alignment";
 import Badge from "../../common/badge";
 import Overlay from "../canvas/overlay.canvas.alignment";
+import { applyMask, cropMask } from "../utils/mask.utils.alignment";
+import ChangeDetector from "./change.alignment";
+import { BlendMenu, useBlend } from "./blend.alignment";
 
 
 /**
@@ -62,6 +72,8 @@ export const ComparatorTool = ({
     const renderLayer2 = useRef(null);
     const imageLayer1 = useRef(null);
     const imageLayer2 = useRef(null);
+    const changeLayer = useRef(null);
+    const changeImageLayer = useRef(null);
     const gridLayer = useRef(null);
 
     const _mounted = useRef(false);
@@ -84,6 +96,18 @@ export const ComparatorTool = ({
     // top layer opacity state
     const [opacity, setOpacity] = useState(100);
 
+    // crop boxes applied to the panel images (recorded as panel steps on save)
+    const [cropped, setCropped] = useState(null);
+
+    // region-of-interest masks of the compared images (cropped with the images)
+    const masks = useRef({ mask1: null, mask2: null });
+
+    // show change detection layer
+    const [changes, setChanges] = useState(false);
+
+    // top layer blend mode
+    const blend = useBlend();
+
     // define the panel pointer
     const pointer = usePointer(properties, iat.options);
 
@@ -97,6 +121,7 @@ export const ComparatorTool = ({
         // load data into image layers
         imageLayer1.current.load(iat.panel1.image);
         imageLayer2.current.load(iat.panel2.image);
+        masks.current = { mask1: iat.panel1.mask, mask2: iat.panel2.mask };
 
         // compute scaled dimensions to fit view canvas
         const viewDims1 = scaleToFit(
@@ -139,7 +164,7 @@ export const ComparatorTool = ({
         const props2 = {
             base_dims: comparatorDims,
             bounds: bounds,
-            image_dims: iat.panel1.properties.image_dims,
+            image_dims: iat.panel2.properties.image_dims,
             render_dims: { x: 0, y: 0, w: viewDims2.w, h: viewDims2.h }
         };
         setProperties1(props1);
@@ -170,6 +195,7 @@ export const ComparatorTool = ({
         // reset crop box
         pointer.setSelectBox({ x: 0, y: 0, w: 0, h: 0 });
         overlayLayer.current.drawBoundingBox(0, 0, 0, 0);
+        setCropped(null);
     };
 
     /**
@@ -181,6 +207,8 @@ export const ComparatorTool = ({
             // store image data as current
             iat.panel1.setImage(imageLayer1.current.getImageData());
             iat.panel2.setImage(imageLayer2.current.getImageData());
+            iat.panel1.setMask(masks.current.mask1);
+            iat.panel2.setMask(masks.current.mask2);
             // store image data as source
             // iat.panel1.setSource(imageLayer1.current.getImageData());
             // iat.panel2.setSource(imageLayer2.current.getImageData());
@@ -189,12 +217,14 @@ export const ComparatorTool = ({
                 ...prevState,
                 image_dims: properties1.image_dims,
                 render_dims: properties1.render_dims,
+                steps: cropped ? [...prevState.steps, {type: 'crop', box: cropped.box1}] : prevState.steps,
                 // source_dims: properties1.image_dims,
             }));
             iat.panel2.setProperties(prevState => ({
                 ...prevState,
                 image_dims: properties2.image_dims,
                 render_dims: properties2.render_dims,
+                steps: cropped ? [...prevState.steps, {type: 'crop', box: cropped.box2}] : prevState.steps,
                 // source_dims: properties1.image_dims,
             }));
             // update panel status to trigger redraw
@@ -214,7 +244,7 @@ export const ComparatorTool = ({
      *   of the selected crop box to draw to the render canvas.
      */
 
-    const crop = () => {
+    const crop = async () => {
         try {
             // check that mouse start position was selected
             if (!pointer.selectBox) return;
@@ -251,8 +281,23 @@ export const ComparatorTool = ({
             }
 
             // crop image and draw to image layer canvases
-            cropImage(imageLayer1.current.canvas(), iat.panel1.image, actualCroppedDims1);
-            cropImage(imageLayer2.current.canvas(), iat.panel2.image, actualCroppedDims2);
+            const errors = await Promise.all([
+                cropImage(iat.cv, imageLayer1.current.canvas(), iat.panel1.image, actualCroppedDims1, iat.options),
+                cropImage(iat.cv, imageLayer2.current.canvas(), iat.panel2.image, actualCroppedDims2, iat.options)
+            ]);
+            const error = errors.find(err => err);
+            if (error) {
+                iat.setMessage(error);
+                // reset selection box
+                pointer.setSelectBox({ x: 0, y: 0, w: 0, h: 0 });
+                overlayLayer.current.drawBoundingBox(0, 0, 0, 0);
+                return;
+            }
+            setCropped({box1: actualCroppedDims1, box2: actualCroppedDims2});
+            masks.current = {
+                mask1: cropMask(masks.current.mask1, actualCroppedDims1),
+                mask2: cropMask(masks.current.mask2, actualCroppedDims2)
+            };
 
             // render cropped images in view layer
             renderLayer1.current.draw(imageLayer1.current.canvas(), {
@@ -496,6 +541,79 @@ export const ComparatorTool = ({
         topLayer === 0 ? renderLayer1.current.alpha(value / 100) : renderLayer2.current.alpha(value / 100);
     }
 
+    /**
+     * Get compared images in the frame of the first image
+     * - the second image is drawn at its offset to the first image
+     * - masked pixels of either image are made transparent (excluded from change detection)
+     *
+     * @private
+     * @return {{image1: ImageData, image2: ImageData, masked: int}}
+     */
+
+    const _getChangeImages = () => {
+        if (!properties1 || !properties2) return null;
+        const {w, h} = properties1.image_dims;
+        const scaleUp = getScale(properties1.image_dims, properties1.render_dims);
+        const dx = Math.round(scaleUp.x * (properties2.render_dims.x - properties1.render_dims.x));
+        const dy = Math.round(scaleUp.y * (properties2.render_dims.y - properties1.render_dims.y));
+        const canvas = document.createElement('canvas');
+        canvas.width = w;
+        canvas.height = h;
+        canvas.getContext('2d').drawImage(imageLayer2.current.canvas(), dx, dy);
+        const image1 = imageLayer1.current.context().getImageData(0, 0, w, h);
+        const image2 = canvas.getContext('2d').getImageData(0, 0, w, h);
+        const masked = applyMask(image1.data, w, h, masks.current.mask1)
+            + applyMask(image2.data, w, h, masks.current.mask2, dx, dy);
+        return {image1, image2, masked};
+    };
+
+    /**
+     * Get selection box in the frame of the first image
+     *
+     * @private
+     * @return {Object} selection box
+     */
+
+    const _getChangeSelection = () => {
+        if (!properties1 || !pointer.selectBox || pointer.selectBox.w === 0 || pointer.selectBox.h === 0) return null;
+        const scaleUp = getScale(properties1.image_dims, properties1.render_dims);
+        return {
+            x: pointer.selectBox.x - (scaleUp.x * properties1.render_dims.x),
+            y: pointer.selectBox.y - (scaleUp.y * properties1.render_dims.y),
+            w: pointer.selectBox.w,
+            h: pointer.selectBox.h
+        };
+    };
+
+    /**
+     * Draw change layer image data over the first image
+     * - clears the change layer if no data is given
+     *
+     * @private
+     * @param {ImageData} data
+     */
+
+    const _renderChanges = (data) => {
+        if (!changeLayer.current) return;
+        changeLayer.current.clear();
+        if (!data || !properties1) return;
+        changeImageLayer.current.load(data);
+        changeLayer.current.draw(changeImageLayer.current.canvas(), {
+            view: properties1.render_dims,
+            source: { x: 0, y: 0, w: data.width, h: data.height }
+        });
+    };
+
+    // change detection is reset when the compared images are moved or cropped
+    const changeKey = properties1 && properties2
+        ? [
+            properties1.render_dims.w, properties1.render_dims.h,
+            properties2.render_dims.w, properties2.render_dims.h,
+            properties2.render_dims.x - properties1.render_dims.x,
+            properties2.render_dims.y - properties1.render_dims.y
+        ].join('_')
+        : '';
+
     /**
      * swap top and bottom layers
      *
@@ -653,6 +771,40 @@ export const ComparatorTool = ({
         }
     };
 
+    /**
+     * Get rendered dimensions of the top image layer
+     *
+     * @private
+     * @return {Object} render dimensions
+     */
+
+    const _getTopView = () => {
+        const topProperties = topLayer === 0 ? properties1 : properties2;
+        return topProperties ? topProperties.render_dims : null;
+    };
+
+    /**
+     * Redraw image layers with the top layer clipped by the blend mode
+     *
+     * @private
+     */
+
+    useEffect(() => {
+        if (!properties1 || !properties2) return;
+        [
+            [renderLayer1.current, imageLayer1.current, properties1, topLayer === 0],
+            [renderLayer2.current, imageLayer2.current, properties2, topLayer === 1]
+        ].forEach(([renderLayer, imageLayer, props, isTop]) => {
+            renderLayer.draw(imageLayer.canvas(), {
+                view: props.render_dims,
+                source: { x: 0, y: 0, w: props.image_dims.w, h: props.image_dims.h }
+            }, true, isTop ? blend.clip(props.render_dims, comparatorDims) : null);
+        });
+    }, [
+        properties1, properties2, topLayer,
+        blend.mode, blend.orientation, blend.position, blend.lens, blend.radius, blend.size
+    ]);
+
     /**
      * Load comparator images
      * - comparison of images in same scale
@@ -757,6 +909,16 @@ export const ComparatorTool = ({
                         onClick={reset}
                     />
                 </li>
+                <li>
+                    <Button
+                        id={'change_mode'}
+                        className={changes ? 'success' : 'secondary'}
+                        icon={'filter'}
+                        label={`Changes`}
+                        title={'Show changes between the compared images.'}
+                        onClick={() => { setChanges(!changes) }}
+                    />
+                </li>
                 <li>
                     <Button
                         id={'save_crop'}
@@ -804,6 +966,22 @@ export const ComparatorTool = ({
                 </li>
             </ul>
         </div>
+        <div className={'h-menu'}>
+            <ul>
+                <BlendMenu blend={blend} />
+            </ul>
+        </div>
+        {
+            changes &&
+            <ChangeDetector
+                key={changeKey}
+                getImages={_getChangeImages}
+                selection={_getChangeSelection()}
+                layer={changeImageLayer}
+                render={_renderChanges}
+                alpha={(value) => { changeLayer.current && changeLayer.current.alpha(value) }}
+            />
+        }
         {
             mode === 'crop' &&
             <CropTool
@@ -819,11 +997,20 @@ export const ComparatorTool = ({
             className={`layer canvas-layer-control-${mode}`}
             width={comparatorDims.w}
             height={comparatorDims.h}
-            onMouseUp={(e) => { methods.onMouseUp(e, properties, pointer) }}
-            onMouseDown={(e) => { methods.onMouseDown(e, properties, pointer, topLayer, properties1, properties2) }}
-            onMouseMove={(e) => { methods.onMouseMove(e, properties, pointer, topLayer) }}
-            onMouseOut={(e) => { methods.onMouseOut(e, properties, pointer) }}
-            onKeyDown={() => { }}
+            style={{ touchAction: blend.mode === 'opacity' ? 'auto' : 'none' }}
+            onMouseUp={(e) => { if (!blend.end()) methods.onMouseUp(e, properties, pointer) }}
+            onMouseDown={(e) => {
+                if (!blend.start(e, _getTopView()))
+                    methods.onMouseDown(e, properties, pointer, topLayer, properties1, properties2);
+            }}
+            onMouseMove={(e) => {
+                if (!blend.move(e, _getTopView())) methods.onMouseMove(e, properties, pointer, topLayer);
+            }}
+            onMouseOut={(e) => { if (!blend.end()) methods.onMouseOut(e, properties, pointer) }}
+            onTouchStart={(e) => { blend.start(e, _getTopView()) }}
+            onTouchMove={(e) => { blend.move(e, _getTopView()) }}
+            onTouchEnd={() => { blend.end() }}
+            onKeyDown={(e) => { blend.keyDown(e, _getTopView()) }}
             onKeyUp={() => { }}
         />
         <Overlay
@@ -834,6 +1021,14 @@ export const ComparatorTool = ({
             width={comparatorDims.w}
             height={comparatorDims.h}
         />
+        <Canvas
+            ref={changeLayer}
+            id={`comparator_change_layer`}
+            className={`layer`}
+            style={{ zIndex: 37 }}
+            width={comparatorDims.w}
+            height={comparatorDims.h}
+        />
         <Canvas
             ref={renderLayer1}
             id={`comparator_image_layer_1`}
@@ -864,6 +1059,13 @@ export const ComparatorTool = ({
             width={iat.options.maxImageWidth}
             height={iat.options.maxImageHeight}
         />
+        <Canvas
+            ref={changeImageLayer}
+            id={`comparator_change_render_layer`}
+            className={`layer canvas-layer-render hidden`}
+            width={iat.options.maxImageWidth}
+            height={iat.options.maxImageHeight}
+        />
         <Grid
             ref={gridLayer}
             id={`comparator_base_layer`}
@@ -13,6 +13,7 @@
  * ---------
  * Revisions
  * - 26-07-2023   Added pointer parameter to pass pointer hook.
+ * - 18-10-2026   Image cropping runs in worker pool (with main-thread fallback).
  */
 
 import React from 'react';
@@ -20,6 +21,9 @@ import InputSelector from '../../selectors/input.selector';
 import Button from '../../common/button';
 import {getScale} from './scaler.alignment';
 import {useIat} from "../../../providers/alignment.provider.client";
+import {cropImageData} from "../utils/raster.utils.alignment";
+import {isWorkerSupported, runTask} from "../utils/workers.utils.alignment";
+import {getError} from "../../../services/schema.services.client";
 
 
 /**
@@ -216,18 +220,61 @@ const scaleSelectBox = (selectBox, properties) => {
     return scaledSelectBox;
 }
 
+/**
+ * Draw cropped image data to canvas.
+ *
+ * @private
+ * @param canvas
+ * @param imageData
+ */
+
+const _drawCroppedImage = (canvas, imageData) => {
+    canvas.width = imageData.width;
+    canvas.height = imageData.height;
+    canvas.getContext('2d').putImageData(imageData, 0, 0);
+};
+
 /**
  * Crop image by coordinates.
+ * - crops in the worker pool when enabled (reports progress to the
+ *   optional task monitor), otherwise with CV WASM or on the main thread
  *
- * @publicx
+ * @public
+ * @param cv
  * @param canvas
  * @param image
  * @param cropDims
+ * @param options
+ * @param monitor
+ * @return {Promise<Object>} error
  */
 
-export const cropImage = (cv, canvas, image, cropDims) => {
+export const cropImage = async (cv, canvas, image, cropDims, options = {}, monitor = null) => {
 
     try {
+        // crop image data in worker pool
+        // - image buffer is copied before transfer to keep panel image data intact
+        if (options.useWorkers && isWorkerSupported()) {
+            const buffer = image.data.slice().buffer;
+            const result = await runTask('crop', {
+                data: buffer,
+                width: image.width,
+                height: image.height,
+                dims: cropDims
+            }, [buffer], monitor);
+            if (result.width > 0 && result.height > 0)
+                _drawCroppedImage(canvas, new ImageData(new Uint8ClampedArray(result.data), result.width, result.height));
+            return null;
+        }
+
+        // crop image data on main thread
+        if (!cv) {
+            const result = cropImageData(image.data, image.width, image.height, cropDims);
+            if (result.width > 0 && result.height > 0)
+                _drawCroppedImage(canvas, new ImageData(result.data, result.width, result.height));
+            return null;
+        }
+
         let src = cv.matFromImageData(image);
 
         // crop src -> dst image dimensions
@@ -243,8 +290,12 @@ export const cropImage = (cv, canvas, image, cropDims) => {
         src.delete();
         dst.delete();
         // return new ImageData(dstData, cropDims.w, cropDims.h);
+        return null;
     } catch (err) {
+        // worker pool errors (incl. cancellation) are already formatted
+        if (err && err.msg) return err;
         console.error(err);
+        return { msg: getError('default', 'canvas'), type: 'error' };
     }   
     
 }
\ No newline at end of file
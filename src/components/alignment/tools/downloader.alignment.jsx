@@ -4,25 +4,53 @@
  * Copyright(c) 2022 Runtime Software Development Inc.
  * Version 2.0
  * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Download controls for the Alignment Tool: panel image downloads and flicker animations
+ * (animated GIF or WebM video) cycling between the aligned panel images.
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Optional close handler (for downloads from within other dialogs)
+ * - 18-10-2026   Flicker animation export (GIF/WebM)
+ * - 18-10-2026   TIFF compression, sample format and metadata options
+ * - 18-10-2026   Crossfade of flicker animations spans the full fade time
  */
 
 import React from 'react';
+import saveAs from 'file-saver';
 import Button from '../../common/button';
 import InputSelector from '../../selectors/input.selector';
+import { UserMessage } from '../../common/message';
 import { useIat } from "../../../providers/alignment.provider.client";
+import { scaleToFit } from "./scaler.alignment";
+import { isWorkerSupported, runTask } from "../utils/workers.utils.alignment";
+import { encodeGIF } from "../utils/gif.utils.alignment";
+import { getError } from "../../../services/schema.services.client";
 
 /**
  * Defines download local file button. Expects callback to retrieve data
- * as Blob for the selected file format.
+ * as Blob for the selected file format. The close handler closes the
+ * dialog by default. TIFF encoding options (compression, sample format
+ * and metadata tags) are included in the selected format as 'tiff'.
  *
  * @public
  * @return {JSX.Element}
  */
 
-export const SaveAs = ({ callback=()=>{} }) => {
+export const SaveAs = ({ callback=()=>{}, close=null }) => {
 
     const iat = useIat();
+    const _close = close || (() => {iat.setDialog(null)});
     const [format, setFormat] = React.useState(null);
+    const [tiff, setTiff] = React.useState({
+        compression: 'lzw',
+        sampleFormat: 'rgba8',
+        artist: '',
+        description: ''
+    });
 
     // Handler for file format selection.
     const _handleSelect = (e) => {
@@ -37,11 +65,27 @@ export const SaveAs = ({ callback=()=>{} }) => {
         });
     };
 
+    // Handler for TIFF option changes.
+    const _handleTiff = (e) => {
+        const { target = {} } = e || {};
+        const { name = '', value = '' } = target;
+        setTiff(prevState => ({...prevState, [name]: value}));
+    };
+
     // Handler for file save as request.
     // - set canvas properties for file save
+    // - sample formats are named by channels and bit depth (e.g. 'gray16')
     const _handleDownload = () => {
-        callback(format);
-        iat.setDialog(null);
+        const {sampleFormat, ...tags} = tiff;
+        callback({
+            ...format,
+            tiff: {
+                ...tags,
+                grayscale: sampleFormat.startsWith('gray'),
+                bitDepth: parseInt(sampleFormat.replace(/\D/g, '')) || 8
+            }
+        });
+        _close();
     };
 
     // render download-as button
@@ -53,6 +97,54 @@ export const SaveAs = ({ callback=()=>{} }) => {
             value={format && format.type}
             onChange={_handleSelect}
         />
+        {
+            format && format.type === 'image/tiff' && <div className={'h-menu'}>
+                <ul>
+                    <li style={{width: '140px'}}>
+                        <InputSelector
+                            id={'tiff_compression'}
+                            name={'compression'}
+                            label={'Compression'}
+                            type={'select'}
+                            value={tiff.compression}
+                            options={iat.options.tiffCompressions}
+                            onChange={_handleTiff}
+                        />
+                    </li>
+                    <li style={{width: '160px'}}>
+                        <InputSelector
+                            id={'tiff_sample_format'}
+                            name={'sampleFormat'}
+                            label={'Sample Format'}
+                            type={'select'}
+                            value={tiff.sampleFormat}
+                            options={iat.options.tiffSampleFormats}
+                            onChange={_handleTiff}
+                        />
+                    </li>
+                    <li>
+                        <InputSelector
+                            id={'tiff_artist'}
+                            name={'artist'}
+                            label={'Artist'}
+                            type={'text'}
+                            value={tiff.artist}
+                            onChange={_handleTiff}
+                        />
+                    </li>
+                    <li>
+                        <InputSelector
+                            id={'tiff_description'}
+                            name={'description'}
+                            label={'Description'}
+                            type={'text'}
+                            value={tiff.description}
+                            onChange={_handleTiff}
+                        />
+                    </li>
+                </ul>
+            </div>
+        }
         {
             format &&
                 <>
@@ -63,8 +155,390 @@ export const SaveAs = ({ callback=()=>{} }) => {
                         title={`Save As ${String(format.ext).toUpperCase()}`}
                         onClick={_handleDownload}>
                     </Button>&#160;
-                    <Button icon={'cancel'} label={'Cancel'} onClick={()=>{iat.setDialog(null)}} />
+                    <Button icon={'cancel'} label={'Cancel'} onClick={_close} />
             </>
         }
     </fieldset>;
 };
+
+/**
+ * Draw panel image with caption to a flicker frame canvas.
+ * - the image is scaled to fit and centred on a black background
+ *
+ * @private
+ * @param {ImageData} image
+ * @param {String} caption
+ * @param {int} width
+ * @param {int} height
+ * @return {HTMLCanvasElement} frame canvas
+ */
+
+const _getFlickerFrame = (image, caption, width, height) => {
+    const source = document.createElement('canvas');
+    source.width = image.width;
+    source.height = image.height;
+    source.getContext('2d').putImageData(image, 0, 0);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#000000';
+    context.fillRect(0, 0, width, height);
+    context.imageSmoothingQuality = 'high';
+    const dims = scaleToFit(image.width, image.height, width, height);
+    context.drawImage(source, (width - dims.w) / 2, (height - dims.h) / 2, dims.w, dims.h);
+
+    // caption on a translucent band at the bottom of the frame
+    if (caption) {
+        const fontSize = Math.max(12, Math.round(height / 20));
+        context.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        context.fillRect(0, height - 1.8 * fontSize, width, 1.8 * fontSize);
+        context.font = `${fontSize}px sans-serif`;
+        context.textBaseline = 'middle';
+        context.fillStyle = '#ffffff';
+        context.fillText(caption, fontSize / 2, height - 0.9 * fontSize, width - fontSize);
+    }
+    return canvas;
+};
+
+/**
+ * Create flicker animation frames cycling between two images.
+ * - each image is held for the hold time, followed by a crossfade to the other image
+ *
+ * @public
+ * @param {Array} images panel image data
+ * @param {Array} captions
+ * @param {Object} settings
+ * @return {{frames: Array, delays: Array}} frame image data and display times (ms)
+ */
+
+export const getFlickerFrames = (images, captions, settings) => {
+    const {width, height, hold, fade, frameRate} = settings;
+    const [frame1, frame2] = images.map((image, index) => _getFlickerFrame(image, captions[index], width, height));
+    const step = 1000 / frameRate;
+    const fadeSteps = fade > 0 ? Math.max(Math.round(fade / step), 1) : 0;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+
+    // draw crossfade from one frame to the other
+    const _blend = (from, to, t) => {
+        context.globalAlpha = 1;
+        context.drawImage(from, 0, 0);
+        context.globalAlpha = t;
+        context.drawImage(to, 0, 0);
+        context.globalAlpha = 1;
+        return context.getImageData(0, 0, width, height);
+    };
+
+    const frames = [], delays = [];
+    [[frame1, frame2], [frame2, frame1]].forEach(([from, to]) => {
+        frames.push(_blend(from, to, 0));
+        delays.push(hold);
+        // intermediate frames (excl. both end frames) span the fade time
+        for (let i = 1; i <= fadeSteps; i++) {
+            frames.push(_blend(from, to, i / (fadeSteps + 1)));
+            delays.push(step);
+        }
+    });
+    return {frames: frames, delays: delays};
+};
+
+/**
+ * Encode flicker frames as an animated GIF.
+ *
+ * @public
+ * @param {Array} frames frame image data
+ * @param {Array} delays frame display times (ms)
+ * @param {Object} options
+ * @param {Object} monitor
+ * @return {Promise<{data: Blob, error: Object}>}
+ */
+
+export const encodeFlickerGIF = async (frames, delays, options = {}, monitor = null) => {
+    try {
+        const {width, height} = frames[0];
+
+        // encode frames in worker pool
+        if (options.useWorkers && isWorkerSupported()) {
+            const buffers = frames.map(frame => frame.data.buffer);
+            const result = await runTask('gif', {
+                frames: buffers,
+                width: width,
+                height: height,
+                delays: delays
+            }, buffers, monitor);
+            return {data: new Blob([result.data], {type: 'image/gif'}), error: null};
+        }
+        const gif = encodeGIF(frames.map(frame => frame.data), width, height, delays);
+        return {data: new Blob([gif], {type: 'image/gif'}), error: null};
+    } catch (err) {
+        // worker pool errors (incl. cancellation) are already formatted
+        if (err && err.msg) return {data: null, error: err};
+        console.error(err);
+        return {data: null, error: {msg: getError('default', 'canvas'), type: 'error'}};
+    }
+};
+
+/**
+ * Record flicker frames as WebM video (MediaRecorder on a canvas stream).
+ * - frames are played back in real time, so recording takes the animation duration
+ *
+ * @public
+ * @param {Array} frames frame image data
+ * @param {Array} delays frame display times (ms)
+ * @param {int} loops number of animation cycles
+ * @param {int} frameRate
+ * @param {Object} monitor
+ * @return {Promise<{data: Blob, error: Object}>}
+ */
+
+export const recordFlickerWebM = (frames, delays, loops, frameRate, monitor = null) => {
+    const {onStart = () => {}, onProgress = () => {}, onEnd = () => {}} = monitor || {};
+    return new Promise((resolve) => {
+        if (typeof MediaRecorder === 'undefined' || !MediaRecorder.isTypeSupported('video/webm')) {
+            return resolve({data: null, error: {msg: getError('unsupportedVideo', 'canvas'), type: 'error'}});
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = frames[0].width;
+        canvas.height = frames[0].height;
+        const context = canvas.getContext('2d');
+        if (!canvas.captureStream) {
+            return resolve({data: null, error: {msg: getError('unsupportedVideo', 'canvas'), type: 'error'}});
+        }
+        const recorder = new MediaRecorder(canvas.captureStream(frameRate), {mimeType: 'video/webm'});
+        const chunks = [];
+        const total = loops * delays.reduce((sum, delay) => sum + delay, 0);
+        let elapsed = 0, index = 0, timer = null, cancelled = false;
+
+        recorder.ondataavailable = (e) => {
+            if (e.data && e.data.size > 0) chunks.push(e.data);
+        };
+        recorder.onstop = () => {
+            onEnd();
+            if (cancelled) return resolve({data: null, error: {msg: getError('cancelled', 'canvas'), type: 'warning'}});
+            resolve({data: new Blob(chunks, {type: 'video/webm'}), error: null});
+        };
+
+        // draw frames in sequence for the requested number of cycles
+        const _next = () => {
+            if (index >= loops * frames.length) return recorder.stop();
+            const frame = index % frames.length;
+            context.putImageData(frames[frame], 0, 0);
+            onProgress(Math.round(100 * elapsed / total));
+            elapsed += delays[frame];
+            index++;
+            timer = setTimeout(_next, delays[frame]);
+        };
+
+        onStart(() => {
+            cancelled = true;
+            clearTimeout(timer);
+            recorder.stop();
+        });
+        recorder.start();
+        _next();
+    });
+};
+
+/**
+ * Flicker animation export dialog. Cycles between the aligned panel images
+ * with configurable hold time, crossfade, captions and dimensions.
+ *
+ * @public
+ * @return {JSX.Element}
+ */
+
+export const FlickerExport = () => {
+
+    const iat = useIat();
+    const {image_dims = {}} = iat.panel1.properties || {};
+
+    // default animation dimensions fit the first panel image
+    const defaultDims = scaleToFit(
+        image_dims.w || iat.options.defaultW,
+        image_dims.h || iat.options.defaultH,
+        iat.options.flickerMaxWidth,
+        iat.options.flickerMaxHeight
+    );
+
+    // animation settings
+    const [settings, setSettings] = React.useState({
+        format: 'image/gif',
+        width: Math.round(Math.min(defaultDims.w, image_dims.w || defaultDims.w)),
+        height: Math.round(Math.min(defaultDims.h, image_dims.h || defaultDims.h)),
+        hold: iat.options.flickerHold,
+        fade: iat.options.flickerFade,
+        loops: 3,
+        caption1: iat.panel1.properties.label || '',
+        caption2: iat.panel2.properties.label || ''
+    });
+
+    // running export and messages
+    const [job, setJob] = React.useState(null);
+    const [message, setMessage] = React.useState(null);
+
+    // update numeric setting within limits
+    const _handleNumber = (min, max) => (e) => {
+        const { target = {} } = e || {};
+        const { name = '', value = '' } = target;
+        const number = Math.min(Math.max(parseInt(value) || 0, min), max);
+        setSettings(prevState => ({...prevState, [name]: number}));
+    };
+
+    // update text or select setting
+    const _handleText = (e) => {
+        const { target = {} } = e || {};
+        const { name = '', value = '' } = target;
+        setSettings(prevState => ({...prevState, [name]: value}));
+    };
+
+    // create frames and export animation
+    const _handleExport = async () => {
+        setMessage(null);
+        const {frames, delays} = getFlickerFrames(
+            [iat.panel1.image, iat.panel2.image],
+            [settings.caption1, settings.caption2],
+            {...settings, frameRate: iat.options.flickerFrameRate}
+        );
+        const monitor = {
+            onStart: (cancel) => setJob({percent: 0, cancel: cancel}),
+            onProgress: (percent) => setJob(prevState => prevState ? {...prevState, percent: percent} : prevState),
+            onEnd: () => setJob(null)
+        };
+        const isGIF = settings.format === 'image/gif';
+        const {data, error} = isGIF
+            ? await encodeFlickerGIF(frames, delays, iat.options, monitor)
+            : await recordFlickerWebM(frames, delays, settings.loops, iat.options.flickerFrameRate, monitor);
+        if (error) return setMessage(error);
+        saveAs(data, `flicker_${Date.now()}.${isGIF ? 'gif' : 'webm'}`);
+        setMessage({msg: 'Flicker animation exported.', type: 'success'});
+    };
+
+    return <div>
+        {
+            message && <UserMessage onClose={() => {setMessage(null)}} closeable={true} message={message}/>
+        }
+        <fieldset className={'compact'}>
+            <legend>Animation</legend>
+            <div className={'h-menu'}>
+                <ul>
+                    <li style={{width: '160px'}}>
+                        <InputSelector
+                            id={'flicker_format'}
+                            name={'format'}
+                            label={'Format'}
+                            type={'select'}
+                            value={settings.format}
+                            options={iat.options.flickerFormats}
+                            onChange={_handleText}
+                        />
+                    </li>
+                    <li>
+                        <InputSelector
+                            id={'flicker_hold'}
+                            name={'hold'}
+                            label={'Hold (ms)'}
+                            type={'int'}
+                            value={settings.hold}
+                            onChange={_handleNumber(100, 60000)}
+                        />
+                    </li>
+                    <li>
+                        <InputSelector
+                            id={'flicker_fade'}
+                            name={'fade'}
+                            label={'Crossfade (ms)'}
+                            type={'int'}
+                            value={settings.fade}
+                            onChange={_handleNumber(0, 10000)}
+                        />
+                    </li>
+                    <li>
+                        <InputSelector
+                            id={'flicker_loops'}
+                            name={'loops'}
+                            label={'Cycles (WebM)'}
+                            type={'int'}
+                            disabled={settings.format === 'image/gif'}
+                            value={settings.loops}
+                            onChange={_handleNumber(1, 100)}
+                        />
+                    </li>
+                </ul>
+            </div>
+            <div className={'h-menu'}>
+                <ul>
+                    <li>
+                        <InputSelector
+                            id={'flicker_width'}
+                            name={'width'}
+                            label={'Width'}
+                            type={'int'}
+                            value={settings.width}
+                            onChange={_handleNumber(16, iat.options.flickerMaxWidth)}
+                        />
+                    </li>
+                    <li>
+                        <InputSelector
+                            id={'flicker_height'}
+                            name={'height'}
+                            label={'Height'}
+                            type={'int'}
+                            value={settings.height}
+                            onChange={_handleNumber(16, iat.options.flickerMaxHeight)}
+                        />
+                    </li>
+                </ul>
+            </div>
+        </fieldset>
+        <fieldset className={'compact'}>
+            <legend>Captions</legend>
+            <div className={'h-menu'}>
+                <ul>
+                    <li>
+                        <InputSelector
+                            id={'flicker_caption1'}
+                            name={'caption1'}
+                            label={iat.panel1.properties.label}
+                            type={'text'}
+                            value={settings.caption1}
+                            onChange={_handleText}
+                        />
+                    </li>
+                    <li>
+                        <InputSelector
+                            id={'flicker_caption2'}
+                            name={'caption2'}
+                            label={iat.panel2.properties.label}
+                            type={'text'}
+                            value={settings.caption2}
+                            onChange={_handleText}
+                        />
+                    </li>
+                </ul>
+            </div>
+        </fieldset>
+        <fieldset className={'submit h-menu'}>
+            <ul>
+                <li><Button
+                    icon={job ? 'cancel' : 'download'}
+                    label={job ? `Cancel (${job.percent}%)` : 'Export'}
+                    title={job ? 'Cancel export.' : 'Export flicker animation.'}
+                    onClick={job ? job.cancel : _handleExport}
+                /></li>
+                <li><Button
+                    icon={'close'}
+                    label={'Close'}
+                    disabled={!!job}
+                    onClick={() => {
+                        iat.setDialog(null);
+                    }}
+                /></li>
+            </ul>
+        </fieldset>
+    </div>;
+};
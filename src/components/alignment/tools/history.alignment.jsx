@@ -0,0 +1,194 @@
+/*!
+ * MLE.Client.Components.Toolkit.History
+ * File: history.alignment.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Toolkit history handles undo/redo of panel commands (crop, resize, alignment, reset and
+ * control point edits). A snapshot of the panel state is recorded before each command:
+ * - panel image data (shared by reference between snapshots of the same image)
+ * - high bit-depth image data (16-bit TIFF scans)
+ * - region-of-interest mask
+ * - image dimensions and processing steps
+ * - control points
+ * - alignment report
+ *
+ * Snapshots are memory-bounded: the oldest snapshots are dropped when the number of
+ * snapshots or the total size of the distinct snapshot images exceeds the history limits.
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Initial version
+ * - 18-10-2026   Snapshots include high bit-depth image data
+ * - 18-10-2026   Snapshots include region-of-interest masks
+ */
+
+import {useRef, useState} from 'react';
+
+// command sequence number shared by panel histories
+// - orders commands across panels for keyboard undo/redo
+let sequence = 0;
+
+/**
+ * Compute memory used by snapshot images (in bytes).
+ * - images shared between snapshots or with the current panel state are counted once
+ * - high bit-depth image data and masks are included
+ *
+ * @private
+ * @param {Array} snapshots
+ * @param {Object} current panel state (image, depth and mask data)
+ * @return {Number} bytes
+ */
+
+const _getMemory = (snapshots, current) => {
+    const {image = null, depth = null, mask = null} = current || {};
+    const images = new Set(snapshots.flatMap(snapshot => [snapshot.image, snapshot.depth, snapshot.mask])
+        .filter(data => data && data !== image && data !== depth && data !== mask));
+    return Array.from(images).reduce((sum, image) => sum + image.data.byteLength, 0);
+};
+
+/**
+ * Drop oldest snapshots to keep history within bounds.
+ * - redo snapshots are dropped last
+ *
+ * @private
+ * @param {Object} stacks
+ * @param {Object} current panel state (image, depth and mask data)
+ * @param options
+ * @return {Object} bounded stacks
+ */
+
+const _bound = (stacks, current, options) => {
+    const {historyMax = 30, historyMaxMemory = 256 * 1024 * 1024} = options || {};
+    let {past, future} = stacks;
+    while (past.length + future.length > 0 && (
+        past.length + future.length > historyMax
+        || _getMemory([...past, ...future], current) > historyMaxMemory)) {
+        if (past.length > 0) past = past.slice(1);
+        else future = future.slice(0, -1);
+    }
+    return {past, future};
+};
+
+/**
+ * Create panel history hook.
+ *
+ * @param {Object} state current panel state (image, depth, mask, properties, points, alignment)
+ * @param options
+ * @return {Object} history
+ */
+
+export function useHistory(state, options) {
+
+    const [stacks, setStacks] = useState({past: [], future: []});
+    const [restored, setRestored] = useState(null);
+
+    // keep current state for commands recorded from stale event handlers
+    const current = useRef(state);
+    current.current = state;
+
+    /**
+     * Create snapshot of current panel state
+     *
+     * @param {String} label
+     * @return {Object} snapshot
+     * */
+
+    const _snapshot = (label) => {
+        const {image, depth, mask, properties, points, alignment} = current.current || {};
+        return {
+            label: label,
+            sequence: ++sequence,
+            image: image,
+            depth: depth,
+            mask: mask,
+            properties: {
+                image_dims: properties.image_dims,
+                render_dims: properties.render_dims,
+                base_dims: properties.base_dims,
+                steps: properties.steps
+            },
+            points: points,
+            alignment: alignment
+        };
+    };
+
+    /**
+     * Record panel state before a command is applied
+     * - clears redo history
+     *
+     * @param {String} label
+     * */
+
+    const record = (label) => {
+        const snapshot = _snapshot(label);
+        if (!snapshot.image) return;
+        setStacks(prevState => _bound(
+            {past: [...prevState.past, snapshot], future: []},
+            current.current,
+            options
+        ));
+    };
+
+    /**
+     * Undo last command(s)
+     * - snapshots of undone states are moved to the redo history
+     *
+     * @param {int} n number of commands to undo
+     * */
+
+    const undo = (n = 1) => {
+        const {past, future} = stacks;
+        if (n < 1 || n > past.length) return;
+        const index = past.length - n;
+        const target = past[index];
+        // undone states are labelled with the command that produced them
+        const undone = [...past.slice(index + 1), _snapshot('')]
+            .map((snapshot, i) => ({...snapshot, label: past[index + i].label, sequence: ++sequence}));
+        setStacks({past: past.slice(0, index), future: [...undone, ...future]});
+        setRestored(target);
+    };
+
+    /**
+     * Redo last undone command(s)
+     *
+     * @param {int} n number of commands to redo
+     * */
+
+    const redo = (n = 1) => {
+        const {past, future} = stacks;
+        if (n < 1 || n > future.length) return;
+        const target = future[n - 1];
+        // redone states are labelled with the command that follows them
+        const redone = [_snapshot(''), ...future.slice(0, n - 1)]
+            .map((snapshot, i) => ({...snapshot, label: future[i].label, sequence: ++sequence}));
+        setStacks(_bound({past: [...past, ...redone], future: future.slice(n)}, target, options));
+        setRestored(target);
+    };
+
+    /**
+     * Clear history (e.g. on new image load)
+     * */
+
+    const clear = () => {
+        setStacks({past: [], future: []});
+        setRestored(null);
+    };
+
+    return {
+        past: stacks.past,
+        future: stacks.future,
+        memory: _getMemory([...stacks.past, ...stacks.future], state),
+        canUndo: stacks.past.length > 0,
+        canRedo: stacks.future.length > 0,
+        restored,
+        record,
+        undo,
+        redo,
+        clear
+    };
+}
@@ -4,6 +4,10 @@
  * Copyright(c) 2023 Runtime Software Development Inc.
  * Version 2.0
  * MIT Licensed
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Image picker selects multiple images (e.g. captures of a panorama)
  */
 
 import React from 'react';
@@ -209,17 +213,20 @@ export const ImporterAlignment = ({ id = null, callback = () => {}, cancel = ()
 };
 /**
  * Image selector widget.
+ * - selecting an image again deselects it if multiple images can be selected
  *
  * @public
  * @param {Array} files
  * @param {Function} onClick
  * @param {Function} onDblClick
+ * @param {Boolean} multiple
  */
 
 export const ImagePicker = ({
                                 files,
                                 onClick = () => {},
                                 onDblClick = () => {},
+                                multiple = false,
                             }) => {
 
     // prepare capture images columns
@@ -235,7 +242,18 @@ export const ImagePicker = ({
     const api = useData();
 
     // set image selection state
-    const [selected, setSelected] = React.useState(null);
+    // - list of selected file IDs if multiple images can be selected
+    const [selected, setSelected] = React.useState(multiple ? [] : null);
+
+    // check if file ID is selected
+    const _isSelected = (id) => multiple ? selected.includes(id) : selected === id;
+
+    // update selection with file ID
+    const _select = (id) => {
+        setSelected(multiple
+            ? selected.includes(id) ? selected.filter(selectedID => selectedID !== id) : [...selected, id]
+            : id);
+    };
 
     // prepare capture image data rows
     const rows = files.map(fileData => {
@@ -246,14 +264,14 @@ export const ImagePicker = ({
         const imageState = image_states.find(opt => opt.value === metadata.image_state);
         const rows = {
             select: <div
-                className={selected === id ? 'selected' : ''}
+                className={_isSelected(id) ? 'selected' : ''}
                 style={{textAlign: 'center', height: '50px', width: '50px', margin: 'auto'}}>
                 <InputSelector
                 name={'selectedImage'}
                 type={'checkbox'}
-                value={id === selected}
+                value={_isSelected(id)}
                 onChange={() => {
-                    setSelected(id)
+                    _select(id);
                     onClick(file);
                 }}
                 /></div>,
@@ -264,7 +282,7 @@ export const ImagePicker = ({
                     title={`Select ${filename || ''}.`}
                     caption={filename}
                     onClick={() => {
-                        setSelected(id)
+                        _select(id);
                         onClick(file);
                     }}
                     onDoubleClick={() => {
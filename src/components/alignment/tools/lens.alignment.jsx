@@ -0,0 +1,273 @@
+/*!
+ * MLE.Client.Tools.Toolkit.Lens
+ * File: lens.alignment.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Lens distortion correction of panel images (see lens.utils.alignment.js). Radial (k1, k2)
+ * coefficients are set with sliders and tangential (p1, p2) coefficients as numbers. The
+ * correction is previewed in the dialog over a reference grid (straight lines in the scene
+ * should follow the grid) and is only applied to the panel image when saved.
+ *
+ * Coefficients can be saved as a preset for the lens record and focal length of library
+ * images; the saved preset is selected when the dialog is opened for an image taken with
+ * the same lens.
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Initial version
+ */
+
+import React from 'react';
+import Button from '../../common/button';
+import InputSelector from '../../selectors/input.selector';
+import Canvas from "../canvas/default.canvas.alignment";
+import {useIat} from "../../../providers/alignment.provider.client";
+import {useData} from "../../../providers/data.provider.client";
+import {getPreview} from "./tone.alignment";
+import {isWorkerSupported, runTask} from "../utils/workers.utils.alignment";
+import {getLensPreset, isLensActive, lensCoefficients, saveLensPreset, undistortImageData}
+    from "../utils/lens.utils.alignment";
+import {getError} from "../../../services/schema.services.client";
+
+// slider ranges of radial coefficients
+const K1_MAX = 0.5;
+const K2_MAX = 0.25;
+const SLIDER_STEPS = 100;
+
+// default (identity) lens coefficients
+const noDistortion = {k1: 0, k2: 0, p1: 0, p2: 0};
+
+/**
+ * Correct lens distortion of panel image data.
+ *
+ * @public
+ * @param {ImageData} image
+ * @param {Object} lens {k1, k2, p1, p2}
+ * @param {Object} options
+ * @param {Object} monitor
+ * @return {Promise<{data: ImageData, error: Object}>}
+ */
+
+export const correctLens = async (image, lens, options = {}, monitor = null) => {
+    try {
+        const params = {...lens, interpolation: options.interpolation};
+        // correct image data in worker pool
+        // - image buffer is copied before transfer to keep panel image data intact
+        if (options.useWorkers && isWorkerSupported()) {
+            const buffer = image.data.slice().buffer;
+            const result = await runTask('undistort', {
+                data: buffer,
+                width: image.width,
+                height: image.height,
+                lens: params
+            }, [buffer], monitor);
+            return {data: new ImageData(new Uint8ClampedArray(result.data), result.width, result.height), error: null};
+        }
+        const corrected = undistortImageData(image.data, image.width, image.height, params);
+        return {data: new ImageData(corrected.data, corrected.width, corrected.height), error: null};
+    } catch (err) {
+        // worker pool errors (incl. cancellation) are already formatted
+        if (err && err.msg) return {data: null, error: err};
+        console.error(err);
+        return {data: null, error: {msg: getError('default', 'canvas'), type: 'error'}};
+    }
+};
+
+/**
+ * Draw reference grid over preview.
+ *
+ * @private
+ * @param {CanvasRenderingContext2D} context
+ * @param {int} width
+ * @param {int} height
+ */
+
+const _drawGrid = (context, width, height) => {
+    const cells = 8;
+    context.beginPath();
+    for (let i = 1; i < cells; i++) {
+        const x = Math.round(i * width / cells) + 0.5;
+        const y = Math.round(i * height / cells) + 0.5;
+        context.moveTo(x, 0);
+        context.lineTo(x, height);
+        context.moveTo(0, y);
+        context.lineTo(width, y);
+    }
+    context.lineWidth = 1;
+    context.strokeStyle = 'rgba(0,255,255,0.6)';
+    context.stroke();
+};
+
+/**
+ * Lens distortion correction dialog for panel image.
+ *
+ * @public
+ * @param {String} id
+ * @param {Function} callback
+ * @return {JSX.Element}
+ */
+
+export const LensCorrector = ({id = '', callback = () => {}}) => {
+
+    const iat = useIat();
+    const api = useData();
+    const panel = iat[id];
+    const {lens_id = null, focal_length = null} = panel.properties || {};
+    const previewDims = {w: iat.options.maxTonePreviewWidth, h: iat.options.maxTonePreviewHeight};
+
+    // lens record label (MLP lens types)
+    const lensOptions = (api && api.options && api.options.lens) || [];
+    const lensRecord = lensOptions.find(opt => String(opt.value) === String(lens_id));
+    const lensLabel = lens_id ? (lensRecord ? lensRecord.label : `Lens ${lens_id}`) : 'Unknown lens';
+
+    // distortion coefficients (initialized from saved preset for lens)
+    const [preset, ] = React.useState(getLensPreset(lens_id, focal_length));
+    const [lens, setLens] = React.useState(() => {
+        return lensCoefficients.reduce((o, key) => ({...o, [key]: (preset && preset[key]) || 0}), {});
+    });
+    const [saved, setSaved] = React.useState(false);
+
+    // preview canvas and downscaled panel image
+    const previewLayer = React.useRef(null);
+    const [preview, setPreview] = React.useState(null);
+
+    // prepare preview
+    React.useEffect(() => {
+        setPreview(getPreview(panel.image, previewDims));
+    }, [panel.image]);
+
+    // update preview on coefficient changes
+    React.useEffect(() => {
+        if (!preview) return;
+        const corrected = undistortImageData(preview.data, preview.width, preview.height, lens);
+        previewLayer.current.load(new ImageData(corrected.data, corrected.width, corrected.height));
+        _drawGrid(previewLayer.current.context(), preview.width, preview.height);
+    }, [preview, lens]);
+
+    // update radial coefficient from slider position
+    const _handleSlider = (key, max) => (e) => {
+        const { target = {} } = e || {};
+        const value = parseInt(target.value);
+        setSaved(false);
+        setLens(prevState => ({...prevState, [key]: isNaN(value) ? 0 : value * max / SLIDER_STEPS}));
+    };
+
+    // update coefficient value
+    const _handleValue = (e) => {
+        const { target = {} } = e || {};
+        const { name = '' } = target;
+        const value = parseFloat(target.value);
+        setSaved(false);
+        setLens(prevState => ({...prevState, [name]: isNaN(value) ? 0 : value}));
+    };
+
+    // save coefficients as preset for lens record and focal length
+    const _handlePreset = () => {
+        saveLensPreset(lens_id, focal_length, lens);
+        setSaved(true);
+    };
+
+    // apply lens correction to panel image
+    const _handleSave = () => {
+        callback(lens);
+        iat.setDialog(null);
+    };
+
+    return <div>
+        <fieldset className={'compact'}>
+            <legend>{`${panel.properties.label} (Corrected)`}</legend>
+            <Canvas ref={previewLayer} id={`${id}_lens_preview`} />
+        </fieldset>
+        <fieldset className={'compact'}>
+            <legend>{`${lensLabel}${focal_length ? `, ${focal_length} mm` : ''}`}</legend>
+            <div className={'h-menu'}>
+                <ul>
+                    <li>
+                        <InputSelector
+                            style={{ width: '160px' }}
+                            id={`${id}_lens_k1_slider`}
+                            name={'k1_slider'}
+                            label={`Radial k1 ${lens.k1.toFixed(3)}`}
+                            type={'range'}
+                            value={Math.round(lens.k1 * SLIDER_STEPS / K1_MAX)}
+                            min={-SLIDER_STEPS}
+                            max={SLIDER_STEPS}
+                            onChange={_handleSlider('k1', K1_MAX)}
+                        />
+                    </li>
+                    <li>
+                        <InputSelector
+                            style={{ width: '160px' }}
+                            id={`${id}_lens_k2_slider`}
+                            name={'k2_slider'}
+                            label={`Radial k2 ${lens.k2.toFixed(3)}`}
+                            type={'range'}
+                            value={Math.round(lens.k2 * SLIDER_STEPS / K2_MAX)}
+                            min={-SLIDER_STEPS}
+                            max={SLIDER_STEPS}
+                            onChange={_handleSlider('k2', K2_MAX)}
+                        />
+                    </li>
+                </ul>
+            </div>
+            <div className={'h-menu'}>
+                <ul>
+                    {
+                        lensCoefficients.map(key => <li key={`${id}_lens_${key}`}>
+                            <InputSelector
+                                id={`${id}_lens_${key}`}
+                                name={key}
+                                label={key}
+                                type={'float'}
+                                value={lens[key]}
+                                onChange={_handleValue}
+                            />
+                        </li>)
+                    }
+                    <li><Button
+                        disabled={!lens_id}
+                        icon={'save'}
+                        label={saved ? 'Preset Saved' : 'Save Preset'}
+                        title={lens_id
+                            ? `Save coefficients as preset for ${lensLabel}.`
+                            : 'Presets require a library image with a lens record.'}
+                        onClick={_handlePreset}
+                    /></li>
+                </ul>
+            </div>
+        </fieldset>
+        <fieldset className={'submit h-menu'}>
+            <ul>
+                <li><Button
+                    disabled={!isLensActive(lens)}
+                    icon={'success'}
+                    label={'Save'}
+                    title={'Apply lens correction to panel image.'}
+                    onClick={_handleSave}
+                /></li>
+                <li><Button
+                    icon={'undo'}
+                    label={'Reset'}
+                    onClick={() => {
+                        setSaved(false);
+                        setLens(noDistortion);
+                    }}
+                /></li>
+                <li><Button
+                    icon={'cancel'}
+                    label={'Cancel'}
+                    onClick={() => {
+                        iat.setDialog(null);
+                    }}
+                /></li>
+            </ul>
+        </fieldset>
+    </div>;
+};
+
+export default LensCorrector;
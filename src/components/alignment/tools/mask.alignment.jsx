@@ -0,0 +1,210 @@
+/*!
+ * MLE.Client.Tools.Toolkit.Mask
+ * File: mask.alignment.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Mask tool controls for Alignment Tool panels. Region-of-interest masks (see
+ * mask.utils.alignment.js) are painted with a brush or drawn as polygons on the panel
+ * image in mask mode; the erase setting removes painted or drawn regions instead.
+ * Polygons are closed by clicking the first vertex or with the close button.
+ *
+ * Masks can be inverted, cleared and downloaded as a grayscale PNG image (masked pixels
+ * are white) or as polygon outlines in image coordinates (JSON).
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Initial version
+ */
+
+import React from 'react';
+import saveAs from 'file-saver';
+import Button from '../../common/button';
+import Badge from '../../common/badge';
+import InputSelector from '../../selectors/input.selector';
+import {useIat} from "../../../providers/alignment.provider.client";
+import {getMaskCoverage, getMaskFeatures, maskToGrayscale} from "../utils/mask.utils.alignment";
+
+/**
+ * Download panel mask as grayscale PNG image.
+ *
+ * @public
+ * @param {Object} mask
+ * @param {String} filename
+ */
+
+export const downloadMaskImage = (mask, filename) => {
+    if (!mask) return;
+    const canvas = document.createElement('canvas');
+    canvas.width = mask.width;
+    canvas.height = mask.height;
+    canvas.getContext('2d').putImageData(new ImageData(maskToGrayscale(mask), mask.width, mask.height), 0, 0);
+    canvas.toBlob((blob) => {
+        if (blob) saveAs(blob, `${filename}.mask.png`);
+    }, 'image/png');
+};
+
+/**
+ * Download panel mask as polygon outlines (JSON).
+ *
+ * @public
+ * @param {Object} mask
+ * @param {Object} properties panel properties
+ * @param {String} filename
+ * @param {Number} tolerance
+ */
+
+export const downloadMaskPolygons = (mask, properties, filename, tolerance) => {
+    if (!mask) return;
+    const features = getMaskFeatures(mask, {
+        panel: properties.id,
+        filename: properties.filename || null,
+        files_id: properties.files_id || null
+    }, tolerance);
+    const blob = new Blob([JSON.stringify(features, null, 2)], {type: 'application/json'});
+    saveAs(blob, `${filename}.mask.json`);
+};
+
+/**
+ * Creates mask control panel component.
+ *
+ * @public
+ * @param {String} id
+ * @param {Function} close closes drawn polygon
+ * @param {Function} invert
+ * @param {Function} clear
+ * @return {JSX.Element}
+ */
+
+const MaskTool = ({id, close = () => {}, invert = () => {}, clear = () => {}}) => {
+
+    const iat = useIat();
+    const panel = iat[id];
+    const {maskTool, maskTools, maskErase, maskBrushSize, maskVisible, maskTolerance} = iat.options;
+
+    // masked fraction of image
+    const coverage = React.useMemo(() => getMaskCoverage(panel.mask), [panel.mask]);
+    const active = coverage > 0;
+
+    // update mask tool setting
+    const _setOption = (key, value) => {
+        iat.setOptions(options => ({...options, [key]: value}));
+    };
+
+    // download filename (without extension)
+    const _getFilename = () => `${panel.properties.filename || id}_${Date.now()}`;
+
+    return <div className={'canvas-view-controls'}>
+        <fieldset className={'super_compact'}>
+            <div className={'h-menu centered'}>
+                <ul>
+                    <li>
+                        <Badge
+                            icon={'mask'}
+                            label={`Masked: ${(100 * coverage).toFixed(1)}%`}
+                            title={'Masked regions are excluded from alignment metrics, point suggestion and change detection.'}
+                        />
+                    </li>
+                    <li>
+                        <InputSelector
+                            id={`${id}_mask_tool`}
+                            name={'maskTool'}
+                            type={'select'}
+                            value={maskTool}
+                            options={maskTools}
+                            onChange={(e) => {_setOption('maskTool', e.target.value)}}
+                        />
+                    </li>
+                    <li>
+                        <InputSelector
+                            id={`${id}_mask_erase`}
+                            name={'maskErase'}
+                            label={'Erase'}
+                            type={'checkbox'}
+                            value={maskErase}
+                            onChange={() => {_setOption('maskErase', !maskErase)}}
+                        />
+                    </li>
+                    {
+                        maskTool === 'brush' && <li>
+                            <InputSelector
+                                id={`${id}_mask_brush`}
+                                name={'maskBrushSize'}
+                                label={'Brush'}
+                                type={'int'}
+                                min={1}
+                                max={200}
+                                value={maskBrushSize}
+                                onChange={(e) => {
+                                    const value = parseInt(e.target.value);
+                                    _setOption('maskBrushSize', isNaN(value) ? 1 : Math.max(value, 1));
+                                }}
+                            />
+                        </li>
+                    }
+                    {
+                        maskTool === 'polygon' && <li>
+                            <Button
+                                icon={'polygon'}
+                                label={'Close'}
+                                title={'Close polygon (or click the first vertex).'}
+                                onClick={close}
+                            />
+                        </li>
+                    }
+                    <li>
+                        <InputSelector
+                            id={`${id}_mask_visible`}
+                            name={'maskVisible'}
+                            label={'Show'}
+                            type={'checkbox'}
+                            value={maskVisible}
+                            onChange={() => {_setOption('maskVisible', !maskVisible)}}
+                        />
+                    </li>
+                    <li>
+                        <Button
+                            icon={'invert'}
+                            title={'Invert mask.'}
+                            onClick={invert}
+                        />
+                    </li>
+                    <li>
+                        <Button
+                            disabled={!active}
+                            icon={'erase'}
+                            title={'Clear mask.'}
+                            onClick={clear}
+                        />
+                    </li>
+                    <li>
+                        <Button
+                            disabled={!active}
+                            icon={'download'}
+                            label={'PNG'}
+                            title={'Download mask as PNG image (masked pixels are white).'}
+                            onClick={() => {downloadMaskImage(panel.mask, _getFilename())}}
+                        />
+                    </li>
+                    <li>
+                        <Button
+                            disabled={!active}
+                            icon={'download'}
+                            label={'JSON'}
+                            title={'Download mask outlines as polygons in image coordinates.'}
+                            onClick={() => {
+                                downloadMaskPolygons(panel.mask, panel.properties, _getFilename(), maskTolerance);
+                            }}
+                        />
+                    </li>
+                </ul>
+            </div>
+        </fieldset>
+    </div>;
+};
+
+export default MaskTool;
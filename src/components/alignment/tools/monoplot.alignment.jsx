@@ -0,0 +1,259 @@
+/*!
+ * MLE.Client.Tools.Toolkit.Monoplot
+ * File: monoplot.alignment.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Monoplotting tool for Alignment Tool panels. Features drawn on the panel image with the
+ * mask tool (brush or polygons, see mask.alignment.js) are projected onto the terrain of
+ * a local DEM GeoTIFF (see dem.utils.alignment.js) using the camera pose estimated for the
+ * panel image (see pose.alignment.js). The projected outlines are downloaded as GeoJSON
+ * polygons (longitude, latitude, elevation) with the name, type and description
+ * properties used to import map features.
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Initial version
+ */
+
+import React from 'react';
+import saveAs from 'file-saver';
+import Button from '../../common/button';
+import Badge from '../../common/badge';
+import InputSelector from '../../selectors/input.selector';
+import { UserMessage } from '../../common/message';
+import { useIat } from "../../../providers/alignment.provider.client";
+import { useData } from "../../../providers/data.provider.client";
+import { getError } from "../../../services/schema.services.client";
+import { isWorkerSupported, runTask } from "../utils/workers.utils.alignment";
+import { decodeDEM } from "../utils/dem.utils.alignment";
+import { getMaskPolygons } from "../utils/mask.utils.alignment";
+import { monoplotPolygons } from "../utils/monoplot.utils.alignment";
+
+/**
+ * Decode DEM GeoTIFF file data (in image worker if supported).
+ *
+ * @public
+ * @param {ArrayBuffer} buffer
+ * @param {Object} options
+ * @param {Object} monitor
+ * @return {Promise<Object>} decoded DEM
+ */
+
+export const loadDEM = async (buffer, options, monitor = null) => {
+    if (options.useWorkers && isWorkerSupported()) {
+        const result = await runTask('decodeDEM', {buffer: buffer}, [buffer], monitor);
+        return {...result, data: new Float32Array(result.data)};
+    }
+    return decodeDEM(buffer);
+};
+
+/**
+ * Monoplotting dialog for panel.
+ *
+ * @public
+ * @param {String} id panel ID
+ * @return {JSX.Element}
+ */
+
+const Monoplotter = ({id}) => {
+
+    const iat = useIat();
+    const api = useData();
+    const panel = iat[id];
+    const {pose = null, image_dims = {}, filename = ''} = panel.properties || {};
+
+    // loaded DEM and selected file
+    const [dem, setDEM] = React.useState(null);
+    const [demFilename, setDEMFilename] = React.useState('');
+
+    // map feature name and type of projected features
+    const [name, setName] = React.useState(filename ? filename.replace(/\.[^.]+$/, '') : 'Monoplot');
+    const [featureType, setFeatureType] = React.useState('');
+
+    // projected features, running task and messages
+    const [result, setResult] = React.useState(null);
+    const [job, setJob] = React.useState(null);
+    const [message, setMessage] = React.useState(null);
+
+    // feature outlines drawn with the mask tool
+    const polygons = React.useMemo(
+        () => getMaskPolygons(panel.mask, iat.options.maskTolerance),
+        [panel.mask, iat.options.maskTolerance]
+    );
+
+    // camera pose must match the current image dimensions
+    const poseError = !pose
+        ? 'monoplotPose'
+        : pose.dims.w !== image_dims.w || pose.dims.h !== image_dims.h ? 'monoplotPoseDims' : null;
+    const featureTypes = (api && api.options && api.options.map_feature_types) || [];
+
+    // read and decode selected DEM file
+    const _handleFile = (file) => {
+        setMessage(null);
+        setDEM(null);
+        setResult(null);
+        if (!file || !file.name) return;
+        setDEMFilename(file.name);
+        setJob({percent: 0, cancel: null, label: 'Loading DEM...'});
+        file.arrayBuffer()
+            .then(buffer => loadDEM(buffer, iat.options, {
+                onStart: (cancel) => setJob({percent: 0, cancel: cancel, label: 'Loading DEM...'}),
+                onProgress: (percent) => setJob(prevState => prevState ? {...prevState, percent: percent} : prevState),
+                onEnd: () => {}
+            }))
+            .then(setDEM)
+            .catch(err => {
+                // worker pool errors (incl. cancellation) are already formatted
+                if (err && err.msg) return setMessage(err);
+                console.error(err);
+                setMessage({msg: (err && err.message) || getError('demFormat', 'canvas'), type: 'error'});
+            })
+            .finally(() => setJob(null));
+    };
+
+    // update selected DEM file
+    const _handleChange = (e) => {
+        const { target = {} } = e || {};
+        if (!target.files) return;
+        _handleFile(target.files[0]);
+    };
+
+    // project feature outlines onto the DEM terrain
+    const _handleProject = () => {
+        setMessage(null);
+        if (polygons.length === 0) return setMessage({msg: getError('monoplotNoFeatures', 'canvas'), type: 'warning'});
+        const projected = monoplotPolygons(polygons, pose, dem, {
+            name: name,
+            type: featureType,
+            description: `Monoplotted from ${filename || panel.properties.label} (camera at ${
+                pose.lat.toFixed(6)}, ${pose.lng.toFixed(6)}, ${pose.elev.toFixed(1)}m; azimuth ${
+                pose.azimuth.toFixed(1)}°) on DEM ${demFilename}.`
+        }, iat.options);
+        setResult(projected);
+        if (projected.collection.features.length === 0) {
+            setMessage({msg: getError('monoplotNoHits', 'canvas'), type: 'warning'});
+        }
+    };
+
+    // download projected features as GeoJSON
+    const _handleDownload = () => {
+        const blob = new Blob([JSON.stringify(result.collection, null, 2)], {type: 'application/geo+json'});
+        saveAs(blob, `${name || id}_${Date.now()}.geojson`);
+    };
+
+    return <div>
+        {
+            message && <UserMessage onClose={() => {setMessage(null)}} closeable={true} message={message}/>
+        }
+        {
+            poseError && <UserMessage closeable={false} message={{msg: getError(poseError, 'canvas'), type: 'warning'}}/>
+        }
+        <p>
+            Outline the features to map with the <b>Mask</b> tool (brush or polygons), then select a DEM GeoTIFF
+            covering the camera view. Feature outlines are projected onto the terrain from the estimated camera pose
+            and downloaded as GeoJSON polygons that can be imported as map features.
+        </p>
+        <InputSelector
+            id={`${id}_monoplot_dem`}
+            type={'file'}
+            name={'dem_file'}
+            value={{importFiles: { name: demFilename }}}
+            files={[demFilename]}
+            onChange={_handleChange}
+            onFile={(files) => {_handleFile(files[0])}}
+        />
+        <div className={'h-menu'}>
+            <ul>
+                <li>
+                    <Badge
+                        className={polygons.length > 0 ? 'info' : 'warning'}
+                        icon={'mask'}
+                        label={`Features: ${polygons.length}`}
+                        title={'Feature outlines drawn with the mask tool.'}
+                    />
+                </li>
+                {
+                    dem && <li>
+                        <Badge
+                            className={'info'}
+                            icon={'map'}
+                            label={`DEM: ${dem.width}×${dem.height}, ${dem.resolution.toFixed(1)}m`}
+                            title={`${dem.crs.type === 'utm' ? `UTM zone ${dem.crs.zone}${dem.crs.south ? 'S' : 'N'}` : 'Geographic'} (EPSG:${dem.crs.epsg})`}
+                        />
+                    </li>
+                }
+                {
+                    result && <li className={'push'}>
+                        <Badge
+                            className={result.mapped === result.vertices ? 'success' : 'warning'}
+                            label={`Mapped: ${result.mapped}/${result.vertices} vertices`}
+                            title={'Vertices whose camera rays miss the terrain (e.g. sky) or leave the DEM are not mapped.'}
+                        />
+                    </li>
+                }
+            </ul>
+        </div>
+        <fieldset className={'submit h-menu'}>
+            <ul>
+                <li>
+                    <InputSelector
+                        id={`${id}_monoplot_name`}
+                        name={'name'}
+                        label={'Feature name'}
+                        type={'text'}
+                        value={name}
+                        onChange={(e) => {setName(e.target.value)}}
+                    />
+                </li>
+                {
+                    featureTypes.length > 0 && <li>
+                        <InputSelector
+                            id={`${id}_monoplot_type`}
+                            name={'type'}
+                            label={'Feature type'}
+                            type={'select'}
+                            value={featureType}
+                            options={featureTypes}
+                            onChange={(e) => {setFeatureType(e.target.value)}}
+                        />
+                    </li>
+                }
+                <li>
+                    <Button
+                        className={!poseError && dem && polygons.length > 0 ? 'success' : ''}
+                        disabled={!!poseError || !dem || polygons.length === 0 || (job && !job.cancel)}
+                        icon={job && job.cancel ? 'cancel' : 'map'}
+                        label={job
+                            ? job.cancel ? `Cancel (${job.percent}%)` : job.label
+                            : 'Project Features'}
+                        title={'Project feature outlines onto the DEM terrain.'}
+                        onClick={job && job.cancel ? job.cancel : _handleProject}
+                    />
+                </li>
+                <li>
+                    <Button
+                        disabled={!result || result.collection.features.length === 0}
+                        icon={'download'}
+                        label={'GeoJSON'}
+                        title={'Download projected features as GeoJSON.'}
+                        onClick={_handleDownload}
+                    />
+                </li>
+                <li>
+                    <Button
+                        icon={'cancel'}
+                        label={'Close'}
+                        onClick={() => {iat.setDialog(null)}}
+                    />
+                </li>
+            </ul>
+        </fieldset>
+    </div>;
+};
+
+export default Monoplotter;
@@ -0,0 +1,390 @@
+/*!
+ * MLE.Client.Tools.Toolkit.Panorama
+ * File: panorama.alignment.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Station panorama tool for Alignment Tool panels. Lists the captures of the historic
+ * visit or location of the library capture loaded in the panel (see importer.alignment.js)
+ * and stitches the selected overlapping captures into one cylindrical panorama (see
+ * panorama.utils.alignment.js). Captures are selected in order from left to right and
+ * share the horizontal field of view of the camera.
+ *
+ * The stitched panorama is loaded into the panel as a new image so that it can be
+ * aligned against a modern panoramic repeat in the opposite panel. Feature matching
+ * requires the OpenCV library.
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Initial version
+ */
+
+import React from 'react';
+import Button from '../../common/button';
+import InputSelector from '../../selectors/input.selector';
+import { UserMessage } from '../../common/message';
+import { ImagePicker } from './importer.alignment';
+import { useIat } from "../../../providers/alignment.provider.client";
+import { useRouter } from "../../../providers/router.provider.client";
+import { useUser } from "../../../providers/user.provider.client";
+import { createNodeRoute } from "../../../utils/paths.utils.client";
+import { getError, isCaptureType } from "../../../services/schema.services.client";
+import { initPanel } from "../panel/init.panel.alignment";
+import { loadImage } from "../utils/loader.utils.alignment";
+import { suggestControlPoints } from "../utils/features.utils.alignment";
+import { isWorkerSupported, runTask } from "../utils/workers.utils.alignment";
+import { blendPanorama, getFocalLength, getPanoramaLayout, getPanoramaOffset, projectCylinder }
+    from "../utils/panorama.utils.alignment";
+
+/**
+ * Convert loaded capture image to image data (downscaled to maximum height).
+ *
+ * @private
+ * @param {HTMLImageElement|ImageData} image
+ * @param {int} maxHeight
+ * @return {ImageData}
+ */
+
+const _toImageData = (image, maxHeight) => {
+    const scale = Math.min(1, maxHeight / image.height);
+    const w = Math.max(Math.round(scale * image.width), 1);
+    const h = Math.max(Math.round(scale * image.height), 1);
+    let source = image;
+    // decoded (TIFF/RAW) image data is drawn from a full-sized canvas
+    if (image instanceof ImageData) {
+        source = document.createElement('canvas');
+        source.width = image.width;
+        source.height = image.height;
+        source.getContext('2d').putImageData(image, 0, 0);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = w;
+    canvas.height = h;
+    const context = canvas.getContext('2d');
+    context.drawImage(source, 0, 0, w, h);
+    return context.getImageData(0, 0, w, h);
+};
+
+/**
+ * Load capture image from the library.
+ *
+ * @public
+ * @param {Object} capture capture image file data {file, metadata, url, filename}
+ * @param {Object} user
+ * @param {Object} options
+ * @return {Promise<ImageData>} image data (downscaled to the panorama height)
+ */
+
+export const loadCaptureImage = (capture, user, options = {}) => {
+    return new Promise((resolve, reject) => {
+        loadImage(initPanel('panorama', '', capture, user), (response) => {
+            // ignore download progress updates
+            if (!response) return;
+            const {status = '', data = null, error = null, props = null} = response || {};
+            if (status === 'load' && data) return resolve(_toImageData(data, options.panoramaMaxHeight));
+            if (error || status === 'empty' || status === 'cancel' || !props) reject(error || response);
+        }, options).catch(reject);
+    });
+};
+
+/**
+ * Project capture image data onto a cylinder.
+ *
+ * @private
+ * @param {ImageData} image
+ * @param {Number} focal
+ * @param {Object} options
+ * @param {Object} monitor
+ * @return {Promise<ImageData>}
+ */
+
+const _projectCapture = async (image, focal, options, monitor) => {
+    if (options.useWorkers && isWorkerSupported()) {
+        const buffer = image.data.slice().buffer;
+        const result = await runTask('cylinder', {
+            data: buffer,
+            width: image.width,
+            height: image.height,
+            focal: focal,
+            interpolation: options.interpolation
+        }, [buffer], monitor);
+        return new ImageData(new Uint8ClampedArray(result.data), result.width, result.height);
+    }
+    const projected = projectCylinder(image.data, image.width, image.height, focal, options.interpolation);
+    return new ImageData(projected.data, projected.width, projected.height);
+};
+
+/**
+ * Blend projected captures into panorama image data.
+ *
+ * @private
+ * @param {Array} frames projected captures
+ * @param {Object} layout panorama positions and dimensions
+ * @param {Object} options
+ * @param {Object} monitor
+ * @return {Promise<ImageData>}
+ */
+
+const _blendCaptures = async (frames, layout, options, monitor) => {
+    const {positions, width, height} = layout;
+    if (options.useWorkers && isWorkerSupported()) {
+        const buffers = frames.map(frame => frame.data.buffer);
+        const result = await runTask('panorama', {
+            frames: frames.map((frame, index) => ({data: buffers[index], width: frame.width, height: frame.height})),
+            positions: positions,
+            width: width,
+            height: height
+        }, buffers, monitor);
+        return new ImageData(new Uint8ClampedArray(result.data), result.width, result.height);
+    }
+    const panorama = blendPanorama(frames, positions, width, height);
+    return new ImageData(panorama.data, width, height);
+};
+
+/**
+ * Stitch capture images (ordered from left to right) into a cylindrical panorama.
+ * - requires the OpenCV library (feature matching of adjacent captures)
+ *
+ * @public
+ * @param cv
+ * @param {Array} images capture image data
+ * @param {Number} fov horizontal field of view of captures (degrees)
+ * @param {Object} options
+ * @param {Object} monitor
+ * @return {Promise<{data: ImageData, offsets: Array, error: Object}>}
+ */
+
+export const stitchPanorama = async (cv, images, fov, options = {}, monitor = null) => {
+    if (!cv) return {data: null, offsets: [], error: {msg: getError('panoramaOpenCV', 'canvas'), type: 'error'}};
+    if (!images || images.length < 2) {
+        return {data: null, offsets: [], error: {msg: getError('panoramaCaptures', 'canvas'), type: 'warning'}};
+    }
+    try {
+        // project captures onto cylinder
+        const frames = [];
+        for (const image of images) {
+            frames.push(await _projectCapture(image, getFocalLength(image.width, fov), options, monitor));
+        }
+
+        // match adjacent captures
+        const offsets = [];
+        for (let i = 0; i < frames.length - 1; i++) {
+            const matches = suggestControlPoints(cv, frames[i], frames[i + 1],
+                {...options, suggestPtMax: options.panoramaMatches});
+            const offset = matches.error
+                ? null
+                : getPanoramaOffset(matches.source, matches.target, options.ransacThreshold, options.controlPtMin);
+            if (!offset) return {
+                data: null,
+                offsets: [],
+                error: {msg: `${getError('panoramaNoOverlap', 'canvas')} (Captures ${i + 1} and ${i + 2})`, type: 'error'}
+            };
+            offsets.push(offset);
+        }
+
+        // blend captures at their panorama positions
+        const layout = getPanoramaLayout(frames, offsets);
+        const data = await _blendCaptures(frames, layout, options, monitor);
+        return {data: data, offsets: offsets, error: null};
+    } catch (err) {
+        // worker pool errors (incl. cancellation) are already formatted
+        if (err && err.msg) return {data: null, offsets: [], error: err};
+        console.error(err);
+        return {data: null, offsets: [], error: {msg: getError('default', 'canvas'), type: 'error'}};
+    }
+};
+
+/**
+ * Station panorama dialog for panel.
+ *
+ * @public
+ * @param {String} id panel ID
+ * @param {Function} callback loads panorama in panel
+ * @return {JSX.Element}
+ */
+
+const PanoramaBuilder = ({id, callback = () => {}}) => {
+
+    const iat = useIat();
+    const router = useRouter();
+    const user = useUser();
+    const panel = iat[id];
+    const {owner_id = '', owner_type = ''} = panel.properties || {};
+
+    const _isMounted = React.useRef(false);
+
+    // visit/location of the panel capture and its captures
+    const [container, setContainer] = React.useState(null);
+    const [captures, setCaptures] = React.useState([]);
+
+    // selected capture file IDs (from left to right)
+    const [selected, setSelected] = React.useState([]);
+
+    // horizontal field of view of captures
+    const [fov, setFov] = React.useState(iat.options.panoramaFov);
+
+    // running stitching task and messages
+    const [job, setJob] = React.useState(null);
+    const [message, setMessage] = React.useState(null);
+
+    /**
+     * Load captures of the visit or location of the panel capture
+     */
+
+    React.useEffect(() => {
+        _isMounted.current = true;
+        if (!owner_id || !isCaptureType(owner_type)) {
+            setMessage({msg: 'Load a library capture of the station into this panel to select its adjacent captures.', type: 'info'});
+            return;
+        }
+        const _handleError = (res) => {
+            if (!_isMounted.current) return;
+            setMessage(res && res.error ? res.error : {msg: 'Error occurred.', type: 'error'});
+        };
+        // get owner (visit or location) of panel capture
+        router.get(createNodeRoute(owner_type, 'show', owner_id))
+            .then(res => {
+                if (!res || res.error) return _handleError(res);
+                const {response = {}} = res || {};
+                const {data = {}} = response || {};
+                const {node = {}} = data || {};
+                if (!node.owner_id || !node.owner_type) return _handleError(null);
+                return router.get(createNodeRoute(node.owner_type, 'show', node.owner_id));
+            })
+            .then(res => {
+                if (!res || !_isMounted.current) return;
+                if (res.error) return _handleError(res);
+                const {response = {}} = res || {};
+                const {data = {}} = response || {};
+                const {label = '', dependents = []} = data || {};
+                // list reference images of captures of the same type
+                const files = dependents
+                    .filter(capture => capture.node && capture.node.type === owner_type
+                        && capture.refImage && capture.refImage.file)
+                    .map(capture => ({
+                        file: capture.refImage.file,
+                        metadata: capture.refImage.metadata || {},
+                        url: capture.refImage.url,
+                        filename: capture.refImage.label || capture.label
+                    }));
+                setContainer({label: label});
+                setCaptures(files);
+                if (files.length < 2) setMessage({msg: getError('panoramaCaptures', 'canvas'), type: 'warning'});
+            })
+            .catch(_handleError);
+        return () => {
+            _isMounted.current = false;
+        };
+    }, [owner_id, owner_type, router]);
+
+    // toggle capture selection (appended to the right of the panorama)
+    const _handleSelect = (file) => {
+        const {id = ''} = file || {};
+        setSelected(prevState => prevState.includes(id)
+            ? prevState.filter(selectedID => selectedID !== id)
+            : [...prevState, id]);
+    };
+
+    // get selected captures in panorama order
+    const selectedCaptures = selected
+        .map(fileID => captures.find(capture => capture.file.id === fileID))
+        .filter(capture => capture);
+
+    // load and stitch selected captures; load panorama in panel
+    const _handleStitch = async () => {
+        setMessage(null);
+        setJob({percent: 0, cancel: null, label: 'Loading captures...'});
+        let images;
+        try {
+            images = await Promise.all(selectedCaptures.map(capture => loadCaptureImage(capture, user, iat.options)));
+        } catch (err) {
+            console.error(err);
+            setJob(null);
+            return setMessage({msg: getError('panoramaLoadError', 'canvas'), type: 'error'});
+        }
+        const {data, error} = await stitchPanorama(iat.cv, images, fov, iat.options, {
+            onStart: (cancel) => setJob({percent: 0, cancel: cancel, label: 'Stitching...'}),
+            onProgress: (percent) => setJob(prevState => prevState ? {...prevState, percent: percent} : prevState),
+            // keep stitching status between tasks
+            onEnd: () => setJob(prevState => prevState ? {...prevState, cancel: null} : prevState)
+        });
+        setJob(null);
+        if (error) return setMessage(error);
+
+        // load panorama as new panel image (PNG)
+        const canvas = document.createElement('canvas');
+        canvas.width = data.width;
+        canvas.height = data.height;
+        canvas.getContext('2d').putImageData(data, 0, 0);
+        canvas.toBlob((blob) => {
+            if (!blob) return setMessage({msg: getError('default', 'canvas'), type: 'error'});
+            const filename = `panorama_${Date.now()}.png`;
+            callback(initPanel(panel.properties.id, panel.properties.label, {
+                file: {file_type: 'image/png', file_size: blob.size},
+                filename: filename,
+                fileData: new File([blob], filename, {type: 'image/png'})
+            }));
+        }, 'image/png');
+    };
+
+    return <div>
+        {
+            message && <UserMessage onClose={() => {setMessage(null)}} closeable={true} message={message}/>
+        }
+        {
+            container && <p>Select the overlapping captures of <b>{container.label}</b> in order from left to right.</p>
+        }
+        {
+            captures.length > 0 && <ImagePicker files={captures} onClick={_handleSelect} multiple={true} />
+        }
+        {
+            selectedCaptures.length > 0 && <p>
+                Panorama: {selectedCaptures.map((capture, index) => `${index + 1}. ${capture.filename}`).join(' → ')}
+            </p>
+        }
+        <fieldset className={'submit h-menu'}>
+            <ul>
+                <li>
+                    <InputSelector
+                        id={`${id}_panorama_fov`}
+                        name={'panoramaFov'}
+                        label={'Field of view (°)'}
+                        type={'int'}
+                        min={10}
+                        max={170}
+                        value={fov}
+                        onChange={(e) => {
+                            const value = parseInt(e.target.value);
+                            setFov(isNaN(value) ? iat.options.panoramaFov : Math.min(Math.max(value, 10), 170));
+                        }}
+                    />
+                </li>
+                <li>
+                    <Button
+                        className={selectedCaptures.length < 2 || job ? '' : 'success'}
+                        disabled={selectedCaptures.length < 2 || !iat.cv || (job && !job.cancel)}
+                        icon={job && job.cancel ? 'cancel' : 'panorama'}
+                        label={job
+                            ? job.cancel ? `Cancel (${job.percent}%)` : job.label
+                            : 'Stitch Panorama'}
+                        title={iat.cv ? 'Stitch selected captures and load panorama in panel.' : getError('panoramaOpenCV', 'canvas')}
+                        onClick={job && job.cancel ? job.cancel : _handleStitch}
+                    />
+                </li>
+                <li>
+                    <Button
+                        icon={'cancel'}
+                        label={'Close'}
+                        onClick={() => {iat.setDialog(null)}}
+                    />
+                </li>
+            </ul>
+        </fieldset>
+    </div>;
+};
+
+export default PanoramaBuilder;
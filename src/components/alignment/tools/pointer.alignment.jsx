@@ -21,6 +21,7 @@
  * ---------
  * Revisions
  * - 09-07-2023   Major upgrade to Toolkit incl. UI and workflow improvements and OpenCV integration
+ * - 18-10-2026   Track dropped control points and template match results for refinement
  */
 
 import {useState} from 'react';
@@ -89,6 +90,8 @@ export function usePointer(properties, options) {
     const [index, setIndex] = useState(-1);
     const [magnify, setMagnify] = useState(false);
     const [points, setPoints] = useState([]);
+    const [dropped, setDropped] = useState(null);
+    const [match, setMatch] = useState(null);
 
     /**
      * Set current pointer position coordinate
@@ -147,9 +150,11 @@ export function usePointer(properties, options) {
 
     /**
      * Deselect pointer selected coordinate
+     * - records the index of a released control point (used for refinement)
      * */
 
     const deselect = () => {
+        if (index >= 0) setDropped({index: index});
         setSelected(null);
         setIndex(-1);
     };
@@ -179,6 +184,7 @@ export function usePointer(properties, options) {
     // clear control points state
     const clearPoints = () => {
         setPoints([]);
+        setMatch(null);
     };
 
     /**
@@ -206,6 +212,9 @@ export function usePointer(properties, options) {
         resetSelectBox,
         points,
         setPoints: setControlPoints,
-        clearPoints
+        clearPoints,
+        dropped,
+        match,
+        setMatch
     };
 }
\ No newline at end of file
@@ -0,0 +1,289 @@
+/*!
+ * MLE.Client.Tools.Toolkit.Pose
+ * File: pose.alignment.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Camera pose tool for Alignment Tool panels. Control points of the panel with real-world
+ * coordinates (latitude, longitude, elevation; see register.alignment.js) are used as
+ * ground control points to solve a camera resection (see pose.utils.alignment.js). The
+ * estimated camera position, azimuth, tilt, roll and focal length are reported with their
+ * standard deviations and the reprojection error of each ground control point.
+ *
+ * The station (historic captures) or location (modern captures) of the library capture
+ * loaded in the panel is looked up: its recorded coordinates are shown for comparison and
+ * used as an alternative initial estimate. Administrators can write the estimated
+ * coordinates and azimuth back to the station/location through its edit form.
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Initial version
+ * - 18-10-2026   Keep estimated pose in panel properties (used for monoplotting)
+ */
+
+import React from 'react';
+import Button from '../../common/button';
+import Badge from '../../common/badge';
+import { UserMessage } from '../../common/message';
+import { useIat } from "../../../providers/alignment.provider.client";
+import { useRouter } from "../../../providers/router.provider.client";
+import { useUser } from "../../../providers/user.provider.client";
+import { useDialog } from "../../../providers/dialog.provider.client";
+import { createNodeRoute } from "../../../utils/paths.utils.client";
+import { getModelLabel, isCaptureType } from "../../../services/schema.services.client";
+import { isGeoPoint, solveCameraPose } from "../utils/pose.utils.alignment";
+
+// node types that record the camera position of captures
+const CAMERA_TYPES = ['stations', 'locations'];
+
+/**
+ * Find the station or location of a capture (walks up the owner hierarchy).
+ *
+ * @public
+ * @param {Object} router
+ * @param {String} type capture type
+ * @param {String} id capture ID
+ * @return {Promise<Object|null>} station/location {id, model, label, metadata}
+ */
+
+export const findCaptureStation = async (router, type, id) => {
+    let ownerType = type, ownerID = id;
+    // captures are owned by visits, stations or locations
+    for (let level = 0; level < 3 && ownerType && ownerID; level++) {
+        const res = await router.get(createNodeRoute(ownerType, 'show', ownerID));
+        if (!res || res.error) return null;
+        const {response = {}} = res || {};
+        const {data = {}} = response || {};
+        const {node = {}, metadata = null, label = ''} = data || {};
+        if (CAMERA_TYPES.includes(ownerType)) {
+            return {id: ownerID, model: ownerType, label: label, metadata: metadata || {}};
+        }
+        ownerType = node.owner_type;
+        ownerID = node.owner_id;
+    }
+    return null;
+};
+
+/**
+ * Format value with its standard deviation.
+ *
+ * @private
+ * @param {Number} value
+ * @param {Number} sigma
+ * @param {int} digits
+ * @param {String} suffix
+ * @return {String}
+ */
+
+const _format = (value, sigma, digits, suffix = '') => {
+    const formatted = `${value.toFixed(digits)}${suffix}`;
+    return sigma === null || sigma === undefined ? formatted : `${formatted} ± ${sigma.toFixed(digits)}${suffix}`;
+};
+
+/**
+ * Camera pose estimation dialog for panel.
+ *
+ * @public
+ * @param {String} id panel ID
+ * @return {JSX.Element}
+ */
+
+const PoseEstimator = ({id}) => {
+
+    const iat = useIat();
+    const router = useRouter();
+    const user = useUser();
+    const dialog = useDialog();
+    const panel = iat[id];
+    const {owner_id = '', owner_type = '', image_dims = {}} = panel.properties || {};
+    const {isAdmin = false} = user || {};
+
+    const _isMounted = React.useRef(false);
+
+    // station/location of the panel capture
+    const [station, setStation] = React.useState(null);
+
+    // estimated camera pose and messages
+    const [pose, setPose] = React.useState(panel.properties.pose || null);
+    const [message, setMessage] = React.useState(null);
+
+    // control points with real-world coordinates
+    const points = panel.pointer.points || [];
+    const nGeoPoints = points.filter(pt => isGeoPoint(pt.geo)).length;
+
+    // recorded camera position (if complete)
+    const {lat = null, lng = null, elev = null, azim = null} = station ? station.metadata : {};
+    const recorded = {lat: parseFloat(lat), lng: parseFloat(lng), elev: parseFloat(elev)};
+    const prior = isGeoPoint(recorded) ? recorded : null;
+
+    /**
+     * Load station or location of the panel capture
+     */
+
+    React.useEffect(() => {
+        _isMounted.current = true;
+        if (owner_id && isCaptureType(owner_type)) {
+            findCaptureStation(router, owner_type, owner_id)
+                .then(result => {
+                    if (_isMounted.current) setStation(result);
+                })
+                .catch(console.error);
+        }
+        return () => {
+            _isMounted.current = false;
+        };
+    }, [owner_id, owner_type, router]);
+
+    // solve camera resection
+    const _handleSolve = () => {
+        setMessage(null);
+        const result = solveCameraPose(points, image_dims, prior, iat.options);
+        setPose(result.pose);
+        panel.setProperties(props => ({...props, pose: result.pose}));
+        if (result.error) setMessage(result.error);
+    };
+
+    // open station/location edit form prefilled with estimated coordinates and azimuth
+    const _handleUpdate = () => {
+        if (!pose || !station) return;
+        iat.setDialog(null);
+        dialog.setCurrent({
+            dialogID: 'edit',
+            model: station.model,
+            id: station.id,
+            label: station.label,
+            metadata: station.metadata,
+            values: {
+                lat: parseFloat(pose.lat.toFixed(6)),
+                lng: parseFloat(pose.lng.toFixed(6)),
+                elev: parseFloat(pose.elev.toFixed(1)),
+                azim: parseFloat(pose.azimuth.toFixed(1))
+            }
+        });
+    };
+
+    // estimated parameters and recorded values
+    const {sigma = null} = pose || {};
+    const _sigma = (key) => sigma ? sigma[key] : null;
+    const rows = pose ? [
+        {label: 'Latitude', estimate: pose.lat.toFixed(6), recorded: lat},
+        {label: 'Longitude', estimate: pose.lng.toFixed(6), recorded: lng},
+        {label: 'Horizontal Position', estimate: sigma ? `± ${sigma.horizontal.toFixed(1)}m` : '-', recorded: null},
+        {label: 'Elevation', estimate: _format(pose.elev, _sigma('elev'), 1, 'm'), recorded: elev},
+        {label: 'Azimuth', estimate: _format(pose.azimuth, _sigma('azimuth'), 2, '°'), recorded: azim},
+        {label: 'Tilt', estimate: _format(pose.tilt, _sigma('tilt'), 2, '°'), recorded: null},
+        {label: 'Roll', estimate: _format(pose.roll, _sigma('roll'), 2, '°'), recorded: null},
+        {label: 'Focal Length', estimate: _format(pose.focal, _sigma('focal'), 1, 'px'), recorded: null},
+        {label: 'Horizontal Field of View', estimate: _format(pose.fov, _sigma('fov'), 2, '°'), recorded: null}
+    ] : [];
+
+    return <div>
+        {
+            message && <UserMessage onClose={() => {setMessage(null)}} closeable={true} message={message}/>
+        }
+        <p>
+            Enter the latitude, longitude and elevation of recognisable features at the control points
+            of this panel (close this dialog and select a control point to edit its coordinates). At least four ground control
+            points are required; six or more improve the solution and its uncertainty estimate.
+        </p>
+        <div className={'h-menu'}>
+            <ul>
+                <li>
+                    <Badge
+                        className={nGeoPoints >= iat.options.poseMinPoints ? 'info' : 'warning'}
+                        icon={'crosshairs'}
+                        label={`Ground Control Points: ${nGeoPoints}/${points.length}`}
+                    />
+                </li>
+                {
+                    station && <li>
+                        <Badge
+                            className={prior ? 'info' : 'warning'}
+                            icon={station.model}
+                            label={`${getModelLabel(station.model)}: ${station.label}`}
+                            title={prior
+                                ? `Recorded position: ${lat}, ${lng} (${elev}m)`
+                                : 'Recorded position is incomplete.'}
+                        />
+                    </li>
+                }
+                {
+                    pose && <li className={'push'}>
+                        <Badge
+                            className={'info'}
+                            label={`RMS Error: ${pose.rms.toFixed(2)}px`}
+                            title={'RMS reprojection error of ground control points.'}
+                        />
+                    </li>
+                }
+            </ul>
+        </div>
+        {
+            pose && <table>
+                <thead>
+                <tr>
+                    <th>Parameter</th>
+                    <th>Estimate</th>
+                    <th>Recorded</th>
+                </tr>
+                </thead>
+                <tbody>
+                {
+                    rows.map(row => <tr key={`${id}_pose_${row.label}`}>
+                        <th>{row.label}</th>
+                        <td>{row.estimate}</td>
+                        <td>{row.recorded === null || row.recorded === undefined ? '-' : row.recorded}</td>
+                    </tr>)
+                }
+                <tr>
+                    <th>Reprojection Errors</th>
+                    <td colSpan={2}>
+                        {pose.points.map(pt => `${pt.index + 1}: ${pt.error.toFixed(1)}px`).join(', ')}
+                    </td>
+                </tr>
+                </tbody>
+            </table>
+        }
+        {
+            pose && !sigma && <p>Add more ground control points to estimate the uncertainty of the solution.</p>
+        }
+        <fieldset className={'submit h-menu'}>
+            <ul>
+                <li>
+                    <Button
+                        className={nGeoPoints >= iat.options.poseMinPoints ? 'success' : ''}
+                        disabled={nGeoPoints < iat.options.poseMinPoints}
+                        icon={'crosshairs'}
+                        label={'Estimate Camera Pose'}
+                        title={'Solve camera position and orientation from the ground control points.'}
+                        onClick={_handleSolve}
+                    />
+                </li>
+                {
+                    station && isAdmin && <li>
+                        <Button
+                            disabled={!pose}
+                            icon={'edit'}
+                            label={`Update ${getModelLabel(station.model)}`}
+                            title={`Edit ${getModelLabel(station.model)} with the estimated coordinates and azimuth.`}
+                            onClick={_handleUpdate}
+                        />
+                    </li>
+                }
+                <li>
+                    <Button
+                        icon={'cancel'}
+                        label={'Close'}
+                        onClick={() => {iat.setDialog(null)}}
+                    />
+                </li>
+            </ul>
+        </fieldset>
+    </div>;
+};
+
+export default PoseEstimator;
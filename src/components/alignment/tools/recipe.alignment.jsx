@@ -0,0 +1,174 @@
+/*!
+ * MLE.Client.Components.Toolkit.Recipe
+ * File: recipe.alignment.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Save and open Alignment Tool sessions as alignment recipe files. Opening a recipe
+ * refetches the referenced MLP library images and replays the recorded panel steps.
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Initial version
+ */
+
+import React from 'react';
+import saveAs from 'file-saver';
+import Button from '../../common/button';
+import InputSelector from '../../selectors/input.selector';
+import { UserMessage } from '../../common/message';
+import {useIat} from "../../../providers/alignment.provider.client";
+import {createRecipe, parseRecipe} from "../utils/recipe.utils.alignment";
+
+/**
+ * Save current Alignment Tool session as alignment recipe file.
+ *
+ * @public
+ * @param iat
+ */
+
+export const saveRecipe = (iat) => {
+    const recipe = createRecipe(iat);
+    const blob = new Blob([JSON.stringify(recipe, null, 2)], {type: 'application/json'});
+    saveAs(blob, `alignment_recipe_${Date.now()}.recipe.json`);
+};
+
+/**
+ * Alignment recipe selector widget. Used to open a local recipe file.
+ *
+ * @public
+ * @param {Function} callback
+ * @param {Function} cancel
+ */
+
+export const RecipeOpener = ({callback = ()=>{}, cancel = ()=>{}}) => {
+
+    const iat = useIat();
+
+    const [recipe, setRecipe] = React.useState(null);
+    const [filename, setFilename] = React.useState('');
+    const [message, setMessage] = React.useState(null);
+
+    // read and validate selected recipe file
+    const _handleFile = (file) => {
+        setMessage(null);
+        setRecipe(null);
+        if (!file || !file.name) return;
+        setFilename(file.name);
+        file.text()
+            .then(json => {
+                const {recipe, error} = parseRecipe(json);
+                if (error) return setMessage(error);
+                setRecipe(recipe);
+            })
+            .catch(err => {
+                console.error(err);
+                setMessage({msg: 'Recipe file could not be read.', type: 'error'});
+            });
+    };
+
+    // update selected recipe file
+    const _handleChange = (e) => {
+        const { target = {} } = e || {};
+        if (!target.files) return;
+        _handleFile(target.files[0]);
+    };
+
+    // handle files dropped
+    const _handleFiles = (files) => {
+        _handleFile(files[0]);
+    };
+
+    // open recipe: refetch library images and replay recipe steps in panels
+    // - local images must be reopened by the user
+    const _handleSubmit = () => {
+        const params = {};
+        ['panel1', 'panel2'].forEach((panelID, index) => {
+            const entry = recipe.panels[panelID];
+            if (!entry || !entry.file) return;
+            params[`file${index + 1}`] = entry.file.id;
+            params[`type${index + 1}`] = entry.file.type;
+            iat[panelID].setStatus('loading');
+        });
+        const {transformModel, interpolation} = recipe.options || {};
+        iat.setOptions(options => ({
+            ...options,
+            transformModel: transformModel || options.transformModel,
+            interpolation: interpolation || options.interpolation
+        }));
+        iat.setAlignment(null);
+        iat.setRecipe({...recipe, progress: {panel1: 0, panel2: 0}});
+        if (Object.keys(params).length > 0) iat.setInputParams(params);
+        callback();
+    };
+
+    // list panels with local images to be reopened
+    const localPanels = recipe
+        ? Object.keys(recipe.panels).filter(panelID => recipe.panels[panelID] && !recipe.panels[panelID].file)
+        : [];
+
+    return <>
+        {
+            message && <UserMessage onClose={()=>{setMessage(null)}} closeable={true} message={message} />
+        }
+        <InputSelector
+            id={'toolkit_recipe_loader'}
+            type={'file'}
+            name={'recipe_file'}
+            value={{importFiles: { name: filename }}}
+            files={[filename]}
+            onChange={_handleChange}
+            onFile={_handleFiles}
+        />
+        {
+            recipe && <ul className={'list'}>
+                {
+                    Object.keys(recipe.panels).filter(panelID => recipe.panels[panelID]).map(panelID => {
+                        const entry = recipe.panels[panelID];
+                        return <li key={`recipe_${panelID}`}>
+                            <b>{entry.label || panelID}</b>: {entry.filename || entry.file.id}
+                            {` (${entry.file ? 'MLP library' : 'local file'}, ${entry.steps.length} step(s), ${
+                                entry.points.length} control point(s))`}
+                        </li>;
+                    })
+                }
+                {
+                    recipe.alignment && <li>Alignment: {recipe.alignment.model || 'perspective'} transform,
+                        RMS error {Number(recipe.alignment.rms).toFixed(2)}px</li>
+                }
+            </ul>
+        }
+        {
+            localPanels.length > 0 && <UserMessage closeable={false} message={{
+                msg: `Open the local image for ${localPanels.map(panelID => recipe.panels[panelID].label || panelID)
+                    .join(' and ')} to apply its recipe steps.`,
+                type: 'info'
+            }} />
+        }
+        <fieldset className={'submit h-menu'}>
+            <ul>
+                {
+                    recipe &&
+                    <li key={'submit_recipe'}>
+                        <Button
+                            icon={'load'}
+                            label={'Open Recipe'}
+                            onClick={_handleSubmit}
+                        />
+                    </li>
+                }
+                <li key={'cancel_recipe'}>
+                    <Button
+                        icon={'cancel'}
+                        label={'Cancel'}
+                        onClick={cancel}
+                    />
+                </li>
+            </ul>
+        </fieldset>
+    </>;
+};
@@ -28,6 +28,14 @@
  * - 09-07-2023   Major upgrade to Toolkit incl. UI and workflow improvements and OpenCV integration
  * - 07-10-2023   Update control point values on image pan and/or scale
  * - 08-10-2023   Added offset value in control point coordinate value during panning
+ * - 18-10-2026   Allow 4-30 control points and flag outlier control points
+ * - 18-10-2026   Replaced collinearity readout with reprojection error report
+ * - 18-10-2026   Accept or reject suggested control point pairs
+ * - 18-10-2026   Toggle control point refinement by template matching
+ * - 18-10-2026   Transform model selector with model-specific point requirements
+ * - 18-10-2026   Record control point edits in panel history
+ * - 18-10-2026   Show control points inside masks as excluded from error metrics
+ * - 18-10-2026   Real-world coordinates (ground control points) for camera pose estimation
  */
 
 import Button from '../../common/button';
@@ -35,8 +43,11 @@ import React, {useState} from 'react';
 import Badge from '../../common/badge';
 import {useIat} from "../../../providers/alignment.provider.client";
 import InputSelector from "../../selectors/input.selector";
-import {correlation} from "../utils/align.utils.alignment";
+import {checkCollinearity, getErrorColour, getMinControlPoints} from "../utils/align.utils.alignment";
 import {scalePoint} from "./scaler.alignment";
+import {setPref} from "../../../services/session.services.client";
+import {getError} from "../../../services/schema.services.client";
+import {isGeoPoint} from "../utils/pose.utils.alignment";
 
 /**
  * Show selected control points for image alignment/registration. Allows for editing and deletion of points.
@@ -58,8 +69,23 @@ const Register = ({ id, aligned, callback, update, clear }) => {
 
     // check load status of panels
     const imagesLoaded = iat.panel1.status === 'loaded' && iat.panel2.status === 'loaded';
-    const hasControlPoints = iat.panel1.pointer.points.length === iat.options.controlPtMax
-        && iat.panel2.pointer.points.length === iat.options.controlPtMax
+    // check for matching number of control points in range for the transform model
+    const {controlPtMax, transformModel} = iat.options || {};
+    const controlPtMin = getMinControlPoints(iat.options);
+    const nPoints = iat.panel1.pointer.points.length;
+    const hasControlPoints = nPoints === iat.panel2.pointer.points.length
+        && nPoints >= controlPtMin && nPoints <= controlPtMax;
+    // check for degenerate (coincident or collinear) control point configurations
+    const degenerate = hasControlPoints
+        ? checkCollinearity(iat.panel1.pointer.points, transformModel)
+            || checkCollinearity(iat.panel2.pointer.points, transformModel)
+        : null;
+    const canAlign = hasControlPoints && !degenerate;
+
+    // indices of suggested control point pairs pending user review
+    const suggested = pointer.points
+        .map((pt, index) => index)
+        .filter(index => [iat.panel1, iat.panel2].some(p => p.pointer.points[index] && p.pointer.points[index].suggested));
 
     /**
      * Update selected control point with input value
@@ -80,8 +106,9 @@ const Register = ({ id, aligned, callback, update, clear }) => {
         const _y = name === 'y' ? Math.max(Math.min(parseInt(value), properties.image_dims.h), 0) : ctrlPt.y;
 
         // update panel control point position
+        iat[id].history.record(`Edit control point ${selectedIndex + 1}`);
         const controlPoints = [...pointer.points];
-        controlPoints[selectedIndex] = {x: _x, y: _y};
+        controlPoints[selectedIndex] = ctrlPt.geo ? {x: _x, y: _y, geo: ctrlPt.geo} : {x: _x, y: _y};
         pointer.setPoints(controlPoints);
 
         // get offset
@@ -93,6 +120,32 @@ const Register = ({ id, aligned, callback, update, clear }) => {
         }));
     }
 
+    /**
+     * Update real-world coordinates (latitude, longitude, elevation) of selected control point
+     * - coordinates are used as ground control points for camera pose estimation
+     *
+     * @private
+     */
+
+    const _handleGeoChange = (e) => {
+        const { target = {} } = e || {};
+        const { name = '', value = '' } = target;
+
+        // get selected control point
+        const ctrlPt = pointer.points[selectedIndex];
+        if (!ctrlPt) return;
+
+        // update control point coordinate (empty input clears the value)
+        const coordinate = parseFloat(value);
+        iat[id].history.record(`Edit control point ${selectedIndex + 1} coordinates`);
+        const controlPoints = [...pointer.points];
+        controlPoints[selectedIndex] = {
+            ...ctrlPt,
+            geo: {...(ctrlPt.geo || {}), [name]: isNaN(coordinate) ? null : coordinate}
+        };
+        pointer.setPoints(controlPoints);
+    }
+
     /**
      * Update selected control point with input value
      *
@@ -106,9 +159,13 @@ const Register = ({ id, aligned, callback, update, clear }) => {
         if (!ctrlPt) return;
 
         // delete panel control point from array
+        iat[id].history.record(`Delete control point ${selectedIndex + 1}`);
         pointer.setPoints(pointer.points.filter((item, index) => index !== selectedIndex));
         setSelectedIndex(null);
 
+        // reprojection errors no longer match control point indices
+        iat.setAlignment(null);
+
         // update render view
         update(pointer.points.filter((item, index) => index !== selectedIndex).map(ctrlPt => {
             // scale control point to render view
@@ -117,6 +174,38 @@ const Register = ({ id, aligned, callback, update, clear }) => {
 
     }
 
+    /**
+     * Accept suggested control point pairs in both panels
+     *
+     * @private
+     * @param {Array} indices
+     */
+
+    const _acceptSuggested = (indices) => {
+        [iat.panel1, iat.panel2].forEach(p => {
+            p.history.record('Accept suggested control points');
+            p.pointer.setPoints(p.pointer.points.map((pt, index) =>
+                indices.includes(index) ? {x: pt.x, y: pt.y} : pt));
+        });
+        setSelectedIndex(null);
+    }
+
+    /**
+     * Reject (delete) suggested control point pairs in both panels
+     *
+     * @private
+     * @param {Array} indices
+     */
+
+    const _rejectSuggested = (indices) => {
+        [iat.panel1, iat.panel2].forEach(p => {
+            p.history.record('Reject suggested control points');
+            p.pointer.setPoints(p.pointer.points.filter((pt, index) => !indices.includes(index)));
+        });
+        setSelectedIndex(null);
+        iat.setAlignment(null);
+    }
+
     /**
      * Toggle display of opposite panel control points
      *
@@ -137,6 +226,7 @@ const Register = ({ id, aligned, callback, update, clear }) => {
      */
 
     const _handleDeleteAll = () => {
+        iat[id].history.record('Clear control points');
         pointer.setPoints([]);
         setSelectedIndex(null);
         iat[id].setProperties(props => ({
@@ -146,6 +236,45 @@ const Register = ({ id, aligned, callback, update, clear }) => {
         clear();
     }
 
+    /**
+     * Select the resampling interpolation method used to warp the aligned image
+     *
+     * @private
+     */
+
+    const _handleInterpolation = (e) => {
+        const { target = {} } = e || {};
+        const { value = '' } = target;
+        iat.setOptions(options => ({...options, interpolation: value}));
+    }
+
+    /**
+     * Select the transform model used to align the images
+     * - previous alignment report is cleared
+     *
+     * @private
+     */
+
+    const _handleTransformModel = (e) => {
+        const { target = {} } = e || {};
+        const { value = '' } = target;
+        iat.setOptions(options => ({...options, transformModel: value}));
+        iat.setAlignment(null);
+    }
+
+    /**
+     * Toggle refinement of corresponding control points by template matching
+     * - setting is kept for the browser session
+     *
+     * @private
+     */
+
+    const _toggleRefine = () => {
+        const refinePoints = !iat.options.refinePoints;
+        setPref('iatRefinePoints', refinePoints);
+        iat.setOptions(options => ({...options, refinePoints: refinePoints}));
+    }
+
     /**
      * Show the coordinate input fields for the control point index
      *
@@ -156,8 +285,23 @@ const Register = ({ id, aligned, callback, update, clear }) => {
         selectedIndex === index ? setSelectedIndex(null) : setSelectedIndex(index)
     }
 
-    // compute pearson correlation coefficient to test collinearity
-    const corr = Math.abs(correlation(pointer.points)).toFixed(2);
+    // get reprojection errors from alignment report
+    const {ransacThreshold} = iat.options || {};
+    const report = iat.alignment;
+    const rms = report ? report.rms.toFixed(2) : null;
+
+    // map error colour codes to badge/button classes
+    const errorClasses = {red: 'error', orange: 'warning', lime: 'success', gray: ''};
+
+    /**
+     * Get reprojection error report for control point index
+     *
+     * @private
+     */
+
+    const _getPointError = (index) => {
+        return report && report.points[index] ? report.points[index] : null;
+    }
 
     return <>
         {
@@ -166,21 +310,46 @@ const Register = ({ id, aligned, callback, update, clear }) => {
                 <ul>
                     <li>
                         <Badge
-                            className={corr < 0.8 ? 'info' : 'error'}
-                            icon={corr < 0.8 ? 'success' : 'warning'}
-                            label={`Collinearity: ${corr}`}
+                            className={!report ? '' : report.rmsInliers <= ransacThreshold ? 'info' : 'error'}
+                            icon={!report || report.rmsInliers <= ransacThreshold ? 'success' : 'warning'}
+                            label={report ? `RMS Error: ${rms}px` : 'RMS Error: -'}
+                            title={report
+                                ? `RMS reprojection error: ${rms}px (inliers: ${report.rmsInliers.toFixed(2)}px, max: ${report.maxError.toFixed(2)}px)${
+                                    report.masked ? `, ${report.masked} masked point(s) excluded` : ''}`
+                                : 'Align images to compute control point reprojection errors.'}
+                        />
+                    </li>
+                    <li>
+                        <Badge
+                            className={canAlign ? 'info' : 'warning'}
+                            label={`Points: ${pointer.points.length}/${controlPtMax}`}
+                            title={degenerate
+                                ? getError(degenerate, 'canvas')
+                                : `Select ${controlPtMin} to ${controlPtMax} matching control points in each panel.`}
                         />
                     </li>
                     {
                         // show selected control points
                         pointer.points.map((pt, index) => {
+                            const ptError = _getPointError(index);
+                            const isSuggested = suggested.includes(index);
+                            const ptClass = ptError
+                                ? errorClasses[getErrorColour(ptError.error, ransacThreshold, pt.outlier, ptError.masked)]
+                                : pt.outlier ? 'error' : isSuggested ? 'warning' : '';
                             return <li key={`${id}_ctrlpt_${index}`}>
                                 <Button
                                     onClick={() => _showEdit(index)}
                                     key={`${id}_selected_pt_${index}`}
-                                    icon={'crosshairs'}
-                                    label={index + 1}
-                                    title={`Control point at (${pt.x}, ${pt.y})`}
+                                    className={ptClass}
+                                    icon={pt.outlier ? 'warning' : isSuggested ? 'add' : 'crosshairs'}
+                                    label={ptError ? `${index + 1}: ${ptError.error.toFixed(1)}px` : index + 1}
+                                    title={`Control point at (${pt.x}, ${pt.y})${
+                                        ptError ? `, reprojection error ${ptError.error.toFixed(2)}px` : ''}${
+                                        pt.outlier ? ' flagged as outlier' : ''}${
+                                        ptError && ptError.masked ? ' inside mask (excluded from metrics)' : ''}${
+                                        isGeoPoint(pt.geo) ? `, at ${pt.geo.lat}, ${pt.geo.lng} (${pt.geo.elev}m)` : ''}${
+                                        isSuggested ? ' (suggested)' : ''}${
+                                        pt.score !== undefined ? `, match score ${pt.score.toFixed(2)}` : ''}`}
                                 />
                                 {
                                     selectedIndex === index &&
@@ -211,6 +380,41 @@ const Register = ({ id, aligned, callback, update, clear }) => {
                                                         onChange={_handleChange}
                                                     />
                                                 </li>
+                                                {
+                                                    ['lat', 'lng', 'elev'].map(key => {
+                                                        const geo = pt.geo || {};
+                                                        return <li key={`${id}_ctrlpt_${index}_${key}`}>
+                                                            <InputSelector
+                                                                id={`${id}_ctrlpt_${key}`}
+                                                                name={key}
+                                                                label={{lat: 'Lat', lng: 'Lng', elev: 'Elev (m)'}[key]}
+                                                                type={'float'}
+                                                                min={{lat: -90, lng: -180}[key]}
+                                                                max={{lat: 90, lng: 180}[key]}
+                                                                value={geo[key]}
+                                                                onChange={_handleGeoChange}
+                                                            />
+                                                        </li>;
+                                                    })
+                                                }
+                                                {
+                                                    isSuggested && <>
+                                                        <li>
+                                                            <Button
+                                                                icon={'success'}
+                                                                title={`Accept suggested control point pair`}
+                                                                onClick={() => _acceptSuggested([index])}
+                                                            />
+                                                        </li>
+                                                        <li>
+                                                            <Button
+                                                                icon={'cancel'}
+                                                                title={`Reject suggested control point pair`}
+                                                                onClick={() => _rejectSuggested([index])}
+                                                            />
+                                                        </li>
+                                                    </>
+                                                }
                                                 <li className={'push'}>
                                                     <Button
                                                         icon={'delete'}
@@ -225,7 +429,28 @@ const Register = ({ id, aligned, callback, update, clear }) => {
                             </li>;
                         })
                     }
-                    <li className={'push'}>
+                    {
+                        suggested.length > 0 && <>
+                            <li className={'push'}>
+                                <Button
+                                    onClick={() => _acceptSuggested(suggested)}
+                                    className={'success'}
+                                    icon={'success'}
+                                    label={'Accept All'}
+                                    title={`Accept ${suggested.length} suggested control point pair(s)`}
+                                />
+                            </li>
+                            <li>
+                                <Button
+                                    onClick={() => _rejectSuggested(suggested)}
+                                    icon={'cancel'}
+                                    label={'Reject All'}
+                                    title={`Reject ${suggested.length} suggested control point pair(s)`}
+                                />
+                            </li>
+                        </>
+                    }
+                    <li className={suggested.length > 0 ? '' : 'push'}>
                         <Button
                             onClick={() => _toggleOverlay()}
                             className={properties.overlay ? 'info' : 'warning'}
@@ -234,6 +459,17 @@ const Register = ({ id, aligned, callback, update, clear }) => {
                             title={`Display control points from opposite panel.`}
                         />
                     </li>
+                    <li>
+                        <Button
+                            onClick={_toggleRefine}
+                            className={iat.options.refinePoints ? 'info' : 'warning'}
+                            icon={'magnify'}
+                            label={'Refine'}
+                            title={iat.options.refinePoints
+                                ? 'Refinement on: corresponding control points snap to the best template match.'
+                                : 'Refinement off: click to snap corresponding control points to the best template match.'}
+                        />
+                    </li>
                     <li>
                         <Button
                             onClick={_handleDeleteAll}
@@ -242,13 +478,38 @@ const Register = ({ id, aligned, callback, update, clear }) => {
                             title={`Delete all control points`}
                         />
                     </li>
+                    <li>
+                        <InputSelector
+                            id={`${id}_transform_model`}
+                            name={'transformModel'}
+                            label={'Transform'}
+                            type={'select'}
+                            value={transformModel}
+                            options={iat.options.transformModels}
+                            onChange={_handleTransformModel}
+                        />
+                    </li>
+                    <li>
+                        <InputSelector
+                            id={`${id}_interpolation`}
+                            name={'interpolation'}
+                            label={'Interpolation'}
+                            type={'select'}
+                            value={iat.options.interpolation}
+                            options={iat.options.interpolations}
+                            onChange={_handleInterpolation}
+                        />
+                    </li>
                     <li>
                         <Button
-                            disabled={!hasControlPoints || !imagesLoaded || aligned}
-                            className={hasControlPoints && imagesLoaded ? 'success' : ''}
+                            disabled={!canAlign || !imagesLoaded || aligned || suggested.length > 0}
+                            className={canAlign && imagesLoaded && suggested.length === 0 ? 'success' : ''}
                             icon={'crosshairs'}
                             label={'Align'}
-                            title={'Align images using selected control points.'}
+                            title={suggested.length > 0
+                                ? 'Accept or reject suggested control points before aligning.'
+                                : degenerate ? getError(degenerate, 'canvas')
+                                : 'Align images using selected control points.'}
                             onClick={callback}
                         />
                     </li>
@@ -0,0 +1,281 @@
+/*!
+ * MLE.Client.Tools.Toolkit.Rotator
+ * File: rotator.alignment.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Panel image rotation by an arbitrary angle (clockwise, in degrees), in 90 degree steps,
+ * and horizontal/vertical flips. The levelling angle of tilted images can be computed from
+ * a horizon (or vertical) line drawn on the panel image. Rotations are previewed in the
+ * dialog and are only applied to the panel image when saved.
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Initial version
+ */
+
+import React from 'react';
+import Button from '../../common/button';
+import InputSelector from '../../selectors/input.selector';
+import Canvas from "../canvas/default.canvas.alignment";
+import {useIat} from "../../../providers/alignment.provider.client";
+import {getPreview} from "./tone.alignment";
+import {isWorkerSupported, runTask} from "../utils/workers.utils.alignment";
+import {getRotation, rotateImageData} from "../utils/raster.utils.alignment";
+import {getError} from "../../../services/schema.services.client";
+
+/**
+ * Normalize rotation angle to (-180, 180] degrees.
+ *
+ * @public
+ * @param {Number} angle
+ * @return {Number} angle
+ */
+
+export const normalizeAngle = (angle) => {
+    const normalized = ((angle % 360) + 360) % 360;
+    return normalized > 180 ? normalized - 360 : normalized;
+};
+
+/**
+ * Check if rotation changes the image.
+ *
+ * @public
+ * @param {Object} rotation
+ * @return {boolean}
+ */
+
+export const isRotationActive = (rotation) => {
+    const {angle = 0, flipH = false, flipV = false} = rotation || {};
+    return normalizeAngle(angle) !== 0 || !!flipH || !!flipV;
+};
+
+/**
+ * Compute levelling angle of a line drawn on the image (image coordinates).
+ * - lines within 45 degrees of horizontal are levelled to the horizon, steeper
+ *   lines are levelled to the vertical
+ * - returns the clockwise rotation angle (degrees) to level the line
+ *
+ * @public
+ * @param {Object} start
+ * @param {Object} end
+ * @return {Number} angle
+ */
+
+export const getLevellingAngle = (start, end) => {
+    let angle = Math.atan2(end.y - start.y, end.x - start.x) * 180 / Math.PI;
+    // line direction is irrelevant
+    if (angle > 90) angle -= 180;
+    if (angle <= -90) angle += 180;
+    const target = Math.abs(angle) <= 45 ? 0 : Math.sign(angle) * 90;
+    return Math.round(100 * (target - angle)) / 100;
+};
+
+/**
+ * Rotate and/or flip panel image data.
+ *
+ * @public
+ * @param {ImageData} image
+ * @param {Object} rotation {angle, flipH, flipV, expand}
+ * @param {Object} options
+ * @param {Object} monitor
+ * @return {Promise<{data: ImageData, error: Object}>}
+ */
+
+export const rotateImage = async (image, rotation, options = {}, monitor = null) => {
+    try {
+        const params = {...rotation, interpolation: options.interpolation};
+        // rotate image data in worker pool
+        // - image buffer is copied before transfer to keep panel image data intact
+        if (options.useWorkers && isWorkerSupported()) {
+            const buffer = image.data.slice().buffer;
+            const result = await runTask('rotate', {
+                data: buffer,
+                width: image.width,
+                height: image.height,
+                rotation: params
+            }, [buffer], monitor);
+            return {data: new ImageData(new Uint8ClampedArray(result.data), result.width, result.height), error: null};
+        }
+        const rotated = rotateImageData(image.data, image.width, image.height, params);
+        return {data: new ImageData(rotated.data, rotated.width, rotated.height), error: null};
+    } catch (err) {
+        // worker pool errors (incl. cancellation) are already formatted
+        if (err && err.msg) return {data: null, error: err};
+        console.error(err);
+        return {data: null, error: {msg: getError('default', 'canvas'), type: 'error'}};
+    }
+};
+
+/**
+ * Rotation dialog for panel image.
+ *
+ * @public
+ * @param {String} id
+ * @param {Object} data initial rotation (e.g. levelling angle of drawn horizon)
+ * @param {Function} callback
+ * @return {JSX.Element}
+ */
+
+export const Rotator = ({id = '', data = null, callback = () => {}}) => {
+
+    const iat = useIat();
+    const panel = iat[id];
+    const previewDims = {w: iat.options.maxTonePreviewWidth, h: iat.options.maxTonePreviewHeight};
+
+    // rotation settings
+    const [angle, setAngle] = React.useState((data && data.angle) || 0);
+    const [flipH, setFlipH] = React.useState(false);
+    const [flipV, setFlipV] = React.useState(false);
+    const [expand, setExpand] = React.useState(true);
+
+    // preview canvas and downscaled panel image
+    const previewLayer = React.useRef(null);
+    const [preview, setPreview] = React.useState(null);
+
+    const rotation = {angle: normalizeAngle(angle), flipH: flipH, flipV: flipV, expand: expand};
+    const dims = getRotation(panel.properties.image_dims.w, panel.properties.image_dims.h, rotation);
+
+    // prepare preview
+    React.useEffect(() => {
+        setPreview(getPreview(panel.image, previewDims));
+    }, [panel.image]);
+
+    // update preview on setting changes
+    React.useEffect(() => {
+        if (!preview) return;
+        const rotated = rotateImageData(preview.data, preview.width, preview.height, rotation);
+        previewLayer.current.load(new ImageData(rotated.data, rotated.width, rotated.height));
+    }, [preview, angle, flipH, flipV, expand]);
+
+    // update rotation angle
+    const _handleAngle = (e) => {
+        const { target = {} } = e || {};
+        const value = parseFloat(target.value);
+        setAngle(isNaN(value) ? 0 : value);
+    };
+
+    // draw horizon line on panel image to compute the levelling angle
+    const _handleHorizon = () => {
+        iat.setDialog(null);
+        iat.setMessage({msg: `Draw a horizon (or vertical) line on the ${panel.properties.label} image.`, type: 'info'});
+        iat.setMode('horizon');
+    };
+
+    // reset all settings
+    const _handleReset = () => {
+        setAngle(0);
+        setFlipH(false);
+        setFlipV(false);
+        setExpand(true);
+    };
+
+    // apply rotation to panel image
+    const _handleSave = () => {
+        callback(rotation);
+        iat.setDialog(null);
+    };
+
+    return <div>
+        <fieldset className={'compact'}>
+            <legend>{`${panel.properties.label} (${dims.width} x ${dims.height} px)`}</legend>
+            <Canvas ref={previewLayer} id={`${id}_rotate_preview`} />
+        </fieldset>
+        <fieldset className={'compact'}>
+            <legend>Rotation</legend>
+            <div className={'h-menu'}>
+                <ul>
+                    <li>
+                        <InputSelector
+                            id={`${id}_rotate_angle`}
+                            name={'angle'}
+                            label={'Angle (clockwise)'}
+                            type={'float'}
+                            value={angle}
+                            onChange={_handleAngle}
+                        />
+                    </li>
+                    <li><Button
+                        icon={'rotateLeft'}
+                        label={'90° Left'}
+                        onClick={() => setAngle(normalizeAngle(angle - 90))}
+                    /></li>
+                    <li><Button
+                        icon={'rotateRight'}
+                        label={'90° Right'}
+                        onClick={() => setAngle(normalizeAngle(angle + 90))}
+                    /></li>
+                    <li><Button
+                        icon={'horizon'}
+                        label={'Draw Horizon'}
+                        title={'Draw a horizon line on the panel image to compute the levelling angle.'}
+                        onClick={_handleHorizon}
+                    /></li>
+                </ul>
+            </div>
+            <div className={'h-menu'}>
+                <ul>
+                    <li>
+                        <InputSelector
+                            id={`${id}_rotate_flip_h`}
+                            name={'flipH'}
+                            label={'Flip horizontal'}
+                            type={'checkbox'}
+                            value={flipH}
+                            onChange={() => setFlipH(!flipH)}
+                        />
+                    </li>
+                    <li>
+                        <InputSelector
+                            id={`${id}_rotate_flip_v`}
+                            name={'flipV'}
+                            label={'Flip vertical'}
+                            type={'checkbox'}
+                            value={flipV}
+                            onChange={() => setFlipV(!flipV)}
+                        />
+                    </li>
+                    <li>
+                        <InputSelector
+                            id={`${id}_rotate_expand`}
+                            name={'expand'}
+                            label={'Expand image to fit'}
+                            type={'checkbox'}
+                            value={expand}
+                            onChange={() => setExpand(!expand)}
+                        />
+                    </li>
+                </ul>
+            </div>
+        </fieldset>
+        <fieldset className={'submit h-menu'}>
+            <ul>
+                <li><Button
+                    disabled={!isRotationActive(rotation)}
+                    icon={'success'}
+                    label={'Save'}
+                    title={'Apply rotation to panel image.'}
+                    onClick={_handleSave}
+                /></li>
+                <li><Button
+                    icon={'undo'}
+                    label={'Reset'}
+                    onClick={_handleReset}
+                /></li>
+                <li><Button
+                    icon={'cancel'}
+                    label={'Cancel'}
+                    onClick={() => {
+                        iat.setDialog(null);
+                    }}
+                /></li>
+            </ul>
+        </fieldset>
+    </div>;
+};
+
+export default Rotator;
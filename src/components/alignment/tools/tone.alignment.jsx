@@ -0,0 +1,382 @@
+/*!
+ * MLE.Client.Tools.Toolkit.Tone
+ * File: tone.alignment.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Panel tone adjustments (grayscale conversion, histogram matching to the opposite panel,
+ * contrast stretch and CLAHE). Adjustments are previewed in the dialog beside the opposite
+ * (reference) panel image and are only applied to the panel image when saved.
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Initial version
+ * - 18-10-2026   Shared preview scaling with the rotation dialog
+ */
+
+import React from 'react';
+import Button from '../../common/button';
+import InputSelector from '../../selectors/input.selector';
+import Canvas from "../canvas/default.canvas.alignment";
+import {useIat} from "../../../providers/alignment.provider.client";
+import {scaleToFit} from "./scaler.alignment";
+import {isWorkerSupported, runTask} from "../utils/workers.utils.alignment";
+import {adjustTone, getHistograms, grayscaleWeights, isToneActive} from "../utils/tone.utils.alignment";
+import {getError} from "../../../services/schema.services.client";
+
+/**
+ * Apply tone adjustments to panel image data.
+ *
+ * @public
+ * @param {ImageData} image
+ * @param {Object} tone
+ * @param {Object} options
+ * @param {Object} monitor
+ * @return {Promise<{data: ImageData, error: Object}>}
+ */
+
+export const toneImage = async (image, tone, options = {}, monitor = null) => {
+    try {
+        // adjust image data in worker pool
+        // - image buffer is copied before transfer to keep panel image data intact
+        if (options.useWorkers && isWorkerSupported()) {
+            const buffer = image.data.slice().buffer;
+            const result = await runTask('tone', {
+                data: buffer,
+                width: image.width,
+                height: image.height,
+                tone: tone
+            }, [buffer], monitor);
+            return {data: new ImageData(new Uint8ClampedArray(result.data), result.width, result.height), error: null};
+        }
+        const adjusted = adjustTone(image.data, image.width, image.height, tone);
+        return {data: new ImageData(adjusted, image.width, image.height), error: null};
+    } catch (err) {
+        // worker pool errors (incl. cancellation) are already formatted
+        if (err && err.msg) return {data: null, error: err};
+        console.error(err);
+        return {data: null, error: {msg: getError('default', 'canvas'), type: 'error'}};
+    }
+};
+
+/**
+ * Scale image data down to preview dimensions.
+ *
+ * @public
+ * @param {ImageData} image
+ * @param {Object} maxDims
+ * @return {ImageData}
+ */
+
+export const getPreview = (image, maxDims) => {
+    if (!image) return null;
+    const dims = scaleToFit(image.width, image.height, maxDims.w, maxDims.h);
+    const w = Math.max(1, Math.min(image.width, Math.round(dims.w)));
+    const h = Math.max(1, Math.min(image.height, Math.round(dims.h)));
+    const source = document.createElement('canvas');
+    source.width = image.width;
+    source.height = image.height;
+    source.getContext('2d').putImageData(image, 0, 0);
+    const canvas = document.createElement('canvas');
+    canvas.width = w;
+    canvas.height = h;
+    const context = canvas.getContext('2d');
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(source, 0, 0, w, h);
+    return context.getImageData(0, 0, w, h);
+};
+
+/**
+ * Tone adjustment dialog for panel image.
+ *
+ * @public
+ * @param {String} id
+ * @param {Function} callback
+ * @return {JSX.Element}
+ */
+
+export const ToneAdjuster = ({id = '', callback = () => {}}) => {
+
+    const iat = useIat();
+    const panel = iat[id];
+    const reference = id === 'panel1' ? iat.panel2 : iat.panel1;
+    const hasReference = reference.status === 'loaded' && !!reference.image;
+    const previewDims = {w: iat.options.maxTonePreviewWidth, h: iat.options.maxTonePreviewHeight};
+
+    // tone settings
+    const [grayscale, setGrayscale] = React.useState('');
+    const [weights, setWeights] = React.useState(grayscaleWeights.luma601.weights);
+    const [match, setMatch] = React.useState(false);
+    const [stretch, setStretch] = React.useState(null);
+    const [clahe, setClahe] = React.useState(null);
+
+    // preview canvases
+    const previewLayer = React.useRef(null);
+    const referenceLayer = React.useRef(null);
+
+    // downscaled panel images and reference histograms
+    const [preview, setPreview] = React.useState(null);
+    const [histograms, setHistograms] = React.useState(null);
+
+    const grayscaleOptions = [
+        {label: 'Colour (no conversion)', value: ''},
+        ...Object.keys(grayscaleWeights).map(key => ({label: grayscaleWeights[key].label, value: key})),
+        {label: 'Custom weights', value: 'custom'}
+    ];
+
+    /**
+     * Get tone settings for current selections
+     * - grayscale images are matched to the reference luminance histogram
+     *
+     * @private
+     * @return {Object} tone
+     */
+
+    const _getTone = () => {
+        return {
+            grayscale: grayscale ? weights : null,
+            match: match && histograms
+                ? (grayscale
+                    ? {r: histograms.l, g: histograms.l, b: histograms.l}
+                    : {r: histograms.r, g: histograms.g, b: histograms.b})
+                : null,
+            stretch: stretch,
+            clahe: clahe
+        };
+    };
+
+    // prepare previews and reference histograms
+    React.useEffect(() => {
+        const data = getPreview(panel.image, previewDims);
+        setPreview(data);
+        if (hasReference) {
+            referenceLayer.current.load(getPreview(reference.image, previewDims));
+            setHistograms(getHistograms(reference.image.data));
+        }
+    }, [panel.image, reference.image]);
+
+    // update preview on setting changes
+    React.useEffect(() => {
+        if (!preview) return;
+        const adjusted = adjustTone(preview.data, preview.width, preview.height, _getTone());
+        previewLayer.current.load(new ImageData(adjusted, preview.width, preview.height));
+    }, [preview, histograms, grayscale, weights, match, stretch, clahe]);
+
+    // select grayscale weights preset
+    const _handleGrayscale = (e) => {
+        const { target = {} } = e || {};
+        const { value = '' } = target;
+        setGrayscale(value);
+        if (grayscaleWeights.hasOwnProperty(value)) setWeights(grayscaleWeights[value].weights);
+    };
+
+    // update custom grayscale weight
+    const _handleWeight = (index) => (e) => {
+        const { target = {} } = e || {};
+        const value = parseFloat(target.value);
+        setGrayscale('custom');
+        setWeights(prevState => prevState.map((w, i) => i === index ? (isNaN(value) ? 0 : Math.max(value, 0)) : w));
+    };
+
+    // update contrast stretch percentiles
+    const _handleStretch = (e) => {
+        const { target = {} } = e || {};
+        const { name = '', value = '' } = target;
+        const percent = Math.min(Math.max(parseFloat(value) || 0, 0), 100);
+        setStretch(prevState => ({...prevState, [name]: percent}));
+    };
+
+    // update CLAHE parameters
+    const _handleClahe = (e) => {
+        const { target = {} } = e || {};
+        const { name = '', value = '' } = target;
+        setClahe(prevState => ({
+            ...prevState,
+            [name]: name === 'tiles'
+                ? Math.min(Math.max(parseInt(value) || 1, 1), 64)
+                : Math.max(parseFloat(value) || 1, 1)
+        }));
+    };
+
+    // reset all settings
+    const _handleReset = () => {
+        setGrayscale('');
+        setWeights(grayscaleWeights.luma601.weights);
+        setMatch(false);
+        setStretch(null);
+        setClahe(null);
+    };
+
+    // apply tone adjustments to panel image
+    const _handleSave = () => {
+        callback(_getTone());
+        iat.setDialog(null);
+    };
+
+    return <div>
+        <div className={'h-menu'}>
+            <ul>
+                <li>
+                    <fieldset className={'compact'}>
+                        <legend>{`${panel.properties.label} (Adjusted)`}</legend>
+                        <Canvas ref={previewLayer} id={`${id}_tone_preview`} />
+                    </fieldset>
+                </li>
+                {
+                    hasReference && <li>
+                        <fieldset className={'compact'}>
+                            <legend>{`${reference.properties.label} (Reference)`}</legend>
+                            <Canvas ref={referenceLayer} id={`${id}_tone_reference`} />
+                        </fieldset>
+                    </li>
+                }
+            </ul>
+        </div>
+        <fieldset className={'compact'}>
+            <legend>Grayscale</legend>
+            <div className={'h-menu'}>
+                <ul>
+                    <li style={{width: '200px'}}>
+                        <InputSelector
+                            id={`${id}_tone_grayscale`}
+                            name={'grayscale'}
+                            label={'Conversion'}
+                            type={'select'}
+                            value={grayscale}
+                            options={grayscaleOptions}
+                            onChange={_handleGrayscale}
+                        />
+                    </li>
+                    {
+                        ['Red', 'Green', 'Blue'].map((channel, index) => <li key={`${id}_tone_weight_${index}`}>
+                            <InputSelector
+                                id={`${id}_tone_weight_${index}`}
+                                name={`weight_${index}`}
+                                label={channel}
+                                type={'float'}
+                                disabled={!grayscale}
+                                value={Math.round(1000 * weights[index]) / 1000}
+                                onChange={_handleWeight(index)}
+                            />
+                        </li>)
+                    }
+                </ul>
+            </div>
+        </fieldset>
+        <fieldset className={'compact'}>
+            <legend>Contrast</legend>
+            <div className={'h-menu'}>
+                <ul>
+                    <li>
+                        <InputSelector
+                            id={`${id}_tone_match`}
+                            name={'match'}
+                            label={`Match histogram to ${reference.properties.label}`}
+                            type={'checkbox'}
+                            disabled={!hasReference}
+                            value={match}
+                            onChange={() => setMatch(!match)}
+                        />
+                    </li>
+                    <li>
+                        <InputSelector
+                            id={`${id}_tone_stretch`}
+                            name={'stretch'}
+                            label={'Contrast stretch'}
+                            type={'checkbox'}
+                            value={!!stretch}
+                            onChange={() => setStretch(stretch ? null : {low: 1, high: 99})}
+                        />
+                    </li>
+                    <li>
+                        <InputSelector
+                            id={`${id}_tone_stretch_low`}
+                            name={'low'}
+                            label={'Low %'}
+                            type={'float'}
+                            disabled={!stretch}
+                            value={stretch ? stretch.low : 1}
+                            onChange={_handleStretch}
+                        />
+                    </li>
+                    <li>
+                        <InputSelector
+                            id={`${id}_tone_stretch_high`}
+                            name={'high'}
+                            label={'High %'}
+                            type={'float'}
+                            disabled={!stretch}
+                            value={stretch ? stretch.high : 99}
+                            onChange={_handleStretch}
+                        />
+                    </li>
+                </ul>
+            </div>
+            <div className={'h-menu'}>
+                <ul>
+                    <li>
+                        <InputSelector
+                            id={`${id}_tone_clahe`}
+                            name={'clahe'}
+                            label={'Adaptive equalization (CLAHE)'}
+                            type={'checkbox'}
+                            value={!!clahe}
+                            onChange={() => setClahe(clahe ? null : {clipLimit: 2, tiles: 8})}
+                        />
+                    </li>
+                    <li>
+                        <InputSelector
+                            id={`${id}_tone_clip_limit`}
+                            name={'clipLimit'}
+                            label={'Clip Limit'}
+                            type={'float'}
+                            disabled={!clahe}
+                            value={clahe ? clahe.clipLimit : 2}
+                            onChange={_handleClahe}
+                        />
+                    </li>
+                    <li>
+                        <InputSelector
+                            id={`${id}_tone_tiles`}
+                            name={'tiles'}
+                            label={'Tiles'}
+                            type={'int'}
+                            disabled={!clahe}
+                            value={clahe ? clahe.tiles : 8}
+                            onChange={_handleClahe}
+                        />
+                    </li>
+                </ul>
+            </div>
+        </fieldset>
+        <fieldset className={'submit h-menu'}>
+            <ul>
+                <li><Button
+                    disabled={!isToneActive(_getTone())}
+                    icon={'success'}
+                    label={'Save'}
+                    title={'Apply tone adjustments to panel image.'}
+                    onClick={_handleSave}
+                /></li>
+                <li><Button
+                    icon={'undo'}
+                    label={'Reset'}
+                    onClick={_handleReset}
+                /></li>
+                <li><Button
+                    icon={'cancel'}
+                    label={'Cancel'}
+                    onClick={() => {
+                        iat.setDialog(null);
+                    }}
+                /></li>
+            </ul>
+        </fieldset>
+    </div>;
+};
+
+export default ToneAdjuster;
@@ -14,6 +14,7 @@
  * Revisions
  * - 09-07-2023   Major upgrade to Toolkit incl. UI and workflow improvements and OpenCV integration
  * - 16-07-2023   Include image format selection for upload
+ * - 18-10-2026   Include alignment report with uploaded aligned images
  */
 
 import React, {useEffect, useRef} from 'react';
@@ -80,6 +81,22 @@ export const UploaderAlignment = ({ id=null, model=null, callback = () => {}, ca
         setMessage({msg: `Image ready for upload!`, type: 'success'});
     }
 
+    // get image file and alignment report (if image was aligned) for upload
+    const _getUploadFiles = () => {
+        const {filename} = iat[selectedPanelID].properties;
+        const files = [{
+            name: fileType,
+            value: imageData,
+            filename: filename
+        }];
+        if (iat.alignment && iat.alignment.target.id === selectedPanelID) files.push({
+            name: 'alignment_report',
+            value: new Blob([JSON.stringify(iat.alignment, null, 2)], {type: 'application/json'}),
+            filename: `${filename || selectedPanelID}.alignment.json`
+        });
+        return files;
+    }
+
     // update selected panel to load image
     const _handleSelectPanel = (e) => {
         const { target={} } = e || {};
@@ -137,13 +154,7 @@ export const UploaderAlignment = ({ id=null, model=null, callback = () => {}, ca
                 })}
                 route={createNodeRoute(fileType, 'new', id)}
                 onCancel={cancel}
-                files={[
-                    {
-                        name: fileType,
-                        value: imageData,
-                        filename: iat[selectedPanelID].properties.filename
-                    }
-                ]}
+                files={_getUploadFiles()}
                 callback={callback}
             />
         }
@@ -13,21 +13,56 @@
  * ---------
  * Revisions
  * - 25-09-2024   Updated the OpenCV library to opencv-wasm 2.0.0
+ * - 18-10-2026   Least-squares/RANSAC homography from four or more control points
+ * - 18-10-2026   Reprojection error report for computed transforms
+ * - 18-10-2026   Bilinear and bicubic resampling for non-OpenCV image warping
+ * - 18-10-2026   Image warping moved to worker pool (see raster.utils.alignment.js)
+ * - 18-10-2026   Similarity and affine transform models with model-specific degeneracy checks
+ * - 18-10-2026   Image warping by a given transform (used to replay alignment recipes)
+ * - 18-10-2026   Control points inside region-of-interest masks are excluded from error metrics
+ * - 18-10-2026   Removed unused correlation coefficient helper
+ * - 18-10-2026   Local scale of transforms (used to refine control points)
+ * - 18-10-2026   Shared normalised least-squares solve; transform models from toolkit options
  */
 
 import * as math from "mathjs";
 import { getError } from "../../../services/schema.services.client";
-import { translateCVError } from "../panel/init.panel.alignment";
+import { initOptions, translateCVError } from "../panel/init.panel.alignment";
+import { isMasked } from "./mask.utils.alignment";
+import { warpImage } from "./raster.utils.alignment";
+import { isWorkerSupported, runTask } from "./workers.utils.alignment";
+
+/**
+ * Solve normalised linear system Ah = b in the least-squares sense and denormalise.
+ * - solves the normal equations (A'A)h = A'b
+ * - the solution h is arranged as normalised 3x3 matrix Hn by the transform model
+ * - denormalised as H = inv(T2) * Hn * T1
+ *
+ * @private
+ * @param {Array} A
+ * @param {Array} b
+ * @param {Array} T1 normalisation of source points
+ * @param {Array} T2 normalisation of target points
+ * @param {Function} getMatrix arranges solution h as 3x3 matrix
+ * @return {Array} coefficients
+ */
+
+const _solveNormalized = (A, b, T1, T2, getMatrix) => {
+    const At = math.transpose(A);
+    const h = math.transpose(math.lusolve(math.multiply(At, A), math.multiply(At, b)))[0];
+    return fromMatrix(math.multiply(math.inv(T2), math.multiply(getMatrix(h), T1)));
+};
 
 /**
  * Compute alignment transformation matrix image data.
- * - Uses four control points (x,y) given in each canvas
- * - Solves the linear problem H[x,y] = k[u,v] for h
+ * - Uses four or more control points (x,y) given in each canvas
+ * - Solves the linear problem H[x,y] = k[u,v] for h in the least-squares sense
  * - where  h = [h0, h1, h2, h3, h4, h5, h6, h7]
- *          x = [x0, x1, x2, x3], y = [y0, y1, y2, y3]
- *          u = [u0, u1, u2, u3], v = [v0, v1, v2, v3]
- *          p = [[x0, y0], [u0, v0], [x1, y1], [u1, v1],
- *              [x2, y2], [u2, v2], [x3, y3], [u4, v4]]
+ *          x = [x0, x1, ..., xn], y = [y0, y1, ..., yn]
+ *          u = [u0, u1, ..., un], v = [v0, v1, ..., vn]
+ * - Point coordinates are normalized (centroid at origin, mean distance sqrt(2))
+ *   before solving the normal equations to keep the system well-conditioned
+ *   for large images.
  * - The transformation matrix H is then defined as:
  *      H = |h0  h1  0  h2|
  *          |h3  h4  0  h5|
@@ -35,6 +70,7 @@ import { translateCVError } from "../panel/init.panel.alignment";
  *          |h6  h7  0   1|
  *
  * Reference: https://franklinta.com/2014/09/08/computing-css-matrix3d-transforms/
+ * Reference: Hartley, R. (1997) In defense of the eight-point algorithm.
  *
  * @public
  * @return {*[]}
@@ -44,76 +80,373 @@ import { translateCVError } from "../panel/init.panel.alignment";
 
 export const getAlignmentTransform = (from, to) => {
 
+    const n = Math.min(from.length, to.length);
+
+    // normalize control point coordinates
+    const T1 = _getNormalization(from.slice(0, n));
+    const T2 = _getNormalization(to.slice(0, n));
+
     // Ax = b
     let A = [];
-    for (let i = 0; i < 4; i++) {
-        A.push([from[i].x, from[i].y, 1, 0, 0, 0, -from[i].x * to[i].x, -from[i].y * to[i].x]);
-        A.push([0, 0, 0, from[i].x, from[i].y, 1, -from[i].x * to[i].y, -from[i].y * to[i].y]);
+    let b = [];
+    for (let i = 0; i < n; i++) {
+        const x = T1[0][0] * from[i].x + T1[0][2];
+        const y = T1[1][1] * from[i].y + T1[1][2];
+        const u = T2[0][0] * to[i].x + T2[0][2];
+        const v = T2[1][1] * to[i].y + T2[1][2];
+        A.push([x, y, 1, 0, 0, 0, -x * u, -y * u]);
+        A.push([0, 0, 0, x, y, 1, -x * v, -y * v]);
+        b.push(u);
+        b.push(v);
     }
 
-    // destination control point vector
+    // solve normal equations (A'A)h = A'b for least-squares H
+    return _solveNormalized(A, b, T1, T2, h => [[h[0], h[1], h[2]], [h[3], h[4], h[5]], [h[6], h[7], 1]]);
+};
+
+/**
+ * Minimum number of control point pairs for each transform model.
+ * - similarity: rotation, uniform scale and translation (4 DOF)
+ * - affine: adds shear and non-uniform scale (6 DOF)
+ * - perspective: full homography (8 DOF)
+ */
+
+const minPoints = { similarity: 2, affine: 3, perspective: 4 };
+
+/**
+ * Transform models (labels from the toolkit transform model options).
+ */
+
+export const transformModels = initOptions().transformModels.reduce((models, {label, value}) => ({
+    ...models,
+    [value]: { label: label, minPoints: minPoints[value] }
+}), {});
+
+/**
+ * Get the minimum number of control point pairs for the selected transform model.
+ *
+ * @public
+ * @param options
+ * @return {Number} minimum number of control points
+ */
+
+export const getMinControlPoints = (options) => {
+    const { transformModel = 'perspective', controlPtMin = 4 } = options || {};
+    return transformModels[transformModel] ? transformModels[transformModel].minPoints : controlPtMin;
+};
+
+/**
+ * Compute similarity transformation from two or more control point pairs.
+ * - solves u = a*x - b*y + tx, v = b*x + a*y + ty in the least-squares sense
+ * - returned as homography coefficients (h6 = h7 = 0)
+ *
+ * @public
+ * @param from
+ * @param to
+ * @return {Array} coefficients
+ */
+
+export const getSimilarityTransform = (from, to) => {
+    const n = Math.min(from.length, to.length);
+    const T1 = _getNormalization(from.slice(0, n));
+    const T2 = _getNormalization(to.slice(0, n));
+
+    let A = [];
     let b = [];
-    for (let i = 0; i < 4; i++) {
-        b.push(to[i].x);
-        b.push(to[i].y);
+    for (let i = 0; i < n; i++) {
+        const x = T1[0][0] * from[i].x + T1[0][2];
+        const y = T1[1][1] * from[i].y + T1[1][2];
+        A.push([x, -y, 1, 0]);
+        A.push([y, x, 0, 1]);
+        b.push(T2[0][0] * to[i].x + T2[0][2]);
+        b.push(T2[1][1] * to[i].y + T2[1][2]);
     }
 
-    // solve linear system for H
-    let H = math.transpose(math.lusolve(A, b))[0];
-    const H2 = [[H[0], H[1], H[2]], [H[3], H[4], H[5]], [H[6], H[7], 1]];
-
-    // Sanity check that H actually maps `from` to `to`
-    for (let i = 0; i < 4; i++) {
-        const lhs = math.multiply(H2, math.transpose([from[i].x, from[i].y, 1]));
-        const k = lhs[2];
-        const z = [to[i].x, to[i].y, 1];
-        const rhs = math.multiply(z, k);
-        console.assert(math.norm(math.subtract(lhs, rhs)) < 1e-9, 'Not equal:', lhs, rhs);
+    return _solveNormalized(A, b, T1, T2, h => [[h[0], -h[1], h[2]], [h[1], h[0], h[3]], [0, 0, 1]]);
+};
+
+/**
+ * Compute affine transformation from three or more control point pairs.
+ * - solves u = a0*x + a1*y + a2, v = a3*x + a4*y + a5 in the least-squares sense
+ * - returned as homography coefficients (h6 = h7 = 0)
+ *
+ * @public
+ * @param from
+ * @param to
+ * @return {Array} coefficients
+ */
+
+export const getAffineTransform = (from, to) => {
+    const n = Math.min(from.length, to.length);
+    const T1 = _getNormalization(from.slice(0, n));
+    const T2 = _getNormalization(to.slice(0, n));
+
+    let A = [];
+    let b = [];
+    for (let i = 0; i < n; i++) {
+        const x = T1[0][0] * from[i].x + T1[0][2];
+        const y = T1[1][1] * from[i].y + T1[1][2];
+        A.push([x, y, 1, 0, 0, 0]);
+        A.push([0, 0, 0, x, y, 1]);
+        b.push(T2[0][0] * to[i].x + T2[0][2]);
+        b.push(T2[1][1] * to[i].y + T2[1][2]);
     }
-    return H;
+
+    return _solveNormalized(A, b, T1, T2, h => [[h[0], h[1], h[2]], [h[3], h[4], h[5]], [0, 0, 1]]);
+};
+
+/**
+ * Least-squares solvers for each transform model.
+ */
+
+const _solvers = {
+    similarity: getSimilarityTransform,
+    affine: getAffineTransform,
+    perspective: getAlignmentTransform
+};
+
+/**
+ * Check control points for degenerate configurations of the transform model.
+ * - similarity: points must not all coincide
+ * - affine: points must not all lie on a line
+ * - perspective: points must not all lie on a line and, with exactly four
+ *   points, no three may be collinear
+ * - tolerance is relative to the spread of the points
+ *
+ * @public
+ * @param pts
+ * @param model
+ * @param tolerance
+ * @return {String|null} error key
+ */
+
+export const checkCollinearity = (pts, model = 'perspective', tolerance = 0.01) => {
+    const n = (pts || []).length;
+    if (n === 0) return null;
+
+    // spread of points about centroid (principal axes of scatter matrix)
+    const cx = pts.reduce((sum, pt) => sum + pt.x, 0) / n;
+    const cy = pts.reduce((sum, pt) => sum + pt.y, 0) / n;
+    let sxx = 0, syy = 0, sxy = 0;
+    pts.forEach(pt => {
+        sxx += (pt.x - cx) * (pt.x - cx);
+        syy += (pt.y - cy) * (pt.y - cy);
+        sxy += (pt.x - cx) * (pt.y - cy);
+    });
+    const tr = (sxx + syy) / 2;
+    const d = Math.sqrt(Math.max(tr * tr - (sxx * syy - sxy * sxy), 0));
+    const major = Math.sqrt(Math.max(tr + d, 0) / n);
+    const minor = Math.sqrt(Math.max(tr - d, 0) / n);
+
+    if (major < 1) return 'coincidentPts';
+    if (model === 'similarity') return null;
+    if (minor < tolerance * major) return 'collinearPts';
+
+    // each triple of a minimal four-point homography must span a triangle
+    if (model === 'perspective' && n === 4) {
+        for (let i = 0; i < 4; i++) {
+            const [a, b, c] = pts.filter((pt, j) => j !== i);
+            const area = Math.abs((b.x - a.x) * (c.y - a.y) - (c.x - a.x) * (b.y - a.y)) / 2;
+            if (area < tolerance * major * major) return 'collinearPerspectivePts';
+        }
+    }
+    return null;
+};
+
+/**
+ * Compute the normalizing similarity transform for a set of points.
+ * - translates the centroid to the origin
+ * - scales points to a mean distance of sqrt(2) from the origin
+ *
+ * @private
+ * @param pts
+ * @return {Array} 3x3 normalization matrix
+ */
+
+const _getNormalization = (pts) => {
+    const n = pts.length || 1;
+    const cx = pts.reduce((sum, pt) => sum + pt.x, 0) / n;
+    const cy = pts.reduce((sum, pt) => sum + pt.y, 0) / n;
+    const meanDist = pts.reduce((sum, pt) => sum + Math.hypot(pt.x - cx, pt.y - cy), 0) / n;
+    const s = meanDist > 0 ? Math.SQRT2 / meanDist : 1;
+    return [[s, 0, -s * cx], [0, s, -s * cy], [0, 0, 1]];
+};
+
+/**
+ * Convert flat homography coefficients [h0..h7] to a 3x3 matrix.
+ *
+ * @public
+ * @param H
+ * @return {Array} 3x3 matrix
+ */
+
+export const toMatrix = (H) => {
+    return [[H[0], H[1], H[2]], [H[3], H[4], H[5]], [H[6], H[7], 1]];
+};
+
+/**
+ * Convert a 3x3 matrix to flat homography coefficients [h0..h7]
+ * - scales the matrix so that the bottom-right coefficient is 1
+ *
+ * @public
+ * @param M
+ * @return {Array} coefficients
+ */
+
+export const fromMatrix = (M) => {
+    const k = M[2][2];
+    return [
+        M[0][0] / k, M[0][1] / k, M[0][2] / k,
+        M[1][0] / k, M[1][1] / k, M[1][2] / k,
+        M[2][0] / k, M[2][1] / k
+    ];
+};
+
+/**
+ * Project a point (x,y) using homography coefficients [h0..h7].
+ *
+ * @public
+ * @param H
+ * @param pt
+ * @return {{x: number, y: number}}
+ */
+
+export const projectPoint = (H, pt) => {
+    const k = pt.x * H[6] + pt.y * H[7] + 1;
+    return {
+        x: (pt.x * H[0] + pt.y * H[1] + H[2]) / k,
+        y: (pt.x * H[3] + pt.y * H[4] + H[5]) / k
+    };
+};
+
+/**
+ * Local scale of a transform at a point (square root of the area scale).
+ *
+ * @public
+ * @param H homography coefficients [h0..h7]
+ * @param pt
+ * @return {Number} scale (null if the transform is degenerate at the point)
+ */
+
+export const getTransformScale = (H, pt) => {
+    const p = projectPoint(H, pt);
+    const px = projectPoint(H, {x: pt.x + 1, y: pt.y});
+    const py = projectPoint(H, {x: pt.x, y: pt.y + 1});
+    const det = Math.abs((px.x - p.x) * (py.y - p.y) - (px.y - p.y) * (py.x - p.x));
+    return isFinite(det) && det > 0 ? Math.sqrt(det) : null;
+};
+
+/**
+ * Flag control point pairs within the reprojection threshold (in pixels).
+ *
+ * @private
+ * @param H
+ * @param from
+ * @param to
+ * @param threshold
+ * @return {Array} inlier flags
+ */
+
+const _getInliers = (H, from, to, threshold) => {
+    return from.map((pt, i) => {
+        const projected = projectPoint(H, pt);
+        const err = Math.hypot(projected.x - to[i].x, projected.y - to[i].y);
+        return Number.isFinite(err) && err <= threshold;
+    });
 };
+
 /**
- * Apply alignment transformation matrix (homographic projection) to image data.
- * NOTE: input data is Uint32 typed array to store four one-byte values (red,
- * green, blue, and alpha, or "RGBA" format). Each pixel is assigned a
- * consecutive index within the array, with the top left pixel at index 0
- * which proceed from left to right, then downward, throughout the array.
+ * Robust transform estimation using RANSAC.
+ * - mathjs equivalent of cv.findHomography(..., cv.RANSAC) for the selected
+ *   transform model (similarity, affine or perspective)
+ * - random minimal samples are fitted exactly and scored by the number of
+ *   control point pairs within the reprojection threshold
+ * - the final transform is the least-squares fit of the largest consensus set
+ * - with the minimum number of point pairs the transform is determined directly
  *
  * @public
- * @param {Array} H
- * @param {Uint32Array} src
- * @param {Uint32Array} dst
- * @param {int} w
- * @param {int} h
+ * @param from
+ * @param to
+ * @param options
+ * @return {{transform: Array, inliers: Array}}
  */
 
-export const warpImage = (H, src, dst, w, h) => {
-
-    // compute array index
-    // function idx(ix, iy, w) {
-    //     return (Math.ceil(Math.max(ix + w * iy, 0)));
-    // }
-
-    const dstW = w;
-    const dstH = h;
-    // const srcW = w;
-    // const srcH = h;
-    let x, y, u, v, k;
-    for (y = 0; y < dstH; ++y) {
-        for (x = 0; x < dstW; ++x) {
-            // transform coordinates
-            k = x * H[6] + y * H[7] + 1;
-            u = (x * H[0] + y * H[1] + H[2]) / k;
-            u >>= 0;
-            v = (x * H[3] + y * H[4] + H[5]) / k;
-            v >>= 0;
-            dst[x + w * y] = src[u + w * v];
+export const findTransform = (from, to, options = {}) => {
+
+    const {ransacThreshold = 3, ransacIterations = 500, transformModel = 'perspective'} = options || {};
+    const solve = _solvers[transformModel] || _solvers.perspective;
+    const minPoints = getMinControlPoints({transformModel});
+    const n = Math.min(from.length, to.length);
+
+    // minimal point pairs define the transform exactly
+    if (n <= minPoints) return { transform: solve(from, to), inliers: from.map(() => true) };
+
+    let bestInliers = null;
+    let bestCount = 0;
+    for (let k = 0; k < ransacIterations; k++) {
+
+        // select distinct random point pairs
+        const sample = [];
+        while (sample.length < minPoints) {
+            const index = Math.floor(Math.random() * n);
+            if (!sample.includes(index)) sample.push(index);
+        }
+
+        // fit sample exactly (skip degenerate samples)
+        let H;
+        try {
+            H = solve(sample.map(i => from[i]), sample.map(i => to[i]));
+        } catch (err) {
+            continue;
+        }
+        if (!H.every(Number.isFinite)) continue;
+
+        // score sample by consensus set size
+        const inliers = _getInliers(H, from, to, ransacThreshold);
+        const count = inliers.filter(Boolean).length;
+        if (count > bestCount) {
+            bestInliers = inliers;
+            bestCount = count;
+            if (count === n) break;
         }
     }
+
+    // no consensus: fall back to least-squares fit of all points
+    if (!bestInliers || bestCount < minPoints) {
+        const transform = solve(from, to);
+        return { transform, inliers: _getInliers(transform, from, to, ransacThreshold) };
+    }
+
+    // refine transform using all inliers
+    const transform = solve(
+        from.filter((pt, i) => bestInliers[i]),
+        to.filter((pt, i) => bestInliers[i])
+    );
+    return { transform, inliers: bestInliers };
 };
+
+/**
+ * Robust homography estimation using RANSAC (perspective transform model).
+ *
+ * @public
+ * @param from
+ * @param to
+ * @param options
+ * @return {{transform: Array, inliers: Array}}
+ */
+
+export const findHomography = (from, to, options = {}) => {
+    return findTransform(from, to, {...options, transformModel: 'perspective'});
+};
+
 /**
  * Transform images data for alignment.
- * - uses CV WASM image transformations
+ * - transform (similarity, affine or perspective) is estimated from all
+ *   control point pairs (least squares), with RANSAC outlier rejection for
+ *   more than the minimum number of pairs (perspective uses CV WASM when loaded)
+ * - target image is warped by the estimated transform (see transformImage)
+ * - returned transform maps source (reference) panel coordinates to
+ *   destination (target) panel coordinates
  *
  * @public
  * @param cv
@@ -122,113 +455,169 @@ export const warpImage = (H, src, dst, w, h) => {
  * @param canvas
  * @param targetImage
  * @param options
+ * @param monitor
+ * @return {Promise<{data: ImageData, error: Object, transform: Array, inliers: Array}>}
  */
 
-export const alignImages = (cv, srcPanel, dstPanel, canvas, targetImage, options) => {
+export const alignImages = async (cv, srcPanel, dstPanel, canvas, targetImage, options, monitor = null) => {
     try {
         // destructure image data
         const imgSrc = srcPanel.image;
         const imgDst = dstPanel.image;
 
-        // init destination image
-        // let srcW = imgSrc.width;
-        // let srcH = imgSrc.height;
-
-        // init destination image
-        let dstData;
-        let dstW = imgDst.width;
-        let dstH = imgDst.height;
+        // init transform
+        let transform, inliers;
 
         // get control points
         const controlPoints1 = [...srcPanel.pointer.points];
         const controlPoints2 = [...dstPanel.pointer.points];
 
         // check control points preconditions
+        const minPoints = getMinControlPoints(options);
         if (!controlPoints1
-            || controlPoints1.length < options.controlPtMax
-            || !controlPoints2 || controlPoints2.length < options.controlPtMax) {
+            || controlPoints1.length < minPoints
+            || !controlPoints2 || controlPoints2.length < minPoints) {
             return { data: null, error: { msg: getError('missingControlPoints', 'canvas'), type: 'error' } };
         }
+        if (controlPoints1.length !== controlPoints2.length) {
+            return { data: null, error: { msg: getError('mismatchedControlPoints', 'canvas'), type: 'error' } };
+        }
+        const degenerate = checkCollinearity(controlPoints1, options.transformModel)
+            || checkCollinearity(controlPoints2, options.transformModel);
+        if (degenerate) {
+            return { data: null, error: { msg: getError(degenerate, 'canvas'), type: 'error' } };
+        }
 
         // check preconditions
-        if (!imgSrc || !imgDst) {
+        if (!imgSrc || !imgDst || !targetImage) {
             return { data: null, error: { msg: getError('emptyCanvas', 'canvas'), type: 'error' } };
         }
 
-        // use OpenCV library for image transformations
-        if (cv) {
-            console.log('Applying OpenCV perspective transformation...');
-            let initDstImage = cv.matFromImageData(targetImage);
-            let dstImage = new cv.Mat();
-            let dsize = new cv.Size(initDstImage.cols, initDstImage.rows);
-
-            // DEBUG
-            console.log('Source Image:', imgSrc)
-            console.log('Target Image:', imgDst, dsize)
+        // compute alignment transformation matrix
+        // - similarity and affine models are always solved in JS
+        if (cv && (options.transformModel || 'perspective') === 'perspective') {
 
             // (data32F[0], data32F[1]) is the first point
             // (data32F[2], data32F[3]) is the second point
-            // (data32F[4], data32F[5]) is the third point
-            // (data32F[6], data32F[7]) is the fourth point
-            let dstTri = new cv.matFromArray(controlPoints1.length, 1, cv.CV_32FC2, [
-                controlPoints1[0].x,
-                controlPoints1[0].y,
-                controlPoints1[1].x,
-                controlPoints1[1].y,
-                controlPoints1[2].x,
-                controlPoints1[2].y,
-                controlPoints1[3].x,
-                controlPoints1[3].y
-            ]);
-
-            let srcTri = new cv.matFromArray(controlPoints2.length, 1, cv.CV_32FC2, [
-                controlPoints2[0].x,
-                controlPoints2[0].y,
-                controlPoints2[1].x,
-                controlPoints2[1].y,
-                controlPoints2[2].x,
-                controlPoints2[2].y,
-                controlPoints2[3].x,
-                controlPoints2[3].y
-            ]);
+            // ...
+            let dstTri = cv.matFromArray(controlPoints1.length, 1, cv.CV_32FC2,
+                controlPoints1.flatMap(pt => [pt.x, pt.y]));
+            let srcTri = cv.matFromArray(controlPoints2.length, 1, cv.CV_32FC2,
+                controlPoints2.flatMap(pt => [pt.x, pt.y]));
+            let mask = new cv.Mat();
 
             // Find the homography matrix.
-            // const homography = cv.findHomography(srcTri, dstTri, cv.RANSAC);
-            const M = cv.getPerspectiveTransform(srcTri, dstTri);
+            // - least squares for four pairs, RANSAC for over-determined sets
+            const method = controlPoints1.length > 4 ? cv.RANSAC : 0;
+            const M = cv.findHomography(srcTri, dstTri, method, options.ransacThreshold, mask);
 
             // DEBUG
             console.log('Transformation Matrix:', M)
 
-            // Apply homography to image
-            cv.warpPerspective(initDstImage, dstImage, M, dsize);
+            if (M.empty()) {
+                M.delete(); mask.delete(); srcTri.delete(); dstTri.delete();
+                return { data: null, error: { msg: getError('noTransform', 'canvas'), type: 'error' } };
+            }
 
-            // DEBUG
-            console.log('Warping:', M, initDstImage, dstImage, dsize)
+            // get inlier mask (empty for least-squares method)
+            inliers = controlPoints1.map((pt, i) => mask.rows > 0 ? mask.data[i] !== 0 : true);
+
+            // invert OpenCV (target -> reference) matrix to reference -> target transform
+            const m = Array.from(M.data64F);
+            transform = fromMatrix(math.inv([[m[0], m[1], m[2]], [m[3], m[4], m[5]], [m[6], m[7], m[8]]]));
+
+            // delete buffers
+            srcTri.delete();
+            dstTri.delete();
+            mask.delete();
+            M.delete();
+        } else {
+            const estimate = findTransform(controlPoints1, controlPoints2, options);
+            transform = estimate.transform;
+            inliers = estimate.inliers;
+        }
+
+        // warp target image by the estimated transform
+        const result = await transformImage(cv, canvas, targetImage, transform, options, monitor);
+        return result.error ? result : { ...result, transform, inliers };
+    } catch (err) {
+        console.error(translateCVError(err), err);
+        return { data: null, error: { msg: getError('noTransform', 'canvas'), type: 'error' } };
+    }
+};
+
+/**
+ * Warp target image data by a reference -> target transform.
+ * - runs in the worker pool when enabled (reports progress to the optional
+ *   task monitor and can be cancelled), otherwise on the main thread using
+ *   CV WASM or JS resampling
+ *
+ * @public
+ * @param cv
+ * @param canvas
+ * @param targetImage
+ * @param transform
+ * @param options
+ * @param monitor
+ * @return {Promise<{data: ImageData, error: Object}>}
+ */
+
+export const transformImage = async (cv, canvas, targetImage, transform, options, monitor = null) => {
+    try {
+        let dstData;
+        const dstW = targetImage.width;
+        const dstH = targetImage.height;
+
+        // warp target image in worker pool
+        // - image buffer is copied before transfer to keep panel image data intact
+        if (options.useWorkers && isWorkerSupported()) {
+            const buffer = targetImage.data.slice().buffer;
+            const result = await runTask('warp', {
+                transform: transform,
+                data: buffer,
+                width: dstW,
+                height: dstH,
+                interpolation: options.interpolation
+            }, [buffer], monitor);
+            dstData = new Uint8ClampedArray(result.data);
+        }
+        // use OpenCV library for image transformations
+        else if (cv) {
+            let initDstImage = cv.matFromImageData(targetImage);
+            let dstImage = new cv.Mat();
+            let dsize = new cv.Size(initDstImage.cols, initDstImage.rows);
+
+            // OpenCV warp uses the target -> reference matrix
+            const Minv = math.inv(toMatrix(transform));
+            let M = cv.matFromArray(3, 3, cv.CV_64F, Minv.flat());
+
+            // Apply homography to image
+            // - out-of-bounds pixels are set to transparent
+            const flags = {
+                nearest: cv.INTER_NEAREST,
+                bilinear: cv.INTER_LINEAR,
+                bicubic: cv.INTER_CUBIC
+            };
+            cv.warpPerspective(initDstImage, dstImage, M, dsize,
+                flags[options.interpolation] || cv.INTER_LINEAR, cv.BORDER_CONSTANT, new cv.Scalar(0, 0, 0, 0));
 
             // use CV to load aligned image to canvas
             cv.imshow(canvas, dstImage);
 
-            // DEBUG
-            console.log('Transformed Image Data', dstImage)
-
             // convert to ImageData datatype
             dstData = new Uint8ClampedArray(dstImage.data);
 
             // delete buffers
             initDstImage.delete();
             dstImage.delete();
-            srcTri.delete();
-            dstTri.delete();
+            M.delete();
         } else {
-            // compute alignment transformation matrix
-            const transform = getAlignmentTransform(controlPoints1, controlPoints2);
-
             // convert 8 Bit Clamped RGBA order to 32 Bit Array
-            let src = new Uint32Array(imgDst.data.buffer);
+            let src = new Uint32Array(targetImage.data.buffer);
             let dst = new Uint32Array(src.length);
 
             // apply transformation to image 2 (dst) loaded in right-hand panel (Panel 2)
-            warpImage(transform, src, dst, imgDst.width, imgDst.height);
+            warpImage(transform, src, dst, dstW, dstH, options.interpolation);
 
             // convert back to 8 Bit Clamped RGBA array
             dstData = new Uint8ClampedArray(dst.buffer);
@@ -237,52 +626,103 @@ export const alignImages = (cv, srcPanel, dstPanel, canvas, targetImage, options
         // convert destination image data to ImageData object
         return { data: new ImageData(dstData, dstW, dstH), error: null };
     } catch (err) {
+        // worker pool errors (incl. cancellation) are already formatted
+        if (err && err.msg) return { data: null, error: err };
         console.error(translateCVError(err), err);
+        return { data: null, error: { msg: getError('noTransform', 'canvas'), type: 'error' } };
     }
 };
 
 
 /**
- * Computes Pearson's coefficient of correlation for given coordinates.
+ * Compute reprojection errors (in pixels) for control point pairs.
+ * - each source (reference) point is projected by the transform and
+ *   compared to its corresponding destination (target) point
  *
- * @param pts {Array} coordinate pairs in the form of objects with x and y properties
- * @return {Number} correlation coefficient, 1 for perfect positive correlation, -1 for perfect negative correlation, 0 for no correlation
+ * @public
+ * @param H
+ * @param from
+ * @param to
+ * @return {Array} errors
  */
-export function correlation(pts) {
-    if (pts.length < 2) return 0;
-    let x = pts.map(pt => pt.x);
-    let y = pts.map(pt => pt.y);
-    /**
-     * Helper function to calculate the mean of an array
-     * @param l {Array} array of numbers
-     * @return {Number} mean of the array
-     */
-    const promedio = l => l.reduce((s, a) => s + a, 0) / l.length;
-    /**
-     * Helper function to calculate the standard deviation of an array
-     * @param v {Array} array of numbers
-     * @param prom {Number} mean of the array
-     * @return {Number} standard deviation of the array
-     */
-    const calc = (v, prom) => Math.sqrt(v.reduce((s, a) => (s + a * a), 0) - n * prom * prom)
-    let n = x.length
-    let nn = 0
-    for (let i = 0; i < n; i++, nn++) {
-        if ((!x[i] && x[i] !== 0) || (!y[i] && y[i] !== 0)) {
-            nn--
-            continue
-        }
-        x[nn] = x[i]
-        y[nn] = y[i]
-    }
-    if (n !== nn) {
-        x = x.splice(0, nn)
-        y = y.splice(0, nn)
-        n = nn
-    }
-    const prom_x = promedio(x), prom_y = promedio(y)
-    return (x
-        .map((e, i) => ({ x: e, y: y[i] }))
-        .reduce((v, a) => v + a.x * a.y, 0) - n * prom_x * prom_y
-    ) / (calc(x, prom_x) * calc(y, prom_y))
-}
+
+export const getReprojectionErrors = (H, from, to) => {
+    return from.map((pt, i) => {
+        const projected = projectPoint(H, pt);
+        return Math.hypot(projected.x - to[i].x, projected.y - to[i].y);
+    });
+};
+
+/**
+ * Compute root-mean-square of errors.
+ *
+ * @public
+ * @param errors
+ * @return {Number} RMS error
+ */
+
+export const getRMS = (errors) => {
+    const values = (errors || []).filter(Number.isFinite);
+    if (values.length === 0) return 0;
+    return Math.sqrt(values.reduce((sum, err) => sum + err * err, 0) / values.length);
+};
+
+/**
+ * Generate alignment quality report for a computed transform.
+ * - per-point reprojection error in target image pixels
+ * - RMS error for all points and for inliers only
+ * - points inside the source or target region-of-interest mask are excluded from metrics
+ *
+ * @public
+ * @param transform
+ * @param from
+ * @param to
+ * @param inliers
+ * @param {Object} masks region-of-interest masks {source, target} (optional)
+ * @return {Object} report
+ */
+
+export const getAlignmentReport = (transform, from, to, inliers = [], masks = {}) => {
+    const errors = getReprojectionErrors(transform, from, to);
+    const masked = from.map((pt, i) =>
+        isMasked(masks.source, pt.x, pt.y) || isMasked(masks.target, to[i].x, to[i].y));
+    const errorsUnmasked = errors.filter((err, i) => !masked[i]);
+    const inlierErrors = errors.filter((err, i) => inliers[i] !== false && !masked[i]);
+    return {
+        created: new Date().toISOString(),
+        transform: transform,
+        rms: getRMS(errorsUnmasked),
+        rmsInliers: getRMS(inlierErrors),
+        maxError: errorsUnmasked.length > 0 ? Math.max(...errorsUnmasked) : 0,
+        masked: masked.filter(Boolean).length,
+        points: from.map((pt, i) => ({
+            index: i + 1,
+            source: {x: pt.x, y: pt.y},
+            target: {x: to[i].x, y: to[i].y},
+            error: errors[i],
+            outlier: inliers[i] === false,
+            masked: masked[i]
+        }))
+    };
+};
+
+/**
+ * Get marker colour for a control point reprojection error.
+ * - errors above the threshold (or rejected outliers) are shown in red
+ * - errors above half the threshold are shown in orange
+ * - points inside a mask (excluded from metrics) are shown in gray
+ *
+ * @public
+ * @param error
+ * @param threshold
+ * @param outlier
+ * @param masked
+ * @return {String} colour
+ */
+
+export const getErrorColour = (error, threshold, outlier = false, masked = false) => {
+    if (masked) return 'gray';
+    if (outlier || error > threshold) return 'red';
+    if (error > threshold / 2) return 'orange';
+    return 'lime';
+};
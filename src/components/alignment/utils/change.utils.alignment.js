@@ -0,0 +1,139 @@
+/*!
+ * MLE.Client.Toolkit.Utilities.Change
+ * File: change.utils.alignment.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Change detection for aligned image pairs. The per-pixel absolute difference of the two
+ * images is stored as an RGBA grayscale image (transparent where either image has no data).
+ * Change layers are generated from the difference image:
+ *
+ * - change mask: pixels with a difference at or above the threshold
+ * - heatmap: difference values mapped to a blue-to-red colour ramp
+ * - summary statistics of the difference within an optional mask
+ *
+ * These functions have no DOM dependencies so they can run in the image worker.
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Initial version
+ */
+
+/**
+ * Compute per-pixel absolute difference of two RGBA images of equal dimensions.
+ * - the difference is the mean absolute difference of the red, green and blue channels
+ * - pixels that are transparent in either image are transparent in the difference image
+ *
+ * @public
+ * @param {Uint8ClampedArray} data1
+ * @param {Uint8ClampedArray} data2
+ * @param {Function} onProgress
+ * @return {Uint8ClampedArray} difference image data
+ */
+
+export const getDifference = (data1, data2, onProgress = null) => {
+    const difference = new Uint8ClampedArray(data1.length);
+    const step = 4 * 65536;
+    for (let i = 0; i < data1.length; i += 4) {
+        // report progress every 64K pixels
+        if (onProgress && i % step === 0) onProgress(i / data1.length);
+        if (data1[i + 3] === 0 || data2[i + 3] === 0) continue;
+        const v = (Math.abs(data1[i] - data2[i])
+            + Math.abs(data1[i + 1] - data2[i + 1])
+            + Math.abs(data1[i + 2] - data2[i + 2])) / 3;
+        difference[i] = v;
+        difference[i + 1] = v;
+        difference[i + 2] = v;
+        difference[i + 3] = 255;
+    }
+    return difference;
+};
+
+/**
+ * Create pixel mask from a rectangular selection.
+ * - mask values are 1 inside the selection box and 0 outside
+ *
+ * @public
+ * @param {int} width
+ * @param {int} height
+ * @param {Object} box selection box in image coordinates
+ * @return {Uint8Array} mask
+ */
+
+export const getBoxMask = (width, height, box) => {
+    const mask = new Uint8Array(width * height);
+    const x0 = Math.max(Math.round(box.x), 0), x1 = Math.min(Math.round(box.x + box.w), width);
+    const y0 = Math.max(Math.round(box.y), 0), y1 = Math.min(Math.round(box.y + box.h), height);
+    for (let y = y0; y < y1; y++) mask.fill(1, x0 + width * y, x1 + width * y);
+    return mask;
+};
+
+/**
+ * Map difference value to heatmap colour (blue - cyan - green - yellow - red).
+ *
+ * @private
+ * @param {int} v difference value (0-255)
+ * @return {Array} RGB colour
+ */
+
+const _heatColour = (v) => {
+    const t = 4 * v / 255;
+    const ramp = [[0, 0, 255], [0, 255, 255], [0, 255, 0], [255, 255, 0], [255, 0, 0]];
+    const i = Math.min(Math.floor(t), 3);
+    const f = t - i;
+    return ramp[i].map((c, k) => c + f * (ramp[i + 1][k] - c));
+};
+
+/**
+ * Generate change mask, heatmap and summary statistics from difference image data.
+ * - only pixels with data in both images (and inside the optional mask) are counted
+ *
+ * @public
+ * @param {Uint8ClampedArray} difference
+ * @param {int} threshold minimum difference of changed pixels (0-255)
+ * @param {Uint8Array} mask optional pixel mask
+ * @return {{mask: Uint8ClampedArray, heatmap: Uint8ClampedArray, stats: Object}}
+ */
+
+export const getChangeLayers = (difference, threshold, mask = null) => {
+    const changeMask = new Uint8ClampedArray(difference.length);
+    const heatmap = new Uint8ClampedArray(difference.length);
+    const palette = Array.from({length: 256}, (_, v) => _heatColour(v));
+    let pixels = 0, changed = 0, sum = 0, max = 0;
+    for (let i = 0, p = 0; i < difference.length; i += 4, p++) {
+        if (difference[i + 3] === 0 || (mask && !mask[p])) continue;
+        const v = difference[i];
+        pixels++;
+        sum += v;
+        if (v > max) max = v;
+
+        // heatmap opacity increases with the difference
+        const colour = palette[v];
+        heatmap[i] = colour[0];
+        heatmap[i + 1] = colour[1];
+        heatmap[i + 2] = colour[2];
+        heatmap[i + 3] = 64 + 0.75 * v;
+
+        if (v < threshold) continue;
+        changed++;
+        changeMask[i] = 255;
+        changeMask[i + 3] = 255;
+    }
+    return {
+        mask: changeMask,
+        heatmap: heatmap,
+        stats: {
+            threshold: threshold,
+            masked: !!mask,
+            pixels: pixels,
+            changed: changed,
+            percent: pixels > 0 ? 100 * changed / pixels : 0,
+            mean: pixels > 0 ? sum / pixels : 0,
+            max: max
+        }
+    };
+};
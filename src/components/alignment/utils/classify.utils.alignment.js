@@ -0,0 +1,313 @@
+/*!
+ * MLE.Client.Toolkit.Utilities.Classify
+ * File: classify.utils.alignment.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Pixel classification for land-cover change quantification of aligned image pairs.
+ * Land-cover classes (e.g. forest, snow/ice, rock, meadow) are defined by pixel samples
+ * picked on each panel image: the pixels within a small window around each sample point
+ * give the class centroid (mean RGB colour) of that image, so that the historic and
+ * modern images are classified with their own colour statistics.
+ *
+ * - Nearest centroid: each pixel is assigned to the class with the closest centroid.
+ * - K-means: the sample centroids seed a k-means clustering of the image pixels (one
+ *   cluster per sampled class); cluster centroids are updated from a subsample of pixels.
+ *
+ * Class labels are stored per pixel (0 = unclassified, i.e. transparent or masked pixels;
+ * i + 1 = index i of the class). Per-class areas of each image, the transition matrix of
+ * the aligned pair and RGBA class maps are generated from the labels.
+ *
+ * These functions have no DOM dependencies so they can run in the image worker.
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Initial version
+ */
+
+/**
+ * Compute class centroids (mean RGB) from pixel samples of an image.
+ * - pixels within the sample radius (square window) are used; transparent and masked
+ *   pixels are skipped
+ *
+ * @public
+ * @param {Uint8ClampedArray} data RGBA image data
+ * @param {int} width
+ * @param {int} height
+ * @param {Array} samples sample points [{x, y, classID}] in image coordinates
+ * @param {Array} classes class definitions [{id, label, colour}]
+ * @param {int} radius sample window radius (pixels)
+ * @param {Object} mask optional region-of-interest mask
+ * @return {Array} centroids [{id, centroid: [r, g, b] (or null), pixels}] in class order
+ */
+
+export const getClassCentroids = (data, width, height, samples, classes, radius = 0, mask = null) => {
+    const sums = classes.map(() => [0, 0, 0, 0]);
+    const visited = classes.map(() => new Set());
+    (samples || []).forEach(({x, y, classID}) => {
+        const k = classes.findIndex(cls => cls.id === classID);
+        if (k < 0) return;
+        const cx = Math.round(x), cy = Math.round(y);
+        for (let v = Math.max(cy - radius, 0); v <= Math.min(cy + radius, height - 1); v++) {
+            for (let u = Math.max(cx - radius, 0); u <= Math.min(cx + radius, width - 1); u++) {
+                const p = u + width * v;
+                // overlapping sample windows count pixels once
+                if (visited[k].has(p) || data[4 * p + 3] === 0 || (mask && mask.data[p])) continue;
+                visited[k].add(p);
+                sums[k][0] += data[4 * p];
+                sums[k][1] += data[4 * p + 1];
+                sums[k][2] += data[4 * p + 2];
+                sums[k][3]++;
+            }
+        }
+    });
+    return classes.map((cls, k) => {
+        const n = sums[k][3];
+        return {id: cls.id, centroid: n > 0 ? sums[k].slice(0, 3).map(sum => sum / n) : null, pixels: n};
+    });
+};
+
+/**
+ * Get index of nearest centroid to pixel colour.
+ *
+ * @private
+ * @param {int} r
+ * @param {int} g
+ * @param {int} b
+ * @param {Array} centroids centroids (null for unsampled classes)
+ * @return {int} class index
+ */
+
+const _nearest = (r, g, b, centroids) => {
+    let best = -1, min = Infinity;
+    for (let k = 0; k < centroids.length; k++) {
+        const c = centroids[k];
+        if (!c) continue;
+        const d = (r - c[0]) * (r - c[0]) + (g - c[1]) * (g - c[1]) + (b - c[2]) * (b - c[2]);
+        if (d < min) {
+            min = d;
+            best = k;
+        }
+    }
+    return best;
+};
+
+/**
+ * Refine seed centroids by k-means clustering of image pixels.
+ * - centroids are updated from pixels sampled at a regular stride (limited sample size)
+ * - clusters without pixels keep their seed centroid
+ *
+ * @private
+ * @param {Uint8ClampedArray} data
+ * @param {Array} seeds seed centroids (null for unsampled classes)
+ * @param {Uint8Array} mask optional mask data
+ * @param {int} iterations maximum number of iterations
+ * @param {int} maxPixels maximum number of sampled pixels per iteration
+ * @param {Function} onProgress
+ * @return {Array} refined centroids
+ */
+
+const _kmeans = (data, seeds, mask, iterations, maxPixels, onProgress) => {
+    const area = data.length / 4;
+    const stride = Math.max(Math.floor(area / maxPixels), 1);
+    let centroids = seeds.map(c => c ? c.slice() : null);
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        if (onProgress) onProgress(0.5 * iteration / iterations);
+        const sums = centroids.map(() => [0, 0, 0, 0]);
+        for (let p = 0; p < area; p += stride) {
+            const i = 4 * p;
+            if (data[i + 3] === 0 || (mask && mask[p])) continue;
+            const k = _nearest(data[i], data[i + 1], data[i + 2], centroids);
+            sums[k][0] += data[i];
+            sums[k][1] += data[i + 1];
+            sums[k][2] += data[i + 2];
+            sums[k][3]++;
+        }
+        let shift = 0;
+        const updated = centroids.map((c, k) => {
+            if (!c || sums[k][3] === 0) return c;
+            const next = sums[k].slice(0, 3).map(sum => sum / sums[k][3]);
+            shift = Math.max(shift, Math.hypot(next[0] - c[0], next[1] - c[1], next[2] - c[2]));
+            return next;
+        });
+        centroids = updated;
+        // converged to less than half an intensity level
+        if (shift < 0.5) break;
+    }
+    return centroids;
+};
+
+/**
+ * Classify image pixels.
+ * - labels are 0 for transparent or masked pixels and i + 1 for class index i
+ *
+ * @public
+ * @param {Uint8ClampedArray} data RGBA image data
+ * @param {Array} seeds class centroids in class order (null for unsampled classes)
+ * @param {Object} options {method: 'centroid'|'kmeans', iterations, maxPixels, mask (Uint8Array)}
+ * @param {Function} onProgress
+ * @return {{labels: Uint8Array, centroids: Array}}
+ */
+
+export const classifyPixels = (data, seeds, options = {}, onProgress = null) => {
+    const {method = 'centroid', iterations = 10, maxPixels = 250000, mask = null} = options || {};
+    const centroids = method === 'kmeans'
+        ? _kmeans(data, seeds, mask, iterations, maxPixels, onProgress)
+        : seeds;
+    const offset = method === 'kmeans' ? 0.5 : 0;
+    const area = data.length / 4;
+    const labels = new Uint8Array(area);
+    for (let p = 0; p < area; p++) {
+        // report progress every 64K pixels
+        if (onProgress && p % 65536 === 0) onProgress(offset + (1 - offset) * p / area);
+        const i = 4 * p;
+        if (data[i + 3] === 0 || (mask && mask[p])) continue;
+        labels[p] = _nearest(data[i], data[i + 1], data[i + 2], centroids) + 1;
+    }
+    return {labels, centroids};
+};
+
+/**
+ * Count classified pixels of each class.
+ *
+ * @public
+ * @param {Uint8Array} labels
+ * @param {int} nClasses
+ * @return {{pixels: int, counts: Array, percent: Array}}
+ */
+
+export const getClassAreas = (labels, nClasses) => {
+    const counts = new Array(nClasses).fill(0);
+    let pixels = 0;
+    for (let p = 0; p < labels.length; p++) {
+        if (labels[p] === 0) continue;
+        counts[labels[p] - 1]++;
+        pixels++;
+    }
+    return {
+        pixels: pixels,
+        counts: counts,
+        percent: counts.map(count => pixels > 0 ? 100 * count / pixels : 0)
+    };
+};
+
+/**
+ * Count class transitions between the labels of two aligned images.
+ * - only pixels classified in both images are counted
+ * - rows are the classes of the first (earlier) image, columns of the second image
+ *
+ * @public
+ * @param {Uint8Array} labels1
+ * @param {Uint8Array} labels2
+ * @param {int} nClasses
+ * @return {{pixels: int, counts: Array, percent: Array}} transition matrix
+ */
+
+export const getTransitionMatrix = (labels1, labels2, nClasses) => {
+    const counts = Array.from({length: nClasses}, () => new Array(nClasses).fill(0));
+    let pixels = 0;
+    for (let p = 0; p < Math.min(labels1.length, labels2.length); p++) {
+        if (labels1[p] === 0 || labels2[p] === 0) continue;
+        counts[labels1[p] - 1][labels2[p] - 1]++;
+        pixels++;
+    }
+    return {
+        pixels: pixels,
+        counts: counts,
+        percent: counts.map(row => row.map(count => pixels > 0 ? 100 * count / pixels : 0))
+    };
+};
+
+/**
+ * Parse hex colour (#rgb or #rrggbb).
+ *
+ * @public
+ * @param {String} colour
+ * @return {Array} RGB colour
+ */
+
+export const parseColour = (colour) => {
+    const hex = String(colour || '').replace('#', '');
+    const full = hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex;
+    const value = parseInt(full, 16);
+    return isNaN(value) || full.length !== 6 ? [0, 0, 0] : [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+/**
+ * Render class labels as RGBA class map (unclassified pixels are transparent).
+ *
+ * @public
+ * @param {Uint8Array} labels
+ * @param {Array} classes class definitions [{id, label, colour}]
+ * @return {Uint8ClampedArray} RGBA data
+ */
+
+export const classesToRGBA = (labels, classes) => {
+    const palette = classes.map(cls => parseColour(cls.colour));
+    const rgba = new Uint8ClampedArray(4 * labels.length);
+    for (let p = 0; p < labels.length; p++) {
+        if (labels[p] === 0) continue;
+        const colour = palette[labels[p] - 1];
+        rgba[4 * p] = colour[0];
+        rgba[4 * p + 1] = colour[1];
+        rgba[4 * p + 2] = colour[2];
+        rgba[4 * p + 3] = 255;
+    }
+    return rgba;
+};
+
+/**
+ * Quote CSV field.
+ *
+ * @private
+ * @param {*} value
+ * @return {String}
+ */
+
+const _csv = (value) => {
+    const text = String(value === null || value === undefined ? '' : value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format classification report as CSV: per-class areas of both images followed by the
+ * transition matrix (pixel counts).
+ *
+ * @public
+ * @param {Array} classes class definitions
+ * @param {Array} titles image titles [earlier, later]
+ * @param {Array} areas class areas of the images [earlier, later]
+ * @param {Object} transitions transition matrix (or null)
+ * @return {String} CSV
+ */
+
+export const getClassificationCSV = (classes, titles, areas, transitions = null) => {
+    const rows = [[
+        'Class',
+        `${titles[0]} (px)`, `${titles[0]} (%)`,
+        `${titles[1]} (px)`, `${titles[1]} (%)`,
+        'Change (percentage points)'
+    ]];
+    classes.forEach((cls, k) => rows.push([
+        cls.label,
+        areas[0].counts[k], areas[0].percent[k].toFixed(2),
+        areas[1].counts[k], areas[1].percent[k].toFixed(2),
+        (areas[1].percent[k] - areas[0].percent[k]).toFixed(2)
+    ]));
+    const _total = (area) => area.pixels > 0 ? '100.00' : '0.00';
+    rows.push(['Total', areas[0].pixels, _total(areas[0]), areas[1].pixels, _total(areas[1]), '']);
+    if (transitions) {
+        rows.push([]);
+        rows.push([`Transitions (px): ${titles[0]} \\ ${titles[1]}`, ...classes.map(cls => cls.label), 'Total']);
+        classes.forEach((cls, k) => rows.push([
+            cls.label,
+            ...transitions.counts[k],
+            transitions.counts[k].reduce((sum, count) => sum + count, 0)
+        ]));
+    }
+    return rows.map(row => row.map(_csv).join(',')).join('\n') + '\n';
+};
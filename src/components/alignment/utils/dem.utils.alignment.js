@@ -0,0 +1,268 @@
+/*!
+ * MLE.Client.Toolkit.Utilities.DEM
+ * File: dem.utils.alignment.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Digital elevation model (DEM) utilities for the Alignment Tool. Single-band GeoTIFF
+ * DEMs are decoded with UTIF; the georeference is read from the GeoTIFF tags:
+ *
+ * - ModelPixelScale (33550) and ModelTiepoint (33922), or ModelTransformation (34264)
+ *   without rotation, map raster coordinates to model coordinates
+ * - GeoKeyDirectory (34735) gives the model type (geographic or projected), the
+ *   projected coordinate system (EPSG code) and the raster type (pixel is area/point)
+ * - GDAL_NODATA (42113) gives the no-data value
+ *
+ * Geographic DEMs (any datum, treated as WGS84) and UTM projections on WGS84 (EPSG
+ * 32601-32660, 32701-32760) or NAD83 (EPSG 26901-26923) are supported. Elevations are
+ * sampled with bilinear interpolation.
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Initial version
+ */
+
+import * as UTIF from 'utif';
+import { getError } from "../../../services/schema.services.client";
+
+const EARTH_RADIUS = 6371008.8;
+const DEG = Math.PI / 180;
+
+// GeoTIFF tags and GeoKeys
+const TAGS = {
+    pixelScale: 't33550',
+    tiepoint: 't33922',
+    transformation: 't34264',
+    geoKeys: 't34735',
+    nodata: 't42113'
+};
+const GEO_KEYS = {
+    modelType: 1024,
+    rasterType: 1025,
+    projectedCRS: 3072
+};
+
+/**
+ * Read GeoKeys with short values from the GeoKeyDirectory.
+ *
+ * @private
+ * @param {Array} directory GeoKeyDirectory tag values
+ * @return {Object} GeoKey values indexed by key ID
+ */
+
+const _readGeoKeys = (directory) => {
+    const keys = {};
+    if (!directory || directory.length < 4) return keys;
+    const count = directory[3];
+    for (let i = 0; i < count; i++) {
+        const [id, location, , value] = directory.slice(4 + 4 * i, 8 + 4 * i);
+        // values stored in other tags (doubles, ASCII) are not needed
+        if (location === 0) keys[id] = value;
+    }
+    return keys;
+};
+
+/**
+ * Get coordinate reference system of DEM from its GeoKeys.
+ *
+ * @private
+ * @param {Object} keys GeoKeys
+ * @return {{type: String, zone: int, south: boolean, epsg: int}|null} CRS (null if unsupported)
+ */
+
+const _getCRS = (keys) => {
+    if (keys[GEO_KEYS.modelType] === 2) return {type: 'geographic', epsg: 4326};
+    const epsg = keys[GEO_KEYS.projectedCRS];
+    if (keys[GEO_KEYS.modelType] !== 1 || !epsg) return null;
+    // WGS84 / UTM zones (north, south) and NAD83 / UTM zones (north)
+    if (epsg >= 32601 && epsg <= 32660) return {type: 'utm', zone: epsg - 32600, south: false, epsg: epsg};
+    if (epsg >= 32701 && epsg <= 32760) return {type: 'utm', zone: epsg - 32700, south: true, epsg: epsg};
+    if (epsg >= 26901 && epsg <= 26923) return {type: 'utm', zone: epsg - 26900, south: false, epsg: epsg};
+    return null;
+};
+
+/**
+ * Get raster-to-model transform of DEM.
+ * - model X = x0 + sx * i; model Y = y0 - sy * j for raster coordinates (i, j)
+ *
+ * @private
+ * @param {Object} ifd decoded image file directory
+ * @return {{x0: Number, y0: Number, sx: Number, sy: Number}|null} transform (null if missing or rotated)
+ */
+
+const _getTransform = (ifd) => {
+    const scale = ifd[TAGS.pixelScale];
+    const tiepoint = ifd[TAGS.tiepoint];
+    if (scale && tiepoint && scale.length >= 2 && tiepoint.length >= 6) {
+        const [i, j, , x, y] = tiepoint;
+        return {x0: x - i * scale[0], y0: y + j * scale[1], sx: scale[0], sy: scale[1]};
+    }
+    const matrix = ifd[TAGS.transformation];
+    if (matrix && matrix.length >= 8 && matrix[1] === 0 && matrix[4] === 0) {
+        return {x0: matrix[3], y0: matrix[7], sx: matrix[0], sy: -matrix[5]};
+    }
+    return null;
+};
+
+/**
+ * Read first band of decoded DEM samples as elevations.
+ * - UTIF converts 16-bit samples to little-endian byte order; other sample sizes keep
+ *   the byte order of the file
+ *
+ * @private
+ * @param {Object} ifd decoded image file directory
+ * @return {Float32Array|null} elevations (null if the sample format is not supported)
+ */
+
+const _readSamples = (ifd) => {
+    const bits = ifd.t258 ? ifd.t258[0] : 1;
+    const format = ifd.t339 ? ifd.t339[0] : 1;
+    const samples = ifd.t277 ? ifd.t277[0] : 1;
+    const predictor = ifd.t317 ? ifd.t317[0] : 1;
+    const planar = ifd.t284 && ifd.t284[0] === 2;
+    const bytes = bits / 8;
+    // UTIF does not reverse the floating point predictor or the predictor of 32/64-bit samples
+    if (![8, 16, 32, 64].includes(bits) || format > 3 || predictor === 3 || (predictor === 2 && bytes > 2)) return null;
+    if (format === 3 && bytes < 4) return null;
+
+    const {width, height, data} = ifd;
+    const area = width * height;
+    const stride = planar ? bytes : bytes * samples;
+    if (!data || data.length < stride * area) return null;
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const le = bits === 16 || ifd.isLE;
+    const _read = {
+        '8_1': (o) => view.getUint8(o),
+        '8_2': (o) => view.getInt8(o),
+        '16_1': (o) => view.getUint16(o, true),
+        '16_2': (o) => view.getInt16(o, true),
+        '32_1': (o) => view.getUint32(o, le),
+        '32_2': (o) => view.getInt32(o, le),
+        '32_3': (o) => view.getFloat32(o, le),
+        '64_3': (o) => view.getFloat64(o, le)
+    }[`${bits}_${format}`];
+    if (!_read) return null;
+
+    const elevations = new Float32Array(area);
+    for (let p = 0; p < area; p++) elevations[p] = _read(p * stride);
+    return elevations;
+};
+
+/**
+ * Decode DEM GeoTIFF file.
+ * - errors are thrown with user messages
+ *
+ * @public
+ * @param {ArrayBuffer} buffer
+ * @param {Function} onProgress
+ * @return {Object} DEM {data, width, height, nodata, crs, transform, pixelIsPoint, resolution}
+ */
+
+export const decodeDEM = (buffer, onProgress = null) => {
+    let ifds;
+    try {
+        ifds = UTIF.decode(buffer);
+    } catch (err) {
+        throw new Error(getError('demFormat', 'canvas'));
+    }
+    const ifd = (ifds || [])[0];
+    if (!ifd || !ifd.t256) throw new Error(getError('demFormat', 'canvas'));
+
+    // georeference
+    const keys = _readGeoKeys(ifd[TAGS.geoKeys]);
+    const crs = _getCRS(keys);
+    const transform = _getTransform(ifd);
+    if (!ifd[TAGS.geoKeys] || !transform) throw new Error(getError('demGeoreference', 'canvas'));
+    if (!crs) throw new Error(getError('demProjection', 'canvas'));
+    if (onProgress) onProgress(0.1);
+
+    // elevations
+    UTIF.decodeImage(buffer, ifd);
+    if (onProgress) onProgress(0.8);
+    const data = _readSamples(ifd);
+    if (!data) throw new Error(getError('demFormat', 'canvas'));
+    const nodataTag = ifd[TAGS.nodata];
+    const nodata = nodataTag && nodataTag.length > 0 ? parseFloat(nodataTag[0]) : null;
+    if (onProgress) onProgress(1.0);
+
+    // approximate cell size (metres)
+    const resolution = crs.type === 'geographic'
+        ? Math.min(transform.sy, transform.sx * Math.cos(transform.y0 * DEG)) * DEG * EARTH_RADIUS
+        : Math.min(transform.sx, transform.sy);
+
+    return {
+        data: data,
+        width: ifd.width,
+        height: ifd.height,
+        // no-data value is compared with 32-bit elevations
+        nodata: nodata === null || isNaN(nodata) ? null : Math.fround(nodata),
+        crs: crs,
+        transform: transform,
+        pixelIsPoint: keys[GEO_KEYS.rasterType] === 2,
+        resolution: resolution
+    };
+};
+
+/**
+ * Convert geographic coordinates to UTM coordinates (Transverse Mercator series
+ * expansion on the WGS84 ellipsoid).
+ *
+ * @public
+ * @param {Number} lat
+ * @param {Number} lng
+ * @param {int} zone UTM zone
+ * @param {boolean} south southern hemisphere (false northing)
+ * @return {Array} [easting, northing]
+ */
+
+export const toUTM = (lat, lng, zone, south = false) => {
+    const a = 6378137, f = 1 / 298.257223563, k0 = 0.9996;
+    const e2 = f * (2 - f), ep2 = e2 / (1 - e2);
+    const phi = lat * DEG;
+    const lambda = (lng - (6 * zone - 183)) * DEG;
+    const sin = Math.sin(phi), cos = Math.cos(phi), tan = Math.tan(phi);
+    const N = a / Math.sqrt(1 - e2 * sin * sin);
+    const T = tan * tan, C = ep2 * cos * cos, A = cos * lambda;
+    const M = a * ((1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * e2 * e2 * e2 / 256) * phi
+        - (3 * e2 / 8 + 3 * e2 * e2 / 32 + 45 * e2 * e2 * e2 / 1024) * Math.sin(2 * phi)
+        + (15 * e2 * e2 / 256 + 45 * e2 * e2 * e2 / 1024) * Math.sin(4 * phi)
+        - (35 * e2 * e2 * e2 / 3072) * Math.sin(6 * phi));
+    const easting = 500000 + k0 * N * (A + (1 - T + C) * A ** 3 / 6
+        + (5 - 18 * T + T * T + 72 * C - 58 * ep2) * A ** 5 / 120);
+    const northing = k0 * (M + N * tan * (A * A / 2 + (5 - T + 9 * C + 4 * C * C) * A ** 4 / 24
+        + (61 - 58 * T + T * T + 600 * C - 330 * ep2) * A ** 6 / 720));
+    return [easting, south ? northing + 10000000 : northing];
+};
+
+/**
+ * Get DEM elevation at geographic coordinates (bilinear interpolation).
+ *
+ * @public
+ * @param {Object} dem
+ * @param {Number} lat
+ * @param {Number} lng
+ * @return {Number|null} elevation (null outside the DEM or at no-data cells)
+ */
+
+export const getDEMElevation = (dem, lat, lng) => {
+    const {data, width, height, nodata, crs, transform, pixelIsPoint} = dem;
+    const [x, y] = crs.type === 'utm' ? toUTM(lat, lng, crs.zone, crs.south) : [lng, lat];
+
+    // fractional pixel indices (pixel centres at integer indices)
+    const offset = pixelIsPoint ? 0 : 0.5;
+    const u = (x - transform.x0) / transform.sx - offset;
+    const v = (transform.y0 - y) / transform.sy - offset;
+    if (u < 0 || v < 0 || u > width - 1 || v > height - 1) return null;
+
+    const i = Math.max(Math.min(Math.floor(u), width - 2), 0);
+    const j = Math.max(Math.min(Math.floor(v), height - 2), 0);
+    const fx = u - i, fy = v - j;
+    const i1 = Math.min(i + 1, width - 1), j1 = Math.min(j + 1, height - 1);
+    const corners = [data[i + width * j], data[i1 + width * j], data[i + width * j1], data[i1 + width * j1]];
+    if (corners.some(value => isNaN(value) || (nodata !== null && value === nodata))) return null;
+    return (corners[0] * (1 - fx) + corners[1] * fx) * (1 - fy) + (corners[2] * (1 - fx) + corners[3] * fx) * fy;
+};
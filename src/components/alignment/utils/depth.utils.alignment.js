@@ -0,0 +1,153 @@
+/*!
+ * MLE.Client.Toolkit.Utilities.Depth
+ * File: depth.utils.alignment.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * High bit-depth image data utilities. Panels loaded from 16-bit TIFF scans keep the
+ * decoded 16-bit RGBA samples ({data: Uint16Array, width, height, bitDepth}) alongside
+ * the 8-bit display image. Crop, resize, rotate, lens correction and warp operations on the panel image are
+ * repeated on the 16-bit data so that it can be exported at full bit depth.
+ *
+ * Operations run in the worker pool when enabled (reporting progress to the optional
+ * task monitor), otherwise on the main thread. OpenCV is not used for 16-bit data.
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Initial version
+ * - 18-10-2026   Added rotation
+ * - 18-10-2026   Added lens distortion correction
+ */
+
+import {getError} from '../../../services/schema.services.client';
+import {cropImageData, resizeImageData, rotateImageData, warpImage16} from './raster.utils.alignment';
+import {undistortImageData} from './lens.utils.alignment';
+import {isWorkerSupported, runTask} from './workers.utils.alignment';
+
+/**
+ * Run image task on high bit-depth image data.
+ * - image buffer is copied before transfer to keep panel image data intact
+ *
+ * @private
+ * @param {String} type worker task type
+ * @param {Object} depth high bit-depth image data
+ * @param {Object} params task parameters
+ * @param {Function} process main thread task
+ * @param options
+ * @param monitor
+ * @return {Promise<{data: Object, error: Object}>}
+ */
+
+const _runTask = async (type, depth, params, process, options = {}, monitor = null) => {
+    try {
+        const {width, height, bitDepth} = depth;
+        if (options.useWorkers && isWorkerSupported()) {
+            const buffer = depth.data.slice().buffer;
+            const result = await runTask(type, {
+                ...params,
+                data: buffer,
+                width: width,
+                height: height,
+                bitDepth: bitDepth
+            }, [buffer], monitor);
+            return {
+                data: {data: new Uint16Array(result.data), width: result.width, height: result.height, bitDepth},
+                error: null
+            };
+        }
+        const result = process();
+        return {data: {...result, bitDepth: bitDepth}, error: null};
+    } catch (err) {
+        // worker pool errors (incl. cancellation) are already formatted
+        if (err && err.msg) return {data: null, error: err};
+        console.error(err);
+        return {data: null, error: {msg: getError('depthError', 'canvas'), type: 'error'}};
+    }
+};
+
+/**
+ * Crop high bit-depth image data to crop box (image coordinates).
+ *
+ * @public
+ * @param {Object} depth
+ * @param {Object} box
+ * @param options
+ * @param monitor
+ * @return {Promise<{data: Object, error: Object}>}
+ */
+
+export const cropDepth = (depth, box, options, monitor = null) => {
+    return _runTask('crop', depth, {dims: box},
+        () => cropImageData(depth.data, depth.width, depth.height, box), options, monitor);
+};
+
+/**
+ * Resize high bit-depth image data.
+ *
+ * @public
+ * @param {Object} depth
+ * @param {Object} dims resized dimensions {w, h}
+ * @param options
+ * @param monitor
+ * @return {Promise<{data: Object, error: Object}>}
+ */
+
+export const resizeDepth = (depth, dims, options, monitor = null) => {
+    return _runTask('resize', depth, {dims: {w: dims.w, h: dims.h}},
+        () => resizeImageData(depth.data, depth.width, depth.height, dims.w, dims.h), options, monitor);
+};
+
+/**
+ * Rotate and/or flip high bit-depth image data.
+ *
+ * @public
+ * @param {Object} depth
+ * @param {Object} rotation {angle, flipH, flipV, expand, interpolation}
+ * @param options
+ * @param monitor
+ * @return {Promise<{data: Object, error: Object}>}
+ */
+
+export const rotateDepth = (depth, rotation, options, monitor = null) => {
+    return _runTask('rotate', depth, {rotation: rotation},
+        () => rotateImageData(depth.data, depth.width, depth.height, rotation), options, monitor);
+};
+
+/**
+ * Correct lens distortion of high bit-depth image data.
+ *
+ * @public
+ * @param {Object} depth
+ * @param {Object} lens {k1, k2, p1, p2, interpolation}
+ * @param options
+ * @param monitor
+ * @return {Promise<{data: Object, error: Object}>}
+ */
+
+export const undistortDepth = (depth, lens, options, monitor = null) => {
+    return _runTask('undistort', depth, {lens: lens},
+        () => undistortImageData(depth.data, depth.width, depth.height, lens), options, monitor);
+};
+
+/**
+ * Warp high bit-depth image data by a reference -> target transform.
+ *
+ * @public
+ * @param {Object} depth
+ * @param {Array} transform
+ * @param options
+ * @param monitor
+ * @return {Promise<{data: Object, error: Object}>}
+ */
+
+export const warpDepth = (depth, transform, options, monitor = null) => {
+    return _runTask('warp', depth, {transform: transform, interpolation: options.interpolation}, () => {
+        const dst = new Uint16Array(depth.data.length);
+        warpImage16(transform, depth.data, dst, depth.width, depth.height, options.interpolation);
+        return {data: dst, width: depth.width, height: depth.height};
+    }, options, monitor);
+};
@@ -0,0 +1,424 @@
+/*!
+ * MLE.Client.Toolkit.Utilities.Features
+ * File: features.utils.alignment.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Feature detection and matching utilities for the Alignment Tool. Suggests candidate
+ * control point pairs for two panel images using OpenCV ORB or AKAZE features:
+ *
+ * 1. Grayscale-normalised pre-pass: images are converted to grayscale, downscaled,
+ *    stretched to the full intensity range and contrast-equalised (CLAHE) so that
+ *    historic grayscale plates and modern colour repeats have comparable features.
+ * 2. Features are detected and matched (brute-force Hamming, Lowe ratio test).
+ * 3. Matches are verified geometrically (RANSAC homography) and a spatially
+ *    distributed subset of the best inliers is returned.
+ *
+ * Region-of-interest masks of the panel images (see mask.utils.alignment.js) exclude
+ * masked regions from feature detection.
+ *
+ * Single control points are refined to sub-pixel precision by local template matching
+ * (normalised cross-correlation) without OpenCV. The template is resampled by the
+ * relative scale of the two images so that images of different resolution (e.g. a
+ * historic plate scan and a modern repeat) can be matched.
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Initial version
+ * - 18-10-2026   Added sub-pixel control point refinement by template matching
+ * - 18-10-2026   Exclude masked image regions from feature detection
+ * - 18-10-2026   Resample refinement templates by the relative scale of the images
+ * - 18-10-2026   Delete match pair vectors of the ratio test (WASM heap)
+ */
+
+import { getError } from "../../../services/schema.services.client";
+import { translateCVError } from "../panel/init.panel.alignment";
+import { getGrayPatch, getScaledGrayPatch, matchTemplateNCC } from "./raster.utils.alignment";
+import { isMaskActive, isMasked } from "./mask.utils.alignment";
+
+// grid size (cells per side) used to spread suggested points over the image
+const GRID_SIZE = 4;
+
+/**
+ * Convert image data to a normalised grayscale matrix for feature detection.
+ * - downscales the image so that its longest side is at most maxDim pixels
+ *
+ * @private
+ * @param cv
+ * @param {ImageData} image
+ * @param {int} maxDim
+ * @param {Array} mats allocated matrices (to be deleted by caller)
+ * @return {{gray: Object, scale: Number}}
+ */
+
+const _normaliseImage = (cv, image, maxDim, mats) => {
+    const src = cv.matFromImageData(image);
+    const gray = new cv.Mat();
+    const scaled = new cv.Mat();
+    const equalised = new cv.Mat();
+    mats.push(src, gray, scaled, equalised);
+
+    // convert to grayscale
+    cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY);
+
+    // downscale large images
+    const scale = Math.min(1, maxDim / Math.max(image.width, image.height));
+    if (scale < 1) {
+        const dsize = new cv.Size(Math.round(scale * image.width), Math.round(scale * image.height));
+        cv.resize(gray, scaled, dsize, 0, 0, cv.INTER_AREA);
+    }
+    else gray.copyTo(scaled);
+
+    // stretch intensities and equalise local contrast
+    cv.normalize(scaled, scaled, 0, 255, cv.NORM_MINMAX);
+    const clahe = new cv.CLAHE(2.0, new cv.Size(8, 8));
+    clahe.apply(scaled, equalised);
+    clahe.delete();
+
+    return { gray: equalised, scale };
+};
+
+/**
+ * Create OpenCV feature detector.
+ *
+ * @private
+ * @param cv
+ * @param {String} type
+ * @param {int} maxFeatures
+ * @return {Object} detector
+ */
+
+const _createDetector = (cv, type, maxFeatures) => {
+    const detectors = {
+        orb: () => new cv.ORB(maxFeatures),
+        akaze: () => new cv.AKAZE(),
+    };
+    return detectors.hasOwnProperty(type) ? detectors[type]() : detectors.orb();
+};
+
+/**
+ * Select spatially distributed control point pairs.
+ * - matches are ranked by descriptor distance; the best match in each grid
+ *   cell of the source image is selected first, then remaining matches fill
+ *   up to the maximum number of points
+ * - points closer than minDist to a selected point are skipped
+ *
+ * @private
+ * @param {Array} matches
+ * @param {int} width
+ * @param {int} height
+ * @param {int} maxPoints
+ * @param {Number} minDist
+ * @return {Array} selected matches
+ */
+
+const _selectDistributed = (matches, width, height, maxPoints, minDist) => {
+    const ranked = [...matches].sort((a, b) => a.distance - b.distance);
+    const selected = [];
+    const isDistinct = (m) => selected.every(s =>
+        Math.hypot(s.source.x - m.source.x, s.source.y - m.source.y) >= minDist
+        && Math.hypot(s.target.x - m.target.x, s.target.y - m.target.y) >= minDist
+    );
+
+    // best match per grid cell
+    const cells = new Set();
+    ranked.forEach(m => {
+        if (selected.length >= maxPoints) return;
+        const cell = Math.min(Math.floor(GRID_SIZE * m.source.x / width), GRID_SIZE - 1)
+            + GRID_SIZE * Math.min(Math.floor(GRID_SIZE * m.source.y / height), GRID_SIZE - 1);
+        if (cells.has(cell) || !isDistinct(m)) return;
+        cells.add(cell);
+        selected.push(m);
+    });
+
+    // fill with remaining best matches
+    ranked.forEach(m => {
+        if (selected.length >= maxPoints || selected.includes(m) || !isDistinct(m)) return;
+        selected.push(m);
+    });
+
+    return selected;
+};
+
+/**
+ * Create feature detection mask for a normalised grayscale matrix.
+ * - detection is allowed (255) outside masked regions of the image mask
+ * - returns an empty matrix (no mask) if the image mask is not active
+ *
+ * @param cv
+ * @param {Object} mask image mask
+ * @param {{gray: Object, scale: Number}} normalised
+ * @param {Array} mats allocated matrices (to be deleted by caller)
+ * @return {Object} detection mask
+ */
+
+const _createDetectionMask = (cv, mask, normalised, mats) => {
+    const { gray, scale } = normalised;
+    if (!isMaskActive(mask)) {
+        const noMask = new cv.Mat();
+        mats.push(noMask);
+        return noMask;
+    }
+    const detectionMask = new cv.Mat(gray.rows, gray.cols, cv.CV_8U, new cv.Scalar(255));
+    mats.push(detectionMask);
+    for (let y = 0; y < gray.rows; y++) {
+        for (let x = 0; x < gray.cols; x++) {
+            // sample image mask at pixel centre
+            if (isMasked(mask, (x + 0.5) / scale, (y + 0.5) / scale)) detectionMask.data[x + gray.cols * y] = 0;
+        }
+    }
+    return detectionMask;
+};
+
+/**
+ * Suggest control point pairs for two images by feature matching.
+ * - requires the OpenCV library
+ * - returned points are in full-size image coordinates
+ *
+ * @public
+ * @param cv
+ * @param {ImageData} srcImage
+ * @param {ImageData} dstImage
+ * @param {Object} options
+ * @param {Object} masks region-of-interest masks {source, target} (optional)
+ * @return {{source: Array, target: Array, error: Object}}
+ */
+
+export const suggestControlPoints = (cv, srcImage, dstImage, options, masks = {}) => {
+
+    // check preconditions
+    if (!cv) {
+        return { source: [], target: [], error: { msg: getError('noOpenCV', 'canvas'), type: 'error' } };
+    }
+    if (!srcImage || !dstImage) {
+        return { source: [], target: [], error: { msg: getError('emptyCanvas', 'canvas'), type: 'error' } };
+    }
+
+    const {
+        featureDetector = 'orb',
+        featureMaxDim = 1500,
+        featureMaxCount = 2000,
+        featureRatio = 0.75,
+        ransacThreshold = 3,
+        suggestPtMax = 12,
+        controlPtMin = 4,
+    } = options || {};
+
+    // allocated OpenCV objects
+    const mats = [];
+
+    try {
+        // grayscale-normalised pre-pass
+        const src = _normaliseImage(cv, srcImage, featureMaxDim, mats);
+        const dst = _normaliseImage(cv, dstImage, featureMaxDim, mats);
+
+        // detect features and compute descriptors
+        const detector = _createDetector(cv, featureDetector, featureMaxCount);
+        const keypoints1 = new cv.KeyPointVector();
+        const keypoints2 = new cv.KeyPointVector();
+        const descriptors1 = new cv.Mat();
+        const descriptors2 = new cv.Mat();
+        mats.push(detector, keypoints1, keypoints2, descriptors1, descriptors2);
+        // exclude masked regions from detection
+        const srcMask = _createDetectionMask(cv, masks.source, src, mats);
+        const dstMask = _createDetectionMask(cv, masks.target, dst, mats);
+        detector.detectAndCompute(src.gray, srcMask, keypoints1, descriptors1);
+        detector.detectAndCompute(dst.gray, dstMask, keypoints2, descriptors2);
+
+        if (descriptors1.rows < 2 || descriptors2.rows < 2) {
+            return { source: [], target: [], error: { msg: getError('noFeatureMatches', 'canvas'), type: 'warning' } };
+        }
+
+        // match binary descriptors (k = 2 for ratio test)
+        const matcher = new cv.BFMatcher(cv.NORM_HAMMING, false);
+        const knnMatches = new cv.DMatchVectorVector();
+        mats.push(matcher, knnMatches);
+        matcher.knnMatch(descriptors1, descriptors2, knnMatches, 2);
+
+        // apply Lowe ratio test and rescale to full-size image coordinates
+        const matches = [];
+        for (let i = 0; i < knnMatches.size(); i++) {
+            // each match pair is a new vector that must be deleted (incl. skipped pairs)
+            const pair = knnMatches.get(i);
+            try {
+                if (pair.size() < 2) continue;
+                const best = pair.get(0);
+                const next = pair.get(1);
+                if (best.distance >= featureRatio * next.distance) continue;
+                const pt1 = keypoints1.get(best.queryIdx).pt;
+                const pt2 = keypoints2.get(best.trainIdx).pt;
+                matches.push({
+                    source: { x: pt1.x / src.scale, y: pt1.y / src.scale },
+                    target: { x: pt2.x / dst.scale, y: pt2.y / dst.scale },
+                    distance: best.distance,
+                });
+            } finally {
+                pair.delete();
+            }
+        }
+
+        if (matches.length < controlPtMin) {
+            return { source: [], target: [], error: { msg: getError('noFeatureMatches', 'canvas'), type: 'warning' } };
+        }
+
+        // verify matches with RANSAC homography (source -> target)
+        const srcPts = cv.matFromArray(matches.length, 1, cv.CV_32FC2,
+            matches.flatMap(m => [m.source.x, m.source.y]));
+        const dstPts = cv.matFromArray(matches.length, 1, cv.CV_32FC2,
+            matches.flatMap(m => [m.target.x, m.target.y]));
+        const mask = new cv.Mat();
+        mats.push(srcPts, dstPts, mask);
+        const M = cv.findHomography(srcPts, dstPts, cv.RANSAC, ransacThreshold / Math.min(src.scale, dst.scale), mask);
+        mats.push(M);
+        const inliers = M.empty() ? [] : matches.filter((m, i) => mask.data[i] !== 0);
+
+        if (inliers.length < controlPtMin) {
+            return { source: [], target: [], error: { msg: getError('noFeatureMatches', 'canvas'), type: 'warning' } };
+        }
+
+        // select distributed subset of best inlier matches
+        const minDist = 0.05 * Math.min(srcImage.width, srcImage.height);
+        const selected = _selectDistributed(inliers, srcImage.width, srcImage.height, suggestPtMax, minDist);
+
+        return {
+            source: selected.map(m => ({ x: Math.round(m.source.x), y: Math.round(m.source.y) })),
+            target: selected.map(m => ({ x: Math.round(m.target.x), y: Math.round(m.target.y) })),
+            error: null,
+        };
+    } catch (err) {
+        console.error(translateCVError(err), err);
+        return { source: [], target: [], error: { msg: getError('noFeatureMatches', 'canvas'), type: 'error' } };
+    } finally {
+        mats.forEach(mat => mat.delete());
+    }
+};
+
+/**
+ * Sub-pixel offset of a correlation peak from its neighbouring scores (parabola fit).
+ *
+ * @private
+ * @param {Number} prev
+ * @param {Number} peak
+ * @param {Number} next
+ * @return {Number} offset in [-0.5, 0.5]
+ */
+
+const _peakOffset = (prev, peak, next) => {
+    const curvature = prev - 2 * peak + next;
+    if (curvature >= 0) return 0;
+    return Math.max(-0.5, Math.min(0.5, 0.5 * (prev - next) / curvature));
+};
+
+/**
+ * Estimate relative scale of target to source image (target pixels per source pixel).
+ * - uses the ratio of the spreads (RMS distance to centroid) of two or more
+ *   corresponding control points
+ * - falls back to the ratio of the image dimensions
+ *
+ * @public
+ * @param {Array} from source control points
+ * @param {Array} to target control points
+ * @param {Object} srcDims source image dimensions {w, h}
+ * @param {Object} dstDims target image dimensions {w, h}
+ * @return {Number} scale
+ */
+
+export const getRelativeScale = (from, to, srcDims, dstDims) => {
+    const _spread = (pts) => {
+        const cx = pts.reduce((sum, pt) => sum + pt.x, 0) / pts.length;
+        const cy = pts.reduce((sum, pt) => sum + pt.y, 0) / pts.length;
+        return Math.sqrt(pts.reduce((sum, pt) => sum + (pt.x - cx) ** 2 + (pt.y - cy) ** 2, 0) / pts.length);
+    };
+    const n = Math.min(from.length, to.length);
+    if (n >= 2) {
+        const srcSpread = _spread(from.slice(0, n));
+        const dstSpread = _spread(to.slice(0, n));
+        if (srcSpread > 1 && dstSpread > 1) return dstSpread / srcSpread;
+    }
+    return Math.sqrt((dstDims.w * dstDims.h) / (srcDims.w * srcDims.h)) || 1;
+};
+
+/**
+ * Refine corresponding control point by local template matching.
+ * - the template is the neighbourhood of the source point in the source image,
+ *   resampled by the relative scale of the target image
+ * - the template is matched by normalised cross-correlation in a search window
+ *   around the target point in the target image
+ * - the best match is located to sub-pixel precision (parabola fit)
+ * - matches scoring below the minimum score are rejected
+ *
+ * @public
+ * @param {ImageData} srcImage
+ * @param {Object} srcPt
+ * @param {ImageData} dstImage
+ * @param {Object} dstPt
+ * @param {Object} options
+ * @param {Number} scale relative scale of target to source image (see getRelativeScale)
+ * @return {{x: Number, y: Number, score: Number, window: Object, error: Object}}
+ */
+
+export const refineControlPoint = (srcImage, srcPt, dstImage, dstPt, options, scale = 1) => {
+
+    const {
+        templateRadius = 10,
+        searchRadius = 30,
+        minMatchScore = 0.6,
+    } = options || {};
+
+    // check preconditions
+    if (!srcImage || !dstImage || !srcPt || !dstPt) {
+        return { error: { msg: getError('emptyCanvas', 'canvas'), type: 'error' } };
+    }
+
+    // extract template around source point (at the target image scale)
+    const size = 2 * templateRadius + 1;
+    const template = Math.abs(scale - 1) < 0.01
+        ? getGrayPatch(srcImage.data, srcImage.width, srcImage.height,
+            Math.round(srcPt.x) - templateRadius, Math.round(srcPt.y) - templateRadius, size, size)
+        : getScaledGrayPatch(srcImage.data, srcImage.width, srcImage.height,
+            srcPt.x, srcPt.y, size, size, 1 / scale);
+    if (!template) return { error: { msg: getError('refineOutOfBounds', 'canvas'), type: 'warning' } };
+
+    // extract search window around target point (clipped to image)
+    const x0 = Math.max(Math.round(dstPt.x) - searchRadius - templateRadius, 0);
+    const y0 = Math.max(Math.round(dstPt.y) - searchRadius - templateRadius, 0);
+    const x1 = Math.min(Math.round(dstPt.x) + searchRadius + templateRadius + 1, dstImage.width);
+    const y1 = Math.min(Math.round(dstPt.y) + searchRadius + templateRadius + 1, dstImage.height);
+    const region = getGrayPatch(dstImage.data, dstImage.width, dstImage.height, x0, y0, x1 - x0, y1 - y0);
+    if (!region || x1 - x0 < size || y1 - y0 < size) {
+        return { error: { msg: getError('refineOutOfBounds', 'canvas'), type: 'warning' } };
+    }
+
+    // find best match
+    const ncc = matchTemplateNCC(region, x1 - x0, y1 - y0, template, size, size);
+    let best = 0;
+    for (let i = 1; i < ncc.scores.length; i++) {
+        if (ncc.scores[i] > ncc.scores[best]) best = i;
+    }
+    const score = ncc.scores[best];
+    const window = { x: x0, y: y0, w: x1 - x0, h: y1 - y0 };
+    if (score < minMatchScore) {
+        return { score, window, error: { msg: getError('noTemplateMatch', 'canvas'), type: 'warning' } };
+    }
+
+    // sub-pixel peak location
+    const px = best % ncc.width;
+    const py = Math.floor(best / ncc.width);
+    const _score = (x, y) => ncc.scores[x + ncc.width * y];
+    const dx = px > 0 && px < ncc.width - 1
+        ? _peakOffset(_score(px - 1, py), score, _score(px + 1, py)) : 0;
+    const dy = py > 0 && py < ncc.height - 1
+        ? _peakOffset(_score(px, py - 1), score, _score(px, py + 1)) : 0;
+
+    return {
+        x: Math.round(100 * (x0 + px + dx + templateRadius)) / 100,
+        y: Math.round(100 * (y0 + py + dy + templateRadius)) / 100,
+        score,
+        window,
+        error: null,
+    };
+};
@@ -0,0 +1,301 @@
+/*!
+ * MLE.Client.Toolkit.Utilities.GIF
+ * File: gif.utils.alignment.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Animated GIF (GIF89a) encoder for flicker animations of aligned image pairs. Each frame
+ * is quantized to its own 256-colour palette (median cut on 15-bit colour bins) and
+ * stored as an LZW-compressed image with a local colour table. The animation loops
+ * indefinitely. Transparent pixels are not supported; frames should be opaque.
+ *
+ * These functions have no DOM dependencies so they can run in the image worker.
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Initial version
+ */
+
+// GIF LZW code limit (12-bit codes)
+const MAX_CODE = 4095;
+
+/**
+ * Get 15-bit colour bin index of RGB colour.
+ *
+ * @private
+ * @param {int} r
+ * @param {int} g
+ * @param {int} b
+ * @return {int} bin index
+ */
+
+const _getBin = (r, g, b) => ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+
+/**
+ * Quantize RGBA frame to an indexed colour image (median cut).
+ * - colours are grouped in 15-bit bins; boxes of bins are split at the weighted
+ *   median of their widest channel until the palette is full
+ * - palette colours are the pixel-weighted means of the boxes
+ *
+ * @public
+ * @param {Uint8ClampedArray} data RGBA image data
+ * @param {int} maxColours
+ * @return {{palette: Uint8Array, indices: Uint8Array}}
+ */
+
+export const quantize = (data, maxColours = 256) => {
+    const counts = new Uint32Array(32768);
+    const sums = new Float64Array(3 * 32768);
+    for (let i = 0; i < data.length; i += 4) {
+        const bin = _getBin(data[i], data[i + 1], data[i + 2]);
+        counts[bin]++;
+        sums[3 * bin] += data[i];
+        sums[3 * bin + 1] += data[i + 1];
+        sums[3 * bin + 2] += data[i + 2];
+    }
+
+    // get channel value of bin (0: red, 1: green, 2: blue)
+    const _channel = (bin, c) => (bin >> (10 - 5 * c)) & 31;
+
+    // get channel ranges of box
+    const _range = (bins) => {
+        const min = [31, 31, 31], max = [0, 0, 0];
+        bins.forEach(bin => {
+            for (let c = 0; c < 3; c++) {
+                const v = _channel(bin, c);
+                if (v < min[c]) min[c] = v;
+                if (v > max[c]) max[c] = v;
+            }
+        });
+        return max.map((v, c) => v - min[c]);
+    };
+
+    // initialize box with all used bins
+    const used = [];
+    for (let bin = 0; bin < counts.length; bin++) if (counts[bin] > 0) used.push(bin);
+    const boxes = [{bins: used, range: _range(used)}];
+
+    // split boxes with the widest channel range
+    while (boxes.length < maxColours) {
+        let index = -1, widest = 0;
+        boxes.forEach((box, i) => {
+            const width = Math.max(...box.range);
+            if (box.bins.length > 1 && width > widest) {
+                widest = width;
+                index = i;
+            }
+        });
+        if (index < 0) break;
+        const box = boxes[index];
+        const c = box.range.indexOf(widest);
+        box.bins.sort((a, b) => _channel(a, c) - _channel(b, c));
+
+        // split at the weighted median (keeping both halves non-empty)
+        const total = box.bins.reduce((sum, bin) => sum + counts[bin], 0);
+        let acc = 0, split = 1;
+        for (let i = 0; i < box.bins.length - 1; i++) {
+            acc += counts[box.bins[i]];
+            split = i + 1;
+            if (acc >= total / 2) break;
+        }
+        const lower = box.bins.slice(0, split);
+        const upper = box.bins.slice(split);
+        boxes.splice(index, 1, {bins: lower, range: _range(lower)}, {bins: upper, range: _range(upper)});
+    }
+
+    // compute palette and bin lookup table
+    const palette = new Uint8Array(3 * maxColours);
+    const lookup = new Uint8Array(32768);
+    boxes.forEach((box, index) => {
+        let n = 0, r = 0, g = 0, b = 0;
+        box.bins.forEach(bin => {
+            n += counts[bin];
+            r += sums[3 * bin];
+            g += sums[3 * bin + 1];
+            b += sums[3 * bin + 2];
+            lookup[bin] = index;
+        });
+        palette[3 * index] = Math.round(r / (n || 1));
+        palette[3 * index + 1] = Math.round(g / (n || 1));
+        palette[3 * index + 2] = Math.round(b / (n || 1));
+    });
+
+    const indices = new Uint8Array(data.length / 4);
+    for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+        indices[p] = lookup[_getBin(data[i], data[i + 1], data[i + 2])];
+    }
+    return {palette: palette, indices: indices};
+};
+
+/**
+ * Byte writer with growable buffer.
+ *
+ * @private
+ * @return {Object} writer
+ */
+
+const _writer = () => {
+    let buffer = new Uint8Array(65536);
+    let length = 0;
+    const _reserve = (n) => {
+        if (length + n <= buffer.length) return;
+        const next = new Uint8Array(Math.max(2 * buffer.length, length + n));
+        next.set(buffer.subarray(0, length));
+        buffer = next;
+    };
+    return {
+        byte: (v) => {
+            _reserve(1);
+            buffer[length++] = v & 255;
+        },
+        short: (v) => {
+            _reserve(2);
+            buffer[length++] = v & 255;
+            buffer[length++] = (v >> 8) & 255;
+        },
+        bytes: (values) => {
+            _reserve(values.length);
+            buffer.set(values, length);
+            length += values.length;
+        },
+        string: (s) => {
+            _reserve(s.length);
+            for (let i = 0; i < s.length; i++) buffer[length++] = s.charCodeAt(i);
+        },
+        data: () => buffer.slice(0, length)
+    };
+};
+
+/**
+ * Write LZW-compressed colour indices as GIF data sub-blocks.
+ *
+ * @private
+ * @param {Object} out writer
+ * @param {Uint8Array} indices
+ * @param {int} minCodeSize
+ */
+
+const _writeLZW = (out, indices, minCodeSize) => {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+
+    // output sub-block buffer (max. 255 bytes per block)
+    const block = new Uint8Array(255);
+    let blockLength = 0;
+    let bits = 0, bitCount = 0;
+
+    const _flushBlock = () => {
+        if (blockLength === 0) return;
+        out.byte(blockLength);
+        out.bytes(block.subarray(0, blockLength));
+        blockLength = 0;
+    };
+    const _emit = (code, size) => {
+        bits |= code << bitCount;
+        bitCount += size;
+        while (bitCount >= 8) {
+            block[blockLength++] = bits & 255;
+            if (blockLength === 255) _flushBlock();
+            bits >>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    // code table maps (prefix code, next index) to codes
+    let table = new Map();
+    let nextCode = endCode + 1;
+    let codeSize = minCodeSize + 1;
+
+    out.byte(minCodeSize);
+    _emit(clearCode, codeSize);
+    let prefix = indices.length > 0 ? indices[0] : 0;
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        _emit(prefix, codeSize);
+        if (nextCode <= MAX_CODE) {
+            table.set(key, nextCode);
+            if (nextCode === (1 << codeSize) && codeSize < 12) codeSize++;
+            nextCode++;
+        }
+        else {
+            // table is full: reset codes
+            _emit(clearCode, codeSize);
+            table = new Map();
+            nextCode = endCode + 1;
+            codeSize = minCodeSize + 1;
+        }
+        prefix = k;
+    }
+    _emit(prefix, codeSize);
+    _emit(endCode, codeSize);
+    if (bitCount > 0) {
+        block[blockLength++] = bits & 255;
+        if (blockLength === 255) _flushBlock();
+    }
+    _flushBlock();
+    out.byte(0);
+};
+
+/**
+ * Encode RGBA frames as a looping animated GIF.
+ *
+ * @public
+ * @param {Array} frames RGBA image data (Uint8ClampedArray) of each frame
+ * @param {int} width
+ * @param {int} height
+ * @param {Array} delays frame display times (ms)
+ * @param {Function} onProgress
+ * @return {Uint8Array} GIF file data
+ */
+
+export const encodeGIF = (frames, width, height, delays, onProgress = null) => {
+    const out = _writer();
+
+    // header and logical screen descriptor (no global colour table)
+    out.string('GIF89a');
+    out.short(width);
+    out.short(height);
+    out.byte(0x70);
+    out.byte(0);
+    out.byte(0);
+
+    // loop indefinitely (NETSCAPE2.0 application extension)
+    out.bytes([0x21, 0xFF, 0x0B]);
+    out.string('NETSCAPE2.0');
+    out.bytes([0x03, 0x01, 0x00, 0x00, 0x00]);
+
+    frames.forEach((frame, index) => {
+        if (onProgress) onProgress(index / frames.length);
+        const {palette, indices} = quantize(frame);
+
+        // graphic control extension (delay in hundredths of a second)
+        out.bytes([0x21, 0xF9, 0x04, 0x00]);
+        out.short(Math.max(Math.round((delays[index] || 0) / 10), 2));
+        out.bytes([0x00, 0x00]);
+
+        // image descriptor with 256-colour local colour table
+        out.byte(0x2C);
+        out.short(0);
+        out.short(0);
+        out.short(width);
+        out.short(height);
+        out.byte(0x87);
+        out.bytes(palette);
+
+        _writeLZW(out, indices, 8);
+    });
+
+    out.byte(0x3B);
+    if (onProgress) onProgress(1);
+    return out.data();
+};
@@ -0,0 +1,172 @@
+/*!
+ * MLE.Client.Toolkit.Utilities.Worker
+ * File: image.worker.alignment.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Image processing worker for the Alignment Tool. Runs image processing tasks off the
+ * main thread:
+ *
+ * - image warping, cropping, resizing, rotation and lens distortion correction
+ * - tone adjustment, image differencing and pixel classification
+ * - cylindrical projection and panorama blending
+ * - animated GIF encoding
+ * - TIFF, DEM GeoTIFF and camera RAW decoding
+ *
+ * Tasks are posted by the worker pool (see workers.utils.alignment.js) as
+ * {id, type, payload} messages and the worker replies with 'progress', 'done' or
+ * 'error' messages. Image data buffers are transferred (not copied) in both directions.
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Initial version
+ * - 18-10-2026   Added tone adjustment task
+ * - 18-10-2026   Added image difference task
+ * - 18-10-2026   Added animated GIF encoding task
+ * - 18-10-2026   Added 16-bit warp, crop and resize tasks; 16-bit TIFF decoding
+ * - 18-10-2026   Added camera RAW decoding task
+ * - 18-10-2026   Added image rotation task
+ * - 18-10-2026   Added lens distortion correction task
+ * - 18-10-2026   Added cylindrical projection and panorama blending tasks
+ * - 18-10-2026   Added DEM GeoTIFF decoding task
+ * - 18-10-2026   Added pixel classification task
+ */
+
+/* eslint-disable no-restricted-globals */
+
+import {cropImageData, resizeImageData, rotateImageData, warpImage, warpImage16} from './raster.utils.alignment';
+import {decodeTIFF} from './tiff.utils.alignment';
+import {decodeDEM} from './dem.utils.alignment';
+import {decodeRAW} from './raw.utils.alignment';
+import {undistortImageData} from './lens.utils.alignment';
+import {adjustTone} from './tone.utils.alignment';
+import {getDifference} from './change.utils.alignment';
+import {classifyPixels} from './classify.utils.alignment';
+import {encodeGIF} from './gif.utils.alignment';
+import {blendPanorama, projectCylinder} from './panorama.utils.alignment';
+
+/**
+ * Get RGBA typed array of image data buffer.
+ *
+ * @param {ArrayBuffer} data
+ * @param {int} bitDepth
+ * @return {Uint8ClampedArray|Uint16Array}
+ */
+
+const _getSamples = (data, bitDepth) => bitDepth === 16 ? new Uint16Array(data) : new Uint8ClampedArray(data);
+
+/**
+ * Image tasks indexed by task type.
+ * - each task returns result data with a transferable data buffer
+ * - warp, crop, resize, rotate and undistort tasks process 16-bit RGBA data if the bit depth is 16
+ */
+
+const tasks = {
+    warp: ({transform, data, width, height, interpolation, bitDepth}, onProgress) => {
+        if (bitDepth === 16) {
+            const dst = new Uint16Array(4 * width * height);
+            warpImage16(transform, new Uint16Array(data), dst, width, height, interpolation, onProgress);
+            return {data: dst.buffer, width: width, height: height};
+        }
+        const src = new Uint32Array(data);
+        const dst = new Uint32Array(src.length);
+        warpImage(transform, src, dst, width, height, interpolation, onProgress);
+        return {data: dst.buffer, width: width, height: height};
+    },
+    crop: ({data, width, height, dims, bitDepth}, onProgress) => {
+        const cropped = cropImageData(_getSamples(data, bitDepth), width, height, dims, onProgress);
+        return {data: cropped.data.buffer, width: cropped.width, height: cropped.height};
+    },
+    resize: ({data, width, height, dims, bitDepth}, onProgress) => {
+        const resized = resizeImageData(_getSamples(data, bitDepth), width, height, dims.w, dims.h, onProgress);
+        return {data: resized.data.buffer, width: resized.width, height: resized.height};
+    },
+    rotate: ({data, width, height, rotation, bitDepth}, onProgress) => {
+        const rotated = rotateImageData(_getSamples(data, bitDepth), width, height, rotation, onProgress);
+        return {data: rotated.data.buffer, width: rotated.width, height: rotated.height};
+    },
+    undistort: ({data, width, height, lens, bitDepth}, onProgress) => {
+        const corrected = undistortImageData(_getSamples(data, bitDepth), width, height, lens, onProgress);
+        return {data: corrected.data.buffer, width: corrected.width, height: corrected.height};
+    },
+    cylinder: ({data, width, height, focal, interpolation}, onProgress) => {
+        const projected = projectCylinder(new Uint8ClampedArray(data), width, height, focal, interpolation, onProgress);
+        return {data: projected.data.buffer, width: projected.width, height: projected.height};
+    },
+    panorama: ({frames, positions, width, height}, onProgress) => {
+        const panorama = blendPanorama(frames.map(frame => ({...frame, data: new Uint8ClampedArray(frame.data)})),
+            positions, width, height, onProgress);
+        return {data: panorama.data.buffer, width: width, height: height};
+    },
+    tone: ({data, width, height, tone}, onProgress) => {
+        const adjusted = adjustTone(new Uint8ClampedArray(data), width, height, tone, onProgress);
+        return {data: adjusted.buffer, width: width, height: height};
+    },
+    difference: ({data1, data2, width, height}, onProgress) => {
+        const difference = getDifference(new Uint8ClampedArray(data1), new Uint8ClampedArray(data2), onProgress);
+        return {data: difference.buffer, width: width, height: height};
+    },
+    classify: ({data, mask, seeds, method, iterations, maxPixels}, onProgress) => {
+        const result = classifyPixels(new Uint8ClampedArray(data), seeds, {
+            method: method,
+            iterations: iterations,
+            maxPixels: maxPixels,
+            mask: mask ? new Uint8Array(mask) : null
+        }, onProgress);
+        return {data: result.labels.buffer, centroids: result.centroids};
+    },
+    gif: ({frames, width, height, delays}, onProgress) => {
+        const gif = encodeGIF(frames.map(frame => new Uint8ClampedArray(frame)), width, height, delays, onProgress);
+        return {data: gif.buffer, width: width, height: height};
+    },
+    decodeTIFF: ({buffer}, onProgress) => {
+        const tiff = decodeTIFF(buffer, onProgress);
+        return {
+            data: tiff.data.buffer,
+            depth: tiff.depth ? tiff.depth.buffer : null,
+            width: tiff.width,
+            height: tiff.height
+        };
+    },
+    decodeDEM: ({buffer}, onProgress) => {
+        const dem = decodeDEM(buffer, onProgress);
+        return {...dem, data: dem.data.buffer};
+    },
+    decodeRAW: ({buffer}, onProgress) => {
+        const raw = decodeRAW(buffer, onProgress);
+        // embedded JPEG preview is decoded on the main thread
+        if (raw.preview) return {data: raw.preview.buffer, preview: true, width: raw.width, height: raw.height};
+        return {data: raw.data.buffer, depth: raw.depth.buffer, width: raw.width, height: raw.height};
+    }
+};
+
+/**
+ * Handle task request from worker pool.
+ */
+
+self.onmessage = (e) => {
+    const {id, type, payload} = e.data || {};
+    try {
+        if (!tasks.hasOwnProperty(type)) throw new Error(`Unknown image task: ${type}`);
+
+        // post progress updates as whole percentages
+        let lastPercent = -1;
+        const onProgress = (fraction) => {
+            const percent = Math.round(100 * fraction);
+            if (percent === lastPercent) return;
+            lastPercent = percent;
+            self.postMessage({id: id, status: 'progress', progress: percent});
+        };
+
+        const result = tasks[type](payload, onProgress);
+        // transfer result buffers (incl. 16-bit samples of decoded TIFF images)
+        const transfer = [result.data, result.depth].filter(buffer => buffer);
+        self.postMessage({id: id, status: 'done', result: result}, transfer);
+    } catch (err) {
+        self.postMessage({id: id, status: 'error', error: err && err.message ? err.message : String(err)});
+    }
+};
@@ -0,0 +1,161 @@
+/*!
+ * MLE.Client.Toolkit.Utilities.Lens
+ * File: lens.utils.alignment.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Lens distortion correction (Brown-Conrady model). Wide-angle lenses bend straight lines
+ * (barrel or pincushion distortion) so that no homography can align the image with a
+ * historic capture. Distortion is modelled by radial (k1, k2) and tangential (p1, p2)
+ * coefficients on image coordinates centred on the image centre and normalized by half
+ * the image diagonal, so that coefficients do not depend on the image resolution:
+ *
+ *   xd = x (1 + k1 r^2 + k2 r^4) + 2 p1 x y + p2 (r^2 + 2 x^2)
+ *   yd = y (1 + k1 r^2 + k2 r^4) + p1 (r^2 + 2 y^2) + 2 p2 x y
+ *
+ * Negative k1 describes barrel distortion, positive k1 pincushion distortion. The
+ * corrected image samples each pixel from its distorted position in the source image.
+ *
+ * Coefficients can be saved as presets for a lens record (MLP lens types) and focal
+ * length; presets are kept in the browser local storage.
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Initial version
+ */
+
+import {remapImageData} from './raster.utils.alignment';
+
+// local storage key of saved lens presets
+const PRESETS_KEY = 'iatLensPresets';
+
+// lens distortion coefficients
+export const lensCoefficients = ['k1', 'k2', 'p1', 'p2'];
+
+/**
+ * Check if lens correction changes the image.
+ *
+ * @public
+ * @param {Object} lens
+ * @return {boolean}
+ */
+
+export const isLensActive = (lens) => {
+    return lensCoefficients.some(key => !!(lens && lens[key]));
+};
+
+/**
+ * Apply lens distortion to normalized image coordinate.
+ *
+ * @public
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Object} lens {k1, k2, p1, p2}
+ * @return {Array} distorted coordinate [xd, yd]
+ */
+
+export const distortPoint = (x, y, lens) => {
+    const {k1 = 0, k2 = 0, p1 = 0, p2 = 0} = lens || {};
+    const r2 = x * x + y * y;
+    const radial = 1 + k1 * r2 + k2 * r2 * r2;
+    return [
+        x * radial + 2 * p1 * x * y + p2 * (r2 + 2 * x * x),
+        y * radial + p1 * (r2 + 2 * y * y) + 2 * p2 * x * y
+    ];
+};
+
+/**
+ * Correct lens distortion of RGBA image data (8 or 16 bits per channel).
+ * - image dimensions are kept; pixels that map outside the source image are transparent
+ *
+ * @public
+ * @param {Uint8ClampedArray|Uint16Array} data
+ * @param {int} width
+ * @param {int} height
+ * @param {Object} lens {k1, k2, p1, p2, interpolation}
+ * @param {Function} onProgress
+ * @return {{data: Uint8ClampedArray|Uint16Array, width: int, height: int}}
+ */
+
+export const undistortImageData = (data, width, height, lens, onProgress = null) => {
+    const {interpolation = 'bilinear'} = lens || {};
+    const cx = (width - 1) / 2, cy = (height - 1) / 2;
+    const f = Math.hypot(width, height) / 2;
+    return remapImageData(data, width, height, width, height, (x, y) => {
+        const [xd, yd] = distortPoint((x - cx) / f, (y - cy) / f, lens);
+        return [cx + f * xd, cy + f * yd];
+    }, interpolation, onProgress);
+};
+
+/**
+ * Get preset key of lens record and focal length.
+ *
+ * @private
+ * @param {String} lensID
+ * @param {Number} focalLength
+ * @return {String} key
+ */
+
+const _getPresetKey = (lensID, focalLength) => {
+    return focalLength ? `${lensID}@${focalLength}` : String(lensID);
+};
+
+/**
+ * Get saved lens presets.
+ *
+ * @public
+ * @return {Object} presets indexed by lens record (and focal length)
+ */
+
+export const getLensPresets = () => {
+    try {
+        return JSON.parse(localStorage.getItem(PRESETS_KEY) || '{}') || {};
+    } catch (err) {
+        console.warn(err);
+        return {};
+    }
+};
+
+/**
+ * Get saved preset for lens record and focal length.
+ * - falls back to a preset saved for the lens record without focal length
+ *
+ * @public
+ * @param {String} lensID
+ * @param {Number} focalLength
+ * @return {Object} preset (or null)
+ */
+
+export const getLensPreset = (lensID, focalLength = null) => {
+    if (!lensID) return null;
+    const presets = getLensPresets();
+    return presets[_getPresetKey(lensID, focalLength)] || presets[_getPresetKey(lensID)] || null;
+};
+
+/**
+ * Save lens distortion coefficients as preset for lens record and focal length.
+ *
+ * @public
+ * @param {String} lensID
+ * @param {Number} focalLength
+ * @param {Object} lens
+ */
+
+export const saveLensPreset = (lensID, focalLength, lens) => {
+    if (!lensID) return;
+    const presets = getLensPresets();
+    presets[_getPresetKey(lensID, focalLength)] = {
+        lens_id: lensID,
+        focal_length: focalLength || null,
+        ...lensCoefficients.reduce((o, key) => ({...o, [key]: (lens && lens[key]) || 0}), {})
+    };
+    try {
+        localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+    } catch (err) {
+        console.warn(err);
+    }
+};
@@ -14,21 +14,54 @@
  * ---------
  * Revisions
  * - 09-07-2023   Major upgrade to Toolkit incl. UI and workflow improvements and OpenCV integration
+ * - 18-10-2026   TIFF decoding runs in worker pool (with main-thread fallback)
+ * - 18-10-2026   Keep 16-bit samples of high bit-depth TIFF images
+ * - 18-10-2026   Decode camera RAW (DNG) files; embedded previews of proprietary RAW formats
+ * - 18-10-2026   Reject RAW files without file data (URL sources)
+ * - 18-10-2026   Detect RAW library downloads by filename; fetch RAW URL sources as file data
  */
 
-import * as UTIF from 'utif';
 import { download, getMIME } from '../../../services/api.services.client';
 import { getError } from '../../../services/schema.services.client';
+import { decodeTIFF } from './tiff.utils.alignment';
+import { decodeRAW } from './raw.utils.alignment';
+import { isWorkerSupported, runTask } from './workers.utils.alignment';
+
+// camera RAW file formats (see getMIME)
+const rawFormats = ['3FR', 'ARW', 'CR2', 'CRW', 'DCR', 'DNG', 'ERF', 'K25', 'KDC', 'MRW',
+    'NEF', 'ORF', 'PEF', 'RAF', 'RAW', 'RW2', 'SR2', 'SRF', 'X3F'];
+const rawTypes = rawFormats.map(getMIME).filter(mimeType => mimeType);
+
+/**
+ * Get MIME type of image file.
+ * - camera RAW files are identified by their file extension (browsers do not
+ *   report consistent MIME types for RAW formats)
+ *
+ * @public
+ * @param {String} filename
+ * @param {String} mimeType reported MIME type
+ * @return {String} MIME type
+ */
+
+export const getFileType = (filename = '', mimeType = '') => {
+    const ext = String(filename).split('.').pop().toUpperCase();
+    return rawFormats.includes(ext) && getMIME(ext) ? getMIME(ext) : mimeType;
+};
 
 /**
  * Loads and converts image file data for use in IAT canvas layers.
+ * - 16-bit TIFF images and DNG files also return their high bit-depth image data
+ *   ({data: Uint16Array, width, height, bitDepth}) as 'depth'
+ * - RAW files that are loaded from their embedded preview return a warning message
  *
  * @param properties
  * @param callback
+ * @param options
+ * @param monitor
  * @private
  */
 
-export const loadImage = async (properties, callback) => {
+export const loadImage = async (properties, callback, options = {}, monitor = null) => {
 
     /**
      * Load file data into canvas layers (indexed by MIME type).
@@ -36,24 +69,74 @@ export const loadImage = async (properties, callback) => {
 
     const loadFile = (fileData, mimeType, url = null) => {
 
+        /**
+         * Load image element from file data or URL (browser-supported formats)
+         */
+
+        const loadImageElement = (src, message = null) => {
+            const img = new Image();
+            img.onerror = (err) => {callback({status: 'empty', error: err})};
+            img.onload = function() {
+                URL.revokeObjectURL(src); // free memory held by Object URL
+                // update local panel properties
+                properties.mime_type = mimeType;
+                properties.bit_depth = 8;
+                properties.source_dims = { w: img.width, h: img.height };
+                properties.image_dims = { w: img.width, h: img.height };
+                properties.render_dims = { x: 0, y: 0, w: img.width, h: img.height };
+                callback({status: 'load', data: img, props: properties, message: message});
+            }
+            img.src = src;
+        };
+
         /**
          * Image data processors indexed by file type
          */
 
         const fileHandlers = {
             'image/tiff': () => {
-                loadTIFF(fileData)
+                loadTIFF(fileData, options, monitor)
                     .then(tiff => {
                         // convert data to Image Data object
-                        const { width = 0, height = 0, data = [] } = tiff || {};
+                        const { width = 0, height = 0, data = [], depth = null } = tiff || {};
                         // update local panel properties
                         properties.mime_type = mimeType;
+                        properties.bit_depth = depth ? 16 : 8;
                         properties.source_dims = { w: width, h: height };
                         properties.image_dims = { w: width, h: height };
                         properties.render_dims = { x: 0, y: 0, w: width, h: height };
-                        callback({status: 'load', data: toImageData(data, width, height), props:  properties});
+                        callback({
+                            status: 'load',
+                            data: toImageData(data, width, height),
+                            depth: depth ? {data: depth, width: width, height: height, bitDepth: 16} : null,
+                            props:  properties
+                        });
                     })
-                    .catch((err) => {callback({status: 'empty', error: err})});
+                    .catch((err) => {callback({status: 'empty', error: err, props: properties})});
+            },
+            'raw': () => {
+                loadRAW(fileData, options, monitor)
+                    .then(raw => {
+                        const { width = 0, height = 0, data = [], depth = null, preview = null } = raw || {};
+                        // load embedded JPEG preview as browser image
+                        if (preview) return loadImageElement(
+                            URL.createObjectURL(new Blob([preview], {type: 'image/jpeg'})),
+                            {msg: `${getError('rawPreviewOnly', 'canvas')} (Preview: ${width} x ${height} px)`, type: 'warning'}
+                        );
+                        // update local panel properties
+                        properties.mime_type = mimeType;
+                        properties.bit_depth = 16;
+                        properties.source_dims = { w: width, h: height };
+                        properties.image_dims = { w: width, h: height };
+                        properties.render_dims = { x: 0, y: 0, w: width, h: height };
+                        callback({
+                            status: 'load',
+                            data: toImageData(data, width, height),
+                            depth: {data: depth, width: width, height: height, bitDepth: 16},
+                            props: properties
+                        });
+                    })
+                    .catch((err) => {callback({status: 'empty', error: err, props: properties})});
             },
             'default': () => {
                 // select (blob) file data or convert to string containing a URL representing
@@ -61,23 +144,12 @@ export const loadImage = async (properties, callback) => {
                 const src = fileData ? URL.createObjectURL(fileData) : url;
 
                 // load image source and set panel properties
-                const img = new Image();
-                img.onerror = (err) => {callback({status: 'empty', error: err})};
-                img.onload = function() {
-                    URL.revokeObjectURL(src); // free memory held by Object URL
-                    // update local panel properties
-                    properties.mime_type = mimeType;
-                    properties.source_dims = { w: img.width, h: img.height };
-                    properties.image_dims = { w: img.width, h: img.height };
-                    properties.render_dims = { x: 0, y: 0, w: img.width, h: img.height };
-                    callback({status: 'load', data: img, props: properties});
-                }
-                img.src = src;
+                loadImageElement(src);
             }
         };
         return fileHandlers.hasOwnProperty(mimeType)
             ? fileHandlers[mimeType]()
-            : fileHandlers.default();
+            : rawTypes.includes(mimeType) ? fileHandlers.raw() : fileHandlers.default();
     };
 
     /**
@@ -138,8 +210,11 @@ export const loadImage = async (properties, callback) => {
                     // set reader to load file (blob) data on stream end
                     reader.addEventListener('loadend', () => {
                         // reader.result contains the contents of blob as a typed array
+                        // - RAW files are identified by the response type or the file extension
+                        //   (TIFF-based RAW formats, e.g. DNG, CR2, NEF, have a TIFF signature)
                         const imgType = getImageType(reader.result);
-                        loadFile(response, getMIME(imgType));
+                        const mimeType = rawTypes.includes(response.type) ? response.type : getMIME(imgType);
+                        loadFile(response, imgType === 'jpg' ? mimeType : getFileType(properties.filename, mimeType));
                     });
                     // load blob into reader to determine image format
                     reader.readAsArrayBuffer(response);
@@ -160,18 +235,29 @@ export const loadImage = async (properties, callback) => {
          */
 
         file: () => {
-            const mimeType = properties.file.type;
+            const mimeType = getFileType(properties.file.name, properties.file.type);
             loadFile(properties.file, mimeType);
         },
 
         /**
          * Handle image data loaded from URL
          * - loads image data from url
+         * - RAW files are fetched as file data for decoding
          */
 
         url: () => {
-            const mimeType = getMIME(properties.filename);
-            loadFile(null, mimeType, properties.url);
+            const mimeType = getFileType(properties.filename, getMIME(properties.filename));
+            if (!rawTypes.includes(mimeType)) return loadFile(null, mimeType, properties.url);
+            fetch(properties.url)
+                .then(res => {
+                    if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+                    return res.blob();
+                })
+                .then(blob => loadFile(blob, mimeType))
+                .catch(err => {
+                    console.error(err);
+                    callback({status: 'empty', error: { msg: getError('streamError', 'canvas'), type: 'error' }, props: properties});
+                });
         }
     };
 
@@ -193,12 +279,16 @@ export const loadImage = async (properties, callback) => {
 
 /**
  * Loads TIFF format image file.
+ * - decodes in the worker pool when enabled (reports progress to the
+ *   optional task monitor), otherwise on the main thread
  *
  * @param file
+ * @param options
+ * @param monitor
  * @return {Promise<unknown>}
  */
 
-export const loadTIFF = (file) => {
+export const loadTIFF = (file, options = {}, monitor = null) => {
 
     if (!file) return null;
 
@@ -223,14 +313,75 @@ export const loadTIFF = (file) => {
             }
 
             // decode to Uint8Array of the image in RGBA format, 8 bits per channel
-            const ifds = UTIF.decode(buffer);
-            UTIF.decodeImage(buffer, ifds[0]);
-            let rgba = UTIF.toRGBA8(ifds[0]);  // Uint8Array with RGBA pixels
-            resolve({
-                data: rgba,
-                width: ifds[0].width,
-                height: ifds[0].height,
-            });
+            // - 16-bit images also keep a Uint16Array of RGBA samples
+            if (options.useWorkers && isWorkerSupported()) {
+                runTask('decodeTIFF', {buffer: buffer}, [buffer], monitor)
+                    .then(tiff => resolve({
+                        data: new Uint8Array(tiff.data),
+                        depth: tiff.depth ? new Uint16Array(tiff.depth) : null,
+                        width: tiff.width,
+                        height: tiff.height,
+                    }))
+                    .catch(reject);
+                return;
+            }
+            try {
+                resolve(decodeTIFF(buffer));
+            } catch (err) {
+                console.error(err);
+                reject({ msg: getError('streamError', 'canvas'), type: 'error' });
+            }
+        };
+        reader.readAsArrayBuffer(file);
+    });
+};
+
+/**
+ * Loads camera RAW image file.
+ * - DNG files are decoded to 8-bit and 16-bit RGBA image data; other RAW files
+ *   return their embedded JPEG preview (preview)
+ * - decodes in the worker pool when enabled (reports progress to the
+ *   optional task monitor), otherwise on the main thread
+ *
+ * @param file
+ * @param options
+ * @param monitor
+ * @return {Promise<unknown>}
+ */
+
+export const loadRAW = (file, options = {}, monitor = null) => {
+
+    // RAW files are decoded from file data only (not from URLs)
+    if (!file) return Promise.reject({ msg: getError('rawNoData', 'canvas'), type: 'error' });
+
+    const reader = new FileReader();
+    return new Promise((resolve, reject) => {
+        reader.onerror = (err) => {
+            console.error(err);
+            reader.abort();
+            reject({ msg: getError('streamError', 'canvas'), type: 'error' });
+        };
+        reader.onload = (e) => {
+            const buffer = e.target.result;
+            if (options.useWorkers && isWorkerSupported()) {
+                runTask('decodeRAW', {buffer: buffer}, [buffer], monitor)
+                    .then(raw => resolve(raw.preview
+                        ? {preview: new Uint8Array(raw.data), width: raw.width, height: raw.height}
+                        : {
+                            data: new Uint8Array(raw.data),
+                            depth: new Uint16Array(raw.depth),
+                            width: raw.width,
+                            height: raw.height
+                        }))
+                    .catch(err => reject(err && err.cancelled ? err : { msg: getError('rawError', 'canvas'), type: 'error' }));
+                return;
+            }
+            try {
+                resolve(decodeRAW(buffer));
+            } catch (err) {
+                console.error(err);
+                reject({ msg: getError('rawError', 'canvas'), type: 'error' });
+            }
         };
         reader.readAsArrayBuffer(file);
     });
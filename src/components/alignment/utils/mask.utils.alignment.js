@@ -0,0 +1,560 @@
+/*!
+ * MLE.Client.Toolkit.Utilities.Mask
+ * File: mask.utils.alignment.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Region-of-interest (ROI) mask utilities. A panel mask marks image regions (e.g. sky,
+ * foreground or vignetted plate edges) that are excluded from alignment quality metrics,
+ * control point suggestion and change detection. Masks are single-channel rasters at
+ * image resolution ({data: Uint8Array, width, height}); nonzero values are masked.
+ *
+ * Masks follow the image through crop, resize, rotation, lens correction and alignment:
+ * the mask is converted to RGBA data (mask value in the alpha channel) and processed by
+ * the raster operations used for the image. Resampled masks are thresholded at 50%.
+ *
+ * Masks are exported as grayscale PNG images or as polygon outlines (image coordinates)
+ * traced along the pixel edges of the masked regions.
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Initial version
+ */
+
+import {cropImageData, remapImageData, resizeImageData, rotateImageData} from './raster.utils.alignment';
+import {undistortImageData} from './lens.utils.alignment';
+
+/**
+ * Create empty (unmasked) mask.
+ *
+ * @public
+ * @param {int} width
+ * @param {int} height
+ * @return {{data: Uint8Array, width: int, height: int}}
+ */
+
+export const createMask = (width, height) => {
+    return {data: new Uint8Array(width * height), width: width, height: height};
+};
+
+/**
+ * Check if mask has masked pixels.
+ *
+ * @public
+ * @param {Object} mask
+ * @return {boolean}
+ */
+
+export const isMaskActive = (mask) => {
+    return !!mask && mask.data.some(value => value !== 0);
+};
+
+/**
+ * Compute fraction of masked pixels.
+ *
+ * @public
+ * @param {Object} mask
+ * @return {Number} coverage [0, 1]
+ */
+
+export const getMaskCoverage = (mask) => {
+    if (!mask || mask.data.length === 0) return 0;
+    let count = 0;
+    for (let p = 0; p < mask.data.length; p++) if (mask.data[p]) count++;
+    return count / mask.data.length;
+};
+
+/**
+ * Check if image coordinate is masked.
+ * - coordinates outside the mask are not masked
+ *
+ * @public
+ * @param {Object} mask
+ * @param {Number} x
+ * @param {Number} y
+ * @return {boolean}
+ */
+
+export const isMasked = (mask, x, y) => {
+    if (!mask) return false;
+    const col = Math.floor(x), row = Math.floor(y);
+    if (col < 0 || row < 0 || col >= mask.width || row >= mask.height) return false;
+    return mask.data[col + mask.width * row] !== 0;
+};
+
+/**
+ * Invert mask (masked regions become unmasked and vice versa).
+ *
+ * @public
+ * @param {Object} mask
+ * @return {Object} inverted mask
+ */
+
+export const invertMask = (mask) => {
+    const data = new Uint8Array(mask.data.length);
+    for (let p = 0; p < data.length; p++) data[p] = mask.data[p] ? 0 : 255;
+    return {data: data, width: mask.width, height: mask.height};
+};
+
+/**
+ * Convert mask to RGBA pixel data.
+ * - masked pixels are drawn in the given colour; unmasked pixels are transparent
+ *
+ * @public
+ * @param {Object} mask
+ * @param {Array} colour [r, g, b]
+ * @return {Uint8ClampedArray} RGBA data
+ */
+
+export const maskToRGBA = (mask, colour = [255, 255, 255]) => {
+    const rgba = new Uint8ClampedArray(4 * mask.data.length);
+    for (let p = 0, i = 0; p < mask.data.length; p++, i += 4) {
+        rgba[i] = colour[0];
+        rgba[i + 1] = colour[1];
+        rgba[i + 2] = colour[2];
+        rgba[i + 3] = mask.data[p] ? 255 : 0;
+    }
+    return rgba;
+};
+
+/**
+ * Convert RGBA pixel data to mask.
+ * - pixels with an alpha value of at least 50% are masked
+ *
+ * @public
+ * @param {Uint8ClampedArray} data
+ * @param {int} width
+ * @param {int} height
+ * @return {Object} mask
+ */
+
+export const maskFromRGBA = (data, width, height) => {
+    const mask = createMask(width, height);
+    for (let p = 0; p < mask.data.length; p++) mask.data[p] = data[4 * p + 3] >= 128 ? 255 : 0;
+    return mask;
+};
+
+/**
+ * Convert mask to opaque grayscale pixel data (masked pixels are white).
+ *
+ * @public
+ * @param {Object} mask
+ * @return {Uint8ClampedArray} RGBA data
+ */
+
+export const maskToGrayscale = (mask) => {
+    const rgba = new Uint8ClampedArray(4 * mask.data.length);
+    for (let p = 0, i = 0; p < mask.data.length; p++, i += 4) {
+        rgba[i] = rgba[i + 1] = rgba[i + 2] = mask.data[p] ? 255 : 0;
+        rgba[i + 3] = 255;
+    }
+    return rgba;
+};
+
+/**
+ * Exclude masked pixels from RGBA image data (masked pixels are made transparent).
+ * - the mask is placed at an offset (dx, dy) to the image
+ *
+ * @public
+ * @param {Uint8ClampedArray} data
+ * @param {int} width
+ * @param {int} height
+ * @param {Object} mask
+ * @param {int} dx
+ * @param {int} dy
+ * @return {int} number of excluded pixels
+ */
+
+export const applyMask = (data, width, height, mask, dx = 0, dy = 0) => {
+    if (!mask) return 0;
+    let count = 0;
+    const x0 = Math.max(dx, 0), x1 = Math.min(dx + mask.width, width);
+    const y0 = Math.max(dy, 0), y1 = Math.min(dy + mask.height, height);
+    for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+            if (!mask.data[(x - dx) + mask.width * (y - dy)]) continue;
+            data[4 * (x + width * y) + 3] = 0;
+            count++;
+        }
+    }
+    return count;
+};
+
+/**
+ * Apply raster operation to mask.
+ * - the operation is applied to RGBA data with the mask in the alpha channel
+ *
+ * @private
+ * @param {Object} mask
+ * @param {Function} process (data, width, height) => {data, width, height}
+ * @return {Object} processed mask
+ */
+
+const _transform = (mask, process) => {
+    if (!mask) return null;
+    const result = process(maskToRGBA(mask), mask.width, mask.height);
+    return maskFromRGBA(result.data, result.width, result.height);
+};
+
+/**
+ * Crop mask to crop box (image coordinates).
+ *
+ * @public
+ * @param {Object} mask
+ * @param {Object} box
+ * @return {Object} cropped mask
+ */
+
+export const cropMask = (mask, box) => {
+    return _transform(mask, (data, width, height) => cropImageData(data, width, height, box));
+};
+
+/**
+ * Resize mask.
+ *
+ * @public
+ * @param {Object} mask
+ * @param {Object} dims resized dimensions {w, h}
+ * @return {Object} resized mask
+ */
+
+export const resizeMask = (mask, dims) => {
+    return _transform(mask, (data, width, height) => resizeImageData(data, width, height, dims.w, dims.h));
+};
+
+/**
+ * Rotate and/or flip mask.
+ *
+ * @public
+ * @param {Object} mask
+ * @param {Object} rotation {angle, flipH, flipV, expand}
+ * @return {Object} rotated mask
+ */
+
+export const rotateMask = (mask, rotation) => {
+    return _transform(mask, (data, width, height) =>
+        rotateImageData(data, width, height, {...rotation, interpolation: 'bilinear'}));
+};
+
+/**
+ * Correct lens distortion of mask.
+ *
+ * @public
+ * @param {Object} mask
+ * @param {Object} lens {k1, k2, p1, p2}
+ * @return {Object} corrected mask
+ */
+
+export const undistortMask = (mask, lens) => {
+    return _transform(mask, (data, width, height) =>
+        undistortImageData(data, width, height, {...lens, interpolation: 'bilinear'}));
+};
+
+/**
+ * Warp mask by an alignment transform (see warpImage).
+ *
+ * @public
+ * @param {Object} mask
+ * @param {Array} H
+ * @return {Object} warped mask
+ */
+
+export const warpMask = (mask, H) => {
+    return _transform(mask, (data, width, height) => remapImageData(data, width, height, width, height, (x, y) => {
+        const k = x * H[6] + y * H[7] + 1;
+        return [(x * H[0] + y * H[1] + H[2]) / k, (x * H[3] + y * H[4] + H[5]) / k];
+    }, 'bilinear'));
+};
+
+/**
+ * Compute signed area of polygon ring (positive for clockwise rings in image coordinates).
+ *
+ * @private
+ * @param {Array} ring [[x, y], ...]
+ * @return {Number} area
+ */
+
+const _getArea = (ring) => {
+    let area = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        area += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+    }
+    return area / 2;
+};
+
+/**
+ * Check if point is inside polygon ring (ray casting).
+ *
+ * @private
+ * @param {Array} ring
+ * @param {Number} x
+ * @param {Number} y
+ * @return {boolean}
+ */
+
+const _inRing = (ring, x, y) => {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+};
+
+/**
+ * Simplify polyline (Douglas-Peucker).
+ *
+ * @private
+ * @param {Array} points
+ * @param {Number} tolerance
+ * @return {Array} simplified points (end points are kept)
+ */
+
+const _simplify = (points, tolerance) => {
+    if (points.length < 3) return points;
+    const [x1, y1] = points[0];
+    const [x2, y2] = points[points.length - 1];
+    const length = Math.hypot(x2 - x1, y2 - y1);
+    let maxDist = 0, index = 0;
+    for (let i = 1; i < points.length - 1; i++) {
+        const [x, y] = points[i];
+        const dist = length > 0
+            ? Math.abs((x2 - x1) * (y1 - y) - (x1 - x) * (y2 - y1)) / length
+            : Math.hypot(x - x1, y - y1);
+        if (dist > maxDist) {
+            maxDist = dist;
+            index = i;
+        }
+    }
+    if (maxDist <= tolerance) return [points[0], points[points.length - 1]];
+    const left = _simplify(points.slice(0, index + 1), tolerance);
+    const right = _simplify(points.slice(index), tolerance);
+    return [...left.slice(0, -1), ...right];
+};
+
+/**
+ * Simplify closed polygon ring.
+ * - the ring is split at its first vertex and the vertex farthest from it
+ *
+ * @private
+ * @param {Array} ring
+ * @param {Number} tolerance
+ * @return {Array} simplified ring
+ */
+
+const _simplifyRing = (ring, tolerance) => {
+    if (ring.length <= 4 || tolerance <= 0) return ring;
+    const [x0, y0] = ring[0];
+    let far = 0, maxDist = 0;
+    ring.forEach(([x, y], i) => {
+        const dist = Math.hypot(x - x0, y - y0);
+        if (dist > maxDist) {
+            maxDist = dist;
+            far = i;
+        }
+    });
+    const first = _simplify(ring.slice(0, far + 1), tolerance);
+    const second = _simplify([...ring.slice(far), ring[0]], tolerance);
+    const simplified = [...first.slice(0, -1), ...second.slice(0, -1)];
+    return simplified.length >= 3 ? simplified : ring;
+};
+
+/**
+ * Trace outlines of masked regions along pixel edges.
+ * - each boundary edge is directed so that the masked pixel is on its right; outer
+ *   rings are clockwise (positive area) and holes are counter-clockwise
+ * - at vertices shared by diagonal pixels the trace turns right, so that regions
+ *   touching at a corner are traced separately
+ * - collinear vertices are removed
+ *
+ * @private
+ * @param {Object} mask
+ * @return {Array} rings [[[x, y], ...], ...]
+ */
+
+const _traceRings = (mask) => {
+    const {data, width, height} = mask;
+    const stride = width + 1;
+    const _masked = (x, y) => x >= 0 && y >= 0 && x < width && y < height && data[x + width * y] !== 0;
+
+    // directed boundary edges (start vertex -> end vertex) indexed by start vertex
+    const edges = new Map();
+    const _addEdge = (x1, y1, x2, y2) => {
+        const key = x1 + stride * y1;
+        const edge = {x1, y1, x2, y2, used: false};
+        if (edges.has(key)) edges.get(key).push(edge);
+        else edges.set(key, [edge]);
+    };
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (!data[x + width * y]) continue;
+            if (!_masked(x, y - 1)) _addEdge(x, y, x + 1, y);
+            if (!_masked(x + 1, y)) _addEdge(x + 1, y, x + 1, y + 1);
+            if (!_masked(x, y + 1)) _addEdge(x + 1, y + 1, x, y + 1);
+            if (!_masked(x - 1, y)) _addEdge(x, y + 1, x, y);
+        }
+    }
+
+    // link edges into closed rings
+    const rings = [];
+    edges.forEach(list => list.forEach(start => {
+        if (start.used) return;
+        const ring = [];
+        let edge = start;
+        while (edge && !edge.used) {
+            edge.used = true;
+            const dx = edge.x2 - edge.x1, dy = edge.y2 - edge.y1;
+            // keep corner vertices only
+            const last = ring.length > 0 ? ring[ring.length - 1] : null;
+            if (!last || last.dx !== dx || last.dy !== dy) ring.push({x: edge.x1, y: edge.y1, dx, dy});
+            // select next edge (right turn, straight, left turn)
+            const next = (edges.get(edge.x2 + stride * edge.y2) || []).filter(e => !e.used);
+            const _turn = (e) => {
+                const cross = dx * (e.y2 - e.y1) - dy * (e.x2 - e.x1);
+                return cross > 0 ? 0 : cross === 0 ? 1 : 2;
+            };
+            edge = next.sort((a, b) => _turn(a) - _turn(b))[0];
+        }
+        // merge first and last runs of the same direction
+        if (ring.length > 1 && ring[0].dx === ring[ring.length - 1].dx && ring[0].dy === ring[ring.length - 1].dy)
+            ring.shift();
+        rings.push(ring.map(v => [v.x, v.y]));
+    }));
+    return rings;
+};
+
+/**
+ * Convert mask to polygons (image coordinates).
+ * - polygons are arrays of rings: the outer ring followed by its holes (GeoJSON
+ *   polygon coordinate order); rings are closed (first vertex repeated)
+ * - outlines are simplified to the given tolerance (pixels)
+ *
+ * @public
+ * @param {Object} mask
+ * @param {Number} tolerance
+ * @return {Array} polygons
+ */
+
+export const getMaskPolygons = (mask, tolerance = 1) => {
+    if (!mask) return [];
+    const rings = _traceRings(mask).map(ring => ({ring, area: _getArea(ring)}));
+    const outers = rings.filter(r => r.area > 0).sort((a, b) => a.area - b.area);
+    const polygons = outers.map(outer => ({outer, holes: []}));
+
+    // assign holes to the smallest enclosing outer ring
+    // - the hole is tested at the centre of the masked pixel to the right of its first edge
+    rings.filter(r => r.area < 0).forEach(hole => {
+        const [[x1, y1], [x2, y2]] = hole.ring;
+        const dx = Math.sign(x2 - x1), dy = Math.sign(y2 - y1);
+        const x = x1 + 0.5 * dx - 0.5 * dy, y = y1 + 0.5 * dy + 0.5 * dx;
+        const polygon = polygons.find(p => _inRing(p.outer.ring, x, y));
+        if (polygon) polygon.holes.push(hole.ring);
+    });
+
+    const _close = (ring) => {
+        const simplified = _simplifyRing(ring, tolerance);
+        return [...simplified, simplified[0]];
+    };
+    return polygons.map(p => [_close(p.outer.ring), ...p.holes.map(_close)]);
+};
+
+/**
+ * Paint brush stroke segment into mask (in place).
+ * - pixels with centres within the brush radius of the segment are set to the value
+ *   (255 to mask, 0 to erase)
+ *
+ * @public
+ * @param {Object} mask
+ * @param {Object} start {x, y}
+ * @param {Object} end {x, y}
+ * @param {Number} radius
+ * @param {int} value
+ * @return {Object} updated box {x, y, w, h} (or null)
+ */
+
+export const paintMask = (mask, start, end, radius, value = 255) => {
+    const {data, width, height} = mask;
+    const x0 = Math.max(Math.floor(Math.min(start.x, end.x) - radius), 0);
+    const y0 = Math.max(Math.floor(Math.min(start.y, end.y) - radius), 0);
+    const x1 = Math.min(Math.ceil(Math.max(start.x, end.x) + radius), width - 1);
+    const y1 = Math.min(Math.ceil(Math.max(start.y, end.y) + radius), height - 1);
+    if (x1 < x0 || y1 < y0) return null;
+    const dx = end.x - start.x, dy = end.y - start.y;
+    const length2 = dx * dx + dy * dy;
+    const r2 = radius * radius;
+    for (let y = y0; y <= y1; y++) {
+        for (let x = x0; x <= x1; x++) {
+            // distance of pixel centre to stroke segment
+            const px = x + 0.5 - start.x, py = y + 0.5 - start.y;
+            const t = length2 > 0 ? Math.max(0, Math.min(1, (px * dx + py * dy) / length2)) : 0;
+            const ex = px - t * dx, ey = py - t * dy;
+            if (ex * ex + ey * ey <= r2) data[x + width * y] = value;
+        }
+    }
+    return {x: x0, y: y0, w: x1 - x0 + 1, h: y1 - y0 + 1};
+};
+
+/**
+ * Fill polygon rings into mask (in place).
+ * - uses the even-odd rule (holes are not filled); pixels are filled if their
+ *   centres are inside the polygon
+ *
+ * @public
+ * @param {Object} mask
+ * @param {Array} rings [[[x, y], ...], ...] (image coordinates)
+ * @param {int} value
+ * @return {Object} mask
+ */
+
+export const fillPolygon = (mask, rings, value = 255) => {
+    const {data, width, height} = mask;
+    for (let y = 0; y < height; y++) {
+        // scanline intersections at pixel centres
+        const yc = y + 0.5;
+        const xs = [];
+        (rings || []).forEach(ring => {
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const [xi, yi] = ring[i];
+                const [xj, yj] = ring[j];
+                if ((yi > yc) !== (yj > yc)) xs.push(xi + (yc - yi) * (xj - xi) / (yj - yi));
+            }
+        });
+        xs.sort((a, b) => a - b);
+        for (let k = 0; k + 1 < xs.length; k += 2) {
+            const x0 = Math.max(Math.ceil(xs[k] - 0.5), 0);
+            const x1 = Math.min(Math.floor(xs[k + 1] - 0.5), width - 1);
+            for (let x = x0; x <= x1; x++) data[x + width * y] = value;
+        }
+    }
+    return mask;
+};
+
+/**
+ * Convert mask to polygon feature collection (GeoJSON structure in image coordinates).
+ * - coordinates are image pixel coordinates (origin top-left, y down)
+ *
+ * @public
+ * @param {Object} mask
+ * @param {Object} properties feature properties (e.g. panel and image file)
+ * @param {Number} tolerance outline simplification tolerance (pixels)
+ * @return {Object} feature collection
+ */
+
+export const getMaskFeatures = (mask, properties = {}, tolerance = 1) => {
+    return {
+        type: 'FeatureCollection',
+        crs: 'image',
+        width: mask ? mask.width : 0,
+        height: mask ? mask.height : 0,
+        features: getMaskPolygons(mask, tolerance).map((coordinates, index) => ({
+            type: 'Feature',
+            properties: {...properties, index: index + 1},
+            geometry: {type: 'Polygon', coordinates: coordinates}
+        }))
+    };
+};
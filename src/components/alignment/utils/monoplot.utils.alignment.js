@@ -0,0 +1,149 @@
+/*!
+ * MLE.Client.Toolkit.Utilities.Monoplot
+ * File: monoplot.utils.alignment.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Monoplotting utilities for the Alignment Tool. Image points of an oblique photograph
+ * are mapped onto the ground by intersecting their camera rays (see pose.utils.alignment.js)
+ * with a digital elevation model (see dem.utils.alignment.js):
+ *
+ * 1. The ray is marched from the camera in steps of half the DEM cell size (limited to a
+ *    maximum number of steps) up to the maximum distance.
+ * 2. The height of the ray above the terrain accounts for the Earth curvature and
+ *    atmospheric refraction: (1 - k) d² / 2R at horizontal distance d.
+ * 3. The first crossing below the terrain is refined by bisection.
+ *
+ * Rays that miss the terrain (e.g. sky) or leave the DEM are not mapped. Projected
+ * polygons are returned as a GeoJSON feature collection (longitude, latitude, elevation)
+ * with the map feature properties (name, type, description) used to import map features.
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Initial version
+ */
+
+import { getRayDirection, toGeographic } from "./pose.utils.alignment";
+import { getDEMElevation } from "./dem.utils.alignment";
+
+const EARTH_RADIUS = 6371008.8;
+
+/**
+ * Intersect camera ray with the DEM terrain.
+ *
+ * @public
+ * @param {Object} dem decoded DEM
+ * @param {Object} pose camera pose {lat, lng, elev, ...}
+ * @param {Array} direction unit ray direction (local east/north/up)
+ * @param {Object} options
+ * @return {{lat: Number, lng: Number, elev: Number, distance: Number}|null} ground point
+ */
+
+export const castRay = (dem, pose, direction, options = {}) => {
+    const {monoplotMaxDistance = 50000, monoplotMaxSteps = 20000, monoplotRefraction = 0.13} = options || {};
+    const step = Math.max(dem.resolution / 2, monoplotMaxDistance / monoplotMaxSteps, 0.1);
+
+    // height of ray point above terrain (null outside the DEM)
+    const _getHeight = (distance) => {
+        const local = direction.map(value => value * distance);
+        const geo = toGeographic(local, pose);
+        const ground = getDEMElevation(dem, geo.lat, geo.lng);
+        if (ground === null) return null;
+        const horizontal = Math.hypot(local[0], local[1]);
+        const drop = (1 - monoplotRefraction) * horizontal * horizontal / (2 * EARTH_RADIUS);
+        return {geo, ground, height: geo.elev + drop - ground};
+    };
+
+    let previous = null;
+    for (let distance = step; distance <= monoplotMaxDistance; distance += step) {
+        const sample = _getHeight(distance);
+        if (!sample) {
+            previous = null;
+            continue;
+        }
+        if (sample.height <= 0) {
+            if (!previous) return {lat: sample.geo.lat, lng: sample.geo.lng, elev: sample.ground, distance: distance};
+            // refine crossing between the last point above and the first point below the terrain
+            let above = distance - step, below = distance, hit = sample;
+            for (let i = 0; i < 20; i++) {
+                const middle = (above + below) / 2;
+                const point = _getHeight(middle);
+                if (!point) break;
+                if (point.height > 0) above = middle;
+                else {
+                    below = middle;
+                    hit = point;
+                }
+            }
+            return {lat: hit.geo.lat, lng: hit.geo.lng, elev: hit.ground, distance: below};
+        }
+        previous = sample;
+    }
+    return null;
+};
+
+/**
+ * Project image polygons onto the DEM terrain as GeoJSON features.
+ * - polygons are arrays of closed rings in image coordinates (see getMaskPolygons)
+ * - vertices whose rays miss the terrain are dropped; rings with fewer than three mapped
+ *   vertices are dropped and features are flagged as incomplete
+ *
+ * @public
+ * @param {Array} polygons
+ * @param {Object} pose camera pose
+ * @param {Object} dem decoded DEM
+ * @param {Object} properties common feature properties (e.g. source image)
+ * @param {Object} options
+ * @param {Function} onProgress
+ * @return {{collection: Object, vertices: int, mapped: int}}
+ */
+
+export const monoplotPolygons = (polygons, pose, dem, properties = {}, options = {}, onProgress = null) => {
+    const total = polygons.reduce((sum, rings) => sum + rings.reduce((n, ring) => n + ring.length - 1, 0), 0);
+    let vertices = 0, mapped = 0;
+    const features = [];
+
+    polygons.forEach((rings, index) => {
+        let incomplete = false;
+        const coordinates = rings.map(ring => {
+            // rings are closed: project unique vertices and close again
+            const projected = ring.slice(0, -1)
+                .map(([x, y]) => {
+                    const hit = castRay(dem, pose, getRayDirection(pose, {x, y}), options);
+                    vertices++;
+                    if (onProgress && total > 0) onProgress(vertices / total);
+                    if (!hit) {
+                        incomplete = true;
+                        return null;
+                    }
+                    mapped++;
+                    return [+hit.lng.toFixed(7), +hit.lat.toFixed(7), +hit.elev.toFixed(1)];
+                })
+                .filter(coordinate => coordinate);
+            return projected.length >= 3 ? [...projected, projected[0]] : null;
+        });
+
+        // the outer ring is required
+        if (!coordinates[0]) return;
+        features.push({
+            type: 'Feature',
+            properties: {
+                name: `${properties.name || 'Monoplot'} ${index + 1}`,
+                type: properties.type || '',
+                description: properties.description || '',
+                incomplete: incomplete || coordinates.some(ring => !ring)
+            },
+            geometry: {type: 'Polygon', coordinates: coordinates.filter(ring => ring)}
+        });
+    });
+
+    return {
+        collection: {type: 'FeatureCollection', features: features},
+        vertices: vertices,
+        mapped: mapped
+    };
+};
@@ -0,0 +1,189 @@
+/*!
+ * MLE.Client.Toolkit.Utilities.Panorama
+ * File: panorama.utils.alignment.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Panorama utilities for the Alignment Tool. Overlapping captures taken from one station
+ * are stitched into a cylindrical panorama:
+ *
+ * 1. Each capture is projected onto a cylinder of radius f (focal length in pixels,
+ *    derived from the horizontal field of view of the capture). Captures rotated about
+ *    the camera axis are then related by a translation on the cylinder.
+ * 2. The offset of adjacent projected captures is the median displacement of their
+ *    matched features (see features.utils.alignment.js).
+ * 3. Captures are placed at their accumulated offsets and blended with feathered
+ *    weights (distance to the capture edge) in the overlaps.
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Initial version
+ * - 18-10-2026   Accumulate blend sums in floating point (no re-rounding of overlaps)
+ */
+
+import { remapImageData } from "./raster.utils.alignment";
+
+/**
+ * Get focal length (in pixels) of a capture from its horizontal field of view.
+ *
+ * @public
+ * @param {int} width capture width
+ * @param {Number} fov horizontal field of view (degrees)
+ * @return {Number} focal length
+ */
+
+export const getFocalLength = (width, fov) => {
+    const angle = Math.min(Math.max(fov, 1), 179) * Math.PI / 180;
+    return width / (2 * Math.tan(angle / 2));
+};
+
+/**
+ * Project RGBA image data (8 or 16 bits per channel) onto a cylinder.
+ * - the cylinder axis is vertical and its radius is the focal length
+ * - the centre row and column of the image keep their scale
+ *
+ * @public
+ * @param {Uint8ClampedArray|Uint16Array} data
+ * @param {int} width
+ * @param {int} height
+ * @param {Number} focal focal length in pixels
+ * @param {String} interpolation
+ * @param {Function} onProgress
+ * @return {{data: Uint8ClampedArray|Uint16Array, width: int, height: int}}
+ */
+
+export const projectCylinder = (data, width, height, focal, interpolation = 'bilinear', onProgress = null) => {
+    const w = Math.max(Math.round(2 * focal * Math.atan(width / (2 * focal))), 1);
+    const cx = (width - 1) / 2, cy = (height - 1) / 2, cxc = (w - 1) / 2;
+    return remapImageData(data, width, height, w, height, (x, y) => {
+        const theta = (x - cxc) / focal;
+        return [cx + focal * Math.tan(theta), cy + (y - cy) / Math.cos(theta)];
+    }, interpolation, onProgress);
+};
+
+/**
+ * Get median of values.
+ *
+ * @private
+ * @param {Array} values
+ * @return {Number} median
+ */
+
+const _median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * Get offset of the next capture to the previous capture from matched points.
+ * - points are given in the projected (cylindrical) captures
+ * - matches that deviate from the median offset by more than the tolerance are rejected
+ *
+ * @public
+ * @param {Array} source matched points of previous capture
+ * @param {Array} target matched points of next capture
+ * @param {Number} tolerance (pixels)
+ * @param {int} minMatches minimum number of consistent matches
+ * @return {{x: Number, y: Number, matches: int}|null} offset (null if not consistent)
+ */
+
+export const getPanoramaOffset = (source, target, tolerance = 3, minMatches = 4) => {
+    const n = Math.min((source || []).length, (target || []).length);
+    if (n === 0) return null;
+    const dx = [], dy = [];
+    for (let i = 0; i < n; i++) {
+        dx.push(source[i].x - target[i].x);
+        dy.push(source[i].y - target[i].y);
+    }
+    const x = _median(dx), y = _median(dy);
+    const consistent = dx.filter((d, i) => Math.hypot(d - x, dy[i] - y) <= tolerance);
+    if (consistent.length < minMatches) return null;
+    return {x, y, matches: consistent.length};
+};
+
+/**
+ * Get panorama positions of captures from the offsets of adjacent captures.
+ * - positions are shifted so that the panorama bounds start at (0, 0)
+ *
+ * @public
+ * @param {Array} frames projected captures {width, height}
+ * @param {Array} offsets offsets of each capture to the previous capture
+ * @return {{positions: Array, width: int, height: int}}
+ */
+
+export const getPanoramaLayout = (frames, offsets) => {
+    const positions = [{x: 0, y: 0}];
+    for (let i = 1; i < frames.length; i++) {
+        positions.push({
+            x: positions[i - 1].x + offsets[i - 1].x,
+            y: positions[i - 1].y + offsets[i - 1].y
+        });
+    }
+    const minX = Math.min(...positions.map(pos => pos.x));
+    const minY = Math.min(...positions.map(pos => pos.y));
+    const maxX = Math.max(...positions.map((pos, i) => pos.x + frames[i].width));
+    const maxY = Math.max(...positions.map((pos, i) => pos.y + frames[i].height));
+    return {
+        positions: positions.map(pos => ({x: Math.round(pos.x - minX), y: Math.round(pos.y - minY)})),
+        width: Math.ceil(maxX - minX),
+        height: Math.ceil(maxY - minY)
+    };
+};
+
+/**
+ * Blend projected captures (8-bit RGBA) into a panorama.
+ * - each pixel is weighted by its distance to the capture edge (feathering)
+ * - transparent pixels (outside the projected capture) are not blended
+ * - weighted colour sums are accumulated in floating point and divided once
+ *
+ * @public
+ * @param {Array} frames projected captures {data, width, height}
+ * @param {Array} positions panorama positions of captures
+ * @param {int} width panorama width
+ * @param {int} height panorama height
+ * @param {Function} onProgress
+ * @return {{data: Uint8ClampedArray, width: int, height: int}}
+ */
+
+export const blendPanorama = (frames, positions, width, height, onProgress = null) => {
+    // accumulated weighted colour sums (RGB) and blend weights
+    const sums = new Float32Array(3 * width * height);
+    const weights = new Float32Array(width * height);
+    const rows = frames.reduce((sum, frame) => sum + frame.height, 0);
+    let done = 0;
+    frames.forEach((frame, index) => {
+        const {x: x0, y: y0} = positions[index];
+        for (let y = 0; y < frame.height; y++) {
+            const py = y0 + y;
+            if (py < 0 || py >= height) continue;
+            for (let x = 0; x < frame.width; x++) {
+                const px = x0 + x;
+                if (px < 0 || px >= width) continue;
+                const i = 4 * (x + frame.width * y);
+                const alpha = frame.data[i + 3];
+                if (alpha === 0) continue;
+                const w = (alpha / 255) * Math.min(x + 1, frame.width - x, y + 1, frame.height - y);
+                const p = px + width * py;
+                for (let c = 0; c < 3; c++) sums[3 * p + c] += frame.data[i + c] * w;
+                weights[p] += w;
+            }
+            // report progress every 64 rows
+            if (onProgress && ((done + y) & 63) === 0) onProgress((done + y) / rows);
+        }
+        done += frame.height;
+    });
+
+    // normalise weighted sums (pixels without captures stay transparent)
+    const data = new Uint8ClampedArray(4 * width * height);
+    for (let p = 0; p < width * height; p++) {
+        if (weights[p] === 0) continue;
+        for (let c = 0; c < 3; c++) data[4 * p + c] = sums[3 * p + c] / weights[p];
+        data[4 * p + 3] = 255;
+    }
+    return {data, width, height};
+};
@@ -0,0 +1,616 @@
+/*!
+ * MLE.Client.Toolkit.Utilities.Pose
+ * File: pose.utils.alignment.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Camera pose utilities for the Alignment Tool. Control points with real-world coordinates
+ * (ground control points: latitude, longitude, elevation) are used to solve a camera
+ * resection for the panel image:
+ *
+ * 1. Ground control points are converted to local east/north/up coordinates (metres)
+ *    about their centroid (equirectangular approximation).
+ * 2. The camera is a pinhole camera with its principal point at the image centre and
+ *    square pixels. Its parameters are the position (east, north, up), azimuth (clockwise
+ *    from north), tilt (positive upwards), roll and focal length (pixels).
+ * 3. Initial parameters are estimated with the Direct Linear Transform (at least six
+ *    non-coplanar points) and/or from the recorded station or location coordinates.
+ * 4. Parameters are refined with the Levenberg-Marquardt method (minimising the
+ *    reprojection error). Standard deviations are estimated from the parameter
+ *    covariance s²(JᵀJ)⁻¹, where s² is the residual variance.
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Initial version
+ * - 18-10-2026   Camera rays of image points for monoplotting
+ */
+
+import { getError } from "../../../services/schema.services.client";
+
+const EARTH_RADIUS = 6371008.8;
+const DEG = Math.PI / 180;
+
+// number of camera parameters: east, north, up, azimuth, tilt, roll, focal length
+const N_PARAMS = 7;
+
+/**
+ * Check if value is a valid geographic coordinate {lat, lng, elev}.
+ *
+ * @public
+ * @param {Object} geo
+ * @return {boolean}
+ */
+
+export const isGeoPoint = (geo) => {
+    if (!geo) return false;
+    const {lat, lng, elev} = geo;
+    return [lat, lng, elev].every(value => typeof value === 'number' && isFinite(value))
+        && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+};
+
+/**
+ * Get local coordinate origin (centroid) of geographic coordinates.
+ *
+ * @public
+ * @param {Array} geos
+ * @return {{lat: Number, lng: Number, elev: Number}}
+ */
+
+export const getGeoOrigin = (geos) => {
+    const n = geos.length || 1;
+    return geos.reduce((origin, geo) => ({
+        lat: origin.lat + geo.lat / n,
+        lng: origin.lng + geo.lng / n,
+        elev: origin.elev + geo.elev / n
+    }), {lat: 0, lng: 0, elev: 0});
+};
+
+/**
+ * Convert geographic coordinates to local east/north/up coordinates (metres).
+ *
+ * @public
+ * @param {Object} geo {lat, lng, elev}
+ * @param {Object} origin {lat, lng, elev}
+ * @return {Array} [east, north, up]
+ */
+
+export const toLocal = (geo, origin) => {
+    return [
+        EARTH_RADIUS * Math.cos(origin.lat * DEG) * (geo.lng - origin.lng) * DEG,
+        EARTH_RADIUS * (geo.lat - origin.lat) * DEG,
+        geo.elev - origin.elev
+    ];
+};
+
+/**
+ * Convert local east/north/up coordinates (metres) to geographic coordinates.
+ *
+ * @public
+ * @param {Array} local [east, north, up]
+ * @param {Object} origin {lat, lng, elev}
+ * @return {{lat: Number, lng: Number, elev: Number}}
+ */
+
+export const toGeographic = (local, origin) => {
+    const [east, north, up] = local;
+    return {
+        lat: origin.lat + north / (EARTH_RADIUS * DEG),
+        lng: origin.lng + east / (EARTH_RADIUS * Math.cos(origin.lat * DEG) * DEG),
+        elev: origin.elev + up
+    };
+};
+
+/**
+ * Vector helpers.
+ *
+ * @private
+ */
+
+const _dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const _norm = (a) => Math.sqrt(_dot(a, a));
+const _sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+
+/**
+ * Get camera axes (right, up, forward) in local coordinates.
+ *
+ * @private
+ * @param {Number} azimuth (radians, clockwise from north)
+ * @param {Number} tilt (radians, positive upwards)
+ * @param {Number} roll (radians, about the forward axis)
+ * @return {{right: Array, up: Array, forward: Array}}
+ */
+
+const _getAxes = (azimuth, tilt, roll) => {
+    const sa = Math.sin(azimuth), ca = Math.cos(azimuth);
+    const st = Math.sin(tilt), ct = Math.cos(tilt);
+    const sr = Math.sin(roll), cr = Math.cos(roll);
+    // level (unrolled) right and up axes
+    const right = [ca, -sa, 0];
+    const up = [-sa * st, -ca * st, ct];
+    return {
+        right: right.map((v, i) => v * cr + up[i] * sr),
+        up: up.map((v, i) => v * cr - right[i] * sr),
+        forward: [sa * ct, ca * ct, st]
+    };
+};
+
+/**
+ * Project local coordinates to image coordinates for camera parameters.
+ * - points behind the camera are projected at a minimum depth
+ *
+ * @public
+ * @param {Array} params [east, north, up, azimuth, tilt, roll, focal]
+ * @param {Array} point [east, north, up]
+ * @param {Number} cx principal point
+ * @param {Number} cy principal point
+ * @return {{x: Number, y: Number, depth: Number}}
+ */
+
+export const projectPoint = (params, point, cx, cy) => {
+    const {right, up, forward} = _getAxes(params[3], params[4], params[5]);
+    const v = _sub(point, params);
+    const depth = _dot(v, forward);
+    const z = Math.max(depth, 1e-6 * (_norm(v) || 1));
+    return {
+        x: cx + params[6] * _dot(v, right) / z,
+        y: cy - params[6] * _dot(v, up) / z,
+        depth: depth
+    };
+};
+
+/**
+ * Get unit direction of the camera ray through an image point (local east/north/up
+ * coordinates about the camera position).
+ *
+ * @public
+ * @param {Object} pose estimated camera pose (see solveCameraPose)
+ * @param {Object} pt image point {x, y}
+ * @return {Array} direction [east, north, up]
+ */
+
+export const getRayDirection = (pose, pt) => {
+    const {right, up, forward} = _getAxes(pose.azimuth * DEG, pose.tilt * DEG, pose.roll * DEG);
+    const u = (pt.x - pose.dims.w / 2) / pose.focal;
+    const v = (pt.y - pose.dims.h / 2) / pose.focal;
+    const direction = forward.map((value, i) => value + u * right[i] - v * up[i]);
+    const length = _norm(direction);
+    return direction.map(value => value / length);
+};
+
+/**
+ * Get reprojection residuals (x and y for each point).
+ *
+ * @private
+ * @param {Array} params
+ * @param {Array} world local coordinates
+ * @param {Array} image image coordinates
+ * @param {Number} cx
+ * @param {Number} cy
+ * @return {Array} residuals
+ */
+
+const _getResiduals = (params, world, image, cx, cy) => {
+    const residuals = [];
+    world.forEach((point, i) => {
+        const {x, y} = projectPoint(params, point, cx, cy);
+        residuals.push(x - image[i].x, y - image[i].y);
+    });
+    return residuals;
+};
+
+/**
+ * Get numerical Jacobian of residuals (central differences).
+ *
+ * @private
+ * @param {Array} params
+ * @param {Array} world
+ * @param {Array} image
+ * @param {Number} cx
+ * @param {Number} cy
+ * @return {Array} Jacobian rows
+ */
+
+const _getJacobian = (params, world, image, cx, cy) => {
+    const columns = params.map((value, j) => {
+        const h = 1e-6 * Math.max(1, Math.abs(value));
+        const plus = [...params], minus = [...params];
+        plus[j] += h;
+        minus[j] -= h;
+        const rPlus = _getResiduals(plus, world, image, cx, cy);
+        const rMinus = _getResiduals(minus, world, image, cx, cy);
+        return rPlus.map((r, i) => (r - rMinus[i]) / (2 * h));
+    });
+    return columns[0].map((_, i) => columns.map(column => column[i]));
+};
+
+/**
+ * Get normal equations JᵀJ and Jᵀr.
+ *
+ * @private
+ * @param {Array} jacobian
+ * @param {Array} residuals
+ * @return {{jtj: Array, jtr: Array}}
+ */
+
+const _getNormalEquations = (jacobian, residuals) => {
+    const n = jacobian[0].length;
+    const jtj = Array.from({length: n}, () => new Array(n).fill(0));
+    const jtr = new Array(n).fill(0);
+    jacobian.forEach((row, k) => {
+        for (let i = 0; i < n; i++) {
+            jtr[i] += row[i] * residuals[k];
+            for (let j = 0; j < n; j++) jtj[i][j] += row[i] * row[j];
+        }
+    });
+    return {jtj, jtr};
+};
+
+/**
+ * Solve linear system by Gaussian elimination with partial pivoting.
+ *
+ * @private
+ * @param {Array} matrix
+ * @param {Array} vector
+ * @return {Array|null} solution (null if singular)
+ */
+
+const _solveLinear = (matrix, vector) => {
+    const n = vector.length;
+    const a = matrix.map((row, i) => [...row, vector[i]]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+        }
+        if (Math.abs(a[pivot][col]) < 1e-300) return null;
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+        for (let row = col + 1; row < n; row++) {
+            const factor = a[row][col] / a[col][col];
+            for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+        }
+    }
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = a[row][n];
+        for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+        x[row] = sum / a[row][row];
+    }
+    return x.every(isFinite) ? x : null;
+};
+
+/**
+ * Invert matrix (column by column).
+ *
+ * @private
+ * @param {Array} matrix
+ * @return {Array|null} inverse (null if singular)
+ */
+
+const _invert = (matrix) => {
+    const n = matrix.length;
+    const columns = [];
+    for (let j = 0; j < n; j++) {
+        const column = _solveLinear(matrix, matrix.map((_, i) => i === j ? 1 : 0));
+        if (!column) return null;
+        columns.push(column);
+    }
+    return columns[0].map((_, i) => columns.map(column => column[i]));
+};
+
+/**
+ * Get eigenvector of the smallest eigenvalue of a symmetric matrix (Jacobi method).
+ *
+ * @private
+ * @param {Array} matrix
+ * @return {Array} eigenvector
+ */
+
+const _getSmallestEigenvector = (matrix) => {
+    const n = matrix.length;
+    const a = matrix.map(row => [...row]);
+    const v = Array.from({length: n}, (_, i) => Array.from({length: n}, (_, j) => i === j ? 1 : 0));
+    for (let sweep = 0; sweep < 100; sweep++) {
+        let off = 0, total = 0;
+        for (let p = 0; p < n; p++) {
+            for (let q = 0; q < n; q++) {
+                total += a[p][q] * a[p][q];
+                if (p !== q) off += a[p][q] * a[p][q];
+            }
+        }
+        if (off <= 1e-24 * total) break;
+        for (let p = 0; p < n - 1; p++) {
+            for (let q = p + 1; q < n; q++) {
+                if (a[p][q] === 0) continue;
+                const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                const t = (theta < 0 ? -1 : 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1), s = t * c;
+                for (let k = 0; k < n; k++) {
+                    const akp = a[k][p], akq = a[k][q];
+                    a[k][p] = c * akp - s * akq;
+                    a[k][q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < n; k++) {
+                    const apk = a[p][k], aqk = a[q][k];
+                    a[p][k] = c * apk - s * aqk;
+                    a[q][k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < n; k++) {
+                    const vkp = v[k][p], vkq = v[k][q];
+                    v[k][p] = c * vkp - s * vkq;
+                    v[k][q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+    let min = 0;
+    for (let i = 1; i < n; i++) {
+        if (a[i][i] < a[min][min]) min = i;
+    }
+    return v.map(row => row[min]);
+};
+
+/**
+ * Get camera angles from forward and right axes.
+ *
+ * @private
+ * @param {Array} forward unit vector
+ * @param {Array} right unit vector
+ * @return {Array} [azimuth, tilt, roll]
+ */
+
+const _getAngles = (forward, right) => {
+    const azimuth = Math.atan2(forward[0], forward[1]);
+    const tilt = Math.asin(Math.max(Math.min(forward[2], 1), -1));
+    const {right: levelRight, up: levelUp} = _getAxes(azimuth, tilt, 0);
+    return [azimuth, tilt, Math.atan2(_dot(right, levelUp), _dot(right, levelRight))];
+};
+
+/**
+ * Estimate initial camera parameters with the Direct Linear Transform.
+ * - requires at least six non-coplanar points
+ * - coordinates are normalised for numerical conditioning
+ *
+ * @private
+ * @param {Array} world local coordinates
+ * @param {Array} image image coordinates
+ * @param {Number} cx
+ * @param {Number} cy
+ * @return {Array|null} parameters
+ */
+
+const _estimateDLT = (world, image, cx, cy) => {
+    if (world.length < 6) return null;
+    const sw = world.reduce((sum, point) => sum + _norm(point), 0) / world.length || 1;
+    const si = image.reduce((sum, pt) => sum + Math.hypot(pt.x - cx, pt.y - cy), 0) / image.length || 1;
+
+    // accumulate AᵀA of the DLT system
+    const ata = Array.from({length: 12}, () => new Array(12).fill(0));
+    const _addRow = (row) => {
+        for (let i = 0; i < 12; i++) {
+            if (row[i] === 0) continue;
+            for (let j = 0; j < 12; j++) ata[i][j] += row[i] * row[j];
+        }
+    };
+    world.forEach((point, i) => {
+        const X = [point[0] / sw, point[1] / sw, point[2] / sw, 1];
+        const x = (image[i].x - cx) / si, y = (image[i].y - cy) / si;
+        _addRow([...X, 0, 0, 0, 0, ...X.map(v => -x * v)]);
+        _addRow([0, 0, 0, 0, ...X, ...X.map(v => -y * v)]);
+    });
+    const p = _getSmallestEigenvector(ata);
+
+    // denormalise projection matrix
+    const rows = [p.slice(0, 4), p.slice(4, 8), p.slice(8, 12)]
+        .map(row => [row[0] / sw, row[1] / sw, row[2] / sw, row[3]]);
+    const P = [
+        rows[0].map((v, j) => si * v + cx * rows[2][j]),
+        rows[1].map((v, j) => si * v + cy * rows[2][j]),
+        rows[2]
+    ];
+
+    // camera centre is the null space of P
+    const centre = _solveLinear(P.map(row => row.slice(0, 3)), P.map(row => -row[3]));
+    if (!centre) return null;
+
+    // scale so that the forward axis is a unit vector pointing at the points
+    const m3 = P[2].slice(0, 3);
+    const depth = world.reduce((sum, point) => sum + _dot(m3, _sub(point, centre)), 0);
+    const scale = (depth < 0 ? -1 : 1) / (_norm(m3) || 1);
+    const forward = m3.map(v => v * scale);
+    const a1 = P[0].slice(0, 3).map((v, i) => v * scale - cx * forward[i]);
+    const a2 = P[1].slice(0, 3).map((v, i) => v * scale - cy * forward[i]);
+    const focal = (_norm(a1) + _norm(a2)) / 2;
+    if (!(focal > 0)) return null;
+    const right = a1.map(v => v / (_norm(a1) || 1));
+
+    const params = [...centre, ..._getAngles(forward, right), focal];
+    return params.every(isFinite) ? params : null;
+};
+
+/**
+ * Estimate initial camera parameters from a known camera position.
+ * - camera is levelled and pointed at the centroid of the points
+ * - focal length is the median ratio of image distances to ray angles of point pairs
+ *
+ * @private
+ * @param {Array} centre camera position (local coordinates)
+ * @param {Array} world local coordinates
+ * @param {Array} image image coordinates
+ * @return {Array|null} parameters
+ */
+
+const _estimateFromPosition = (centre, world, image) => {
+    const centroid = [0, 1, 2].map(i => world.reduce((sum, point) => sum + point[i], 0) / world.length);
+    const view = _sub(centroid, centre);
+    const azimuth = Math.atan2(view[0], view[1]);
+    const tilt = Math.atan2(view[2], Math.hypot(view[0], view[1]));
+    const ratios = [];
+    for (let i = 0; i < world.length; i++) {
+        for (let j = i + 1; j < world.length; j++) {
+            const a = _sub(world[i], centre), b = _sub(world[j], centre);
+            const angle = Math.acos(Math.max(Math.min(_dot(a, b) / (_norm(a) * _norm(b)), 1), -1));
+            const distance = Math.hypot(image[i].x - image[j].x, image[i].y - image[j].y);
+            if (angle > 1e-6 && distance > 0) ratios.push(distance / (2 * Math.tan(angle / 2)));
+        }
+    }
+    if (ratios.length === 0) return null;
+    ratios.sort((a, b) => a - b);
+    const params = [...centre, azimuth, tilt, 0, ratios[Math.floor(ratios.length / 2)]];
+    return params.every(isFinite) ? params : null;
+};
+
+/**
+ * Refine camera parameters with the Levenberg-Marquardt method.
+ *
+ * @private
+ * @param {Array} initial parameters
+ * @param {Array} world
+ * @param {Array} image
+ * @param {Number} cx
+ * @param {Number} cy
+ * @param {int} maxIterations
+ * @return {{params: Array, residuals: Array, cost: Number}}
+ */
+
+const _refine = (initial, world, image, cx, cy, maxIterations) => {
+    let params = [...initial];
+    let residuals = _getResiduals(params, world, image, cx, cy);
+    let cost = residuals.reduce((sum, r) => sum + r * r, 0);
+    let lambda = 1e-3;
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        const jacobian = _getJacobian(params, world, image, cx, cy);
+        const {jtj, jtr} = _getNormalEquations(jacobian, residuals);
+        let improved = false;
+        while (lambda < 1e12) {
+            const damping = 1 + lambda;
+            const damped = jtj.map((row, i) => row.map((v, j) => i === j ? v * damping + 1e-12 : v));
+            const delta = _solveLinear(damped, jtr.map(v => -v));
+            if (delta) {
+                const candidate = params.map((v, i) => v + delta[i]);
+                const candidateResiduals = _getResiduals(candidate, world, image, cx, cy);
+                const candidateCost = candidateResiduals.reduce((sum, r) => sum + r * r, 0);
+                if (candidateCost < cost) {
+                    const gain = cost - candidateCost;
+                    params = candidate;
+                    residuals = candidateResiduals;
+                    cost = candidateCost;
+                    lambda = Math.max(lambda / 10, 1e-12);
+                    improved = gain > 1e-12 * (cost + 1e-12);
+                    break;
+                }
+            }
+            lambda *= 10;
+        }
+        if (!improved) break;
+    }
+    return {params, residuals, cost};
+};
+
+/**
+ * Normalise angle to the interval [-π, π).
+ *
+ * @private
+ * @param {Number} angle (radians)
+ * @return {Number}
+ */
+
+const _wrapAngle = (angle) => {
+    return ((angle + Math.PI) % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI) - Math.PI;
+};
+
+/**
+ * Solve camera resection for image control points with real-world coordinates.
+ * - control points without coordinates are ignored
+ * - the recorded camera position (station or location) is used as an alternative initial
+ *   estimate; the solution with the lower reprojection error is kept
+ * - standard deviations require more observations than parameters (at least four points)
+ *
+ * @public
+ * @param {Array} points control points {x, y, geo: {lat, lng, elev}}
+ * @param {Object} dims image dimensions {w, h}
+ * @param {Object} prior recorded camera position {lat, lng, elev} (optional)
+ * @param {Object} options
+ * @return {{pose: Object, error: Object}}
+ */
+
+export const solveCameraPose = (points, dims, prior = null, options = {}) => {
+    const {poseMinPoints = 4, poseMaxIterations = 200} = options || {};
+    const indices = (points || [])
+        .map((pt, index) => index)
+        .filter(index => isGeoPoint(points[index].geo));
+    if (indices.length < Math.max(poseMinPoints, 4)) {
+        return {pose: null, error: {msg: getError('poseMinPoints', 'canvas'), type: 'warning'}};
+    }
+
+    // local coordinates of ground control points
+    const origin = getGeoOrigin(indices.map(index => points[index].geo));
+    const world = indices.map(index => toLocal(points[index].geo, origin));
+    const image = indices.map(index => ({x: points[index].x, y: points[index].y}));
+    const cx = dims.w / 2, cy = dims.h / 2;
+
+    // initial estimates
+    const initials = [_estimateDLT(world, image, cx, cy)];
+    if (isGeoPoint(prior)) initials.push(_estimateFromPosition(toLocal(prior, origin), world, image));
+
+    // keep the refined solution with the lowest cost (cameras must face the points)
+    const solution = initials
+        .filter(initial => initial)
+        .map(initial => _refine(initial, world, image, cx, cy, poseMaxIterations))
+        .filter(result => result.params[6] > 0
+            && world.every(point => projectPoint(result.params, point, cx, cy).depth > 0))
+        .reduce((best, result) => !best || result.cost < best.cost ? result : best, null);
+    if (!solution) {
+        return {
+            pose: null,
+            error: {msg: getError(isGeoPoint(prior) || indices.length >= 6 ? 'poseNoSolution' : 'poseInit', 'canvas'), type: 'error'}
+        };
+    }
+
+    // parameter standard deviations from covariance s²(JᵀJ)⁻¹
+    const {params, residuals, cost} = solution;
+    const dof = residuals.length - N_PARAMS;
+    const {jtj} = _getNormalEquations(_getJacobian(params, world, image, cx, cy), residuals);
+    const covariance = dof > 0 ? _invert(jtj) : null;
+    const sigma = covariance
+        ? covariance.map((row, i) => Math.sqrt(Math.max(row[i], 0) * cost / dof))
+        : null;
+
+    // convert parameters to geographic coordinates and degrees
+    const position = toGeographic(params.slice(0, 3), origin);
+    const [, , , azimuth, tilt, roll, focal] = params;
+    const errors = indices.map((index, i) => ({
+        index: index,
+        error: Math.hypot(residuals[2 * i], residuals[2 * i + 1])
+    }));
+    return {
+        pose: {
+            lat: position.lat,
+            lng: position.lng,
+            elev: position.elev,
+            azimuth: (azimuth / DEG + 360) % 360,
+            tilt: tilt / DEG,
+            roll: _wrapAngle(roll) / DEG,
+            focal: focal,
+            fov: 2 * Math.atan(dims.w / (2 * focal)) / DEG,
+            dims: {w: dims.w, h: dims.h},
+            sigma: sigma ? {
+                east: sigma[0],
+                north: sigma[1],
+                horizontal: Math.hypot(sigma[0], sigma[1]),
+                elev: sigma[2],
+                azimuth: sigma[3] / DEG,
+                tilt: sigma[4] / DEG,
+                roll: sigma[5] / DEG,
+                focal: sigma[6],
+                fov: sigma[6] * dims.w / (focal * focal + dims.w * dims.w / 4) / DEG
+            } : null,
+            rms: Math.sqrt(cost / indices.length),
+            points: errors
+        },
+        error: null
+    };
+};
@@ -0,0 +1,189 @@
+/*!
+ * MLE.Client.Toolkit.Utilities.Pyramid
+ * File: pyramid.utils.alignment.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Tiled image pyramid for rendering very large panel images. Level 0 is the full-sized
+ * image; each further level halves the resolution of the previous level until the level
+ * fits in a single tile. Levels are divided into a grid of square tiles.
+ *
+ * To render a view, the coarsest level that still has at least the displayed resolution
+ * is selected and only the tiles that intersect the visible canvas area are drawn. The
+ * view and source dimensions have the same meaning as for a full-image draw (see
+ * Canvas.draw), so panel render and image coordinates are unchanged.
+ *
+ * Level 0 does not keep a full-sized canvas: its tiles are cut on demand from the image
+ * data of the panel and only the most recently drawn tiles are cached (see
+ * pyramidTileCache option). The panel can therefore release its full-sized image canvas
+ * once the pyramid is built; the downsampled levels add about a third of the image size.
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Initial version
+ * - 18-10-2026   Documented memory use of pyramid levels
+ * - 18-10-2026   Level 0 tiles cut on demand from image data (no full-sized canvas)
+ */
+
+/**
+ * Check if image is large enough to be rendered from a tile pyramid.
+ *
+ * @public
+ * @param {int} width
+ * @param {int} height
+ * @param options
+ * @return {boolean}
+ */
+
+export const isPyramidRequired = (width, height, options = {}) => {
+    const {pyramidMinSize = 4096} = options || {};
+    return Math.max(width, height) > pyramidMinSize;
+};
+
+/**
+ * Create tile pyramid of image canvas.
+ * - downsampled levels are drawn from the image canvas, which is not referenced by
+ *   the pyramid afterwards
+ * - level 0 references the image data (the pyramid must be rebuilt when the image
+ *   data changes)
+ *
+ * @public
+ * @param {HTMLCanvasElement} canvas
+ * @param {ImageData} image image data of the canvas
+ * @param options
+ * @return {{width: int, height: int, tileSize: int, levels: Array}} pyramid
+ */
+
+export const createPyramid = (canvas, image, options = {}) => {
+    const {pyramidTileSize = 512, pyramidTileCache = 64} = options || {};
+    const levels = [];
+    let level = {canvas: canvas, width: canvas.width, height: canvas.height};
+    while (Math.max(level.width, level.height) > pyramidTileSize) {
+        const next = document.createElement('canvas');
+        next.width = Math.max(Math.ceil(level.width / 2), 1);
+        next.height = Math.max(Math.ceil(level.height / 2), 1);
+        const context = next.getContext('2d');
+        context.imageSmoothingQuality = 'high';
+        context.drawImage(level.canvas, 0, 0, next.width, next.height);
+        level = {canvas: next, width: next.width, height: next.height};
+        levels.push(level);
+    }
+    levels.unshift({image: image, width: image.width, height: image.height, tiles: new Map(), cache: pyramidTileCache});
+    return {width: image.width, height: image.height, tileSize: pyramidTileSize, levels: levels};
+};
+
+/**
+ * Get tile canvas of pyramid level.
+ * - downsampled levels return the level canvas (tile offset is zero)
+ * - level 0 tiles are cut from the image data and cached (see _releaseTiles)
+ *
+ * @private
+ * @param {Object} level
+ * @param {int} col
+ * @param {int} row
+ * @param {int} tileSize
+ * @return {{canvas: HTMLCanvasElement, x: int, y: int}} tile canvas and its level offset
+ */
+
+const _getTile = (level, col, row, tileSize) => {
+    if (level.canvas) return {canvas: level.canvas, x: 0, y: 0};
+    const key = `${col}:${row}`;
+    const x = col * tileSize, y = row * tileSize;
+    let canvas = level.tiles.get(key);
+    if (canvas) level.tiles.delete(key);
+    else {
+        canvas = document.createElement('canvas');
+        canvas.width = Math.min(tileSize, level.width - x);
+        canvas.height = Math.min(tileSize, level.height - y);
+        canvas.getContext('2d').putImageData(level.image, -x, -y, x, y, canvas.width, canvas.height);
+    }
+    // reinsert as most recently used tile
+    level.tiles.set(key, canvas);
+    return {canvas, x, y};
+};
+
+/**
+ * Release least recently used level 0 tiles when the tile cache is full.
+ * - tiles of the current view are kept even if they exceed the cache size
+ *
+ * @private
+ * @param {Object} level
+ * @param {int} visible number of tiles in the current view
+ */
+
+const _releaseTiles = (level, visible) => {
+    if (level.canvas) return;
+    while (level.tiles.size > Math.max(level.cache, visible)) {
+        const [key, canvas] = level.tiles.entries().next().value;
+        level.tiles.delete(key);
+        // free canvas memory
+        canvas.width = canvas.height = 0;
+    }
+};
+
+/**
+ * Get visible pyramid tiles of view.
+ * - tile source rectangles are in tile canvas coordinates; destination rectangles are in
+ *   canvas coordinates with rounded edges so that adjacent tiles do not leave seams
+ *
+ * @public
+ * @param {Object} pyramid
+ * @param {Object} view canvas rectangle of the drawn image {x, y, w, h}
+ * @param {Object} source image rectangle to draw {x, y, w, h} (default full image)
+ * @param {Object} bounds canvas dimensions {w, h}
+ * @return {Array} tiles {canvas, sx, sy, sw, sh, dx, dy, dw, dh}
+ */
+
+export const getPyramidTiles = (pyramid, view, source, bounds) => {
+    const {width, height, tileSize, levels} = pyramid;
+    const src = {
+        x: (source && source.x) || 0,
+        y: (source && source.y) || 0,
+        w: (source && source.w) || width,
+        h: (source && source.h) || height
+    };
+    const scaleX = view.w / src.w;
+    const scaleY = view.h / src.h;
+    if (!(scaleX > 0 && scaleY > 0)) return [];
+
+    // select coarsest level with at least the displayed resolution
+    const scale = Math.max(scaleX, scaleY);
+    let index = 0;
+    while (index + 1 < levels.length && levels[index + 1].width / width >= scale) index++;
+    const level = levels[index];
+    const rx = level.width / width;
+    const ry = level.height / height;
+
+    // visible source region (level coordinates)
+    const x0 = rx * Math.max(src.x, src.x - view.x / scaleX);
+    const x1 = rx * Math.min(src.x + src.w, src.x + (bounds.w - view.x) / scaleX);
+    const y0 = ry * Math.max(src.y, src.y - view.y / scaleY);
+    const y1 = ry * Math.min(src.y + src.h, src.y + (bounds.h - view.y) / scaleY);
+    if (x1 <= x0 || y1 <= y0) return [];
+
+    // map level coordinates to canvas coordinates
+    const _toX = (lx) => Math.round(view.x + (lx / rx - src.x) * scaleX);
+    const _toY = (ly) => Math.round(view.y + (ly / ry - src.y) * scaleY);
+
+    const tiles = [];
+    for (let row = Math.floor(y0 / tileSize); row < Math.ceil(y1 / tileSize); row++) {
+        for (let col = Math.floor(x0 / tileSize); col < Math.ceil(x1 / tileSize); col++) {
+            // clip tile to the source region
+            const sx0 = Math.max(col * tileSize, rx * src.x);
+            const sx1 = Math.min((col + 1) * tileSize, level.width, rx * (src.x + src.w));
+            const sy0 = Math.max(row * tileSize, ry * src.y);
+            const sy1 = Math.min((row + 1) * tileSize, level.height, ry * (src.y + src.h));
+            const dx = _toX(sx0), dy = _toY(sy0);
+            const dw = _toX(sx1) - dx, dh = _toY(sy1) - dy;
+            if (sx1 <= sx0 || sy1 <= sy0 || dw <= 0 || dh <= 0) continue;
+            const tile = _getTile(level, col, row, tileSize);
+            tiles.push({canvas: tile.canvas, sx: sx0 - tile.x, sy: sy0 - tile.y, sw: sx1 - sx0, sh: sy1 - sy0, dx, dy, dw, dh});
+        }
+    }
+    _releaseTiles(level, tiles.length);
+    return tiles;
+};
@@ -0,0 +1,551 @@
+/*!
+ * MLE.Client.Toolkit.Utilities.Raster
+ * File: raster.utils.alignment.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Pure JavaScript raster operations on RGBA image data buffers. These functions
+ * have no DOM or OpenCV dependencies so they can run in the image worker
+ * (see image.worker.alignment.js) as well as on the main thread.
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Moved image warping from align.utils.alignment.js; added image data cropping
+ * - 18-10-2026   Added grayscale patch extraction and normalised cross-correlation
+ * - 18-10-2026   Added 16-bit image warping, cropping and resizing
+ * - 18-10-2026   Added image rotation and flipping
+ * - 18-10-2026   Added coordinate map resampling (used for rotation and lens correction)
+ * - 18-10-2026   Added scaled grayscale patch extraction
+ */
+
+/**
+ * Cubic convolution kernel weight (Keys, a = -0.5).
+ *
+ * @private
+ * @param {Number} t distance from sample point
+ * @return {Number} weight
+ */
+
+const _cubicWeight = (t) => {
+    const a = -0.5;
+    t = Math.abs(t);
+    if (t <= 1) return ((a + 2) * t - (a + 3)) * t * t + 1;
+    if (t < 2) return (((t - 5) * t + 8) * t - 4) * a;
+    return 0;
+};
+
+/**
+ * Pixel resampling functions indexed by interpolation method.
+ * - sample the RGBA source (byte array) at real-valued coordinate (u,v)
+ *   and write the result to the RGBA destination at byte offset i
+ * - neighbouring pixels are clamped to the image edge so that samples never
+ *   wrap into adjacent rows
+ *
+ * @private
+ */
+
+const _samplers = {
+    nearest: (src, w, h, u, v, dst, i) => {
+        const j = 4 * (Math.min(Math.round(u), w - 1) + w * Math.min(Math.round(v), h - 1));
+        dst[i] = src[j];
+        dst[i + 1] = src[j + 1];
+        dst[i + 2] = src[j + 2];
+        dst[i + 3] = src[j + 3];
+    },
+    bilinear: (src, w, h, u, v, dst, i) => {
+        const x0 = Math.floor(u), y0 = Math.floor(v);
+        const x1 = Math.min(x0 + 1, w - 1), y1 = Math.min(y0 + 1, h - 1);
+        const fx = u - x0, fy = v - y0;
+        const j00 = 4 * (x0 + w * y0), j10 = 4 * (x1 + w * y0);
+        const j01 = 4 * (x0 + w * y1), j11 = 4 * (x1 + w * y1);
+        for (let c = 0; c < 4; c++) {
+            const top = src[j00 + c] + fx * (src[j10 + c] - src[j00 + c]);
+            const bottom = src[j01 + c] + fx * (src[j11 + c] - src[j01 + c]);
+            dst[i + c] = top + fy * (bottom - top);
+        }
+    },
+    bicubic: (src, w, h, u, v, dst, i) => {
+        const x0 = Math.floor(u), y0 = Math.floor(v);
+        const fx = u - x0, fy = v - y0;
+        const wx = [_cubicWeight(1 + fx), _cubicWeight(fx), _cubicWeight(1 - fx), _cubicWeight(2 - fx)];
+        const wy = [_cubicWeight(1 + fy), _cubicWeight(fy), _cubicWeight(1 - fy), _cubicWeight(2 - fy)];
+        const acc = [0, 0, 0, 0];
+        for (let m = 0; m < 4; m++) {
+            const row = w * Math.min(Math.max(y0 + m - 1, 0), h - 1);
+            for (let n = 0; n < 4; n++) {
+                const j = 4 * (row + Math.min(Math.max(x0 + n - 1, 0), w - 1));
+                const weight = wx[n] * wy[m];
+                acc[0] += weight * src[j];
+                acc[1] += weight * src[j + 1];
+                acc[2] += weight * src[j + 2];
+                acc[3] += weight * src[j + 3];
+            }
+        }
+        // Uint8ClampedArray rounds and clamps overshoot to [0, 255]
+        dst[i] = acc[0];
+        dst[i + 1] = acc[1];
+        dst[i + 2] = acc[2];
+        dst[i + 3] = acc[3];
+    }
+};
+
+/**
+ * Apply alignment transformation matrix (homographic projection) to image data.
+ * NOTE: input data is Uint32 typed array to store four one-byte values (red,
+ * green, blue, and alpha, or "RGBA" format). Each pixel is assigned a
+ * consecutive index within the array, with the top left pixel at index 0
+ * which proceed from left to right, then downward, throughout the array.
+ * - source pixels are resampled using nearest-neighbour, bilinear or bicubic
+ *   interpolation
+ * - destination pixels that map outside the source image are transparent
+ *
+ * @public
+ * @param {Array} H
+ * @param {Uint32Array} src
+ * @param {Uint32Array} dst
+ * @param {int} w
+ * @param {int} h
+ * @param {String} interpolation
+ * @param {Function} onProgress
+ */
+
+export const warpImage = (H, src, dst, w, h, interpolation = 'bilinear', onProgress = null) => {
+
+    // resample on RGBA byte views of the 32 bit pixel arrays
+    const src8 = new Uint8ClampedArray(src.buffer, src.byteOffset, src.byteLength);
+    const dst8 = new Uint8ClampedArray(dst.buffer, dst.byteOffset, dst.byteLength);
+    const sample = _samplers.hasOwnProperty(interpolation) ? _samplers[interpolation] : _samplers.bilinear;
+
+    const dstW = w;
+    const dstH = h;
+    let x, y, u, v, k;
+    for (y = 0; y < dstH; ++y) {
+        for (x = 0; x < dstW; ++x) {
+            // transform coordinates
+            k = x * H[6] + y * H[7] + 1;
+            u = (x * H[0] + y * H[1] + H[2]) / k;
+            v = (x * H[3] + y * H[4] + H[5]) / k;
+            // out-of-bounds source pixels are transparent
+            if (!(u >= 0 && u <= w - 1 && v >= 0 && v <= h - 1)) {
+                dst[x + w * y] = 0;
+                continue;
+            }
+            sample(src8, w, h, u, v, dst8, 4 * (x + w * y));
+        }
+        // report progress every 64 rows
+        if (onProgress && (y & 63) === 0) onProgress(y / dstH);
+    }
+};
+
+/**
+ * Apply alignment transformation matrix (homographic projection) to 16-bit image data.
+ * - same resampling as warpImage on RGBA arrays with 16 bits per channel
+ *
+ * @public
+ * @param {Array} H
+ * @param {Uint16Array} src
+ * @param {Uint16Array} dst
+ * @param {int} w
+ * @param {int} h
+ * @param {String} interpolation
+ * @param {Function} onProgress
+ */
+
+export const warpImage16 = (H, src, dst, w, h, interpolation = 'bilinear', onProgress = null) => {
+    const sample = _samplers.hasOwnProperty(interpolation) ? _samplers[interpolation] : _samplers.bilinear;
+
+    // resampled pixel (rounded and clamped to 16 bits)
+    const px = new Float64Array(4);
+    let x, y, u, v, k, i, c;
+    for (y = 0; y < h; ++y) {
+        for (x = 0; x < w; ++x) {
+            i = 4 * (x + w * y);
+            // transform coordinates
+            k = x * H[6] + y * H[7] + 1;
+            u = (x * H[0] + y * H[1] + H[2]) / k;
+            v = (x * H[3] + y * H[4] + H[5]) / k;
+            // out-of-bounds source pixels are transparent
+            if (!(u >= 0 && u <= w - 1 && v >= 0 && v <= h - 1)) {
+                dst[i] = dst[i + 1] = dst[i + 2] = dst[i + 3] = 0;
+                continue;
+            }
+            sample(src, w, h, u, v, px, 0);
+            for (c = 0; c < 4; c++) dst[i + c] = Math.min(Math.max(Math.round(px[c]), 0), 65535);
+        }
+        // report progress every 64 rows
+        if (onProgress && (y & 63) === 0) onProgress(y / h);
+    }
+};
+
+/**
+ * Crop RGBA image data by coordinates.
+ * - crop box is clipped to the image bounds
+ * - cropped data has the array type (bit depth) of the input data
+ *
+ * @public
+ * @param {Uint8ClampedArray|Uint16Array} data
+ * @param {int} width
+ * @param {int} height
+ * @param {Object} cropDims
+ * @param {Function} onProgress
+ * @return {{data: Uint8ClampedArray|Uint16Array, width: int, height: int}}
+ */
+
+export const cropImageData = (data, width, height, cropDims, onProgress = null) => {
+
+    // clip crop box to image bounds
+    const x = Math.max(Math.min(Math.round(cropDims.x), width), 0);
+    const y = Math.max(Math.min(Math.round(cropDims.y), height), 0);
+    const w = Math.max(Math.min(Math.round(cropDims.w), width - x), 0);
+    const h = Math.max(Math.min(Math.round(cropDims.h), height - y), 0);
+
+    // copy image rows in crop box
+    const cropped = new data.constructor(4 * w * h);
+    for (let row = 0; row < h; row++) {
+        const start = 4 * (x + width * (y + row));
+        cropped.set(data.subarray(start, start + 4 * w), 4 * w * row);
+        // report progress every 256 rows
+        if (onProgress && (row & 255) === 0) onProgress(row / h);
+    }
+    return {data: cropped, width: w, height: h};
+};
+
+/**
+ * Get resampling taps (source indices and weights) along one image axis.
+ * - downscaling averages the source pixels covered by each destination pixel (area)
+ * - upscaling interpolates the two nearest source pixels (bilinear)
+ *
+ * @private
+ * @param {int} srcSize
+ * @param {int} dstSize
+ * @return {Array} taps of each destination pixel
+ */
+
+const _getTaps = (srcSize, dstSize) => {
+    const scale = srcSize / dstSize;
+    const taps = [];
+    for (let d = 0; d < dstSize; d++) {
+        if (scale > 1) {
+            const start = d * scale, end = start + scale;
+            const tap = [];
+            for (let s = Math.floor(start); s < Math.min(Math.ceil(end), srcSize); s++) {
+                const weight = Math.min(end, s + 1) - Math.max(start, s);
+                if (weight > 0) tap.push([s, weight / scale]);
+            }
+            taps.push(tap);
+        }
+        else {
+            const u = Math.min(Math.max((d + 0.5) * scale - 0.5, 0), srcSize - 1);
+            const s0 = Math.floor(u), s1 = Math.min(s0 + 1, srcSize - 1);
+            taps.push([[s0, 1 - (u - s0)], [s1, u - s0]]);
+        }
+    }
+    return taps;
+};
+
+/**
+ * Resize RGBA image data.
+ * - area averaging when downscaling, bilinear interpolation when upscaling
+ * - resized data has the array type (bit depth) of the input data
+ *
+ * @public
+ * @param {Uint8ClampedArray|Uint16Array} data
+ * @param {int} width
+ * @param {int} height
+ * @param {int} w resized width
+ * @param {int} h resized height
+ * @param {Function} onProgress
+ * @return {{data: Uint8ClampedArray|Uint16Array, width: int, height: int}}
+ */
+
+export const resizeImageData = (data, width, height, w, h, onProgress = null) => {
+    const tapsX = _getTaps(width, w);
+    const tapsY = _getTaps(height, h);
+    const resized = new data.constructor(4 * w * h);
+
+    // resample source row horizontally
+    const row = new Float64Array(4 * w);
+    const _resampleRow = (y) => {
+        row.fill(0);
+        const offset = 4 * width * y;
+        tapsX.forEach((tap, x) => {
+            tap.forEach(([s, weight]) => {
+                const j = offset + 4 * s;
+                for (let c = 0; c < 4; c++) row[4 * x + c] += weight * data[j + c];
+            });
+        });
+        return row;
+    };
+
+    // accumulate resampled source rows of each destination row
+    const acc = new Float64Array(4 * w);
+    tapsY.forEach((tap, y) => {
+        acc.fill(0);
+        tap.forEach(([s, weight]) => {
+            const resampled = _resampleRow(s);
+            for (let k = 0; k < acc.length; k++) acc[k] += weight * resampled[k];
+        });
+        const offset = 4 * w * y;
+        for (let k = 0; k < acc.length; k++) resized[offset + k] = Math.round(acc[k]);
+        // report progress every 64 rows
+        if (onProgress && (y & 63) === 0) onProgress(y / h);
+    });
+    return {data: resized, width: w, height: h};
+};
+
+/**
+ * Get cosine and sine of rotation angle (degrees).
+ * - multiples of 90 degrees are exact so that quarter turns do not resample
+ *
+ * @private
+ * @param {Number} angle
+ * @return {Array} [cos, sin]
+ */
+
+const _getTrig = (angle) => {
+    const quarters = angle / 90;
+    if (Number.isInteger(quarters)) return [[1, 0], [0, 1], [-1, 0], [0, -1]][((quarters % 4) + 4) % 4];
+    const radians = angle * Math.PI / 180;
+    return [Math.cos(radians), Math.sin(radians)];
+};
+
+/**
+ * Get rotation transform and rotated image dimensions.
+ * - image is flipped (horizontal/vertical) and then rotated clockwise by angle
+ *   (degrees) about the image centre
+ * - expanded images are enlarged to fit the rotated image; otherwise the image
+ *   dimensions are kept and the rotated corners are clipped
+ * - the transform maps rotated (destination) to source pixel coordinates
+ *
+ * @public
+ * @param {int} width
+ * @param {int} height
+ * @param {Object} rotation {angle, flipH, flipV, expand}
+ * @return {{transform: Array, width: int, height: int}}
+ */
+
+export const getRotation = (width, height, rotation) => {
+    const {angle = 0, flipH = false, flipV = false, expand = true} = rotation || {};
+    const [cos, sin] = _getTrig(angle);
+    const w = expand ? Math.max(Math.round(Math.abs(width * cos) + Math.abs(height * sin)), 1) : width;
+    const h = expand ? Math.max(Math.round(Math.abs(width * sin) + Math.abs(height * cos)), 1) : height;
+
+    // inverse of rotation (transpose) followed by flip
+    const fx = flipH ? -1 : 1, fy = flipV ? -1 : 1;
+    const m = [fx * cos, fx * sin, -fy * sin, fy * cos];
+
+    // rotate about the source and destination image centres
+    const cx = (width - 1) / 2, cy = (height - 1) / 2;
+    const dx = (w - 1) / 2, dy = (h - 1) / 2;
+    return {
+        transform: [
+            m[0], m[1], cx - m[0] * dx - m[1] * dy,
+            m[2], m[3], cy - m[2] * dx - m[3] * dy,
+            0, 0, 1
+        ],
+        width: w,
+        height: h
+    };
+};
+
+/**
+ * Resample RGBA image data (8 or 16 bits per channel) by a coordinate map.
+ * - the map returns the source pixel coordinate [u, v] of each destination pixel
+ * - destination pixels that map outside the source image are transparent
+ *
+ * @public
+ * @param {Uint8ClampedArray|Uint16Array} data
+ * @param {int} width
+ * @param {int} height
+ * @param {int} w destination width
+ * @param {int} h destination height
+ * @param {Function} getSource (x, y) => [u, v]
+ * @param {String} interpolation
+ * @param {Function} onProgress
+ * @return {{data: Uint8ClampedArray|Uint16Array, width: int, height: int}}
+ */
+
+export const remapImageData = (data, width, height, w, h, getSource, interpolation = 'bilinear', onProgress = null) => {
+    const sample = _samplers.hasOwnProperty(interpolation) ? _samplers[interpolation] : _samplers.bilinear;
+    const max = data instanceof Uint16Array ? 65535 : 255;
+    const remapped = new data.constructor(4 * w * h);
+
+    // resampled pixel (rounded and clamped to the sample range)
+    const px = new Float64Array(4);
+    let x, y, u, v, i, c;
+    for (y = 0; y < h; ++y) {
+        for (x = 0; x < w; ++x) {
+            [u, v] = getSource(x, y);
+            // snap to source pixel grid to absorb rounding errors
+            if (Math.abs(u - Math.round(u)) < 1e-9) u = Math.round(u);
+            if (Math.abs(v - Math.round(v)) < 1e-9) v = Math.round(v);
+            // out-of-bounds source pixels are transparent
+            if (!(u >= 0 && u <= width - 1 && v >= 0 && v <= height - 1)) continue;
+            i = 4 * (x + w * y);
+            sample(data, width, height, u, v, px, 0);
+            for (c = 0; c < 4; c++) remapped[i + c] = Math.min(Math.max(Math.round(px[c]), 0), max);
+        }
+        // report progress every 64 rows
+        if (onProgress && (y & 63) === 0) onProgress(y / h);
+    }
+    return {data: remapped, width: w, height: h};
+};
+
+/**
+ * Rotate and/or flip RGBA image data (8 or 16 bits per channel).
+ * - see getRotation for the rotation parameters
+ *
+ * @public
+ * @param {Uint8ClampedArray|Uint16Array} data
+ * @param {int} width
+ * @param {int} height
+ * @param {Object} rotation {angle, flipH, flipV, expand, interpolation}
+ * @param {Function} onProgress
+ * @return {{data: Uint8ClampedArray|Uint16Array, width: int, height: int}}
+ */
+
+export const rotateImageData = (data, width, height, rotation, onProgress = null) => {
+    const {interpolation = 'bilinear'} = rotation || {};
+    const {transform: H, width: w, height: h} = getRotation(width, height, rotation);
+    return remapImageData(data, width, height, w, h,
+        (x, y) => [x * H[0] + y * H[1] + H[2], x * H[3] + y * H[4] + H[5]], interpolation, onProgress);
+};
+
+/**
+ * Convert 16-bit RGBA samples to 8-bit RGBA pixel data.
+ *
+ * @public
+ * @param {Uint16Array} data
+ * @return {Uint8ClampedArray} 8-bit data
+ */
+
+export const toRGBA8 = (data) => {
+    const rgba = new Uint8ClampedArray(data.length);
+    for (let i = 0; i < data.length; i++) rgba[i] = data[i] / 257;
+    return rgba;
+};
+
+/**
+ * Extract grayscale (luma) patch from RGBA image data.
+ * - returns null if the patch is not fully inside the image
+ *
+ * @public
+ * @param {Uint8ClampedArray} data
+ * @param {int} width
+ * @param {int} height
+ * @param {int} x
+ * @param {int} y
+ * @param {int} w
+ * @param {int} h
+ * @return {Float32Array} patch
+ */
+
+export const getGrayPatch = (data, width, height, x, y, w, h) => {
+    if (x < 0 || y < 0 || w <= 0 || h <= 0 || x + w > width || y + h > height) return null;
+    const patch = new Float32Array(w * h);
+    for (let row = 0; row < h; row++) {
+        for (let col = 0; col < w; col++) {
+            const i = 4 * (x + col + width * (y + row));
+            patch[col + w * row] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+        }
+    }
+    return patch;
+};
+
+/**
+ * Extract scaled grayscale (luma) patch from RGBA image data.
+ * - patch pixels are spaced by the given step (in image pixels) around the centre
+ * - samples are interpolated bilinearly; steps larger than one pixel average the
+ *   samples within the step footprint (anti-aliasing)
+ * - returns null if the patch is not fully inside the image
+ *
+ * @public
+ * @param {Uint8ClampedArray} data
+ * @param {int} width
+ * @param {int} height
+ * @param {Number} cx patch centre
+ * @param {Number} cy
+ * @param {int} w patch dimensions
+ * @param {int} h
+ * @param {Number} step sample spacing (image pixels per patch pixel)
+ * @return {Float32Array} patch
+ */
+
+export const getScaledGrayPatch = (data, width, height, cx, cy, w, h, step) => {
+    const n = Math.max(Math.ceil(step), 1);
+    const x0 = cx - step * (w / 2), y0 = cy - step * (h / 2);
+    if (x0 < 0 || y0 < 0 || x0 + step * w > width - 1 || y0 + step * h > height - 1) return null;
+    const _luma = (x, y) => {
+        const i = 4 * (x + width * y);
+        return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    };
+    const patch = new Float32Array(w * h);
+    for (let row = 0; row < h; row++) {
+        for (let col = 0; col < w; col++) {
+            let sum = 0;
+            for (let v = 0; v < n; v++) {
+                for (let u = 0; u < n; u++) {
+                    // sample at centre of sub-footprint
+                    const x = x0 + step * (col + (u + 0.5) / n);
+                    const y = y0 + step * (row + (v + 0.5) / n);
+                    const xi = Math.floor(x), yi = Math.floor(y);
+                    const fx = x - xi, fy = y - yi;
+                    sum += (1 - fy) * ((1 - fx) * _luma(xi, yi) + fx * _luma(xi + 1, yi))
+                        + fy * ((1 - fx) * _luma(xi, yi + 1) + fx * _luma(xi + 1, yi + 1));
+                }
+            }
+            patch[col + w * row] = sum / (n * n);
+        }
+    }
+    return patch;
+};
+
+/**
+ * Match template in grayscale image by normalised cross-correlation (NCC).
+ * - computes the zero-mean NCC score in [-1, 1] for every position where the
+ *   template fits inside the image (cf. OpenCV TM_CCOEFF_NORMED)
+ * - positions with a flat image window (or a flat template) score 0
+ *
+ * @public
+ * @param {Float32Array} image
+ * @param {int} width
+ * @param {int} height
+ * @param {Float32Array} template
+ * @param {int} tW
+ * @param {int} tH
+ * @return {{scores: Float32Array, width: int, height: int}}
+ */
+
+export const matchTemplateNCC = (image, width, height, template, tW, tH) => {
+    const n = tW * tH;
+    const outW = width - tW + 1;
+    const outH = height - tH + 1;
+    const scores = new Float32Array(Math.max(outW, 0) * Math.max(outH, 0));
+
+    // zero-mean template
+    const tMean = template.reduce((sum, v) => sum + v, 0) / n;
+    const tDev = template.map(v => v - tMean);
+    const tNorm = Math.sqrt(tDev.reduce((sum, v) => sum + v * v, 0));
+
+    for (let y = 0; y < outH; y++) {
+        for (let x = 0; x < outW; x++) {
+            let sum = 0, sumSq = 0, cross = 0;
+            for (let row = 0; row < tH; row++) {
+                const offset = x + width * (y + row);
+                for (let col = 0; col < tW; col++) {
+                    const v = image[offset + col];
+                    sum += v;
+                    sumSq += v * v;
+                    cross += v * tDev[col + tW * row];
+                }
+            }
+            const denom = Math.sqrt(Math.max(sumSq - sum * sum / n, 0)) * tNorm;
+            scores[x + outW * y] = denom > 1e-6 ? cross / denom : 0;
+        }
+    }
+    return {scores: scores, width: outW, height: outH};
+};
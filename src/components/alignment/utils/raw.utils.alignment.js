@@ -0,0 +1,357 @@
+/*!
+ * MLE.Client.Toolkit.Utilities.RAW
+ * File: raw.utils.alignment.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Camera RAW decoding for the Alignment Tool.
+ *
+ * DNG files are decoded from the raw sensor data (UTIF) and rendered to 16-bit sRGB:
+ * 1. raw samples are linearized and scaled by the black and white levels
+ * 2. colour filter array (CFA) images are demosaiced by averaging the samples of each
+ *    colour in the 3x3 neighbourhood (bilinear for Bayer patterns)
+ * 3. the as-shot white balance, the camera colour matrix and the baseline exposure are
+ *    applied and the image is encoded with the sRGB transfer curve
+ * 4. the image is cropped to the default crop of the active sensor area
+ *
+ * Proprietary RAW formats (CR2, NEF, ARW, RAF, etc.) are not decoded; instead the largest
+ * embedded JPEG preview is extracted from the file.
+ *
+ * These functions have no DOM dependencies so they can run in the image worker.
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Initial version
+ */
+
+import * as UTIF from 'utif';
+import * as math from 'mathjs';
+import {toRGBA8} from './raster.utils.alignment';
+
+// DNG photometric interpretations
+const PHOTOMETRIC_CFA = 32803;
+const PHOTOMETRIC_LINEAR_RAW = 34892;
+
+// linear sRGB (D65) to XYZ matrix
+const XYZ_FROM_SRGB = [
+    [0.4124564, 0.3575761, 0.1804375],
+    [0.2126729, 0.7151522, 0.0721750],
+    [0.0193339, 0.1191920, 0.9503041]
+];
+
+/**
+ * Get image file directories of TIFF-based file (incl. sub-IFDs).
+ *
+ * @private
+ * @param {ArrayBuffer} buffer
+ * @return {Array} image file directories
+ */
+
+const _getIFDs = (buffer) => {
+    const header = new Uint8Array(buffer, 0, 2);
+    const id = String.fromCharCode(header[0], header[1]);
+    if (id !== 'II' && id !== 'MM') return [];
+    const ifds = [];
+    const _add = (ifd) => {
+        ifds.push(ifd);
+        (ifd.subIFD || []).forEach(_add);
+    };
+    UTIF.decode(buffer).forEach(_add);
+    return ifds;
+};
+
+/**
+ * Read raw samples of decoded image file directory.
+ * - 8-bit, 16-bit and packed (e.g. 12-bit or 14-bit) samples
+ * - UTIF keeps the file byte order of 16-bit CFA samples
+ *
+ * @private
+ * @param {Object} ifd
+ * @return {Uint16Array} samples
+ */
+
+const _readSamples = (ifd) => {
+    const {width, height, data} = ifd;
+    const bps = ifd.t258 ? ifd.t258[0] : 8;
+    const spp = ifd.t277 ? ifd.t277[0] : 1;
+    const littleEndian = ifd.isLE || !ifd.t33422;
+    const rowSamples = width * spp;
+    const rowBytes = Math.ceil(rowSamples * bps / 8);
+    const mask = (1 << bps) - 1;
+    const samples = new Uint16Array(rowSamples * height);
+    for (let y = 0; y < height; y++) {
+        const offset = y * rowBytes;
+        const row = y * rowSamples;
+        for (let k = 0; k < rowSamples; k++) {
+            if (bps === 8) samples[row + k] = data[offset + k];
+            else if (bps === 16) {
+                const j = offset + 2 * k;
+                samples[row + k] = littleEndian ? data[j] | (data[j + 1] << 8) : (data[j] << 8) | data[j + 1];
+            }
+            else {
+                // packed samples (most significant bit first)
+                const bit = 8 * offset + k * bps;
+                const j = bit >> 3;
+                const bits = (data[j] << 16) | (data[j + 1] << 8) | data[j + 2];
+                samples[row + k] = (bits >> (24 - bps - (bit & 7))) & mask;
+            }
+        }
+    }
+    return samples;
+};
+
+/**
+ * Get lookup table of normalized (linear) values of raw samples.
+ * - applies the linearization table and the black and white levels
+ *
+ * @private
+ * @param {Object} ifd
+ * @return {Float32Array} lookup table
+ */
+
+const _getLinearLUT = (ifd) => {
+    const bps = ifd.t258 ? ifd.t258[0] : 8;
+    const maxValue = (1 << bps) - 1;
+    const table = ifd.t50712;
+    const blackLevels = ifd.t50714 || [0];
+    const black = blackLevels.reduce((sum, v) => sum + v, 0) / blackLevels.length;
+    const white = ifd.t50717 ? ifd.t50717[0] : maxValue;
+    const lut = new Float32Array(maxValue + 1);
+    for (let v = 0; v <= maxValue; v++) {
+        const linear = table ? table[Math.min(v, table.length - 1)] : v;
+        lut[v] = Math.min(Math.max((linear - black) / (white - black), 0), 1);
+    }
+    return lut;
+};
+
+/**
+ * Get colour transform from white-balanced camera RGB to linear sRGB.
+ * - camera matrix rows are normalized so that white maps to white (see dcraw)
+ * - identity transform if the DNG has no colour matrix
+ *
+ * @private
+ * @param {Object} ifd0 main image file directory (DNG tags)
+ * @return {{balance: Array, matrix: Array, exposure: Number}}
+ */
+
+const _getColourTransform = (ifd0) => {
+    // as-shot white balance (camera neutral)
+    const neutral = ifd0.t50728 && ifd0.t50728.length === 3 ? ifd0.t50728 : [1, 1, 1];
+    const multipliers = neutral.map(n => 1 / n);
+    const minMultiplier = Math.min(...multipliers);
+    const balance = multipliers.map(m => m / minMultiplier);
+    const exposure = Math.pow(2, ifd0.t50730 ? ifd0.t50730[0] : 0);
+
+    // XYZ to camera matrix (ColorMatrix2 is usually calibrated for D65)
+    const colorMatrix = ifd0.t50722 || ifd0.t50721;
+    if (!colorMatrix || colorMatrix.length !== 9) {
+        return {balance, matrix: [[1, 0, 0], [0, 1, 0], [0, 0, 1]], exposure};
+    }
+    const cameraFromXYZ = [colorMatrix.slice(0, 3), colorMatrix.slice(3, 6), colorMatrix.slice(6, 9)];
+    const cameraFromSRGB = math.multiply(cameraFromXYZ, XYZ_FROM_SRGB)
+        .map(row => {
+            const sum = row.reduce((s, v) => s + v, 0);
+            return row.map(v => v / sum);
+        });
+    return {balance, matrix: math.inv(cameraFromSRGB), exposure};
+};
+
+/**
+ * Decode DNG raw image to 16-bit sRGB image data.
+ * - returns null if the file is not a DNG or the raw data format is not supported
+ *
+ * @private
+ * @param {ArrayBuffer} buffer
+ * @param {Function} onProgress
+ * @return {{data: Uint8ClampedArray, depth: Uint16Array, width: int, height: int}}
+ */
+
+const _decodeDNG = (buffer, onProgress = null) => {
+    const ifds = _getIFDs(buffer);
+    if (ifds.length === 0 || !ifds[0].t50706) return null;
+
+    // select full-resolution raw image
+    const raw = ifds
+        .filter(ifd => ifd.t262 && [PHOTOMETRIC_CFA, PHOTOMETRIC_LINEAR_RAW].includes(ifd.t262[0]))
+        .filter(ifd => !ifd.t254 || ifd.t254[0] === 0)
+        .sort((a, b) => b.t256[0] - a.t256[0])[0];
+    if (!raw) return null;
+    const bps = raw.t258 ? raw.t258[0] : 8;
+    if (bps > 16 || (raw.t339 && raw.t339[0] === 3)) return null;
+
+    UTIF.decodeImage(buffer, raw, ifds);
+    if (!raw.data) return null;
+    if (onProgress) onProgress(0.3);
+
+    const samples = _readSamples(raw);
+    const lut = _getLinearLUT(raw);
+    const {balance, matrix, exposure} = _getColourTransform(ifds[0]);
+    const rawWidth = raw.width;
+    const spp = raw.t277 ? raw.t277[0] : 1;
+
+    // CFA pattern (relative to the active area)
+    const isCFA = raw.t262[0] === PHOTOMETRIC_CFA;
+    const [patternRows, patternCols] = raw.t33421 || [2, 2];
+    const pattern = raw.t33422 || [0, 1, 1, 2];
+    if (isCFA && pattern.some(c => c > 2)) return null;
+    if (!isCFA && spp < 3) return null;
+
+    // active sensor area and default crop
+    const [top, left, bottom, right] = raw.t50829 || [0, 0, raw.height, rawWidth];
+    const activeW = right - left, activeH = bottom - top;
+    const [cropX, cropY] = (raw.t50719 || [0, 0]).map(v => Math.round(v));
+    const [cropW, cropH] = (raw.t50720 || [activeW, activeH]).map(v => Math.round(v));
+    const width = Math.max(Math.min(cropW, activeW - cropX), 1);
+    const height = Math.max(Math.min(cropH, activeH - cropY), 1);
+
+    // sRGB transfer curve (16-bit)
+    const gamma = new Uint16Array(65536);
+    for (let v = 0; v < gamma.length; v++) {
+        const linear = v / 65535;
+        const encoded = linear <= 0.0031308 ? 12.92 * linear : 1.055 * Math.pow(linear, 1 / 2.4) - 0.055;
+        gamma[v] = Math.round(65535 * encoded);
+    }
+
+    const depth = new Uint16Array(4 * width * height);
+    const camera = [0, 0, 0], sums = [0, 0, 0], counts = [0, 0, 0];
+    for (let y = 0; y < height; y++) {
+        const ay = cropY + y;
+        for (let x = 0; x < width; x++) {
+            const ax = cropX + x;
+            if (isCFA) {
+                // average samples of each colour in the 3x3 neighbourhood
+                const centre = pattern[(ay % patternRows) * patternCols + (ax % patternCols)];
+                sums[0] = sums[1] = sums[2] = 0;
+                counts[0] = counts[1] = counts[2] = 0;
+                for (let dy = -1; dy <= 1; dy++) {
+                    const ny = Math.min(Math.max(ay + dy, 0), activeH - 1);
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = Math.min(Math.max(ax + dx, 0), activeW - 1);
+                        const c = pattern[(ny % patternRows) * patternCols + (nx % patternCols)];
+                        sums[c] += lut[samples[(top + ny) * rawWidth + left + nx]];
+                        counts[c]++;
+                    }
+                }
+                for (let c = 0; c < 3; c++) camera[c] = c === centre
+                    ? lut[samples[(top + ay) * rawWidth + left + ax]]
+                    : counts[c] > 0 ? sums[c] / counts[c] : 0;
+            }
+            else {
+                const j = ((top + ay) * rawWidth + left + ax) * spp;
+                for (let c = 0; c < 3; c++) camera[c] = lut[samples[j + c]];
+            }
+            // white balance (clipped highlights) and colour transform
+            for (let c = 0; c < 3; c++) camera[c] = Math.min(camera[c] * balance[c], 1);
+            const i = 4 * (y * width + x);
+            for (let c = 0; c < 3; c++) {
+                const linear = exposure * (matrix[c][0] * camera[0] + matrix[c][1] * camera[1] + matrix[c][2] * camera[2]);
+                depth[i + c] = gamma[Math.round(65535 * Math.min(Math.max(linear, 0), 1))];
+            }
+            depth[i + 3] = 65535;
+        }
+        // report progress every 64 rows
+        if (onProgress && (y & 63) === 0) onProgress(0.3 + 0.7 * y / height);
+    }
+    return {data: toRGBA8(depth), depth: depth, width: width, height: height};
+};
+
+/**
+ * Parse JPEG stream at offset.
+ * - returns the stream bounds and the image dimensions of baseline and progressive
+ *   JPEG images (other JPEG processes, e.g. lossless raw data, are not decodable
+ *   by browsers); null if the stream is invalid
+ *
+ * @private
+ * @param {Uint8Array} data
+ * @param {int} start offset of start-of-image marker
+ * @return {{start: int, end: int, width: int, height: int}}
+ */
+
+const _parseJPEG = (data, start) => {
+    let p = start + 2, width = 0, height = 0;
+    while (p + 1 < data.length) {
+        if (data[p] !== 0xFF) return null;
+        const marker = data[p + 1];
+        // fill bytes and standalone markers
+        if (marker === 0xFF) {
+            p++;
+            continue;
+        }
+        if (marker === 0xD9) return width > 0 && height > 0 ? {start, end: p + 2, width, height} : null;
+        if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+            p += 2;
+            continue;
+        }
+        if (p + 3 >= data.length) return null;
+        const length = (data[p + 2] << 8) | data[p + 3];
+        if (length < 2) return null;
+        // frame header (baseline, extended or progressive)
+        if (marker === 0xC0 || marker === 0xC1 || marker === 0xC2) {
+            height = (data[p + 5] << 8) | data[p + 6];
+            width = (data[p + 7] << 8) | data[p + 8];
+        }
+        else if (marker >= 0xC3 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) return null;
+        p += 2 + length;
+        // skip entropy-coded data of scan to the next marker
+        if (marker === 0xDA) {
+            if (width === 0) return null;
+            while (p + 1 < data.length && !(data[p] === 0xFF && data[p + 1] !== 0
+                && !(data[p + 1] >= 0xD0 && data[p + 1] <= 0xD7))) p++;
+        }
+    }
+    return null;
+};
+
+/**
+ * Extract the largest embedded JPEG preview from RAW file data.
+ *
+ * @public
+ * @param {ArrayBuffer} buffer
+ * @return {{data: Uint8Array, width: int, height: int}} JPEG file data (or null if none found)
+ */
+
+export const extractPreview = (buffer) => {
+    const data = new Uint8Array(buffer);
+    let preview = null;
+    for (let i = 0; i + 2 < data.length; i++) {
+        if (data[i] !== 0xFF || data[i + 1] !== 0xD8 || data[i + 2] !== 0xFF) continue;
+        const jpeg = _parseJPEG(data, i);
+        if (!jpeg) continue;
+        if (!preview || jpeg.width * jpeg.height > preview.width * preview.height) preview = jpeg;
+        i = jpeg.end - 1;
+    }
+    return preview
+        ? {data: data.slice(preview.start, preview.end), width: preview.width, height: preview.height}
+        : null;
+};
+
+/**
+ * Decode camera RAW file data.
+ * - DNG files are decoded at full resolution (8-bit RGBA pixel data and 16-bit samples)
+ * - other RAW files (or unsupported DNG raw data) return the embedded JPEG preview
+ *   as {preview: Uint8Array, width, height}
+ *
+ * @public
+ * @param {ArrayBuffer} buffer
+ * @param {Function} onProgress
+ * @return {Object} decoded image or embedded preview
+ */
+
+export const decodeRAW = (buffer, onProgress = null) => {
+    let image = null;
+    try {
+        image = _decodeDNG(buffer, onProgress);
+    } catch (err) {
+        // fall back to the embedded preview
+        console.warn(err);
+    }
+    if (image) return image;
+    const preview = extractPreview(buffer);
+    if (onProgress) onProgress(1.0);
+    if (!preview) throw new Error('RAW file has no decodable image data or embedded preview.');
+    return {preview: preview.data, width: preview.width, height: preview.height};
+};
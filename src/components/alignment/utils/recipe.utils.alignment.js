@@ -0,0 +1,160 @@
+/*!
+ * MLE.Client.Toolkit.Utilities.Recipe
+ * File: recipe.utils.alignment.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Alignment recipe utilities. A recipe is a versioned JSON record of an Alignment Tool
+ * session that can be saved and re-opened later:
+ *
+ * - source image reference of each panel (MLP library file ID and type, or local filename)
+ * - image processing steps applied to each panel in order (crop, resize, tone, rotate, lens, align)
+ * - control points of each panel (incl. real-world coordinates of ground control points)
+ * - alignment report (transform matrix and reprojection errors) of the last alignment
+ *
+ * Library images are refetched when the recipe is opened and the steps are replayed on the
+ * reloaded images; local images must be reopened by the user.
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Initial version
+ * - 18-10-2026   Added tone adjustment steps
+ * - 18-10-2026   Added rotation steps
+ * - 18-10-2026   Added lens correction steps
+ * - 18-10-2026   Added real-world coordinates of control points
+ * - 18-10-2026   Recipe version 2 (tone adjustment steps)
+ * - 18-10-2026   Recipe version 3 (rotation steps)
+ * - 18-10-2026   Recipe version 4 (lens correction steps)
+ * - 18-10-2026   Validate the fields of each step before replay
+ */
+
+import { getError } from "../../../services/schema.services.client";
+import { isGeoPoint } from "./pose.utils.alignment";
+import { lensCoefficients } from "./lens.utils.alignment";
+
+// recipe file format identifier and version
+// - the version is increased when step types or the point schema change:
+//   2 = tone steps, 3 = rotate steps, 4 = lens steps
+export const RECIPE_TYPE = 'mlp-alignment-recipe';
+export const RECIPE_VERSION = 4;
+
+// field checks of recipe steps
+const _isDims = (dims) => !!dims && Number.isFinite(dims.w) && Number.isFinite(dims.h) && dims.w > 0 && dims.h > 0;
+const _isOptional = (value, check) => value === null || value === undefined || check(value);
+const _isBoolean = (value) => typeof value === 'boolean';
+const _isNumbers = (values, length) => Array.isArray(values) && values.length === length
+    && values.every(value => Number.isFinite(value));
+
+// replayable panel processing steps (indexed by step type) and their required fields
+const stepValidators = {
+    crop: ({box}) => _isDims(box) && Number.isFinite(box.x) && Number.isFinite(box.y),
+    resize: ({image_dims, base_dims}) => _isDims(image_dims) && _isDims(base_dims),
+    tone: ({grayscale, match, stretch, clahe}) => _isOptional(grayscale, value => _isNumbers(value, 3))
+        && _isOptional(match, value => ['r', 'g', 'b'].every(channel => _isNumbers(value[channel], 256)))
+        && _isOptional(stretch, value => Number.isFinite(value.low) && Number.isFinite(value.high))
+        && _isOptional(clahe, value => Number.isFinite(value.clipLimit)
+            && Number.isInteger(value.tiles) && value.tiles > 0),
+    rotate: ({angle, flipH, flipV, expand}) => Number.isFinite(angle)
+        && _isOptional(flipH, _isBoolean) && _isOptional(flipV, _isBoolean) && _isOptional(expand, _isBoolean),
+    lens: (step) => lensCoefficients.every(key => Number.isFinite(step[key])),
+    align: ({transform}) => _isNumbers(transform, 8)
+};
+
+/**
+ * Create alignment recipe from the current toolkit state.
+ *
+ * @public
+ * @param iat
+ * @return {Object} recipe
+ */
+
+export const createRecipe = (iat) => {
+    const _getPanel = (panel) => {
+        const {files_id, file_type, filename, source_dims, steps} = panel.properties || {};
+        return {
+            label: panel.properties.label,
+            file: files_id ? {id: files_id, type: file_type} : null,
+            filename: filename,
+            source_dims: source_dims,
+            steps: steps || [],
+            points: panel.pointer.points.map(pt => ({x: pt.x, y: pt.y, ...(isGeoPoint(pt.geo) ? {geo: pt.geo} : {})}))
+        };
+    };
+    return {
+        type: RECIPE_TYPE,
+        version: RECIPE_VERSION,
+        created: new Date().toISOString(),
+        options: {
+            transformModel: iat.options.transformModel,
+            interpolation: iat.options.interpolation
+        },
+        panels: {
+            panel1: iat.panel1.status === 'loaded' ? _getPanel(iat.panel1) : null,
+            panel2: iat.panel2.status === 'loaded' ? _getPanel(iat.panel2) : null
+        },
+        alignment: iat.alignment
+    };
+};
+
+/**
+ * Parse and validate alignment recipe JSON.
+ * - steps are validated with their fields so that malformed recipes are rejected
+ *   before any panel is processed
+ *
+ * @public
+ * @param {String} json
+ * @return {{recipe: Object, error: Object}}
+ */
+
+export const parseRecipe = (json) => {
+    const _error = (key) => ({recipe: null, error: {msg: getError(key, 'canvas'), type: 'error'}});
+    let recipe;
+    try {
+        recipe = JSON.parse(json);
+    } catch (err) {
+        return _error('invalidRecipe');
+    }
+
+    // check file format and version
+    const {type, version, panels} = recipe || {};
+    if (type !== RECIPE_TYPE || !panels) return _error('invalidRecipe');
+    if (!Number.isInteger(version) || version > RECIPE_VERSION) return _error('unsupportedRecipe');
+
+    // check panel steps and control points
+    const valid = Object.keys(panels).every(id => {
+        const entry = panels[id];
+        if (!entry) return true;
+        return ['panel1', 'panel2'].includes(id)
+            && Array.isArray(entry.steps)
+            && entry.steps.every(step => step && stepValidators.hasOwnProperty(step.type)
+                && stepValidators[step.type](step))
+            && Array.isArray(entry.points)
+            && entry.points.every(pt => pt && Number.isFinite(pt.x) && Number.isFinite(pt.y)
+                && (pt.geo === undefined || isGeoPoint(pt.geo)))
+            && (!!(entry.file && entry.file.id && entry.file.type) || !!entry.filename);
+    });
+    if (!valid) return _error('invalidRecipe');
+
+    return {recipe: recipe, error: null};
+};
+
+/**
+ * Check if a panel image is the source image of a recipe panel entry.
+ * - library images are matched by file ID, local images by filename
+ *
+ * @public
+ * @param entry
+ * @param properties
+ * @return {boolean}
+ */
+
+export const isRecipeSource = (entry, properties) => {
+    if (!entry || !properties) return false;
+    return entry.file
+        ? String(properties.files_id) === String(entry.file.id)
+        : properties.filename === entry.filename;
+};
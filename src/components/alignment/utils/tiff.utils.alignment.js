@@ -1,6 +1,6 @@
 /*!
- * MLE.Client.Toolkit.Utilities.Align
- * File: align.utils.alignment.js
+ * MLE.Client.Toolkit.Utilities.TIFF
+ * File: tiff.utils.alignment.js
  * Copyright(c) 2023 Runtime Software Development Inc.
  * Version 2.0
  * MIT Licensed
@@ -8,7 +8,13 @@
  * ----------
  * Description
  *
- * Alignment Tool image alignment utilities. Alternative functions to OpenCV.
+ * Alignment Tool TIFF utilities: TIFF decoding (UTIF) and TIFF encoding of image data.
+ *
+ * The TIFF encoder writes 8-bit or 16-bit RGBA or grayscale images in strips, optionally
+ * compressed with LZW or Deflate (with horizontal differencing predictor). Provenance is
+ * stored in the ImageDescription, Software, DateTime and Artist tags; alignment parameters
+ * (panel processing steps and alignment report) are stored as JSON in a private tag
+ * (65000, see ALIGNMENT_TAG).
  *
  * ----------
  * References
@@ -20,8 +26,407 @@
  * ---------
  * Revisions
  * - 09-07-2023   Major upgrade to Toolkit incl. UI and workflow improvements and OpenCV integration
+ * - 18-10-2026   Added TIFF decoder for use in image worker
+ * - 18-10-2026   Added TIFF encoder with compression, 16-bit grayscale and metadata tags
+ * - 18-10-2026   Keep 16-bit samples of high bit-depth TIFF images on decode
+ * - 18-10-2026   Write 7-bit ASCII to ASCII tags (strip accents, escape JSON)
+ */
+
+import * as UTIF from 'utif';
+import pako from 'pako';
+import {toRGBA8} from './raster.utils.alignment';
+
+// TIFF compression schemes (Compression tag values)
+export const tiffCompressions = {
+    none: 1,
+    lzw: 5,
+    deflate: 8
+};
+
+// private TIFF tag for alignment parameters (JSON)
+export const ALIGNMENT_TAG = 65000;
+
+// default software name for TIFF files
+const SOFTWARE = 'MLE Alignment Tool';
+
+// uncompressed strip size (bytes)
+const STRIP_SIZE = 65536;
+
+// TIFF field types (byte sizes)
+const FIELD_SIZES = {2: 1, 3: 2, 4: 4, 5: 8};
+
+/**
+ * Get 16-bit RGBA samples of decoded TIFF image.
+ * - supports 16-bit grayscale (WhiteIsZero, BlackIsZero) and RGB(A) images with
+ *   chunky (interleaved) samples; returns null for other formats
+ * - UTIF converts decoded 16-bit samples to little-endian byte order
+ *
+ * @private
+ * @param {Object} ifd decoded image file directory
+ * @return {Uint16Array} RGBA samples
+ */
+
+const _getRGBA16 = (ifd) => {
+    const bps = ifd.t258 ? ifd.t258[0] : 1;
+    const photometric = ifd.t262 ? ifd.t262[0] : 2;
+    const samples = ifd.t277 ? ifd.t277[0] : 1;
+    const floating = ifd.t339 && ifd.t339[0] === 3;
+    const planar = ifd.t284 && ifd.t284[0] === 2;
+    if (bps !== 16 || floating || planar || photometric > 2) return null;
+    if (photometric === 2 && samples < 3) return null;
+
+    const {width, height, data} = ifd;
+    const area = width * height;
+    if (data.length < 2 * samples * area) return null;
+    const rgba = new Uint16Array(4 * area);
+    for (let p = 0; p < area; p++) {
+        const j = 2 * samples * p;
+        const i = 4 * p;
+        const s0 = data[j] | (data[j + 1] << 8);
+        if (photometric === 2) {
+            rgba[i] = s0;
+            rgba[i + 1] = data[j + 2] | (data[j + 3] << 8);
+            rgba[i + 2] = data[j + 4] | (data[j + 5] << 8);
+            rgba[i + 3] = samples > 3 ? data[j + 6] | (data[j + 7] << 8) : 0xffff;
+        }
+        else {
+            rgba[i] = rgba[i + 1] = rgba[i + 2] = photometric === 0 ? 0xffff - s0 : s0;
+            rgba[i + 3] = samples > 1 ? data[j + 2] | (data[j + 3] << 8) : 0xffff;
+        }
+    }
+    return rgba;
+};
+
+/**
+ * Decodes TIFF file data to RGBA pixel data (8 bits per channel).
+ * - decodes the first image in the file
+ * - 16-bit images also return their RGBA samples at full bit depth; the 8-bit
+ *   pixel data is then rounded from the 16-bit samples
+ *
+ * @public
+ * @param {ArrayBuffer} buffer
+ * @param {Function} onProgress
+ * @return {{data: Uint8Array, depth: Uint16Array, width: int, height: int}}
+ */
+
+export const decodeTIFF = (buffer, onProgress = null) => {
+    const ifds = UTIF.decode(buffer);
+    if (onProgress) onProgress(0.1);
+    UTIF.decodeImage(buffer, ifds[0]);
+    if (onProgress) onProgress(0.7);
+    const depth = _getRGBA16(ifds[0]);
+    // Uint8Array with RGBA pixels
+    const rgba = depth ? toRGBA8(depth) : UTIF.toRGBA8(ifds[0]);
+    if (onProgress) onProgress(1.0);
+    return {
+        data: rgba,
+        depth: depth,
+        width: ifds[0].width,
+        height: ifds[0].height,
+    };
+};
+
+/**
+ * Encode string as null-terminated 7-bit ASCII bytes for ASCII tags.
+ * - accented characters are replaced by their base letters (e.g. 'é' -> 'e')
+ * - other non-ASCII characters are replaced by '?'
+ *
+ * @private
+ * @param {String} str
+ * @return {Array} bytes
+ */
+
+const _getASCII = (str) => {
+    const ascii = String(str)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[\u0080-\u{10ffff}]/gu, '?');
+    const bytes = [];
+    for (let i = 0; i < ascii.length; i++) bytes.push(ascii.charCodeAt(i));
+    bytes.push(0);
+    return bytes;
+};
+
+/**
+ * Escape non-ASCII characters of JSON string as \uXXXX sequences so that JSON tag
+ * values are stored losslessly in ASCII tags.
+ *
+ * @private
+ * @param {String} json
+ * @return {String} escaped JSON
+ */
+
+const _escapeJSON = (json) => json.replace(/[\u0080-\uffff]/g,
+    c => `\\u${c.charCodeAt(0).toString(16).padStart(4, '0')}`);
+
+/**
+ * Format date as TIFF DateTime string (YYYY:MM:DD HH:MM:SS).
+ *
+ * @private
+ * @param {Date} date
+ * @return {String}
+ */
+
+const _getDateTime = (date) => {
+    const pad2 = (v) => String(v).padStart(2, '0');
+    return `${date.getFullYear()}:${pad2(date.getMonth() + 1)}:${pad2(date.getDate())} `
+        + `${pad2(date.getHours())}:${pad2(date.getMinutes())}:${pad2(date.getSeconds())}`;
+};
+
+/**
+ * Get uncompressed strip of image rows in the output sample format.
+ * - 8-bit source data is scaled to 16 bits (and 16-bit source data to 8 bits) as needed
+ * - grayscale samples are the luma (Rec. 601) of the RGB samples
+ * - the horizontal differencing predictor is applied per channel if requested
+ *
+ * @private
+ * @param {Object} image source RGBA image data (Uint8ClampedArray or Uint16Array)
+ * @param {int} y0 first row
+ * @param {int} rows number of rows
+ * @param {Object} format output sample format
+ * @return {Uint8Array} strip data
+ */
+
+const _getStrip = (image, y0, rows, format) => {
+    const {width, data} = image;
+    const {samples, bitDepth, lsb, predictor} = format;
+    const is16 = data instanceof Uint16Array;
+    const bytesPerSample = bitDepth / 8;
+    const rowSamples = width * samples;
+    const strip = new Uint8Array(rows * rowSamples * bytesPerSample);
+    const row = new Uint16Array(rowSamples);
+    const mask = bitDepth === 16 ? 0xffff : 0xff;
+
+    // convert sample to output bit depth
+    const _convert = (v) => bitDepth === 16
+        ? (is16 ? v : v * 257)
+        : (is16 ? Math.round(v / 257) : v);
+
+    for (let r = 0; r < rows; r++) {
+        const offset = 4 * width * (y0 + r);
+        for (let x = 0; x < width; x++) {
+            const i = offset + 4 * x;
+            if (samples === 1) {
+                row[x] = _convert(Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]));
+            }
+            else {
+                for (let c = 0; c < samples; c++) row[samples * x + c] = _convert(data[i + c]);
+            }
+        }
+        // horizontal differencing (right to left to keep original neighbours)
+        if (predictor) {
+            for (let k = rowSamples - 1; k >= samples; k--) row[k] = (row[k] - row[k - samples]) & mask;
+        }
+        // write samples in file byte order
+        let p = r * rowSamples * bytesPerSample;
+        for (let k = 0; k < rowSamples; k++) {
+            if (bitDepth === 8) strip[p++] = row[k];
+            else if (lsb) {
+                strip[p++] = row[k] & 0xff;
+                strip[p++] = row[k] >> 8;
+            }
+            else {
+                strip[p++] = row[k] >> 8;
+                strip[p++] = row[k] & 0xff;
+            }
+        }
+    }
+    return strip;
+};
+
+/**
+ * Compress strip data with TIFF LZW (MSB-first codes, early change).
+ *
+ * @private
+ * @param {Uint8Array} bytes
+ * @return {Uint8Array} compressed data
  */
 
+const _lzwEncode = (bytes) => {
+    const CLEAR = 256, EOI = 257, FIRST = 258, CODE_MAX = 4095;
+    let out = new Uint8Array(Math.max(1024, bytes.length >> 1));
+    let length = 0, bits = 0, bitCount = 0;
+
+    const _emit = (code, size) => {
+        bits = (bits << size) | code;
+        bitCount += size;
+        while (bitCount >= 8) {
+            if (length === out.length) {
+                const next = new Uint8Array(2 * out.length);
+                next.set(out);
+                out = next;
+            }
+            out[length++] = (bits >>> (bitCount - 8)) & 0xff;
+            bitCount -= 8;
+        }
+        bits &= (1 << bitCount) - 1;
+    };
+
+    let table = new Map();
+    let next = FIRST, size = 9;
+
+    // add table entry after emitted code; reset table when full
+    const _add = (key) => {
+        if (key !== null) table.set(key, next);
+        next++;
+        if (next === CODE_MAX - 1) {
+            _emit(CLEAR, size);
+            table = new Map();
+            next = FIRST;
+            size = 9;
+        }
+        else if (next > (1 << size) - 1) size++;
+    };
+
+    _emit(CLEAR, size);
+    if (bytes.length > 0) {
+        let prefix = bytes[0];
+        for (let i = 1; i < bytes.length; i++) {
+            const k = bytes[i];
+            const key = (prefix << 8) | k;
+            const code = table.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+            _emit(prefix, size);
+            _add(key);
+            prefix = k;
+        }
+        _emit(prefix, size);
+        _add(null);
+    }
+    _emit(EOI, size);
+    if (bitCount > 0) _emit(0, 8 - bitCount);
+    return out.slice(0, length);
+};
+
+/**
+ * Encode RGBA image data as a TIFF file.
+ *
+ * @public
+ * @param {Object} image {data, width, height} with RGBA data (Uint8ClampedArray or Uint16Array)
+ * @param {Object} [options]
+ * @param {boolean} [options.littleEndian=false] - write little-endian (II) file
+ * @param {number} [options.dpi=96] - DPI for both X and Y directions
+ * @param {number} [options.dpiX] - DPI for X direction (overrides options.dpi)
+ * @param {number} [options.dpiY] - DPI for Y direction (overrides options.dpi)
+ * @param {String} [options.compression='none'] - compression scheme (none, lzw, deflate)
+ * @param {number} [options.bitDepth=8] - bits per sample (8 or 16)
+ * @param {boolean} [options.grayscale=false] - write single-channel grayscale image
+ * @param {String} [options.description] - ImageDescription tag
+ * @param {String} [options.software] - Software tag
+ * @param {String} [options.artist] - Artist tag
+ * @param {Date} [options.datetime] - DateTime tag (default now)
+ * @param {Object|String} [options.alignment] - alignment parameters tag (JSON)
+ * @return {ArrayBuffer} TIFF file data
+ */
+
+export const encodeTIFF = (image, options = {}) => {
+    const {width, height} = image;
+    const lsb = !!options.littleEndian;
+    const dpiX = +(options.dpiX || options.dpi || 96) | 0;
+    const dpiY = +(options.dpiY || options.dpi || 96) | 0;
+    const compression = tiffCompressions[options.compression] || tiffCompressions.none;
+    const bitDepth = options.bitDepth === 16 ? 16 : 8;
+    const samples = options.grayscale ? 1 : 4;
+    const predictor = compression !== tiffCompressions.none;
+
+    // encode image data in strips
+    const rowBytes = width * samples * bitDepth / 8;
+    const rowsPerStrip = Math.max(1, Math.min(height, Math.floor(STRIP_SIZE / rowBytes)));
+    const strips = [];
+    for (let y0 = 0; y0 < height; y0 += rowsPerStrip) {
+        const strip = _getStrip(image, y0, Math.min(rowsPerStrip, height - y0),
+            {samples, bitDepth, lsb, predictor});
+        strips.push(compression === tiffCompressions.lzw
+            ? _lzwEncode(strip)
+            : compression === tiffCompressions.deflate ? pako.deflate(strip) : strip);
+    }
+
+    // image file directory entries (sorted by tag)
+    const alignment = options.alignment && _escapeJSON(typeof options.alignment !== 'string'
+        ? JSON.stringify(options.alignment)
+        : options.alignment);
+    const entries = [
+        {tag: 0xfe, type: 4, values: [0]},                                  // NewSubfileType
+        {tag: 0x100, type: 4, values: [width]},                             // ImageWidth
+        {tag: 0x101, type: 4, values: [height]},                            // ImageLength
+        {tag: 0x102, type: 3, values: new Array(samples).fill(bitDepth)},   // BitsPerSample
+        {tag: 0x103, type: 3, values: [compression]},                       // Compression
+        {tag: 0x106, type: 3, values: [samples === 1 ? 1 : 2]},             // Photometric: BlackIsZero or RGB
+        options.description && {tag: 0x10e, type: 2, values: _getASCII(options.description)},
+        {tag: 0x111, type: 4, values: strips.map(() => 0)},                 // StripOffsets
+        {tag: 0x115, type: 3, values: [samples]},                           // SamplesPerPixel
+        {tag: 0x116, type: 4, values: [rowsPerStrip]},                      // RowsPerStrip
+        {tag: 0x117, type: 4, values: strips.map(strip => strip.length)},   // StripByteCounts
+        {tag: 0x11a, type: 5, values: [dpiX, 1]},                           // XResolution
+        {tag: 0x11b, type: 5, values: [dpiY, 1]},                           // YResolution
+        {tag: 0x11c, type: 3, values: [1]},                                 // PlanarConfiguration: chunky
+        {tag: 0x128, type: 3, values: [2]},                                 // ResolutionUnit: inch
+        {tag: 0x131, type: 2, values: _getASCII(options.software || SOFTWARE)},
+        {tag: 0x132, type: 2, values: _getASCII(_getDateTime(options.datetime || new Date()))},
+        options.artist && {tag: 0x13b, type: 2, values: _getASCII(options.artist)},
+        predictor && {tag: 0x13d, type: 3, values: [2]},                    // Predictor: horizontal
+        samples === 4 && {tag: 0x152, type: 3, values: [2]},                // ExtraSamples: unassociated alpha
+        alignment && {tag: ALIGNMENT_TAG, type: 2, values: _getASCII(alignment)}
+    ].filter(entry => entry);
+
+    // compute file layout: header, directory, out-of-line values, strips
+    const ifdSize = 2 + 12 * entries.length + 4;
+    let offset = 8 + ifdSize;
+    entries.forEach(entry => {
+        const size = FIELD_SIZES[entry.type] * (entry.type === 5 ? entry.values.length / 2 : entry.values.length);
+        entry.count = entry.type === 5 ? entry.values.length / 2 : entry.values.length;
+        if (size > 4) {
+            entry.offset = offset;
+            offset += size + (size & 1);
+        }
+    });
+    const stripOffsets = entries.find(entry => entry.tag === 0x111);
+    strips.forEach((strip, i) => {
+        stripOffsets.values[i] = offset;
+        offset += strip.length;
+    });
+
+    const file = new ArrayBuffer(offset);
+    const view = new DataView(file);
+    const file8 = new Uint8Array(file);
+
+    // write values of field type at position
+    const _setValues = (pos, type, values) => {
+        values.forEach((v, i) => {
+            if (type === 2) view.setUint8(pos + i, v);
+            else if (type === 3) view.setUint16(pos + 2 * i, v, lsb);
+            else view.setUint32(pos + 4 * i, v, lsb);
+        });
+    };
+
+    // header
+    view.setUint16(0, lsb ? 0x4949 : 0x4d4d, lsb);
+    view.setUint16(2, 42, lsb);
+    view.setUint32(4, 8, lsb);
+
+    // image file directory
+    view.setUint16(8, entries.length, lsb);
+    entries.forEach((entry, i) => {
+        const pos = 10 + 12 * i;
+        view.setUint16(pos, entry.tag, lsb);
+        view.setUint16(pos + 2, entry.type, lsb);
+        view.setUint32(pos + 4, entry.count, lsb);
+        if (entry.offset) {
+            view.setUint32(pos + 8, entry.offset, lsb);
+            _setValues(entry.offset, entry.type, entry.values);
+        }
+        else _setValues(pos + 8, entry.type, entry.values);
+    });
+    view.setUint32(10 + 12 * entries.length, 0, lsb);
+
+    // image data
+    strips.forEach((strip, i) => file8.set(strip, stripOffsets.values[i]));
+    return file;
+};
+
 /**
  * Static helper object that can convert a CORS-compliant canvas element
  * to a 32-bits TIFF file (buffer, Blob and data-URI). The TIFF is by
@@ -64,6 +469,8 @@ export const CanvasToTIFF = {
      * @param {number} [options.dpi=96] - DPI for both X and Y directions. Default 96 DPI (PPI).
      * @param {number} [options.dpiX=96] - DPI for X directions (overrides options.dpi).
      * @param {number} [options.dpiY=96] - DPI for Y directions (overrides options.dpi).
+     * @param {String} [options.compression='none'] - see encodeTIFF for compression, bit depth and tag options.
+     * @param {Object} [options.image] - image data to encode instead of the canvas data (e.g. 16-bit RGBA data)
      * @static
      */
     toArrayBuffer: function(canvas, callback, options) {
@@ -73,159 +480,17 @@ export const CanvasToTIFF = {
         var me = this;
 
         try {
-            var w          = canvas.width,
-                h          = canvas.height,
-                offset     = 0,
-                iOffset    = 258, // todo calc based on offset field length, add to final offset when compiled
-                //iOffsetPtr,
-                entries	   = 0,
-                offsetList = [],
-                idfOffset,
-                sid        = "\x63\x61\x6e\x76\x61\x73\x2d\x74\x6f\x2d\x74\x69\x66\x66\x20\x30\x2e\x34\0",
-                lsb        = !!options.littleEndian,
-                dpiX	   = +(options.dpiX || options.dpi || 96)|0,
-                dpiY	   = +(options.dpiY || options.dpi || 96)|0,
-                idata      = canvas.getContext("2d").getImageData(0, 0, w, h),
-                length     = idata.data.length,
-                fileLength = iOffset + length,
-                file       = new ArrayBuffer(fileLength),
-                file8      = new Uint8Array(file),
-                view       = new DataView(file),
-                pos        = 0,
-                date       = new Date(),
-                dateStr;
-
-            // Header
-            set16(lsb ? 0x4949 : 0x4d4d);							// II or MM
-            set16(42);												// magic 42
-            set32(8);												// offset to first IFD
-
-            // IFD
-            addIDF();												// IDF start
-            addEntry(0xfe, 4, 1, 0);								// NewSubfileType
-            addEntry(0x100, 4, 1, w);								// ImageWidth
-            addEntry(0x101, 4, 1, h);								// ImageLength (height)
-            addEntry(0x102, 3, 4, offset, 8);						// BitsPerSample
-            addEntry(0x103, 3, 1, 1);								// Compression
-            addEntry(0x106, 3, 1, 2);								// PhotometricInterpretation: RGB
-            addEntry(0x111, 4, 1, iOffset, 0);						// StripOffsets
-            addEntry(0x115, 3, 1, 4);								// SamplesPerPixel
-            addEntry(0x117, 4, 1, length);							// StripByteCounts
-            addEntry(0x11a, 5, 1, offset, 8);						// XResolution
-            addEntry(0x11b, 5, 1, offset, 8);						// YResolution
-            addEntry(0x128, 3, 1, 2);								// ResolutionUnit: inch
-            addEntry(0x131, 2, sid.length, offset, getStrLen(sid));	// sid
-            addEntry(0x132, 2, 0x14, offset, 0x14);					// Datetime
-            addEntry(0x152, 3, 1, 2);								// ExtraSamples
-            endIDF();
-
-            // Fields section > long ---------------------------
-
-            // BitsPerSample (2x4), 8,8,8,8
-            set32(0x00080008);
-            set32(0x00080008);
-
-            // StripOffset to bitmap data
-            //set32(iOffset);
-
-            // StripByteCounts
-            //set32(length);
-
-            // XRes PPI
-            set32(dpiX);
-            set32(1);
-
-            // YRes PPI
-            set32(dpiY);
-            set32(1);
-
-            // sid
-            setStr(sid);
-
-            // date
-            dateStr = date.getFullYear() + ":" + pad2(date.getMonth() + 1) + ":" + pad2(date.getDate()) + " ";
-            dateStr += pad2(date.getHours()) + ":" + pad2(date.getMinutes()) + ":" + pad2(date.getSeconds());
-            setStr(dateStr);
-
-            // Image data here (todo if very large, split into block based copy)
-            file8.set(idata.data, iOffset);
+            var w     = canvas.width,
+                h     = canvas.height,
+                image = options.image || {data: canvas.getContext("2d").getImageData(0, 0, w, h).data, width: w, height: h},
+                file  = encodeTIFF(image, options);
 
             // make actual async
             setTimeout(function() { callback(file) }, me._dly);
         }
         catch(err) {
-            if (me._error) me._error(err.toString())
-        }
-
-        function pad2(str) {
-            str += "";
-            return str.length === 1 ? "0" + str : str
-        }
-
-        // helper method to move current buffer position
-        function set16(data) {
-            view.setUint16(pos, data, lsb);
-            pos += 2
-        }
-
-        function set32(data) {
-            view.setUint32(pos, data, lsb);
-            pos += 4
-        }
-
-        function setStr(str) {
-            var i = 0;
-            while(i < str.length) view.setUint8(pos++, str.charCodeAt(i++) & 0xff, lsb);
-            if (pos & 1) pos++
-        }
-
-        function getStrLen(str) {
-            var l = str.length;
-            return l & 1 ? l + 1 : l
-        }
-
-        function addEntry(tag, type, count, value, dltOffset) {
-            set16(tag);
-            set16(type);
-            set32(count);
-
-            if (dltOffset) {
-                //if (tag === 0x111) iOffsetPtr = pos;
-                //iOffset += dltOffset;
-                offset += dltOffset;
-                offsetList.push(pos);
-            }
-
-            if (count === 1 && type === 3 && !dltOffset) {
-                set16(value);
-                set16(0);	// pad
-            }
-            else {
-                set32(value);
-            }
-
-            entries++
-        }
-
-        function addIDF(offset) {
-            idfOffset = offset || pos;
-            pos += 2;
-        }
-
-        function endIDF() {
-            view.setUint16(idfOffset, entries, lsb);
-            set32(0);
-
-            var delta = 14 + entries * 12; // 14 = offset to IDF (8) + IDF count (2) + end pointer (4)
-
-            // compile offsets
-            for(var i = 0, p, o; i < offsetList.length; i++) {
-                p = offsetList[i];
-                o = view.getUint32(p, lsb);
-                view.setUint32(p, o + delta, lsb);
-            }
-
-            //view.setUint32(iOffsetPtr, iOffset + delta, lsb);
+            if (me._error) me._error(err.toString());
+            else console.error(err);
         }
     },
 
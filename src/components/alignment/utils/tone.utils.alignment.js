@@ -0,0 +1,321 @@
+/*!
+ * MLE.Client.Toolkit.Utilities.Tone
+ * File: tone.utils.alignment.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Tone adjustments for comparing historic and modern images. Adjustments are applied to
+ * RGBA image data in this order:
+ *
+ * 1. Grayscale conversion with selectable channel weights
+ * 2. Histogram matching to the histograms of a reference image
+ * 3. Contrast stretch between low/high luminance percentiles
+ * 4. Contrast limited adaptive histogram equalization (CLAHE) of luminance
+ *
+ * Tone settings are plain objects so that they can be saved as recipe steps:
+ *
+ *   { grayscale: [wr, wg, wb] | null,
+ *     match: { r: [256], g: [256], b: [256] } | null,
+ *     stretch: { low: %, high: % } | null,
+ *     clahe: { clipLimit: Number, tiles: int } | null }
+ *
+ * Transparent pixels (e.g. outside an aligned image) are ignored in histograms and left
+ * unchanged. These functions have no DOM dependencies so they can run in the image worker.
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Initial version
+ */
+
+// grayscale channel weight presets
+export const grayscaleWeights = {
+    luma601: {label: 'Luma (Rec. 601)', weights: [0.299, 0.587, 0.114]},
+    luma709: {label: 'Luma (Rec. 709)', weights: [0.2126, 0.7152, 0.0722]},
+    average: {label: 'Average', weights: [1 / 3, 1 / 3, 1 / 3]},
+    red: {label: 'Red channel', weights: [1, 0, 0]},
+    green: {label: 'Green channel', weights: [0, 1, 0]},
+    blue: {label: 'Blue channel', weights: [0, 0, 1]}
+};
+
+/**
+ * Check if tone settings change the image.
+ *
+ * @public
+ * @param {Object} tone
+ * @return {boolean}
+ */
+
+export const isToneActive = (tone) => {
+    const {grayscale, match, stretch, clahe} = tone || {};
+    return !!(grayscale || match || stretch || clahe);
+};
+
+/**
+ * Compute 8-bit luminance (Rec. 601) of RGBA pixel at byte offset i.
+ *
+ * @private
+ * @param {Uint8ClampedArray} data
+ * @param {int} i
+ * @return {int}
+ */
+
+const _luma = (data, i) => {
+    return Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+};
+
+/**
+ * Compute red, green, blue and luminance histograms of RGBA image data.
+ * - transparent pixels are ignored
+ *
+ * @public
+ * @param {Uint8ClampedArray} data
+ * @return {{r: Array, g: Array, b: Array, l: Array}}
+ */
+
+export const getHistograms = (data) => {
+    const r = new Array(256).fill(0);
+    const g = new Array(256).fill(0);
+    const b = new Array(256).fill(0);
+    const l = new Array(256).fill(0);
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] === 0) continue;
+        r[data[i]]++;
+        g[data[i + 1]]++;
+        b[data[i + 2]]++;
+        l[_luma(data, i)]++;
+    }
+    return {r, g, b, l};
+};
+
+/**
+ * Compute normalised cumulative distribution of histogram.
+ *
+ * @private
+ * @param {Array} histogram
+ * @return {Float64Array} cdf
+ */
+
+const _getCDF = (histogram) => {
+    const cdf = new Float64Array(256);
+    let sum = 0;
+    for (let v = 0; v < 256; v++) {
+        sum += histogram[v];
+        cdf[v] = sum;
+    }
+    if (sum > 0) for (let v = 0; v < 256; v++) cdf[v] /= sum;
+    return cdf;
+};
+
+/**
+ * Compute lookup table mapping a source histogram to a reference histogram.
+ * - each source value maps to the smallest reference value of equal or greater
+ *   cumulative frequency
+ *
+ * @private
+ * @param {Array} source
+ * @param {Array} reference
+ * @return {Uint8Array} lookup table
+ */
+
+const _getMatchTable = (source, reference) => {
+    const srcCDF = _getCDF(source);
+    const refCDF = _getCDF(reference);
+    const table = new Uint8Array(256);
+    let j = 0;
+    for (let v = 0; v < 256; v++) {
+        while (j < 255 && refCDF[j] < srcCDF[v]) j++;
+        table[v] = j;
+    }
+    return table;
+};
+
+/**
+ * Convert RGBA image data to grayscale (in place).
+ *
+ * @private
+ * @param {Uint8ClampedArray} data
+ * @param {Array} weights red, green and blue channel weights
+ */
+
+const _toGrayscale = (data, weights) => {
+    const sum = weights.reduce((total, w) => total + w, 0) || 1;
+    const [wr, wg, wb] = weights.map(w => w / sum);
+    for (let i = 0; i < data.length; i += 4) {
+        const v = wr * data[i] + wg * data[i + 1] + wb * data[i + 2];
+        data[i] = v;
+        data[i + 1] = v;
+        data[i + 2] = v;
+    }
+};
+
+/**
+ * Match channel histograms of RGBA image data to reference histograms (in place).
+ *
+ * @private
+ * @param {Uint8ClampedArray} data
+ * @param {Object} reference histograms
+ */
+
+const _matchHistograms = (data, reference) => {
+    const source = getHistograms(data);
+    const tables = ['r', 'g', 'b'].map(c => _getMatchTable(source[c], reference[c]));
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] === 0) continue;
+        data[i] = tables[0][data[i]];
+        data[i + 1] = tables[1][data[i + 1]];
+        data[i + 2] = tables[2][data[i + 2]];
+    }
+};
+
+/**
+ * Stretch contrast of RGBA image data between luminance percentiles (in place).
+ * - the same linear mapping is applied to all channels to preserve hue
+ *
+ * @private
+ * @param {Uint8ClampedArray} data
+ * @param {Number} low lower percentile (0-100)
+ * @param {Number} high upper percentile (0-100)
+ */
+
+const _stretchContrast = (data, low, high) => {
+    const histogram = new Array(256).fill(0);
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] > 0) histogram[_luma(data, i)]++;
+    }
+    const cdf = _getCDF(histogram);
+    const min = cdf.findIndex(p => p > low / 100);
+    const max = cdf.findIndex(p => p >= high / 100);
+    if (min < 0 || max <= min) return;
+    const scale = 255 / (max - min);
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] === 0) continue;
+        data[i] = (data[i] - min) * scale;
+        data[i + 1] = (data[i + 1] - min) * scale;
+        data[i + 2] = (data[i + 2] - min) * scale;
+    }
+};
+
+/**
+ * Compute clipped equalization lookup table for CLAHE tile histogram.
+ * - counts above the clip limit are redistributed evenly over all bins
+ *
+ * @private
+ * @param {Uint32Array} histogram
+ * @param {int} count pixels in tile
+ * @param {Number} clipLimit
+ * @return {Uint8Array} lookup table
+ */
+
+const _getClippedTable = (histogram, count, clipLimit) => {
+    const table = new Uint8Array(256);
+    if (count === 0) return table.map((_, v) => v);
+    const limit = Math.max(1, Math.round(clipLimit * count / 256));
+    let excess = 0;
+    for (let v = 0; v < 256; v++) {
+        if (histogram[v] > limit) {
+            excess += histogram[v] - limit;
+            histogram[v] = limit;
+        }
+    }
+    const bonus = excess / 256;
+    let sum = 0;
+    for (let v = 0; v < 256; v++) {
+        sum += histogram[v] + bonus;
+        table[v] = Math.min(255, Math.round(255 * sum / count));
+    }
+    return table;
+};
+
+/**
+ * Apply contrast limited adaptive histogram equalization (CLAHE) to RGBA image
+ * data (in place).
+ * - luminance is equalized in a grid of tiles; the lookup tables of the four nearest
+ *   tiles are bilinearly interpolated at each pixel
+ * - RGB channels are scaled by the luminance gain to preserve hue
+ *
+ * @private
+ * @param {Uint8ClampedArray} data
+ * @param {int} width
+ * @param {int} height
+ * @param {Number} clipLimit
+ * @param {int} tiles number of tiles along each axis
+ * @param {Function} onProgress
+ */
+
+const _equalizeCLAHE = (data, width, height, clipLimit, tiles, onProgress) => {
+    const nx = Math.max(1, Math.min(tiles, width));
+    const ny = Math.max(1, Math.min(tiles, height));
+    const tileW = width / nx;
+    const tileH = height / ny;
+
+    // compute luminance and tile lookup tables
+    const luma = new Uint8Array(width * height);
+    const histograms = Array.from({length: nx * ny}, () => new Uint32Array(256));
+    const counts = new Uint32Array(nx * ny);
+    for (let y = 0; y < height; y++) {
+        const ty = Math.min(Math.floor(y / tileH), ny - 1);
+        for (let x = 0; x < width; x++) {
+            const p = x + width * y;
+            if (data[4 * p + 3] === 0) continue;
+            const t = Math.min(Math.floor(x / tileW), nx - 1) + nx * ty;
+            luma[p] = _luma(data, 4 * p);
+            histograms[t][luma[p]]++;
+            counts[t]++;
+        }
+    }
+    const tables = histograms.map((histogram, t) => _getClippedTable(histogram, counts[t], clipLimit));
+
+    // interpolate tile mappings between tile centres
+    for (let y = 0; y < height; y++) {
+        const gy = Math.min(Math.max((y + 0.5) / tileH - 0.5, 0), ny - 1);
+        const y0 = Math.floor(gy), y1 = Math.min(y0 + 1, ny - 1), fy = gy - y0;
+        for (let x = 0; x < width; x++) {
+            const p = x + width * y;
+            const i = 4 * p;
+            if (data[i + 3] === 0) continue;
+            const gx = Math.min(Math.max((x + 0.5) / tileW - 0.5, 0), nx - 1);
+            const x0 = Math.floor(gx), x1 = Math.min(x0 + 1, nx - 1), fx = gx - x0;
+            const v = luma[p];
+            const top = tables[x0 + nx * y0][v] * (1 - fx) + tables[x1 + nx * y0][v] * fx;
+            const bottom = tables[x0 + nx * y1][v] * (1 - fx) + tables[x1 + nx * y1][v] * fx;
+            const mapped = top * (1 - fy) + bottom * fy;
+            if (v === 0) {
+                data[i] = data[i + 1] = data[i + 2] = mapped;
+                continue;
+            }
+            const gain = mapped / v;
+            data[i] = data[i] * gain;
+            data[i + 1] = data[i + 1] * gain;
+            data[i + 2] = data[i + 2] * gain;
+        }
+        // report progress every 64 rows
+        if (onProgress && (y & 63) === 0) onProgress(y / height);
+    }
+};
+
+/**
+ * Apply tone adjustments to RGBA image data.
+ * - returns adjusted copy of the image data
+ *
+ * @public
+ * @param {Uint8ClampedArray} data
+ * @param {int} width
+ * @param {int} height
+ * @param {Object} tone settings
+ * @param {Function} onProgress
+ * @return {Uint8ClampedArray} adjusted image data
+ */
+
+export const adjustTone = (data, width, height, tone, onProgress = null) => {
+    const {grayscale, match, stretch, clahe} = tone || {};
+    const adjusted = new Uint8ClampedArray(data);
+    if (grayscale) _toGrayscale(adjusted, grayscale);
+    if (match) _matchHistograms(adjusted, match);
+    if (stretch) _stretchContrast(adjusted, stretch.low, stretch.high);
+    if (clahe) _equalizeCLAHE(adjusted, width, height, clahe.clipLimit, clahe.tiles, onProgress);
+    return adjusted;
+};
@@ -0,0 +1,195 @@
+/*!
+ * MLE.Client.Toolkit.Utilities.Workers
+ * File: workers.utils.alignment.js
+ * Copyright(c) 2024 Runtime Software Development Inc.
+ * Version 2.0
+ * MIT Licensed
+ *
+ * ----------
+ * Description
+ *
+ * Alignment Tool worker pool. Queues image processing tasks (warping, cropping,
+ * TIFF decoding) to a small pool of web workers (see image.worker.alignment.js)
+ * so that large images do not block the UI. Tasks report progress and can be
+ * cancelled through an optional monitor object:
+ *
+ *   { onStart: (cancel) => {}, onProgress: (percent) => {}, onEnd: () => {} }
+ *
+ * Cancelling a running task terminates its worker; a new worker is created for
+ * the next queued task.
+ *
+ * ---------
+ * Revisions
+ * - 18-10-2026   Initial version
+ */
+
+import { getError } from '../../../services/schema.services.client';
+
+// maximum number of concurrent workers (leave one core for the UI)
+const maxWorkers = Math.max(1, Math.min(4,
+    ((typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2) - 1));
+
+// worker pool state
+const pool = [];
+const queue = [];
+let taskCount = 0;
+
+/**
+ * Check if web workers are available in this environment.
+ *
+ * @public
+ * @return {boolean}
+ */
+
+export const isWorkerSupported = () => {
+    return typeof window !== 'undefined' && typeof window.Worker !== 'undefined';
+};
+
+/**
+ * Notify task monitor that the task has ended.
+ *
+ * @private
+ * @param {Object} task
+ */
+
+const _endTask = (task) => {
+    if (task.monitor && task.monitor.onEnd) task.monitor.onEnd();
+};
+
+/**
+ * Remove worker from pool and stop it.
+ *
+ * @private
+ * @param {Object} slot
+ */
+
+const _removeWorker = (slot) => {
+    const index = pool.indexOf(slot);
+    if (index >= 0) pool.splice(index, 1);
+    slot.worker.terminate();
+};
+
+/**
+ * Handle message posted by worker.
+ *
+ * @private
+ * @param {Object} slot
+ * @param {Object} message
+ */
+
+const _handleMessage = (slot, message) => {
+    const {id, status, progress, result, error} = message || {};
+    const task = slot.task;
+    if (!task || task.id !== id) return;
+
+    // report progress
+    if (status === 'progress') {
+        if (task.monitor && task.monitor.onProgress) task.monitor.onProgress(progress);
+        return;
+    }
+
+    // settle task and free worker
+    slot.task = null;
+    _endTask(task);
+    if (status === 'done') task.resolve(result);
+    else task.reject({msg: error || getError('workerError', 'canvas'), type: 'error'});
+    _dispatch();
+};
+
+/**
+ * Handle uncaught worker error (e.g. worker script failed to load).
+ *
+ * @private
+ * @param {Object} slot
+ * @param {Event} err
+ */
+
+const _handleError = (slot, err) => {
+    console.error(err);
+    const task = slot.task;
+    _removeWorker(slot);
+    if (task) {
+        _endTask(task);
+        task.reject({msg: getError('workerError', 'canvas'), type: 'error'});
+    }
+    _dispatch();
+};
+
+/**
+ * Create new worker and add to pool.
+ *
+ * @private
+ * @return {Object} slot
+ */
+
+const _createWorker = () => {
+    const worker = new Worker(new URL('./image.worker.alignment.js', import.meta.url));
+    const slot = {worker: worker, task: null};
+    worker.onmessage = (e) => _handleMessage(slot, e.data);
+    worker.onerror = (err) => _handleError(slot, err);
+    pool.push(slot);
+    return slot;
+};
+
+/**
+ * Post queued tasks to available workers.
+ *
+ * @private
+ */
+
+const _dispatch = () => {
+    while (queue.length > 0) {
+        const slot = pool.find(s => !s.task) || (pool.length < maxWorkers ? _createWorker() : null);
+        if (!slot) return;
+        const task = queue.shift();
+        slot.task = task;
+        slot.worker.postMessage({id: task.id, type: task.type, payload: task.payload}, task.transfer);
+    }
+};
+
+/**
+ * Cancel queued or running task.
+ *
+ * @private
+ * @param {Object} task
+ */
+
+const _cancelTask = (task) => {
+    const queueIndex = queue.indexOf(task);
+    const slot = pool.find(s => s.task === task);
+
+    // task has already settled
+    if (queueIndex < 0 && !slot) return;
+
+    // remove from queue or stop running worker
+    if (queueIndex >= 0) queue.splice(queueIndex, 1);
+    if (slot) _removeWorker(slot);
+
+    _endTask(task);
+    task.reject({msg: getError('cancelled', 'canvas'), type: 'warning', cancelled: true});
+    _dispatch();
+};
+
+/**
+ * Run image processing task in worker pool.
+ * - data buffers listed in transfer are detached from the caller
+ *
+ * @public
+ * @param {String} type
+ * @param {Object} payload
+ * @param {Array} transfer
+ * @param {Object} monitor
+ * @return {Promise} result
+ */
+
+export const runTask = (type, payload, transfer = [], monitor = null) => {
+    const task = {id: ++taskCount, type: type, payload: payload, transfer: transfer, monitor: monitor};
+    const promise = new Promise((resolve, reject) => {
+        task.resolve = resolve;
+        task.reject = reject;
+    });
+    if (monitor && monitor.onStart) monitor.onStart(() => _cancelTask(task));
+    queue.push(task);
+    _dispatch();
+    return promise;
+};
@@ -84,6 +84,19 @@ import {
     faTools,
     faTrashAlt,
     faUndo,
+    faRedo,
+    faRotateLeft,
+    faRotateRight,
+    faArrowsLeftRight,
+    faArrowsUpDown,
+    faRulerHorizontal,
+    faPaintbrush,
+    faDrawPolygon,
+    faCircleHalfStroke,
+    faPanorama,
+    faLocationCrosshairs,
+    faMountainSun,
+    faShapes,
     faUser,
     faUsers,
     faArrowsAltH,
@@ -197,6 +210,19 @@ library.add(
     faSearch,
     faCog,
     faUndo,
+    faRedo,
+    faRotateLeft,
+    faRotateRight,
+    faArrowsLeftRight,
+    faArrowsUpDown,
+    faRulerHorizontal,
+    faPaintbrush,
+    faDrawPolygon,
+    faCircleHalfStroke,
+    faPanorama,
+    faLocationCrosshairs,
+    faMountainSun,
+    faShapes,
     faImage,
     faImages,
     faCheckCircle,
@@ -302,6 +328,21 @@ const getIconClass = (iconType) => {
         search: 'search',
         magnify: 'search-plus',
         undo: 'undo',
+        redo: 'redo',
+        rotate: 'rotate-right',
+        rotateLeft: 'rotate-left',
+        rotateRight: 'rotate-right',
+        flipH: 'arrows-left-right',
+        flipV: 'arrows-up-down',
+        horizon: 'ruler-horizontal',
+        lens: 'camera-retro',
+        mask: 'paintbrush',
+        polygon: 'draw-polygon',
+        invert: 'circle-half-stroke',
+        panorama: 'panorama',
+        pose: 'location-crosshairs',
+        monoplot: 'mountain-sun',
+        classify: 'shapes',
         reset: 'undo',
         sync: 'sync',
         erase: 'eraser',
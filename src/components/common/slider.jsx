@@ -14,6 +14,7 @@
  * Revisions
  * - 14-07-2023   Redo of slider canvases.
  * - 03-08-2024   Update slider to include image swap controls; centred view.
+ * - 18-10-2026   Swipe, spyglass and checkerboard blend modes replace slider view.
  */
 
 import React, { useEffect, useLayoutEffect, useRef, useState } from 'react';
@@ -28,6 +29,7 @@ import styles from '../styles/slider.module.css';
 import { useWindowSize } from "../../utils/events.utils.client";
 import {usePointer} from "../alignment/tools/pointer.alignment";
 import MagnifierTool from '../alignment/canvas/magnifier.canvas.alignment';
+import { BlendMenu, useBlend } from '../alignment/tools/blend.alignment';
 
 /**
  * Image slider component.
@@ -55,17 +57,11 @@ const Slider = ({ images = [] }) => {
     const imageLayer1 = useRef(null);
     const imageLayer2 = useRef(null);
     const defaultControlLayer = useRef();
-    const sliderControlLayer = useRef();
     const magControlLayer = useRef(null);
     const magnifiedImage1 = useRef(null);
     const magnifiedImage2 = useRef(null);
     const magnifierLayer = useRef(null);
 
-    // create reference to panel resizer
-    let sliding = false;
-    let slideWidth = 0;
-    let slideInit = 0;
-
     const [canvasWidth, setCanvasWidth] = React.useState(DEFAULT_CANVAS_WIDTH);
     const [canvasHeight, setCanvasHeight] = React.useState(DEFAULT_CANVAS_HEIGHT);
 
@@ -73,8 +69,6 @@ const Slider = ({ images = [] }) => {
     const [status2, setStatus2] = React.useState('empty');
     const [message, setMessage] = React.useState('empty');
 
-    const [viewWidth, setViewWidth] = React.useState(0);
-    const [viewDims, setViewDims] = React.useState(null);
     const [viewMode, setViewMode] = React.useState(null);
     const [toggle, setToggle] = React.useState(false);
     const [properties, setProperties] = React.useState({
@@ -95,6 +89,9 @@ const Slider = ({ images = [] }) => {
     // initialize canvas pointers
     const pointer = usePointer(properties);
 
+    // top layer blend mode (single view)
+    const blend = useBlend();
+
     /**
      * Render image 1 data on canvas layer 1
      *
@@ -122,33 +119,7 @@ const Slider = ({ images = [] }) => {
         );
 
         // Render image to canvas by view mode
-        if (viewMode === 'slider') {
-            // set canvas width to default;
-            setCanvasWidth(DEFAULT_CANVAS_WIDTH);
-            renderLayer1.current.setWidth(DEFAULT_CANVAS_WIDTH);
-            // compute image x offset
-            const _viewOffset1 = (DEFAULT_CANVAS_WIDTH - viewDims1.w) / 2;
-            renderLayer1.current.draw(imageLayer1.current, {
-                view: { x: _viewOffset1, y: 0, w: toggle ? viewDims1.w / 2 : viewDims1.w, h: viewDims1.h },
-                source: { x: 0, y: 0, w: toggle ? imageLayer1.current.width / 2 : imageLayer1.current.width, h: imageLayer1.current.height }
-            });
-            // draw magnified image to canvas
-            magnifiedImage1.current.setWidth(MAGNIFICATION * viewDims1.w);
-            magnifiedImage1.current.setHeight(MAGNIFICATION * viewDims1.h);
-            magnifiedImage1.current.draw(imageLayer1.current, {
-                view: { x: 0, y: 0, w: MAGNIFICATION * viewDims1.w, h: MAGNIFICATION * viewDims1.h },
-                source: { x: 0, y: 0, w: imageLayer1.current.width, h: imageLayer1.current.height  }
-            });
-            // update properties
-            setProperties(prevState => ({...prevState,
-                bounds: renderLayer1.current.bounds(),
-                base_dims: { w: DEFAULT_CANVAS_WIDTH, h: DEFAULT_CANVAS_HEIGHT },
-                render_dims: { x: _viewOffset1, y: 0, w: viewDims1.w, h: viewDims1.h },
-                magnified_dims: { x: 0, y: 0, w: MAGNIFICATION * viewDims1.w, h: MAGNIFICATION * viewDims1.h }
-            }));
-            
-        }
-        else if (viewMode === 'double') {
+        if (viewMode === 'double') {
             // set canvas width to double
             const _combinedWidth = viewDims1.w + viewDims2.w;
             setCanvasWidth(_combinedWidth);
@@ -203,12 +174,6 @@ const Slider = ({ images = [] }) => {
 
         // reset canvas height
         setCanvasHeight(viewDims1.h);
-
-        // set initial view dims
-        if (toggle) {
-            setViewWidth(viewMode === 'slider' ? viewDims1.w / 2 : viewDims1.w);
-            setViewDims(viewDims1);
-        }
     }
 
     /**
@@ -238,26 +203,7 @@ const Slider = ({ images = [] }) => {
         );
 
         // Render image to canvas based on view mode
-        if (viewMode === 'slider') {
-            // set canvas width to default
-            setCanvasWidth(DEFAULT_CANVAS_WIDTH);
-            renderLayer2.current.setWidth(DEFAULT_CANVAS_WIDTH);
-            // compute image x offset
-            const _viewOffset2 = (DEFAULT_CANVAS_WIDTH - viewDims1.w) / 2;
-            // render image
-            renderLayer2.current.draw(imageLayer2.current, {
-                view: { x: _viewOffset2, y: 0, w: !toggle ? viewDims2.w / 2 : viewDims2.w, h: viewDims2.h },
-                source: { x: 0, y: 0, w: !toggle ? imageLayer2.current.width / 2 : imageLayer2.current.width, h: imageLayer2.current.height }
-            });
-            // draw magnified image to canvas
-            magnifiedImage2.current.setWidth(MAGNIFICATION * viewDims2.w);
-            magnifiedImage2.current.setHeight(MAGNIFICATION * viewDims2.h);
-            magnifiedImage2.current.draw(imageLayer2.current, {
-                view: { x: 0, y: 0, w: MAGNIFICATION * viewDims2.w, h: MAGNIFICATION * viewDims2.h },
-                source: { x: 0, y: 0, w: imageLayer2.current.width, h: imageLayer2.current.height  }
-            });
-        }
-        else if (viewMode === 'double') {
+        if (viewMode === 'double') {
             // clear canvas 2 (image 2)
             renderLayer2.current.clear();
             // draw image 2 to canvas 1 with offset
@@ -301,12 +247,6 @@ const Slider = ({ images = [] }) => {
 
         // reset canvas height
         setCanvasHeight(viewDims2.h);
-
-        // set initial view dims
-        if (!toggle) {
-            setViewWidth(viewMode === 'slider' ? viewDims2.w / 2 : viewDims2.w);
-            setViewDims(viewDims2);
-        }
     }
 
 
@@ -469,53 +409,56 @@ const Slider = ({ images = [] }) => {
         }
     }, [pointer.x, pointer.y, pointer.magnify, viewMode]);
 
-    /* Initialize panel resize */
-    function _resizeStart(e) {
-        /* if slider is no longer engaged, exit this function: */
-        if (sliding) return false;
-        sliding = true;
-        slideInit = e.pageX;
-        slideWidth = viewWidth;
-    }
+    /**
+     * Get rendered dimensions of the top image layer (single view)
+     *
+     * @private
+     * @return {Object} render dimensions
+     */
 
-    /* Position the slider and resize panel */
-    function _resizeEnd() {
-        /* if slider is no longer engaged, exit this function: */
-        if (!sliding) return false;
-        sliding = false;
-        setViewWidth(slideWidth);
+    const _getTopView = () => {
+        if (!imageLayer1.current || !imageLayer2.current) return null;
+        const topImage = toggle ? imageLayer1.current : imageLayer2.current;
+        const viewDims1 = scaleToFit(
+            imageLayer1.current.width,
+            imageLayer1.current.height,
+            DEFAULT_CANVAS_WIDTH,
+            DEFAULT_CANVAS_HEIGHT,
+        );
+        const topDims = scaleToFit(topImage.width, topImage.height, DEFAULT_CANVAS_WIDTH, DEFAULT_CANVAS_HEIGHT);
+        return { x: (DEFAULT_CANVAS_WIDTH - viewDims1.w) / 2, y: 0, w: topDims.w, h: topDims.h };
     }
 
-    /* Position the slider and resize panel */
-    function _resize(e) {
-
-
-        /* if slider is no longer engaged, exit this function: */
-        if (!sliding) return false;
-
-        // compute adjusted widths
-        const _viewWidth = viewWidth - Math.round(slideInit - e.pageX);
-        const _imageFullWidth = toggle ? imageLayer1.current.width : imageLayer2.current.width;
-        const _imageWidth = Math.round(_viewWidth * (_imageFullWidth / viewDims.w));
-        const _viewOffset = (canvasWidth - viewDims.w) / 2;
+    /**
+     * Redraw top image layer clipped by the blend mode (single view).
+     *
+     * @private
+     */
 
-        // load data into canvas layer
-        // - initially show half of top layer image
-        toggle ? 
-        renderLayer1.current.draw(imageLayer1.current, {
-            view: { x: _viewOffset, y: 0, w: _viewWidth, h: viewDims.h },
-            source: { x: 0, y: 0, w: _imageWidth, h: imageLayer1.current.height }
-        }) 
-        :
-        renderLayer2.current.draw(imageLayer2.current, {
-            view: { x: _viewOffset, y: 0, w: _viewWidth, h: viewDims.h },
-            source: { x: 0, y: 0, w: _imageWidth, h: imageLayer2.current.height }
-        });
+    useEffect(() => {
+        if (viewMode === 'double' || status1 !== 'loaded' || status2 !== 'loaded') return;
+        const view = _getTopView();
+        if (!view) return;
+        const renderLayer = toggle ? renderLayer1.current : renderLayer2.current;
+        const topImage = toggle ? imageLayer1.current : imageLayer2.current;
+        renderLayer.draw(topImage, {
+            view: view,
+            source: { x: 0, y: 0, w: topImage.width, h: topImage.height }
+        }, true, blend.clip(view, { w: DEFAULT_CANVAS_WIDTH, h: DEFAULT_CANVAS_HEIGHT }));
+    }, [
+        viewMode, toggle, status1, status2,
+        blend.mode, blend.orientation, blend.position, blend.lens, blend.radius, blend.size
+    ]);
 
-        // set slide width
-        slideWidth = _viewWidth;
+    /**
+     * Select blend mode (single view only).
+     *
+     * @private
+     */
 
-    }
+    useEffect(() => {
+        if (blend.mode !== 'opacity') setViewMode(null);
+    }, [blend.mode]);
 
     /* Show magnifier viewer at pointer position */
     function _setPointer(e) {    
@@ -527,7 +470,12 @@ const Slider = ({ images = [] }) => {
         <div className={styles.slider}>
             {(status1 !== 'loaded' || status2 !== 'loaded') && <Loading className={'centered'} overlay={true} />}
             {message && <UserMessage message={message} />}
-            <div className={styles.container} style={{ height: `${canvasHeight}px`, width: `${canvasWidth}px`, margin: 'auto' }}>
+            <div
+                className={styles.container}
+                style={{ height: `${canvasHeight}px`, width: `${canvasWidth}px`, margin: 'auto' }}
+                tabIndex={0}
+                onKeyDown={(e) => { blend.keyDown(e, _getTopView()) }}
+            >
                 {
                 pointer.magnify && <Canvas
                     ref={magControlLayer}
@@ -539,30 +487,26 @@ const Slider = ({ images = [] }) => {
                     onMouseMove={_setPointer}
                     /> 
                 }
-                {
-                viewMode === 'slider' && <Canvas
-                    ref={sliderControlLayer}
-                    style={{zIndex: 50, cursor: 'col-resize'}}
-                    id={`image_control_slider`}
-                    className={styles.overlay}
-                    width={canvasWidth}
-                    height={DEFAULT_CANVAS_HEIGHT}
-                    onMouseDown={_resizeStart}
-                    onMouseUp={_resizeEnd}
-                    onMouseMove={_resize}
-                    onTouchStart={_resizeStart}
-                    onTouchEnd={_resizeEnd}
-                    onTouchMove={_resize}
-                    /> 
-                }
                 <Canvas
                     ref={defaultControlLayer}
                     id={`default_control`}
-                    style={{zIndex: 35, cursor: 'default'}}
+                    style={{
+                        zIndex: 35,
+                        cursor: blend.mode === 'swipe'
+                            ? (blend.orientation === 'horizontal' ? 'row-resize' : 'col-resize')
+                            : blend.mode === 'spyglass' ? 'crosshair' : 'default',
+                        touchAction: blend.mode === 'opacity' ? 'auto' : 'none'
+                    }}
                     className={styles.overlay}
                     width={canvasWidth}
                     height={DEFAULT_CANVAS_HEIGHT}
-                    onMouseMove={_setPointer}
+                    onMouseDown={(e) => { blend.start(e, _getTopView()) }}
+                    onMouseMove={(e) => { blend.move(e, _getTopView()); _setPointer(e) }}
+                    onMouseUp={() => { blend.end() }}
+                    onMouseLeave={() => { blend.end() }}
+                    onTouchStart={(e) => { blend.start(e, _getTopView()) }}
+                    onTouchMove={(e) => { blend.move(e, _getTopView()) }}
+                    onTouchEnd={() => { blend.end() }}
                     /> 
                 <MagnifierTool
                     style={{'zIndex': 25}}
@@ -622,24 +566,23 @@ const Slider = ({ images = [] }) => {
                 <li><Button
                         title={'View Image'}
                         label={'Single View'}
-                        className={`capture-button ${!viewMode && 'active'}`}
+                        className={`capture-button ${!viewMode && blend.mode === 'opacity' && 'active'}`}
                         icon={'image'}
-                        onClick={() => {setViewMode(null)}}
+                        onClick={() => {setViewMode(null); blend.setMode('opacity')}}
                     /></li>
                     <li><Button
                         title={'Compare Images side-by-side.'}
                         label={'Double View'}
                         className={`capture-button ${viewMode === 'double' && 'active'}`}
                         icon={'images'}
-                        onClick={() => {setViewMode('double')}}
-                    /></li>
-                    <li><Button
-                        title={'Compare Images using Slider'}
-                        label={'Slider View'}
-                        className={`capture-button ${viewMode === 'slider' && 'active'}`}
-                        icon={'slider'}
-                        onClick={() => {setViewMode('slider')}}
+                        onClick={() => {setViewMode('double'); blend.setMode('opacity')}}
                     /></li>
+                    <BlendMenu
+                        blend={blend}
+                        modes={['swipe', 'spyglass', 'checkerboard']}
+                        activeClass={'capture-button active'}
+                        inactiveClass={'capture-button'}
+                    />
                     <li><Button
                         icon={'sync'}
                         className={`capture-button`}
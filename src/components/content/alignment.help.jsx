@@ -13,6 +13,8 @@
  * ---------
  * Revisions
  * - 09-07-2023   Updated instructions for upgraded alignment workflows and features.
+ * - 18-10-2026   Noted memory use of tiled image pyramids.
+ * - 18-10-2026   Updated memory use of tiled image pyramids.
  */
 
 import React from 'react';
@@ -111,12 +113,12 @@ const tooltips = {
             <li>Click the <Icon type={'crosshairs'} /> <b>Align</b> button from the centre menu OR hit
                 the <code>shift</code> key to switch to control point selection.
                 The mouse cursor will appear as a crosshair. Click on a visual feature in the image to select each point.
-                Four corresponding control points selected from each image are required for alignment.
+                At least four (and up to thirty) corresponding control points selected from each image are required for alignment.
             </li>
-            <li>Identify four corresponding features in the image. Use these guidelines for selection: (1) The control
+            <li>Identify corresponding features in the image. Use these guidelines for selection: (1) The control
                 points should be pixels that you can identify in both images that haven’t varied over time. (2) The
-                control points need to be spread in a box shape around the image; (3) Select points that reduce
-                the collinearity coefficient as close to zero as possible. (4) To select more precise control points,
+                control points need to be spread in a box shape around the image; (3) Avoid placing control points
+                along a single line. (4) To select more precise control points,
                 use pan and zoom into the region of interest, or use the image magnifier by holding down the <code>ctrl</code> key .
             </li>
             <li>Selected control points will appear on the image as cross-shaped markers numbered in the order they were created.
@@ -124,10 +126,41 @@ const tooltips = {
                 "Overlay" to view both sets of control points on the same image.</li>
             <li>You can adjust the coordinates or delete control point by clicking the marker icon in the Control
                 Points tool.</li>
-            <li>Once four control point pairs have been selected, from the panel of the 'target' image to be transformed,
+            <li>To place control points automatically, click the <Icon type={'align'} /> <b>Suggest Points</b> button
+                in either panel menu (requires OpenCV). Matching features are detected in both images (select ORB or
+                AKAZE features in the centre menu) and up to 12 candidate pairs are added to both panels as yellow
+                markers. Accept or reject each suggested pair from the Control Points tool (or use "Accept All" /
+                "Reject All"), or drag a marker to nudge it into place. Suggested points must be accepted or rejected
+                before aligning; previously accepted control points are kept.</li>
+            <li>To place corresponding control points with sub-pixel accuracy, turn on <Icon type={'magnify'} /> <b>Refine</b>
+                in the Control Points tool. After a control point is placed or dragged in one panel, the matching point
+                in the other panel is snapped to the best match of a small image patch around the point
+                (normalized cross-correlation), searched within a window around its current position. The search window
+                and match score are shown in the magnifier, and the score is listed for each refined point.
+                Low-scoring matches are not applied. The setting is kept for the browser session.</li>
+            <li>Once matching control point pairs have been selected, from the panel of the 'target' image to be transformed,
                 click the green "Align" button on the Align tool. The image will be transformed
                 using perspective transformation
                 (See <a target={'_blank'} rel={"noreferrer"} href={'https://docs.opencv.org/4.x/da/d54/group__imgproc__transform.html'}>OpenCV documentation</a>).
+                With more than four pairs, the transformation is fitted to all points and badly placed points are
+                rejected as outliers; outlier control points are highlighted in the Control Points tool.
+                Use the "Transform" selector to choose the transformation model: <b>Similarity</b> (rotation, uniform
+                scale and translation; at least 2 point pairs), <b>Affine</b> (adds shear and non-uniform scaling; at
+                least 3 pairs) or <b>Perspective</b> (full homography; at least 4 pairs). Similarity or affine
+                transforms are more stable for images taken from nearly the same camera position. Control points must
+                not coincide, must not all lie on a line (affine and perspective) and, with exactly four pairs for a
+                perspective transform, no three may lie on a line.
+                Use the "Interpolation" selector beside the Align button to choose how the transformed image is
+                resampled (nearest neighbour, bilinear or bicubic).
+            </li>
+            <li>After alignment, the Control Points tool shows the reprojection error (in pixels) of each control
+                point and the RMS error for the whole set. Markers on the canvas are colour-coded: red for outliers or
+                errors above the outlier threshold, orange for errors above half the threshold. The report is saved
+                alongside the aligned image when it is downloaded or uploaded.
+            </li>
+            <li>Large images are aligned, cropped and (for TIFF files) decoded in the background so the page stays
+                responsive. A progress bar is shown over the panel while the image is processed; click "Cancel" to
+                stop processing and keep the current image.
             </li>
             <li>To validate the alignment, click the <Icon type={'images'} /> <b>Compare</b> button in the centre menu to
                 load the images into the <b>Compare Tool</b>. The images will appear superimposed. Use the opacity slider to compare
@@ -135,6 +168,90 @@ const tooltips = {
                 same size in the Compare Tool (follow the same instructions as for panel cropping). Once a crop has been applied,
                 click "Save" to replace the panel images with the cropped versions.
                 .</li>
+            <li>Besides opacity, the Compare Tool offers three ways to reveal the bottom image: <b>Swipe</b> drags a
+                vertical or horizontal curtain across the top image, <b>Spyglass</b> shows the bottom image inside a
+                circular lens under the cursor, and <b>Checkerboard</b> alternates tiles of both images. Drag the
+                curtain or lens with the mouse or by touch, or use the arrow keys (hold Shift for larger steps); the +
+                and - keys change the lens radius or tile size, and the O key toggles the curtain orientation. The same
+                modes are available in the image comparison view of captures.</li>
+            <li>To share a "then and now" comparison, click <Icon type={'download'} /> <b>Flicker</b> in the centre
+                menu. The animation cycles between the two panel images, holding each image for the hold time and
+                crossfading between them (set the crossfade to 0 for a hard cut). Captions are drawn along the bottom of
+                each image, and the images are scaled to fit the selected width and height. Animated GIFs loop
+                indefinitely; WebM videos are recorded in real time for the selected number of cycles.</li>
+            <li>To find changes between aligned images, click <Icon type={'filter'} /> <b>Changes</b> in the Compare Tool
+                and then "Detect Changes". The per-pixel difference of the images is shown as an additional layer over
+                the first image: a heatmap, a change mask of pixels that differ by at least the threshold, or the
+                difference image itself. The percentage of changed pixels is shown beside the controls; select a crop box
+                and check "Within selection" to limit the statistics to a region. Click "Download" to save the selected
+                layer as an image file along with its statistics (JSON). Moving or cropping the images resets the
+                change detection.</li>
+            <li>To save the session, click <Icon type={'save'} /> <b>Save Recipe</b> in the centre menu. The recipe
+                file (JSON) records the source image of each panel, the crop, resize, tone, rotation, lens correction and alignment steps applied to each
+                panel in order, the control points and the alignment report. Click <Icon type={'import'} /> <b>Open
+                Recipe</b> to reopen a saved recipe: MLP library images are reloaded automatically and the recorded
+                steps are reapplied; local image files must be reopened in their panel to apply their steps.</li>
+            <li>To compare a faded historic image with a modern colour image, click the <Icon type={'adjust'} /> <b>Adjust
+                Tone</b> button in the panel menu. Convert the image to grayscale (choose the channel weights), match its
+                histogram to the image in the opposite panel, stretch its contrast between luminance percentiles, or apply
+                adaptive equalization (CLAHE) to faded plates. Changes are previewed beside the opposite panel image and
+                are only applied to the panel image when you click "Save"; the step can be undone and is recorded in
+                alignment recipes.</li>
+            <li>To straighten a tilted plate, click the <Icon type={'rotate'} /> <b>Rotate</b> button in the panel
+                menu. Enter a clockwise angle, rotate in 90° steps or flip the image horizontally or vertically. Click
+                <Icon type={'horizon'} /> <b>Draw Horizon</b> and drag a line along the horizon (or a vertical edge)
+                of the panel image to compute the levelling angle. Rotated images are expanded to fit unless "Expand
+                image to fit" is unchecked. Rotation clears the panel control points; the step can be undone and is
+                recorded in alignment recipes.</li>
+            <li>Wide-angle lenses bend straight lines (barrel distortion), which no alignment transform can remove.
+                Before placing control points, click the <Icon type={'lens'} /> <b>Lens</b> button in the panel menu
+                and adjust the radial coefficients k1 and k2 (negative k1 corrects barrel distortion, positive k1
+                pincushion distortion) and, if needed, the tangential coefficients p1 and p2 until straight lines in
+                the preview follow the grid. For library images with a lens record, click "Save Preset" to reuse the
+                coefficients for other images taken with the same lens and focal length. Lens correction clears the
+                panel control points; the step can be undone and is recorded in alignment recipes.</li>
+            <li>Surveyors often shot several overlapping plates from one station. To stitch them, load one of the
+                captures from the library into a panel and click the <Icon type={'panorama'} /> <b>Panorama</b> button
+                in the panel menu. Select the overlapping captures of the same visit (or location) in order from left to
+                right and set the horizontal field of view of the camera. The captures are projected onto a cylinder,
+                matched and blended into one panorama that is loaded into the panel, so that it can be aligned against
+                a modern panoramic repeat in the opposite panel. Stitching requires the OpenCV library.</li>
+            <li>Station and location coordinates are often estimated. To solve the camera position from the image,
+                select control points on recognisable features (summits, survey markers, buildings) and enter their
+                latitude, longitude and elevation in the control point editor. Then click
+                the <Icon type={'pose'} /> <b>Pose</b> button in the panel menu to estimate the camera position,
+                azimuth, tilt and focal length with their uncertainties from at least four (preferably six or more)
+                ground control points. Check the reprojection error of each point for mistyped coordinates.
+                Administrators can open the station (or location) edit form prefilled with the estimated coordinates
+                and azimuth to review and save them.</li>
+            <li>To exclude regions that have changed or should not be compared (sky, vegetation, the photographer's
+                tripod, image borders), click the <Icon type={'mask'} /> <b>Mask</b> button in the main menu and paint
+                over them with the brush or draw polygons (click to add vertices; click the first vertex or "Close" to
+                fill the polygon). Check "Erase" to remove masked regions, or invert or clear the mask. Masked regions
+                are excluded from control point suggestion, alignment error metrics and change detection, and the mask
+                follows the image through crop, resize, rotation, lens correction and alignment. Download the mask as a
+                PNG image or as polygon outlines (JSON) in image coordinates. Mask edits can be undone.</li>
+            <li>To map features visible in the image (glaciers, tree lines, burn scars), first estimate the camera pose of
+                the panel with the <Icon type={'pose'} /> <b>Pose</b> button, then outline the features with
+                the <Icon type={'mask'} /> <b>Mask</b> tool. Click the <Icon type={'monoplot'} /> <b>Monoplot</b> button
+                in the panel menu and select a local DEM GeoTIFF (geographic or UTM coordinates) that covers the camera
+                view. The outlines are projected onto the terrain and downloaded as GeoJSON polygons with the map feature
+                name, type and description, ready to be imported as map features. Outline vertices that fall on the sky
+                or outside the DEM are skipped, and the affected features are flagged as incomplete.</li>
+            <li>To quantify land-cover change between aligned images, click the <Icon type={'classify'} /> <b>Classify</b> button
+                in the main menu. Select a class (forest, snow/ice, rock, meadow or your own classes) in the panel
+                controls and click on representative pixels of it in each image; click a sample again to remove it.
+                Then click <b>Classify</b> to classify both images by nearest class centroid or k-means clustering
+                seeded by the samples. The dialog reports the area percentage of each class in the historic and modern
+                images and the transition matrix (the share of pixels that changed from one class to another). Download
+                the report as CSV and the class maps as PNG images. Masked regions are not classified, and samples are
+                cleared when an image is cropped or resized.</li>
+            <li>Crop, resize, tone, rotation, lens correction, alignment, mask, reset and control point edits can be undone in each panel. Click
+                the <Icon type={'undo'} /> <b>Undo</b> or <Icon type={'redo'} /> <b>Redo</b> buttons in the panel menu,
+                or hit Ctrl/Cmd+Z to undo and Ctrl/Cmd+Shift+Z (or Ctrl/Cmd+Y) to redo the last command. Use
+                the <Icon type={'list'} /> <b>History</b> list to step back or forward through several commands at once.
+                The history keeps up to 30 steps per panel and up to 256 MB of images; the oldest steps are
+                dropped first. Loading a new image clears the panel history.</li>
         </ol>
     </div>
 }
@@ -182,8 +299,11 @@ const alignmentHelp = (gotoPage) => {
 
         <h5>Loading Images</h5>
         <p>
-            Use one of the following methods to load JPEG, PNG, or TIFF images into a panel:
+            Use one of the following methods to load JPEG, PNG, TIFF or camera RAW images into a panel:
         </p>
+        <p>DNG files are decoded from the raw sensor data at full resolution (16 bits per channel). Other RAW
+            formats (e.g. CR2, NEF, ARW, RAF) are loaded from the JPEG preview embedded in the file; a message shows
+            the preview resolution. Convert these files to DNG to load the full sensor resolution.</p>
         <table className={'help'}>
             <tbody>
             <tr>
@@ -217,7 +337,10 @@ const alignmentHelp = (gotoPage) => {
 
         <h5>Zoom</h5>
         <p>Zoom in or out of images by clicking the <Icon type={'zoomIn'} /> or  <Icon type={'zoomOut'} /> panel
-            control buttons.</p>
+            control buttons. Very large images (e.g. high-resolution scans) are displayed from a tiled
+            image pyramid: only the visible tiles are drawn, at a resolution matching the zoom level. This speeds
+            up panning and zooming, and the full-sized image is kept only once in memory while it is not
+            being processed.</p>
 
         <h5>Pan</h5>
         <p>Loaded images can be moved on the canvas when in <b>Pan</b> mode. Click and drag the image to
@@ -336,7 +459,10 @@ const alignmentHelp = (gotoPage) => {
             <tr>
                 <th>OpenCV</th>
                 <td>
-                    <p>Load status of the OpenCV.js library [loaded|not loaded].</p>
+                    <p>Load status of the OpenCV.js library [loading|loaded|failed|off]. OpenCV is loaded from the
+                        application when the Alignment Tool opens; until it has loaded (or if it fails to load), image
+                        transformations use the slower JavaScript implementation. Use the <b>Force JS</b> button in the
+                        centre menu to switch OpenCV off for the current browser session.</p>
                 </td>
             </tr>
             </tbody>
@@ -370,6 +496,15 @@ const alignmentHelp = (gotoPage) => {
                 <td>
                     <p>Downloads the panel image as a file to the local filesystem. Available formats: JPEG, PNG,
                         TIFF.</p>
+                    <p>TIFF files can be compressed (LZW or Deflate) and saved as 8-bit RGBA, 8-bit grayscale,
+                        16-bit RGBA or 16-bit grayscale for archival masters. The optional artist and description are stored in the
+                        file tags together with the software and date; the alignment recipe (processing steps,
+                        control points and alignment report) is stored in a private tag (65000) so the master
+                        carries its own history.</p>
+                    <p>16-bit TIFF scans keep their full bit depth: cropping, resizing and alignment are also
+                        applied to the 16-bit image data, which is saved when a 16-bit sample format is selected.
+                        Tone adjustments reduce the image to 8 bits per channel. The Info Panel shows the current
+                        and original bit depth.</p>
                 </td>
             </tr>
             <tr>
@@ -402,6 +537,41 @@ const alignmentHelp = (gotoPage) => {
                     <p>Opens the Resizer tool that allows you to change the image or the canvas dimensions.</p>
                 </td>
             </tr>
+            <tr>
+                <th><Icon type={'rotate'} /></th>
+                <th>Rotate</th>
+                <td>
+                    <p>Opens the Rotator tool to rotate, flip or level the image (by drawing a horizon line).</p>
+                </td>
+            </tr>
+            <tr>
+                <th><Icon type={'panorama'} /></th>
+                <th>Panorama</th>
+                <td>
+                    <p>Opens the panorama tool to stitch overlapping captures of the station into a panorama.</p>
+                </td>
+            </tr>
+            <tr>
+                <th><Icon type={'pose'} /></th>
+                <th>Pose</th>
+                <td>
+                    <p>Estimates the camera position and orientation from control points with real-world coordinates.</p>
+                </td>
+            </tr>
+            <tr>
+                <th><Icon type={'monoplot'} /></th>
+                <th>Monoplot</th>
+                <td>
+                    <p>Projects features drawn on the image onto a DEM and exports them as GeoJSON map features.</p>
+                </td>
+            </tr>
+            <tr>
+                <th><Icon type={'lens'} /></th>
+                <th>Lens</th>
+                <td>
+                    <p>Opens the lens correction tool to remove radial and tangential lens distortion.</p>
+                </td>
+            </tr>
             <tr>
                 <th><Icon type={'compress'} /></th>
                 <th>Fit</th>
@@ -430,6 +600,13 @@ const alignmentHelp = (gotoPage) => {
                     <p>Shrink the image view.</p>
                 </td>
             </tr>
+            <tr>
+                <th><Icon type={'align'} /></th>
+                <th>Suggest Points</th>
+                <td>
+                    <p>Suggests matching control point pairs for both panels using image feature matching (requires OpenCV).</p>
+                </td>
+            </tr>
             <tr>
                 <th><Icon type={'erase'} /></th>
                 <th>Erase</th>
@@ -477,6 +654,22 @@ const alignmentHelp = (gotoPage) => {
                     {getTooltip('cropImage')}
                 </td>
             </tr>
+            <tr>
+                <th><Icon type={'mask'} /></th>
+                <th>Mask</th>
+                <td>
+                    <p>Use this mode to paint or draw region-of-interest masks. Masked regions are excluded from
+                        control point suggestion, alignment error metrics and change detection.</p>
+                </td>
+            </tr>
+            <tr>
+                <th><Icon type={'classify'} /></th>
+                <th>Classify</th>
+                <td>
+                    <p>Use this mode to sample pixels of land-cover classes on both images, then classify the images and
+                        report class areas and transitions.</p>
+                </td>
+            </tr>
             <tr>
                 <th><Icon type={'crosshairs'} /></th>
                 <th>Align</th>
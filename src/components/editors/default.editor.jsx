@@ -36,6 +36,7 @@ import {useDialog} from "../../providers/dialog.provider.client";
  * @param route
  * @param files
  * @param loader
+ * @param values
  * @param onCancel
  * @param onRefresh
  * @param callback
@@ -51,6 +52,7 @@ const Editor = ({
                     route,
                     files=[],
                     loader=null,
+                    values=null,
                     onCancel=()=>{},
                     onRefresh=()=>{},
                     callback=()=>{}
@@ -73,6 +75,7 @@ const Editor = ({
     const hasUploads = schema.hasOwnProperty('hasFiles') ? schema.hasFiles : false;
 
     // form data loader
+    // - optional values override the loaded data (e.g. coordinates estimated in the toolkit)
     const defaultLoader = async () => {
         const {node={}} = reference || {};
         const {type='', id='', groupType=''} = node || {};
@@ -88,7 +91,7 @@ const Editor = ({
                     const {response = {}} = res || {};
                     const {data = {}} = response || {};
                     const { metadata = null } = data || {};
-                    return metadata || data;
+                    return values ? {...(metadata || data), ...values} : metadata || data;
                 });
         }
         return {};
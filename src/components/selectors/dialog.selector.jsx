@@ -14,6 +14,7 @@
  * Revisions
  * - 22-07-2023    Include basic node data to include create and last modified dates.
  * - 23-12-2023    Added new Map Object dialog for KMZ data files
+ * - 18-10-2026    Edit dialog accepts values to prefill the edit form
  */
 
 import React from 'react';
@@ -67,6 +68,7 @@ const DialogSelector = () => {
             owner = null,
             node={},
             metadata = null,
+            values = null,
             attached = {},
             url = '',
             scale = 'medium',
@@ -184,6 +186,7 @@ const DialogSelector = () => {
                     }}
                     schema={genSchema({view: 'edit', model: model, fieldsetKey: group_type, user: user})}
                     route={createNodeRoute(model, 'edit', id, group_type)}
+                    values={values}
                     onRefresh={_handleRefresh}
                     onCancel={_handleCancel}
                     callback={_handleEditCallback}
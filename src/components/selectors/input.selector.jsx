@@ -13,6 +13,7 @@
  * ---------
  * Revisions
  * - 16-09-2023   Converted coordinate input to new component.
+ * - 18-10-2026   Added colour input.
  *
  */
 
@@ -382,6 +383,20 @@ export const InputSelector = ({
             />
         },
 
+        colour: () => {
+            return <input
+                type={'color'}
+                readOnly={readonly}
+                disabled={disabled}
+                id={id}
+                name={name}
+                value={value || '#000000'}
+                required={required}
+                onChange={onChange}
+                aria-label={ariaLabel}
+            />
+        },
+
         dependentsEditor: () => {
             return <DependentsEditor owner={options} />;
         },
@@ -17,16 +17,25 @@
  * - Pan (Default): Pan image by dragging across canvas
  * - Crop: Crop image by selecting a bounding box and cropping area
  * - Control Point Selection: Select registration control points by clicking coordinates on canvas
+ * - Mask: Paint or draw region-of-interest masks on panel images
+ * - Classify: Sample pixels of land-cover classes on panel images
  *
  * ---------
  * Revisions
  * - 09-07-2023   Major upgrade to Toolkit incl. UI and workflow improvements and OpenCV integration
+ * - 18-10-2026   Track OpenCV load status; optionally force JS fallback
+ * - 18-10-2026   Alignment recipe being replayed in the panels
+ * - 18-10-2026   Per-panel undo/redo history
+ * - 18-10-2026   High bit-depth (16-bit) image data of panels
+ * - 18-10-2026   Region-of-interest masks of panels
+ * - 18-10-2026   Land-cover classes and class samples of panels
  */
 
 import * as React from 'react'
 import {createNodeRoute, getQuery} from "../utils/paths.utils.client";
 import {useRouter} from "./router.provider.client";
 import {usePointer} from "../components/alignment/tools/pointer.alignment";
+import {useHistory} from "../components/alignment/tools/history.alignment";
 import {initOptions, initPanel, initOpenCV} from "../components/alignment/panel/init.panel.alignment";
 import {useUser} from "./user.provider.client";
 
@@ -67,9 +76,18 @@ export const IatProvider = (props) => {
     // initialize menu dialog toggle
     const [dialog, setDialog] = React.useState(null);
 
+    // alignment report for the last computed transform
+    const [alignment, setAlignment] = React.useState(null);
+
+    // alignment recipe being replayed (with next step index of each panel)
+    const [recipe, setRecipe] = React.useState(null);
+
     // global panel options
     const [options, setOptions] = React.useState(initOptions());
 
+    // OpenCV library load status ('loading', 'loaded', 'error' or 'disabled')
+    const [cvStatus, setCvStatus] = React.useState(options.forceJS ? 'disabled' : 'loading');
+
     // panel properties
     const [panel1Metadata, setPanel1Metadata] = React.useState(initPanel(panel1ID, panel1Label, input1, user));
     const [panel2Metadata, setPanel2Metadata] = React.useState(initPanel(panel2ID, panel2Label, input2, user));
@@ -87,6 +105,22 @@ export const IatProvider = (props) => {
     const [source1, setSource1] = React.useState(null);
     const [source2, setSource2] = React.useState(null);
 
+    // high bit-depth image data (16-bit TIFF scans) and its source
+    // - processed alongside the renderable image data
+    const [depth1Data, setDepth1Data] = React.useState(null);
+    const [depth2Data, setDepth2Data] = React.useState(null);
+    const [depthSource1, setDepthSource1] = React.useState(null);
+    const [depthSource2, setDepthSource2] = React.useState(null);
+
+    // region-of-interest masks of panel images (see mask.utils.alignment.js)
+    const [mask1Data, setMask1Data] = React.useState(null);
+    const [mask2Data, setMask2Data] = React.useState(null);
+
+    // land-cover classes and class samples of panel images (see classify.utils.alignment.js)
+    const [classes, setClasses] = React.useState(options.classifyClasses);
+    const [samples1Data, setSamples1Data] = React.useState([]);
+    const [samples2Data, setSamples2Data] = React.useState([]);
+
     // initialize methods state for control canvas
     const [methods1, setMethods1] = React.useState(null);
     const [methods2, setMethods2] = React.useState(null);
@@ -99,6 +133,16 @@ export const IatProvider = (props) => {
     const pointer1 = usePointer(panel1Metadata, options);
     const pointer2 = usePointer(panel2Metadata, options);
 
+    // initialize panel undo/redo histories
+    const history1 = useHistory({
+        image: img1Data, depth: depth1Data, mask: mask1Data, properties: panel1Metadata,
+        points: pointer1.points, alignment: alignment
+    }, options);
+    const history2 = useHistory({
+        image: img2Data, depth: depth2Data, mask: mask2Data, properties: panel2Metadata,
+        points: pointer2.points, alignment: alignment
+    }, options);
+
     /**
      * Load initial input image data (if in query parameters)
      */
@@ -179,16 +223,24 @@ export const IatProvider = (props) => {
 
     /**
      * Load OpenCV libraries to provider
+     * - skipped when the JS fallback is forced
      * **/
 
-    React.useEffect(initOpenCV(_isMounted), []);
+    React.useEffect(() => {
+        if (options.forceJS) {
+            setCvStatus('disabled');
+            return;
+        }
+        return initOpenCV(setCvStatus);
+    }, [options.forceJS]);
 
     return (
         <IatContext.Provider value={
             {
                 mode: mode,
                 setMode: setMode,
-                cv: window.cv,
+                cv: cvStatus === 'loaded' ? window.cv : null,
+                cvStatus: cvStatus,
                 setInputParams: setInputParams,
                 panel1: {
                     properties: panel1Metadata,
@@ -205,18 +257,32 @@ export const IatProvider = (props) => {
                         setPanel1Metadata(initPanel(panel1ID, panel1Label, null, user));
                         setSource1(null);
                         setImg1Data(null);
+                        setDepth1Data(null);
+                        setDepthSource1(null);
+                        setMask1Data(null);
+                        setSamples1Data([]);
                         setRendered1Data(null);
                         setSignal1('empty');
+                        history1.clear();
                     },
                     source: source1,
                     setSource: setSource1,
                     image: img1Data,
                     setImage: setImg1Data,
+                    depth: depth1Data,
+                    setDepth: setDepth1Data,
+                    depthSource: depthSource1,
+                    setDepthSource: setDepthSource1,
+                    mask: mask1Data,
+                    setMask: setMask1Data,
+                    samples: samples1Data,
+                    setSamples: setSamples1Data,
                     rendered: rendered1Data,
                     setRendered: setRendered1Data,
                     status: signal1,
                     setStatus: setSignal1,
                     pointer: pointer1,
+                    history: history1,
                     methods: methods1,
                     setMethods: setMethods1,
                 },
@@ -235,23 +301,43 @@ export const IatProvider = (props) => {
                         setPanel2Metadata(initPanel(panel2ID, panel2Label, null, user));
                         setSource2(null);
                         setImg2Data(null);
+                        setDepth2Data(null);
+                        setDepthSource2(null);
+                        setMask2Data(null);
+                        setSamples2Data([]);
                         setRendered2Data(null);
                         setSignal2('empty');
+                        history2.clear();
                     },
                     source: source2,
                     setSource: setSource2,
                     image: img2Data,
                     setImage: setImg2Data,
+                    depth: depth2Data,
+                    setDepth: setDepth2Data,
+                    depthSource: depthSource2,
+                    setDepthSource: setDepthSource2,
+                    mask: mask2Data,
+                    setMask: setMask2Data,
+                    samples: samples2Data,
+                    setSamples: setSamples2Data,
                     rendered: rendered2Data,
                     setRendered: setRendered2Data,
                     status: signal2,
                     setStatus: setSignal2,
                     pointer: pointer2,
+                    history: history2,
                     methods: methods2,
                     setMethods: setMethods2,
                 },
                 dialog: dialog,
                 setDialog: setDialog,
+                alignment: alignment,
+                setAlignment: setAlignment,
+                recipe: recipe,
+                setRecipe: setRecipe,
+                classes: classes,
+                setClasses: setClasses,
                 options: options,
                 setOptions: setOptions,
                 message: message,
@@ -119,9 +119,42 @@ export const schema = {
             default: 'Error: could not complete operation.',
             emptyCanvas: `Please load both canvases to complete operation.`,
             collinearPts: 'Control points should not be collinear (form a line).',
+            collinearPerspectivePts: 'No three of four control points should be collinear for a perspective transform.',
+            coincidentPts: 'Control points should not coincide.',
             missingControlPoints: `Missing control points to complete operation.`,
             maxControlPoints: 'Maximum number of control points selected.',
-            mismatchedDims: `Images must be scaled to the same width to complete operation.`
+            mismatchedControlPoints: 'Both panels must have the same number of control points.',
+            noTransform: 'Transformation could not be computed from the selected control points.',
+            cancelled: 'Image processing was cancelled.',
+            noOpenCV: 'Automatic control point suggestion requires the OpenCV library.',
+            noFeatureMatches: 'Not enough matching features were found to suggest control points.',
+            refineOutOfBounds: 'Control point is too close to the image edge to refine.',
+            noTemplateMatch: 'No reliable match was found near the corresponding control point.',
+            workerError: 'Image processing failed in the background worker.',
+            invalidRecipe: 'File is not a valid alignment recipe.',
+            unsupportedRecipe: 'Alignment recipe was created by a newer version of the toolkit.',
+            mismatchedDims: `Images must be scaled to the same width to complete operation.`,
+            unsupportedVideo: 'Video recording (WebM) is not supported by this browser.',
+            depthError: '16-bit image data could not be processed.',
+            rawPreviewOnly: 'RAW format cannot be decoded at full resolution: only the embedded preview was loaded. Convert the file to DNG to load the full sensor resolution.',
+            rawError: 'RAW file could not be decoded and has no embedded preview.',
+            rawNoData: 'RAW files must be loaded from file data.',
+            panoramaOpenCV: 'Panorama stitching requires the OpenCV library.',
+            panoramaCaptures: 'Select at least two overlapping captures to stitch a panorama.',
+            panoramaLoadError: 'Capture image could not be loaded for the panorama.',
+            panoramaNoOverlap: 'Adjacent captures could not be matched. Check the capture order (left to right) and the field of view.',
+            poseMinPoints: 'Camera pose estimation requires at least four control points with real-world coordinates.',
+            poseInit: 'Camera pose could not be initialised: add at least six ground control points or record the station/location coordinates.',
+            poseNoSolution: 'Camera pose could not be solved. Check the control point coordinates for errors.',
+            demFormat: 'DEM file could not be read. Select a single-band GeoTIFF elevation model.',
+            demGeoreference: 'DEM file has no GeoTIFF georeference (model tiepoint and pixel scale).',
+            demProjection: 'DEM coordinate system is not supported. Use geographic coordinates or a WGS84/NAD83 UTM projection.',
+            monoplotPose: 'Estimate the camera pose of the panel image (Pose tool) before monoplotting.',
+            monoplotPoseDims: 'Panel image dimensions have changed since the camera pose was estimated. Estimate the camera pose again.',
+            monoplotNoFeatures: 'Draw the features to map on the panel image with the Mask tool.',
+            monoplotNoHits: 'No feature outlines intersect the DEM terrain. Check that the DEM covers the camera view.',
+            classifySamples: 'Sample at least two classes on each panel image to classify the images.',
+            classifyTransitions: 'Class transitions require aligned images of the same dimensions.'
         }
     },
     messages: {
@@ -14,6 +14,7 @@
  * ---------
  * Revisions
  * - 10-15-2023   Updated download function to send 'null' error on load end.
+ * - 18-10-2026   Added Sony ARW and Panasonic RW2 RAW MIME types
  */
 
 import {createAPIURL} from '../utils/paths.utils.client';
@@ -327,6 +328,7 @@ export function getMIME(format) {
         'tiff-le': 'image/tiff',
         'tiff-be': 'image/tiff',
         '3RF': 'image/*',
+        'ARW': 'image/x-sony-arw',
         'CR2': 'image/x-canon-cr2',
         'CRW': 'image/x-canon-crw',
         'DCR': 'image/x-kodak-dcr',
@@ -340,6 +342,7 @@ export function getMIME(format) {
         'PEF': 'image/x-pentax-pef',
         'RAF': 'image/x-fuji-raf',
         'RAW': 'image/x-panasonic-raw',
+        'RW2': 'image/x-panasonic-rw2',
         'SR2': 'image/x-sony-sr2',
         'SRF': 'image/x-sony-srf',
         'X3F': 'image/x-sigma-x3f',